@@ -2,6 +2,10 @@ import React, { useState, useEffect } from 'react';
 import './styles/App.css';
 import StockChart from './components/StockChart';
 import SearchBar from './components/SearchBar';
+import Portfolio from './components/Portfolio';
+import Backtest from './components/Backtest';
+import Journal from './components/Journal';
+import HedgeSimulator from './components/HedgeSimulator';
 
 function App() {
   // Initialize ticker from localStorage or use SPY as default
@@ -9,23 +13,70 @@ function App() {
     return localStorage.getItem('selectedTicker') || 'SPY';
   });
 
+  // Initialize the active view (chart, portfolio, backtest, hedging or journal) from localStorage
+  const [activeView, setActiveView] = useState(() => {
+    return localStorage.getItem('activeView') || 'chart';
+  });
+
   // Save ticker to localStorage whenever it changes
   useEffect(() => {
     localStorage.setItem('selectedTicker', selectedTicker);
   }, [selectedTicker]);
 
+  // Save the active view to localStorage whenever it changes
+  useEffect(() => {
+    localStorage.setItem('activeView', activeView);
+  }, [activeView]);
+
   const handleTickerSelect = (ticker) => {
     setSelectedTicker(ticker);
+    setActiveView('chart');
   };
 
   return (
     <div className="App">
       <header className="App-header">
         <h1>Stock Options Viewer</h1>
+        <nav className="App-nav">
+          <button
+            className={activeView === 'chart' ? 'active' : ''}
+            onClick={() => setActiveView('chart')}
+          >
+            Chart
+          </button>
+          <button
+            className={activeView === 'portfolio' ? 'active' : ''}
+            onClick={() => setActiveView('portfolio')}
+          >
+            Portfolio
+          </button>
+          <button
+            className={activeView === 'backtest' ? 'active' : ''}
+            onClick={() => setActiveView('backtest')}
+          >
+            Backtest
+          </button>
+          <button
+            className={activeView === 'hedging' ? 'active' : ''}
+            onClick={() => setActiveView('hedging')}
+          >
+            Hedging
+          </button>
+          <button
+            className={activeView === 'journal' ? 'active' : ''}
+            onClick={() => setActiveView('journal')}
+          >
+            Journal
+          </button>
+        </nav>
         <SearchBar onTickerSelect={handleTickerSelect} />
       </header>
       <main className="App-main">
-        <StockChart ticker={selectedTicker} />
+        {activeView === 'portfolio' && <Portfolio />}
+        {activeView === 'backtest' && <Backtest ticker={selectedTicker} />}
+        {activeView === 'hedging' && <HedgeSimulator ticker={selectedTicker} />}
+        {activeView === 'journal' && <Journal />}
+        {activeView !== 'portfolio' && activeView !== 'backtest' && activeView !== 'hedging' && activeView !== 'journal' && <StockChart ticker={selectedTicker} />}
       </main>
     </div>
   );
@@ -0,0 +1,420 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { createChart } from 'lightweight-charts';
+import axios from 'axios';
+import styled from 'styled-components';
+
+const BacktestContainer = styled.div`
+  background-color: var(--secondary-bg);
+  padding: 15px 20px;
+  display: flex;
+  flex-direction: column;
+  gap: 15px;
+  height: 100%;
+  overflow-y: auto;
+  box-sizing: border-box;
+`;
+
+const RuleForm = styled.div`
+  display: flex;
+  flex-direction: column;
+  gap: 8px;
+  font-size: 13px;
+  color: var(--text-secondary);
+`;
+
+const FormRow = styled.div`
+  display: flex;
+  align-items: center;
+  gap: 8px;
+  flex-wrap: wrap;
+
+  label {
+    display: flex;
+    align-items: center;
+    gap: 4px;
+  }
+`;
+
+const FormInput = styled.input`
+  background-color: #333;
+  color: var(--text-primary);
+  border: 1px solid #444;
+  border-radius: 4px;
+  padding: 6px 8px;
+  font-size: 13px;
+  width: ${props => props.type === 'date' ? '140px' : '70px'};
+
+  &::-webkit-calendar-picker-indicator {
+    filter: invert(1);
+  }
+`;
+
+const FormSelect = styled.select`
+  background-color: #333;
+  color: var(--text-primary);
+  border: 1px solid #444;
+  border-radius: 4px;
+  padding: 6px 8px;
+  font-size: 13px;
+`;
+
+const ActionButton = styled.button`
+  background-color: ${props => props.secondary ? '#333' : 'var(--accent-color)'};
+  color: var(--text-primary);
+  border: none;
+  padding: 6px 12px;
+  border-radius: 4px;
+  cursor: pointer;
+
+  &:hover {
+    background-color: ${props => props.secondary ? '#444' : '#3a8c3a'};
+  }
+
+  &:disabled {
+    opacity: 0.6;
+    cursor: default;
+  }
+`;
+
+const SummaryRow = styled.div`
+  display: flex;
+  gap: 20px;
+  flex-wrap: wrap;
+`;
+
+const SummaryItem = styled.div`
+  display: flex;
+  flex-direction: column;
+`;
+
+const SummaryLabel = styled.span`
+  font-size: 12px;
+  color: var(--text-secondary);
+`;
+
+const SummaryValue = styled.span`
+  font-size: 16px;
+  font-weight: bold;
+  color: ${props => props.tone === 'positive' ? 'var(--accent-color)' : props.tone === 'negative' ? 'var(--error-color)' : 'inherit'};
+`;
+
+const PlotContainer = styled.div`
+  width: 100%;
+  height: 300px;
+  flex-shrink: 0;
+`;
+
+const TradeTable = styled.table`
+  width: 100%;
+  border-collapse: collapse;
+  font-size: 13px;
+
+  th, td {
+    padding: 6px 10px;
+    text-align: right;
+  }
+
+  th {
+    background-color: #333;
+    border-bottom: 1px solid #444;
+    position: sticky;
+    top: 0;
+  }
+
+  th:first-child, td:first-child {
+    text-align: left;
+  }
+
+  tbody tr:nth-child(even) {
+    background-color: rgba(255, 255, 255, 0.05);
+  }
+`;
+
+const PnlCell = styled.td`
+  color: ${props => props.value >= 0 ? 'var(--accent-color)' : 'var(--error-color)'};
+`;
+
+const Message = styled.div`
+  color: ${props => props.error ? 'var(--error-color)' : 'var(--text-secondary)'};
+  font-size: 14px;
+`;
+
+// A new rule starts as "sell a 30-delta 45-DTE put every month, close at 50% profit or 21 DTE"
+const DEFAULT_LEG = { type: 'put', side: 'short', quantity: '1', delta: '0.3' };
+
+const DEFAULT_RULE = {
+  frequency: 'monthly',
+  dte: '45',
+  profitTarget: '50',
+  stopLoss: '',
+  exitDte: '21',
+  startDate: '',
+  capital: '10000',
+  commission: '0'
+};
+
+const EXIT_REASON_LABELS = {
+  'profit-target': 'Profit target',
+  'stop-loss': 'Stop loss',
+  dte: 'DTE',
+  expiry: 'Expiry',
+  'end-of-data': 'End of data'
+};
+
+/**
+ * Format a dollar amount with its sign
+ * @param {number|null} value - Amount in dollars
+ * @returns {string} - Formatted amount, '-' when unknown
+ */
+const formatDollars = (value) => {
+  if (value === null || value === undefined) return '-';
+  const sign = value < 0 ? '-' : '';
+  return `${sign}$${Math.abs(value).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+};
+
+/**
+ * Format a fraction as a percentage
+ * @param {number|null} value - Fraction, e.g. 0.25
+ * @returns {string} - Formatted percentage, '-' when unknown
+ */
+const formatPercent = (value) => (value === null || value === undefined ? '-' : `${(value * 100).toFixed(1)}%`);
+
+/**
+ * Read an optional numeric form field
+ * @param {string} value - Field value
+ * @param {number} scale - Factor applied to the number, e.g. 0.01 for percentages
+ * @returns {number|null} - Number, or null when the field is empty
+ */
+const optionalNumber = (value, scale = 1) => (value === '' ? null : parseFloat(value) * scale);
+
+const Backtest = ({ ticker }) => {
+  const [symbol, setSymbol] = useState(ticker);
+  const [legs, setLegs] = useState([DEFAULT_LEG]);
+  const [rule, setRule] = useState(DEFAULT_RULE);
+  const [result, setResult] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const plotContainer = useRef(null);
+  const chartRef = useRef(null);
+  const seriesRef = useRef(null);
+
+  // Follow the ticker picked in the search bar
+  useEffect(() => {
+    setSymbol(ticker);
+  }, [ticker]);
+
+  // Create the equity chart once and keep it sized to its container
+  useEffect(() => {
+    if (!plotContainer.current) return undefined;
+
+    chartRef.current = createChart(plotContainer.current, {
+      height: plotContainer.current.clientHeight,
+      width: plotContainer.current.clientWidth,
+      layout: {
+        background: { color: '#1a2130' },
+        textColor: '#9ca3af',
+        fontFamily: "'Roboto', sans-serif",
+      },
+      grid: {
+        vertLines: { color: '#222b3c' },
+        horzLines: { color: '#222b3c' },
+      },
+      timeScale: {
+        borderColor: '#2a3245',
+      },
+    });
+    seriesRef.current = chartRef.current.addAreaSeries({
+      lineColor: '#26a69a',
+      topColor: 'rgba(38, 166, 154, 0.4)',
+      bottomColor: 'rgba(38, 166, 154, 0.05)',
+      lineWidth: 2,
+    });
+
+    const handleResize = () => {
+      if (chartRef.current && plotContainer.current) {
+        chartRef.current.resize(plotContainer.current.clientWidth, plotContainer.current.clientHeight);
+      }
+    };
+
+    window.addEventListener('resize', handleResize);
+
+    return () => {
+      window.removeEventListener('resize', handleResize);
+      chartRef.current.remove();
+      chartRef.current = null;
+      seriesRef.current = null;
+    };
+  }, []);
+
+  // Plot the equity curve of each new result
+  useEffect(() => {
+    if (!seriesRef.current) return;
+
+    seriesRef.current.setData(result ? result.equityCurve.map(point => ({ time: point.date, value: point.equity })) : []);
+    if (result) chartRef.current.timeScale().fitContent();
+  }, [result]);
+
+  const handleRuleChange = (field) => (e) => {
+    setRule({ ...rule, [field]: e.target.value });
+  };
+
+  const handleLegChange = (index, field) => (e) => {
+    setLegs(legs.map((leg, i) => (i === index ? { ...leg, [field]: e.target.value } : leg)));
+  };
+
+  const runBacktest = async () => {
+    setLoading(true);
+    setError('');
+
+    try {
+      const response = await axios.post('/api/backtest', {
+        ticker: symbol,
+        legs: legs.map(leg => ({
+          type: leg.type,
+          side: leg.side,
+          quantity: parseInt(leg.quantity, 10),
+          delta: parseFloat(leg.delta)
+        })),
+        entry: { frequency: rule.frequency, dte: parseInt(rule.dte, 10) },
+        exit: {
+          profitTarget: optionalNumber(rule.profitTarget, 0.01),
+          stopLoss: optionalNumber(rule.stopLoss),
+          dte: optionalNumber(rule.exitDte)
+        },
+        startDate: rule.startDate || null,
+        capital: parseFloat(rule.capital),
+        commission: parseFloat(rule.commission)
+      });
+      setResult(response.data);
+    } catch (err) {
+      console.error('Error running backtest:', err);
+      setError((err.response && err.response.data && err.response.data.error) || err.message || 'Failed to run backtest');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const stats = result && result.stats;
+
+  return (
+    <BacktestContainer>
+      <h3>Backtest</h3>
+
+      <RuleForm>
+        <FormRow>
+          <label>Ticker <FormInput value={symbol} onChange={(e) => setSymbol(e.target.value.toUpperCase())} /></label>
+          <label>Start <FormInput type="date" value={rule.startDate} onChange={handleRuleChange('startDate')} /></label>
+          <label>Capital <FormInput type="number" min="1" value={rule.capital} onChange={handleRuleChange('capital')} /></label>
+          <label>Commission / contract <FormInput type="number" min="0" step="0.05" value={rule.commission} onChange={handleRuleChange('commission')} /></label>
+        </FormRow>
+
+        {legs.map((leg, index) => (
+          <FormRow key={index}>
+            <span>Leg {index + 1}</span>
+            <FormSelect value={leg.side} onChange={handleLegChange(index, 'side')}>
+              <option value="short">Sell</option>
+              <option value="long">Buy</option>
+            </FormSelect>
+            <FormInput type="number" min="1" value={leg.quantity} onChange={handleLegChange(index, 'quantity')} />
+            <FormSelect value={leg.type} onChange={handleLegChange(index, 'type')}>
+              <option value="put">Put</option>
+              <option value="call">Call</option>
+            </FormSelect>
+            <label>Delta <FormInput type="number" min="0.01" max="0.99" step="0.05" value={leg.delta} onChange={handleLegChange(index, 'delta')} /></label>
+            {legs.length > 1 && (
+              <ActionButton secondary onClick={() => setLegs(legs.filter((_, i) => i !== index))}>Remove</ActionButton>
+            )}
+          </FormRow>
+        ))}
+
+        <FormRow>
+          <ActionButton secondary onClick={() => setLegs([...legs, DEFAULT_LEG])}>Add Leg</ActionButton>
+          <label>
+            Enter
+            <FormSelect value={rule.frequency} onChange={handleRuleChange('frequency')}>
+              <option value="monthly">Monthly</option>
+              <option value="weekly">Weekly</option>
+              <option value="daily">Daily</option>
+            </FormSelect>
+          </label>
+          <label>DTE <FormInput type="number" min="1" value={rule.dte} onChange={handleRuleChange('dte')} /></label>
+          <label title="Close when the P&L reaches this share of the entry premium">Profit target % <FormInput type="number" min="1" value={rule.profitTarget} onChange={handleRuleChange('profitTarget')} /></label>
+          <label title="Close when the loss reaches this multiple of the entry premium">Stop loss × <FormInput type="number" min="0.1" step="0.5" value={rule.stopLoss} onChange={handleRuleChange('stopLoss')} /></label>
+          <label title="Close when this many days to expiry remain">Exit DTE <FormInput type="number" min="0" value={rule.exitDte} onChange={handleRuleChange('exitDte')} /></label>
+          <ActionButton onClick={runBacktest} disabled={loading || !symbol}>{loading ? 'Running...' : 'Run Backtest'}</ActionButton>
+        </FormRow>
+      </RuleForm>
+
+      {error && <Message error>{error}</Message>}
+
+      {stats && (
+        <SummaryRow>
+          <SummaryItem>
+            <SummaryLabel>Total P&L</SummaryLabel>
+            <SummaryValue tone={stats.totalPnl >= 0 ? 'positive' : 'negative'}>{formatDollars(stats.totalPnl)}</SummaryValue>
+          </SummaryItem>
+          <SummaryItem>
+            <SummaryLabel>Return</SummaryLabel>
+            <SummaryValue tone={stats.totalReturn >= 0 ? 'positive' : 'negative'}>{formatPercent(stats.totalReturn)}</SummaryValue>
+          </SummaryItem>
+          <SummaryItem>
+            <SummaryLabel>Trades</SummaryLabel>
+            <SummaryValue>{stats.trades}</SummaryValue>
+          </SummaryItem>
+          <SummaryItem>
+            <SummaryLabel>Win Rate</SummaryLabel>
+            <SummaryValue>{formatPercent(stats.winRate)}</SummaryValue>
+          </SummaryItem>
+          <SummaryItem>
+            <SummaryLabel>Max Drawdown</SummaryLabel>
+            <SummaryValue tone="negative">{formatDollars(stats.maxDrawdown)} ({formatPercent(stats.maxDrawdownPercent)})</SummaryValue>
+          </SummaryItem>
+          <SummaryItem>
+            <SummaryLabel title="Annualised from daily equity returns">Sharpe Ratio</SummaryLabel>
+            <SummaryValue>{stats.sharpeRatio === null ? '-' : stats.sharpeRatio.toFixed(2)}</SummaryValue>
+          </SummaryItem>
+        </SummaryRow>
+      )}
+
+      <PlotContainer ref={plotContainer} />
+
+      {result && result.trades.length === 0 && <Message>No trades were opened over this period.</Message>}
+
+      {result && result.trades.length > 0 && (
+        <TradeTable>
+          <thead>
+            <tr>
+              <th>Entry</th>
+              <th>Expiry</th>
+              <th>Strikes</th>
+              <th>Spot</th>
+              <th>Premium</th>
+              <th>Exit</th>
+              <th>Reason</th>
+              <th>Days</th>
+              <th>P&L</th>
+            </tr>
+          </thead>
+          <tbody>
+            {result.trades.map(trade => (
+              <tr key={trade.id}>
+                <td>{trade.entryDate}</td>
+                <td>{trade.expiry}</td>
+                <td>{trade.legs.filter(leg => leg.strike !== null).map(leg => leg.strike).join(' / ')}</td>
+                <td>{trade.entrySpot.toFixed(2)}</td>
+                <td>{formatDollars(trade.entryValue)}</td>
+                <td>{trade.exitDate}</td>
+                <td>{EXIT_REASON_LABELS[trade.exitReason]}</td>
+                <td>{trade.daysHeld}</td>
+                <PnlCell value={trade.pnl}>{formatDollars(trade.pnl)}</PnlCell>
+              </tr>
+            ))}
+          </tbody>
+        </TradeTable>
+      )}
+    </BacktestContainer>
+  );
+};
+
+export default Backtest;
@@ -0,0 +1,466 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { createChart } from 'lightweight-charts';
+import axios from 'axios';
+import styled from 'styled-components';
+
+const SimulatorContainer = styled.div`
+  background-color: var(--secondary-bg);
+  padding: 15px 20px;
+  display: flex;
+  flex-direction: column;
+  gap: 15px;
+  height: 100%;
+  overflow-y: auto;
+  box-sizing: border-box;
+`;
+
+const ParamForm = styled.div`
+  display: flex;
+  flex-direction: column;
+  gap: 8px;
+  font-size: 13px;
+  color: var(--text-secondary);
+`;
+
+const FormRow = styled.div`
+  display: flex;
+  align-items: center;
+  gap: 8px;
+  flex-wrap: wrap;
+
+  label {
+    display: flex;
+    align-items: center;
+    gap: 4px;
+  }
+`;
+
+const FormInput = styled.input`
+  background-color: #333;
+  color: var(--text-primary);
+  border: 1px solid #444;
+  border-radius: 4px;
+  padding: 6px 8px;
+  font-size: 13px;
+  width: ${props => props.type === 'date' ? '140px' : '70px'};
+
+  &::-webkit-calendar-picker-indicator {
+    filter: invert(1);
+  }
+`;
+
+const FormSelect = styled.select`
+  background-color: #333;
+  color: var(--text-primary);
+  border: 1px solid #444;
+  border-radius: 4px;
+  padding: 6px 8px;
+  font-size: 13px;
+`;
+
+const ActionButton = styled.button`
+  background-color: var(--accent-color);
+  color: var(--text-primary);
+  border: none;
+  padding: 6px 12px;
+  border-radius: 4px;
+  cursor: pointer;
+
+  &:hover {
+    background-color: #3a8c3a;
+  }
+
+  &:disabled {
+    opacity: 0.6;
+    cursor: default;
+  }
+`;
+
+const SummaryRow = styled.div`
+  display: flex;
+  gap: 20px;
+  flex-wrap: wrap;
+`;
+
+const SummaryItem = styled.div`
+  display: flex;
+  flex-direction: column;
+`;
+
+const SummaryLabel = styled.span`
+  font-size: 12px;
+  color: var(--text-secondary);
+`;
+
+const SummaryValue = styled.span`
+  font-size: 16px;
+  font-weight: bold;
+  color: ${props => props.tone === 'positive' ? 'var(--accent-color)' : props.tone === 'negative' ? 'var(--error-color)' : 'inherit'};
+`;
+
+const Legend = styled.div`
+  display: flex;
+  gap: 15px;
+  font-size: 12px;
+  color: var(--text-secondary);
+`;
+
+const LegendItem = styled.span`
+  &::before {
+    content: '';
+    display: inline-block;
+    width: 10px;
+    height: 3px;
+    margin-right: 5px;
+    vertical-align: middle;
+    background-color: ${props => props.color};
+  }
+`;
+
+const PlotContainer = styled.div`
+  width: 100%;
+  height: 300px;
+  flex-shrink: 0;
+`;
+
+const StepTable = styled.table`
+  width: 100%;
+  border-collapse: collapse;
+  font-size: 13px;
+
+  th, td {
+    padding: 6px 10px;
+    text-align: right;
+  }
+
+  th {
+    background-color: #333;
+    border-bottom: 1px solid #444;
+    position: sticky;
+    top: 0;
+  }
+
+  th:first-child, td:first-child {
+    text-align: left;
+  }
+
+  tbody tr:nth-child(even) {
+    background-color: rgba(255, 255, 255, 0.05);
+  }
+`;
+
+const PnlCell = styled.td`
+  color: ${props => props.value >= 0 ? 'var(--accent-color)' : 'var(--error-color)'};
+`;
+
+const Message = styled.div`
+  color: ${props => props.error ? 'var(--error-color)' : 'var(--text-secondary)'};
+  font-size: 14px;
+`;
+
+// A new simulation starts as "sell one at-the-money 30-DTE call and hedge it every day"
+const DEFAULT_PARAMS = {
+  type: 'call',
+  side: 'short',
+  quantity: '1',
+  moneyness: '1',
+  startDate: '',
+  dte: '30',
+  rebalance: 'daily',
+  band: '10',
+  volatility: '',
+  stockCost: '0.01',
+  commission: '0.65'
+};
+
+// Cumulative P&L lines plotted for each step
+const PNL_SERIES = [
+  { key: 'totalPnl', label: 'Total', color: '#26a69a' },
+  { key: 'optionPnl', label: 'Option', color: '#42a5f5' },
+  { key: 'hedgePnl', label: 'Hedge', color: '#ffa726' },
+  { key: 'costs', label: 'Costs', color: '#ef5350', sign: -1 }
+];
+
+const EXIT_REASON_LABELS = {
+  expiry: 'expiry',
+  'end-of-data': 'the end of the data'
+};
+
+/**
+ * Format a dollar amount with its sign
+ * @param {number|null} value - Amount in dollars
+ * @returns {string} - Formatted amount, '-' when unknown
+ */
+const formatDollars = (value) => {
+  if (value === null || value === undefined) return '-';
+  const sign = value < 0 ? '-' : '';
+  return `${sign}$${Math.abs(value).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+};
+
+/**
+ * Format a fraction as a percentage
+ * @param {number|null} value - Fraction, e.g. 0.25
+ * @returns {string} - Formatted percentage, '-' when unknown
+ */
+const formatPercent = (value) => (value === null || value === undefined ? '-' : `${(value * 100).toFixed(1)}%`);
+
+/**
+ * Read an optional numeric form field
+ * @param {string} value - Field value
+ * @param {number} scale - Factor applied to the number, e.g. 0.01 for percentages
+ * @returns {number|null} - Number, or null when the field is empty
+ */
+const optionalNumber = (value, scale = 1) => (value === '' ? null : parseFloat(value) * scale);
+
+const HedgeSimulator = ({ ticker }) => {
+  const [symbol, setSymbol] = useState(ticker);
+  const [params, setParams] = useState(DEFAULT_PARAMS);
+  const [result, setResult] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const plotContainer = useRef(null);
+  const chartRef = useRef(null);
+  const seriesRef = useRef({});
+
+  // Follow the ticker picked in the search bar
+  useEffect(() => {
+    setSymbol(ticker);
+  }, [ticker]);
+
+  // Create the P&L chart once and keep it sized to its container
+  useEffect(() => {
+    if (!plotContainer.current) return undefined;
+
+    chartRef.current = createChart(plotContainer.current, {
+      height: plotContainer.current.clientHeight,
+      width: plotContainer.current.clientWidth,
+      layout: {
+        background: { color: '#1a2130' },
+        textColor: '#9ca3af',
+        fontFamily: "'Roboto', sans-serif",
+      },
+      grid: {
+        vertLines: { color: '#222b3c' },
+        horzLines: { color: '#222b3c' },
+      },
+      timeScale: {
+        borderColor: '#2a3245',
+      },
+    });
+    PNL_SERIES.forEach(line => {
+      seriesRef.current[line.key] = chartRef.current.addLineSeries({
+        color: line.color,
+        lineWidth: line.key === 'totalPnl' ? 3 : 2,
+        title: line.label,
+      });
+    });
+
+    const handleResize = () => {
+      if (chartRef.current && plotContainer.current) {
+        chartRef.current.resize(plotContainer.current.clientWidth, plotContainer.current.clientHeight);
+      }
+    };
+
+    window.addEventListener('resize', handleResize);
+
+    return () => {
+      window.removeEventListener('resize', handleResize);
+      chartRef.current.remove();
+      chartRef.current = null;
+      seriesRef.current = {};
+    };
+  }, []);
+
+  // Plot the cumulative P&L of each new result; costs are drawn as a loss
+  useEffect(() => {
+    if (!chartRef.current) return;
+
+    PNL_SERIES.forEach(line => {
+      const points = result ? result.steps.map(step => ({ time: step.date, value: (line.sign || 1) * step[line.key] })) : [];
+      seriesRef.current[line.key].setData(points);
+    });
+    if (result) chartRef.current.timeScale().fitContent();
+  }, [result]);
+
+  const handleParamChange = (field) => (e) => {
+    setParams({ ...params, [field]: e.target.value });
+  };
+
+  const runSimulation = async () => {
+    setLoading(true);
+    setError('');
+
+    try {
+      const response = await axios.post('/api/hedge-simulation', {
+        ticker: symbol,
+        type: params.type,
+        side: params.side,
+        quantity: parseInt(params.quantity, 10),
+        moneyness: parseFloat(params.moneyness),
+        startDate: params.startDate || null,
+        dte: parseInt(params.dte, 10),
+        rebalance: params.rebalance,
+        band: params.rebalance === 'band' ? optionalNumber(params.band, 0.01) : null,
+        volatility: optionalNumber(params.volatility, 0.01),
+        stockCost: parseFloat(params.stockCost),
+        commission: parseFloat(params.commission)
+      });
+      setResult(response.data);
+    } catch (err) {
+      console.error('Error running hedge simulation:', err);
+      setError((err.response && err.response.data && err.response.data.error) || err.message || 'Failed to run the simulation');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const pnl = result && result.pnl;
+
+  return (
+    <SimulatorContainer>
+      <h3>Delta-Hedging Simulator</h3>
+
+      <ParamForm>
+        <FormRow>
+          <label>Ticker <FormInput value={symbol} onChange={(e) => setSymbol(e.target.value.toUpperCase())} /></label>
+          <FormSelect value={params.side} onChange={handleParamChange('side')}>
+            <option value="short">Sell</option>
+            <option value="long">Buy</option>
+          </FormSelect>
+          <FormInput type="number" min="1" value={params.quantity} onChange={handleParamChange('quantity')} />
+          <FormSelect value={params.type} onChange={handleParamChange('type')}>
+            <option value="call">Call</option>
+            <option value="put">Put</option>
+          </FormSelect>
+          <label title="Strike / spot on the start date">Moneyness <FormInput type="number" min="0.5" max="1.5" step="0.01" value={params.moneyness} onChange={handleParamChange('moneyness')} /></label>
+          <label title="Defaults to DTE days before the last close">Start <FormInput type="date" value={params.startDate} onChange={handleParamChange('startDate')} /></label>
+          <label>DTE <FormInput type="number" min="1" value={params.dte} onChange={handleParamChange('dte')} /></label>
+        </FormRow>
+
+        <FormRow>
+          <label>
+            Rebalance
+            <FormSelect value={params.rebalance} onChange={handleParamChange('rebalance')}>
+              <option value="daily">Daily</option>
+              <option value="band">Delta band</option>
+            </FormSelect>
+          </label>
+          {params.rebalance === 'band' && (
+            <label title="Net delta allowed before rebalancing, as a share of the option's deltas">Band % <FormInput type="number" min="1" max="100" value={params.band} onChange={handleParamChange('band')} /></label>
+          )}
+          <label title="Implied volatility to price and hedge at; leave empty to use the volatility estimate on the start date">Pricing vol % <FormInput type="number" min="1" step="1" placeholder="Est." value={params.volatility} onChange={handleParamChange('volatility')} /></label>
+          <label>Stock cost / share <FormInput type="number" min="0" step="0.005" value={params.stockCost} onChange={handleParamChange('stockCost')} /></label>
+          <label>Commission / contract <FormInput type="number" min="0" step="0.05" value={params.commission} onChange={handleParamChange('commission')} /></label>
+          <ActionButton onClick={runSimulation} disabled={loading || !symbol}>{loading ? 'Running...' : 'Run Simulation'}</ActionButton>
+        </FormRow>
+      </ParamForm>
+
+      {error && <Message error>{error}</Message>}
+
+      {result && (
+        <Message>
+          {result.option.side === 'short' ? 'Sold' : 'Bought'} {result.option.quantity} {result.ticker} {result.option.expiry} {result.option.strike} {result.option.type}
+          {' '}at {result.option.entryPrice.toFixed(2)} on {result.option.entryDate} (spot {result.option.entrySpot.toFixed(2)}),
+          {' '}held to {EXIT_REASON_LABELS[result.option.exitReason]} on {result.option.exitDate} (spot {result.option.exitSpot.toFixed(2)}).
+        </Message>
+      )}
+
+      {pnl && (
+        <SummaryRow>
+          <SummaryItem>
+            <SummaryLabel>Total P&L</SummaryLabel>
+            <SummaryValue tone={pnl.total >= 0 ? 'positive' : 'negative'}>{formatDollars(pnl.total)}</SummaryValue>
+          </SummaryItem>
+          <SummaryItem>
+            <SummaryLabel>Option P&L</SummaryLabel>
+            <SummaryValue>{formatDollars(pnl.option)}</SummaryValue>
+          </SummaryItem>
+          <SummaryItem>
+            <SummaryLabel>Hedge P&L</SummaryLabel>
+            <SummaryValue>{formatDollars(pnl.hedge)}</SummaryValue>
+          </SummaryItem>
+          <SummaryItem>
+            <SummaryLabel>Costs</SummaryLabel>
+            <SummaryValue tone="negative">{formatDollars(pnl.costs)}</SummaryValue>
+          </SummaryItem>
+          <SummaryItem>
+            <SummaryLabel title="Time decay at the pricing volatility">Theta</SummaryLabel>
+            <SummaryValue>{formatDollars(pnl.theta)}</SummaryValue>
+          </SummaryItem>
+          <SummaryItem>
+            <SummaryLabel title="Option P&L from the realized moves beyond its delta">Gamma</SummaryLabel>
+            <SummaryValue>{formatDollars(pnl.gamma)}</SummaryValue>
+          </SummaryItem>
+          <SummaryItem>
+            <SummaryLabel title="P&L on the delta left unhedged between rebalances">Unhedged Delta</SummaryLabel>
+            <SummaryValue>{formatDollars(pnl.delta)}</SummaryValue>
+          </SummaryItem>
+          <SummaryItem>
+            <SummaryLabel>Pricing Vol</SummaryLabel>
+            <SummaryValue>{formatPercent(result.volatility.pricing)}</SummaryValue>
+          </SummaryItem>
+          <SummaryItem>
+            <SummaryLabel title="Close-to-close volatility over the holding period">Realized Vol</SummaryLabel>
+            <SummaryValue tone={result.volatility.spread === null ? null : (result.volatility.spread >= 0) === (result.option.side === 'long') ? 'positive' : 'negative'}>
+              {formatPercent(result.volatility.realized)}
+            </SummaryValue>
+          </SummaryItem>
+          <SummaryItem>
+            <SummaryLabel>Rebalances</SummaryLabel>
+            <SummaryValue>{result.rebalances} ({result.sharesTraded} shares)</SummaryValue>
+          </SummaryItem>
+        </SummaryRow>
+      )}
+
+      {result && (
+        <Legend>
+          {PNL_SERIES.map(line => <LegendItem key={line.key} color={line.color}>{line.label}</LegendItem>)}
+        </Legend>
+      )}
+
+      <PlotContainer ref={plotContainer} />
+
+      {result && (
+        <StepTable>
+          <thead>
+            <tr>
+              <th>Date</th>
+              <th>Spot</th>
+              <th>Option</th>
+              <th>Delta</th>
+              <th>Gamma</th>
+              <th>Hedge</th>
+              <th>Traded</th>
+              <th>Net Delta</th>
+              <th>Option P&L</th>
+              <th>Hedge P&L</th>
+              <th>Costs</th>
+              <th>Total</th>
+            </tr>
+          </thead>
+          <tbody>
+            {result.steps.map(step => (
+              <tr key={step.date}>
+                <td>{step.date}</td>
+                <td>{step.spot.toFixed(2)}</td>
+                <td>{step.optionPrice.toFixed(2)}</td>
+                <td>{step.delta.toFixed(3)}</td>
+                <td>{step.gamma.toFixed(4)}</td>
+                <td>{step.hedgeShares}</td>
+                <td>{step.traded === 0 ? '' : step.traded}</td>
+                <td>{step.netDelta.toFixed(1)}</td>
+                <PnlCell value={step.optionPnl}>{formatDollars(step.optionPnl)}</PnlCell>
+                <PnlCell value={step.hedgePnl}>{formatDollars(step.hedgePnl)}</PnlCell>
+                <td>{formatDollars(step.costs)}</td>
+                <PnlCell value={step.totalPnl}>{formatDollars(step.totalPnl)}</PnlCell>
+              </tr>
+            ))}
+          </tbody>
+        </StepTable>
+      )}
+    </SimulatorContainer>
+  );
+};
+
+export default HedgeSimulator;
@@ -0,0 +1,308 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import styled from 'styled-components';
+
+const JournalContainer = styled.div`
+  background-color: var(--secondary-bg);
+  padding: 15px 20px;
+  display: flex;
+  flex-direction: column;
+  gap: 15px;
+  height: 100%;
+  overflow-y: auto;
+  box-sizing: border-box;
+
+  h4 {
+    margin: 0;
+  }
+`;
+
+const SummaryRow = styled.div`
+  display: flex;
+  gap: 20px;
+  flex-wrap: wrap;
+`;
+
+const SummaryItem = styled.div`
+  display: flex;
+  flex-direction: column;
+`;
+
+const SummaryLabel = styled.span`
+  font-size: 12px;
+  color: var(--text-secondary);
+`;
+
+const SummaryValue = styled.span`
+  font-size: 16px;
+  font-weight: bold;
+  color: ${props => props.tone === 'positive' ? 'var(--accent-color)' : props.tone === 'negative' ? 'var(--error-color)' : 'inherit'};
+`;
+
+const JournalTable = styled.table`
+  width: 100%;
+  border-collapse: collapse;
+  font-size: 13px;
+
+  th, td {
+    padding: 6px 10px;
+    text-align: right;
+  }
+
+  th {
+    background-color: #333;
+    border-bottom: 1px solid #444;
+  }
+
+  th:first-child, td:first-child {
+    text-align: left;
+  }
+
+  tbody tr:nth-child(even) {
+    background-color: rgba(255, 255, 255, 0.05);
+  }
+`;
+
+const PnlCell = styled.td`
+  color: ${props => props.value === null ? 'inherit' : props.value >= 0 ? 'var(--accent-color)' : 'var(--error-color)'};
+`;
+
+const ActionButton = styled.button`
+  background-color: #333;
+  color: var(--text-primary);
+  border: none;
+  padding: 4px 10px;
+  border-radius: 4px;
+  font-size: 12px;
+  cursor: pointer;
+
+  &:hover {
+    background-color: var(--accent-color);
+  }
+`;
+
+const Message = styled.div`
+  color: ${props => props.error ? 'var(--error-color)' : 'var(--text-secondary)'};
+  font-size: 14px;
+`;
+
+const FILL_KIND_LABELS = {
+  order: 'Order',
+  expiration: 'Expired',
+  exercise: 'Exercised',
+  assignment: 'Assigned'
+};
+
+/**
+ * Format a dollar amount with its sign
+ * @param {number|null} value - Amount in dollars
+ * @returns {string} - Formatted amount, '-' when unknown
+ */
+const formatDollars = (value) => {
+  if (value === null || value === undefined) return '-';
+  const sign = value < 0 ? '-' : '';
+  return `${sign}$${Math.abs(value).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+};
+
+/**
+ * Describe the contract a trade or fill is in
+ * @param {Object} contract - { ticker, type, strike, expiry }
+ * @returns {string} - e.g. "SPY 2025-06-20 450 call" or "SPY stock"
+ */
+const describeContract = (contract) => (
+  contract.type === 'stock' ? `${contract.ticker} stock` : `${contract.ticker} ${contract.expiry} ${contract.strike} ${contract.type}`
+);
+
+const Journal = () => {
+  const [journal, setJournal] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  // Loading the journal also settles any options whose expiry has passed
+  const fetchJournal = async () => {
+    setLoading(true);
+    setError('');
+
+    try {
+      const response = await axios.get('/api/trades');
+      setJournal(response.data);
+    } catch (err) {
+      console.error('Error fetching trade journal:', err);
+      setError((err.response && err.response.data && err.response.data.error) || err.message || 'Failed to load the journal');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchJournal();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []); // Load once on mount; closing a trade reloads through its handler
+
+  // Close what is left of a trade with an opposite order at the ticket's saved trading costs
+  const handleCloseTrade = async (trade) => {
+    setError('');
+
+    try {
+      const saved = localStorage.getItem('paperTradingCosts');
+      const costs = saved ? JSON.parse(saved) : {};
+      await axios.post('/api/trades', {
+        ticker: trade.ticker,
+        type: trade.type,
+        action: trade.side === 'long' ? 'sell' : 'buy',
+        quantity: trade.openQuantity,
+        strike: trade.strike,
+        expiry: trade.expiry,
+        strategy: trade.strategy,
+        slippage: costs.slippage === undefined ? undefined : parseFloat(costs.slippage) || 0,
+        commission: costs.commission === undefined ? undefined : parseFloat(costs.commission) || 0
+      });
+      fetchJournal();
+    } catch (err) {
+      console.error('Error closing paper trade:', err);
+      setError((err.response && err.response.data && err.response.data.error) || err.message || 'Failed to close the trade');
+    }
+  };
+
+  const totals = journal && journal.totals;
+
+  return (
+    <JournalContainer>
+      <h3>Trade Journal</h3>
+
+      {error && <Message error>{error}</Message>}
+      {loading && !journal && <Message>Loading journal...</Message>}
+      {journal && journal.settled > 0 && <Message>Settled {journal.settled} expiration fills.</Message>}
+      {journal && journal.trades.length === 0 && (
+        <Message>No paper trades yet. Use the Trade button on an option chain row to place one.</Message>
+      )}
+
+      {totals && journal.trades.length > 0 && (
+        <>
+          <SummaryRow>
+            <SummaryItem>
+              <SummaryLabel>Realized P&L</SummaryLabel>
+              <SummaryValue tone={totals.realizedPnl >= 0 ? 'positive' : 'negative'}>{formatDollars(totals.realizedPnl)}</SummaryValue>
+            </SummaryItem>
+            <SummaryItem>
+              <SummaryLabel>Unrealized P&L</SummaryLabel>
+              <SummaryValue tone={totals.unrealizedPnl >= 0 ? 'positive' : 'negative'}>{formatDollars(totals.unrealizedPnl)}</SummaryValue>
+            </SummaryItem>
+            <SummaryItem>
+              <SummaryLabel>Total P&L</SummaryLabel>
+              <SummaryValue tone={totals.totalPnl >= 0 ? 'positive' : 'negative'}>{formatDollars(totals.totalPnl)}</SummaryValue>
+            </SummaryItem>
+            <SummaryItem>
+              <SummaryLabel>Commissions</SummaryLabel>
+              <SummaryValue>{formatDollars(totals.commission)}</SummaryValue>
+            </SummaryItem>
+            <SummaryItem>
+              <SummaryLabel>Open Trades</SummaryLabel>
+              <SummaryValue>{totals.openTrades} of {totals.trades}</SummaryValue>
+            </SummaryItem>
+          </SummaryRow>
+
+          <h4>By Strategy</h4>
+          <JournalTable>
+            <thead>
+              <tr>
+                <th>Strategy</th>
+                <th>Trades</th>
+                <th>Open</th>
+                <th>Commissions</th>
+                <th>Realized</th>
+                <th>Unrealized</th>
+                <th>Total</th>
+              </tr>
+            </thead>
+            <tbody>
+              {journal.strategies.map(strategy => (
+                <tr key={strategy.strategy}>
+                  <td>{strategy.strategy}</td>
+                  <td>{strategy.trades}</td>
+                  <td>{strategy.openTrades}</td>
+                  <td>{formatDollars(strategy.commission)}</td>
+                  <PnlCell value={strategy.realizedPnl}>{formatDollars(strategy.realizedPnl)}</PnlCell>
+                  <PnlCell value={strategy.unrealizedPnl}>{formatDollars(strategy.unrealizedPnl)}</PnlCell>
+                  <PnlCell value={strategy.totalPnl}>{formatDollars(strategy.totalPnl)}</PnlCell>
+                </tr>
+              ))}
+            </tbody>
+          </JournalTable>
+
+          <h4>Trades</h4>
+          <JournalTable>
+            <thead>
+              <tr>
+                <th>Opened</th>
+                <th>Strategy</th>
+                <th>Contract</th>
+                <th>Side</th>
+                <th>Open / Qty</th>
+                <th>Entry</th>
+                <th>Mark</th>
+                <th>Realized</th>
+                <th>Unrealized</th>
+                <th>Status</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {journal.trades.map(trade => (
+                <tr key={trade.id}>
+                  <td>{trade.openedAt}</td>
+                  <td>{trade.strategy || '-'}</td>
+                  <td>{describeContract(trade)}</td>
+                  <td>{trade.side}</td>
+                  <td>{trade.openQuantity} / {trade.quantity}</td>
+                  <td>{trade.entryPrice.toFixed(2)}</td>
+                  <td>{trade.mark === null ? '-' : trade.mark.toFixed(2)}</td>
+                  <PnlCell value={trade.realizedPnl}>{formatDollars(trade.realizedPnl)}</PnlCell>
+                  <PnlCell value={trade.unrealizedPnl}>{formatDollars(trade.unrealizedPnl)}</PnlCell>
+                  <td>{trade.status === 'open' ? 'Open' : `Closed ${trade.closedAt}`}</td>
+                  <td>
+                    {trade.status === 'open' && <ActionButton onClick={() => handleCloseTrade(trade)}>Close</ActionButton>}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </JournalTable>
+
+          <h4>Fills</h4>
+          <JournalTable>
+            <thead>
+              <tr>
+                <th>Date</th>
+                <th>Type</th>
+                <th>Action</th>
+                <th>Qty</th>
+                <th>Contract</th>
+                <th>Model</th>
+                <th>Fill</th>
+                <th>Commission</th>
+                <th>Strategy</th>
+              </tr>
+            </thead>
+            <tbody>
+              {journal.fills.map(fill => (
+                <tr key={fill.id}>
+                  <td>{fill.filledAt}</td>
+                  <td title={fill.notes || ''}>{FILL_KIND_LABELS[fill.kind]}</td>
+                  <td>{fill.action}</td>
+                  <td>{fill.quantity}</td>
+                  <td>{describeContract(fill)}</td>
+                  <td>{fill.modelPrice.toFixed(2)}</td>
+                  <td>{fill.fillPrice.toFixed(2)}</td>
+                  <td>{formatDollars(fill.commission)}</td>
+                  <td>{fill.strategy || '-'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </JournalTable>
+        </>
+      )}
+    </JournalContainer>
+  );
+};
+
+export default Journal;
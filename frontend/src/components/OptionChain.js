@@ -1,6 +1,9 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import axios from 'axios';
 import styled from 'styled-components';
+import StrategyBuilder from './StrategyBuilder';
+import ScenarioGrid from './ScenarioGrid';
+import OrderTicket from './OrderTicket';
 
 const OptionChainContainer = styled.div`
   background-color: var(--secondary-bg);
@@ -98,6 +101,26 @@ const TableCell = styled.td`
   font-weight: ${props => props.bold ? 'bold' : 'normal'};
 `;
 
+const PriceCell = styled(TableCell)`
+  cursor: pointer;
+  
+  &:hover {
+    color: var(--accent-color);
+    text-decoration: underline;
+  }
+`;
+
+const ChainLayout = styled.div`
+  display: flex;
+  gap: 15px;
+  align-items: flex-start;
+`;
+
+const TableColumn = styled.div`
+  flex: 1;
+  min-width: 0;
+`;
+
 const InTheMoney = styled.span`
   color: var(--accent-color);
   font-size: 10px;
@@ -187,6 +210,102 @@ const DateButton = styled.button`
   }
 `;
 
+const ModelSelect = styled.select`
+  background-color: #333;
+  color: var(--text-primary);
+  border: 1px solid #444;
+  border-radius: 4px;
+  padding: 8px 12px;
+  font-size: 14px;
+`;
+
+const ColumnPicker = styled.div`
+  display: flex;
+  align-items: center;
+  gap: 6px;
+  margin-bottom: 15px;
+  flex-wrap: wrap;
+`;
+
+const ColumnToggle = styled.button`
+  background-color: ${props => props.active ? 'var(--accent-color)' : '#333'};
+  color: var(--text-primary);
+  border: none;
+  padding: 4px 10px;
+  border-radius: 4px;
+  font-size: 12px;
+  cursor: pointer;
+  
+  &:hover {
+    background-color: ${props => props.active ? 'var(--accent-color)' : '#444'};
+  }
+`;
+
+const TradeButton = styled.button`
+  background-color: #333;
+  color: var(--text-primary);
+  border: none;
+  padding: 2px 8px;
+  border-radius: 4px;
+  font-size: 12px;
+  cursor: pointer;
+  
+  &:hover {
+    background-color: var(--accent-color);
+  }
+`;
+
+// Greek columns that can be shown in the table, in display order
+const GREEK_COLUMNS = [
+  { key: 'delta', label: 'Delta', digits: 3, highlight: true },
+  { key: 'gamma', label: 'Gamma', digits: 4 },
+  { key: 'theta', label: 'Theta', digits: 4, highlight: true, invert: true },
+  { key: 'vega', label: 'Vega', digits: 4 },
+  { key: 'rho', label: 'Rho', digits: 4 },
+  { key: 'vanna', label: 'Vanna', digits: 5 },
+  { key: 'charm', label: 'Charm', digits: 5 },
+  { key: 'vomma', label: 'Vomma', digits: 5 },
+  { key: 'speed', label: 'Speed', digits: 6 },
+  { key: 'color', label: 'Color', digits: 6 }
+];
+
+// Probability columns, shown as percentages
+const PROBABILITY_COLUMNS = [
+  { key: 'probabilityITM', label: 'P(ITM)', description: 'Probability of finishing in the money at expiry' },
+  { key: 'probabilityOfTouch', label: 'P(Touch)', description: 'Probability of the stock trading at the strike before expiry' },
+  { key: 'probabilityOfProfitLong', label: 'P(Profit) Long', description: 'Probability the buyer profits at expiry (beyond strike +/- premium)' },
+  { key: 'probabilityOfProfitShort', label: 'P(Profit) Short', description: 'Probability the seller profits at expiry' }
+];
+
+const DEFAULT_COLUMNS = ['delta', 'gamma', 'theta', 'vega', 'probabilityITM', 'probabilityOfProfitLong'];
+
+// Pricing models supported by the option chain API
+const PRICING_MODELS = [
+  { value: 'black-scholes', label: 'Black-Scholes (European)' },
+  { value: 'binomial', label: 'Binomial CRR (American)' },
+  { value: 'trinomial', label: 'Trinomial (American)' }
+];
+
+// Volatility estimators supported by the option chain API
+const VOLATILITY_MODELS = [
+  { value: 'close-to-close', label: 'Close-to-close' },
+  { value: 'parkinson', label: 'Parkinson' },
+  { value: 'garman-klass', label: 'Garman-Klass' },
+  { value: 'rogers-satchell', label: 'Rogers-Satchell' },
+  { value: 'yang-zhang', label: 'Yang-Zhang' },
+  { value: 'ewma', label: 'EWMA' },
+  { value: 'garch', label: 'GARCH(1,1) forecast' }
+];
+
+// Day counts for time to expiry
+const TIME_BASES = [
+  { value: 'calendar', label: 'Calendar days (365)' },
+  { value: 'trading', label: 'Trading days (252)' }
+];
+
+// Short markers shown on non-monthly expiry tabs
+const EXPIRY_TYPE_MARKERS = { weekly: 'W', quarterly: 'Q' };
+
 const OptionChain = ({ ticker }) => {
   const [optionData, setOptionData] = useState(null);
   const [loading, setLoading] = useState(true);
@@ -194,22 +313,57 @@ const OptionChain = ({ ticker }) => {
   const [selectedExpiry, setSelectedExpiry] = useState(null);
   const [activeTab, setActiveTab] = useState('calls');
   const [customDate, setCustomDate] = useState('');
+  const [model, setModel] = useState('black-scholes');
+  const [volModel, setVolModel] = useState('close-to-close');
+  const [timeBasis, setTimeBasis] = useState('calendar');
+  const [legs, setLegs] = useState([]);
+  const [ticket, setTicket] = useState(null);
+  // Initialize visible Greek columns from localStorage or use the defaults
+  const [visibleColumns, setVisibleColumns] = useState(() => {
+    const saved = localStorage.getItem('optionChainColumns');
+    return saved ? JSON.parse(saved) : DEFAULT_COLUMNS;
+  });
+  
+  // Save column selection to localStorage whenever it changes
+  useEffect(() => {
+    localStorage.setItem('optionChainColumns', JSON.stringify(visibleColumns));
+  }, [visibleColumns]);
+  
+  // Strategy legs and the order ticket belong to one underlying, so start over on a new ticker
+  useEffect(() => {
+    setLegs([]);
+    setTicket(null);
+  }, [ticker]);
+  
+  // Keep the same settings object between renders so the strategy builder only refetches on change
+  const strategySettings = useMemo(() => ({ model, volModel, timeBasis }), [model, volModel, timeBasis]);
   
   // Calculate min date (today) and max date (1 year from now)
   const today = new Date();
   const minDate = today.toISOString().split('T')[0];
   const maxDate = new Date(today.setFullYear(today.getFullYear() + 1)).toISOString().split('T')[0];
 
-  const fetchOptionData = async (date = null) => {
+  const fetchOptionData = async (date = null, settings = { model, volModel, timeBasis }) => {
     setLoading(true);
     setError('');
     
     try {
-      // Build URL with optional date parameter
-      let url = `/api/options/${ticker}`;
+      // Build URL with optional date and model parameters
+      const params = new URLSearchParams();
       if (date) {
-        url += `?date=${date}`;
+        params.append('date', date);
+      }
+      if (settings.model !== 'black-scholes') {
+        params.append('model', settings.model);
+      }
+      if (settings.volModel !== 'close-to-close') {
+        params.append('volModel', settings.volModel);
       }
+      if (settings.timeBasis !== 'calendar') {
+        params.append('timeBasis', settings.timeBasis);
+      }
+      const query = params.toString();
+      const url = `/api/options/${ticker}${query ? `?${query}` : ''}`;
       
       console.log(`Fetching options data for ${ticker} from URL: ${url}`);
       
@@ -232,10 +386,10 @@ const OptionChain = ({ ticker }) => {
       
       // Set the first expiry as default or the custom date if provided
       if (response.data && response.data.optionChain) {
-        // Sort expiry dates to ensure proper order
-        const expiryDates = Object.keys(response.data.optionChain).sort((a, b) => parseInt(a) - parseInt(b));
+        // Expiries are keyed by ISO date, so they sort as strings
+        const expiryDates = Object.keys(response.data.optionChain).sort();
         console.log("Available expiry dates:", expiryDates);
-        setSelectedExpiry(expiryDates[0]);
+        setSelectedExpiry(response.data.customDate || expiryDates[0]);
       }
     } catch (err) {
       console.error('Error fetching option data:', err);
@@ -265,6 +419,48 @@ const OptionChain = ({ ticker }) => {
       fetchOptionData(customDate);
     }
   };
+  
+  const toggleColumn = (key) => {
+    setVisibleColumns(current => (
+      current.includes(key) ? current.filter(column => column !== key) : [...current, key]
+    ));
+  };
+  
+  // Add a leg from the chain, or grow an identical one already in the strategy
+  const handleAddLeg = (option, type, expiry, side) => {
+    setLegs(current => {
+      const index = current.findIndex(leg => (
+        leg.type === type && leg.strike === option.strike && leg.expiry === expiry && leg.side === side
+      ));
+      if (index >= 0) {
+        return current.map((leg, i) => (i === index ? { ...leg, quantity: leg.quantity + 1 } : leg));
+      }
+      return [...current, { type, side, strike: option.strike, expiry, quantity: 1 }];
+    });
+  };
+  
+  const handleUpdateLeg = (index, changes) => {
+    setLegs(current => current.map((leg, i) => (i === index ? { ...leg, ...changes } : leg)));
+  };
+  
+  const handleRemoveLeg = (index) => {
+    setLegs(current => current.filter((_, i) => i !== index));
+  };
+  
+  const handleModelChange = (e) => {
+    setModel(e.target.value);
+    fetchOptionData(customDate || null, { model: e.target.value, volModel, timeBasis });
+  };
+  
+  const handleVolModelChange = (e) => {
+    setVolModel(e.target.value);
+    fetchOptionData(customDate || null, { model, volModel: e.target.value, timeBasis });
+  };
+  
+  const handleTimeBasisChange = (e) => {
+    setTimeBasis(e.target.value);
+    fetchOptionData(customDate || null, { model, volModel, timeBasis: e.target.value });
+  };
 
   if (loading) {
     return (
@@ -293,30 +489,27 @@ const OptionChain = ({ ticker }) => {
     );
   }
 
-  const { price, volatility, optionChain, customDate: serverCustomDate } = optionData;
-  const expiryDates = Object.keys(optionChain).sort((a, b) => parseInt(a) - parseInt(b));
+  const { price, volatility, optionChain, customDate: serverCustomDate, requestedDate, model: serverModel, dividendAssumption, greekUnits = {}, volatilityEstimate } = optionData;
+  const showEarlyExercise = serverModel && serverModel !== 'black-scholes';
+  const greekColumns = GREEK_COLUMNS.filter(column => visibleColumns.includes(column.key));
+  const probabilityColumns = PROBABILITY_COLUMNS.filter(column => visibleColumns.includes(column.key));
+  const expiryDates = Object.keys(optionChain).sort();
   const selectedOptions = optionChain[selectedExpiry];
   
   // Format the expiry date for display
-  const formatExpiryDate = (days) => {
-    if (days === '0') {
+  const formatExpiryDate = (expiry) => {
+    const { daysToExpiry, expiryType } = optionChain[expiry];
+    if (daysToExpiry === 0) {
       return 'Today (0d)';
     }
     
-    const expiryDate = new Date();
-    expiryDate.setDate(expiryDate.getDate() + parseInt(days));
-    const month = expiryDate.toLocaleString('default', { month: 'short' });
-    const day = expiryDate.getDate();
+    // Expiry keys are calendar dates, so format them in UTC to avoid shifting a day
+    const expiryDate = new Date(expiry);
+    const month = expiryDate.toLocaleString('default', { month: 'short', timeZone: 'UTC' });
+    const day = expiryDate.getUTCDate();
+    const marker = EXPIRY_TYPE_MARKERS[expiryType] ? ` ${EXPIRY_TYPE_MARKERS[expiryType]}` : '';
     
-    // If this is a custom date that replaced the 0 DTE, show special formatting
-    if (days === expiryDates[0] && serverCustomDate) {
-      const customDateObj = new Date(serverCustomDate);
-      const customMonth = customDateObj.toLocaleString('default', { month: 'short' });
-      const customDay = customDateObj.getDate();
-      return `${customMonth} ${customDay} (${days}d)`;
-    }
-    
-    return `${month} ${day} (${days}d)`;
+    return `${month} ${day} (${daysToExpiry}d)${marker}`;
   };
 
   return (
@@ -327,13 +520,48 @@ const OptionChain = ({ ticker }) => {
           <InfoValue>${price.toFixed(2)}</InfoValue>
         </InfoItem>
         <InfoItem>
-          <InfoLabel>Historical Volatility</InfoLabel>
+          <InfoLabel>
+            Historical Volatility
+            {volatilityEstimate && ` (${volatilityEstimate.model}, ${volatilityEstimate.barsUsed} bars)`}
+          </InfoLabel>
           <InfoValue>{(volatility * 100).toFixed(2)}%</InfoValue>
         </InfoItem>
+        {dividendAssumption && (
+          <InfoItem>
+            <InfoLabel>Dividends</InfoLabel>
+            <InfoValue>
+              {(dividendAssumption.dividendYield * 100).toFixed(2)}% yield
+              {dividendAssumption.dividends.length > 0 && ` + ${dividendAssumption.dividends.length} discrete`}
+            </InfoValue>
+          </InfoItem>
+        )}
         <InfoItem>
           <InfoLabel>Selected Expiry</InfoLabel>
           <InfoValue>{formatExpiryDate(selectedExpiry)}</InfoValue>
         </InfoItem>
+        {selectedOptions.atmVolatility !== undefined && (
+          <InfoItem>
+            <InfoLabel>ATM Volatility</InfoLabel>
+            <InfoValue>{(selectedOptions.atmVolatility * 100).toFixed(2)}%</InfoValue>
+          </InfoItem>
+        )}
+        {selectedOptions.riskFreeRate !== undefined && (
+          <InfoItem>
+            <InfoLabel>Risk-Free Rate</InfoLabel>
+            <InfoValue>{(selectedOptions.riskFreeRate * 100).toFixed(2)}%</InfoValue>
+          </InfoItem>
+        )}
+        {selectedOptions.expectedMove && (
+          <InfoItem>
+            <InfoLabel>Expected Move</InfoLabel>
+            <InfoValue>
+              ±${selectedOptions.expectedMove.oneSigma.move.toFixed(2)} (1σ: ${selectedOptions.expectedMove.oneSigma.low.toFixed(2)} - ${selectedOptions.expectedMove.oneSigma.high.toFixed(2)})
+            </InfoValue>
+            <InfoLabel>
+              2σ: ${selectedOptions.expectedMove.twoSigma.low.toFixed(2)} - ${selectedOptions.expectedMove.twoSigma.high.toFixed(2)}
+            </InfoLabel>
+          </InfoItem>
+        )}
       </InfoRow>
       
       <DatePickerContainer>
@@ -346,6 +574,27 @@ const OptionChain = ({ ticker }) => {
           max={maxDate}
         />
         <DateButton onClick={handleDateSubmit}>Calculate</DateButton>
+        <InfoLabel>Model:</InfoLabel>
+        <ModelSelect value={model} onChange={handleModelChange}>
+          {PRICING_MODELS.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </ModelSelect>
+        <InfoLabel>Volatility:</InfoLabel>
+        <ModelSelect value={volModel} onChange={handleVolModelChange}>
+          {VOLATILITY_MODELS.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </ModelSelect>
+        <InfoLabel>Time:</InfoLabel>
+        <ModelSelect value={timeBasis} onChange={handleTimeBasisChange}>
+          {TIME_BASES.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </ModelSelect>
+        {serverCustomDate && requestedDate && serverCustomDate !== requestedDate && (
+          <InfoLabel>Snapped {requestedDate} to the {serverCustomDate} expiry</InfoLabel>
+        )}
       </DatePickerContainer>
       
       <ExpirySelector>
@@ -373,35 +622,119 @@ const OptionChain = ({ ticker }) => {
         >
           Puts
         </TabButton>
+        <TabButton
+          active={activeTab === 'scenarios'}
+          onClick={() => setActiveTab('scenarios')}
+        >
+          Scenarios
+        </TabButton>
       </TabSelector>
       
-      <OptionTable>
-        <TableHead>
-          <tr>
-            <TableHeader>Strike</TableHeader>
-            <TableHeader>Price</TableHeader>
-            <TableHeader>Delta</TableHeader>
-            <TableHeader>Gamma</TableHeader>
-            <TableHeader>Theta</TableHeader>
-            <TableHeader>Vega</TableHeader>
-          </tr>
-        </TableHead>
-        <tbody>
-          {selectedOptions[activeTab].map((option, index) => (
-            <TableRow key={index}>
-              <TableCell bold>
-                {option.strike.toFixed(2)}
-                {option.inTheMoney && <InTheMoney>ITM</InTheMoney>}
-              </TableCell>
-              <TableCell bold>{option.price.toFixed(2)}</TableCell>
-              <TableCell highlight value={option.delta}>{option.delta.toFixed(3)}</TableCell>
-              <TableCell>{option.gamma.toFixed(4)}</TableCell>
-              <TableCell highlight value={-option.theta}>{option.theta.toFixed(4)}</TableCell>
-              <TableCell>{option.vega.toFixed(4)}</TableCell>
-            </TableRow>
+      {activeTab !== 'scenarios' && (
+        <ColumnPicker>
+          <InfoLabel>Columns:</InfoLabel>
+          {GREEK_COLUMNS.map(column => (
+            <ColumnToggle
+              key={column.key}
+              active={visibleColumns.includes(column.key)}
+              title={greekUnits[column.key]}
+              onClick={() => toggleColumn(column.key)}
+            >
+              {column.label}
+            </ColumnToggle>
+          ))}
+          {PROBABILITY_COLUMNS.map(column => (
+            <ColumnToggle
+              key={column.key}
+              active={visibleColumns.includes(column.key)}
+              title={column.description}
+              onClick={() => toggleColumn(column.key)}
+            >
+              {column.label}
+            </ColumnToggle>
           ))}
-        </tbody>
-      </OptionTable>
+        </ColumnPicker>
+      )}
+      
+      <ChainLayout>
+        <TableColumn>
+          {ticket && activeTab !== 'scenarios' && (
+            <OrderTicket ticker={ticker} contract={ticket} settings={strategySettings} onClose={() => setTicket(null)} />
+          )}
+          {activeTab === 'scenarios' ? (
+            <ScenarioGrid ticker={ticker} legs={legs} settings={strategySettings} />
+          ) : (
+            <OptionTable>
+              <TableHead>
+                <tr>
+                  <TableHeader>Strike</TableHeader>
+                  <TableHeader>Price</TableHeader>
+                  <TableHeader>IV</TableHeader>
+                  {greekColumns.map(column => (
+                    <TableHeader key={column.key} title={greekUnits[column.key]}>{column.label}</TableHeader>
+                  ))}
+                  {probabilityColumns.map(column => (
+                    <TableHeader key={column.key} title={column.description}>{column.label}</TableHeader>
+                  ))}
+                  {showEarlyExercise && <TableHeader>Early Ex.</TableHeader>}
+                  <TableHeader>Trade</TableHeader>
+                </tr>
+              </TableHead>
+              <tbody>
+                {selectedOptions[activeTab].map((option, index) => (
+                  <TableRow key={index}>
+                    <TableCell bold>
+                      {option.strike.toFixed(2)}
+                      {option.inTheMoney && <InTheMoney>ITM</InTheMoney>}
+                    </TableCell>
+                    <PriceCell
+                      bold
+                      title="Click to buy, shift-click to sell"
+                      onClick={(e) => handleAddLeg(option, activeTab === 'calls' ? 'call' : 'put', selectedExpiry, e.shiftKey ? 'short' : 'long')}
+                    >
+                      {option.price.toFixed(2)}
+                    </PriceCell>
+                    <TableCell>{(option.impliedVolatility * 100).toFixed(1)}%</TableCell>
+                    {greekColumns.map(column => (
+                      <TableCell
+                        key={column.key}
+                        highlight={column.highlight}
+                        value={column.invert ? -option[column.key] : option[column.key]}
+                      >
+                        {option[column.key].toFixed(column.digits)}
+                      </TableCell>
+                    ))}
+                    {probabilityColumns.map(column => (
+                      <TableCell key={column.key}>
+                        {option[column.key] === null ? '-' : `${(option[column.key] * 100).toFixed(1)}%`}
+                      </TableCell>
+                    ))}
+                    {showEarlyExercise && <TableCell>{option.earlyExercisePremium.toFixed(4)}</TableCell>}
+                    <TableCell>
+                      <TradeButton
+                        title="Open a paper trading order ticket"
+                        onClick={() => setTicket({ type: activeTab === 'calls' ? 'call' : 'put', strike: option.strike, expiry: selectedExpiry, price: option.price })}
+                      >
+                        Trade
+                      </TradeButton>
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </tbody>
+            </OptionTable>
+          )}
+        </TableColumn>
+        <StrategyBuilder
+          ticker={ticker}
+          legs={legs}
+          settings={strategySettings}
+          expiry={selectedExpiry}
+          onUpdateLeg={handleUpdateLeg}
+          onRemoveLeg={handleRemoveLeg}
+          onClear={() => setLegs([])}
+          onSetLegs={setLegs}
+        />
+      </ChainLayout>
     </OptionChainContainer>
   );
 };
@@ -0,0 +1,182 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import styled from 'styled-components';
+
+const TicketContainer = styled.div`
+  background-color: #1a2130;
+  border: 1px solid #2a3245;
+  border-radius: 4px;
+  padding: 10px 12px;
+  margin-bottom: 10px;
+  display: flex;
+  flex-direction: column;
+  gap: 8px;
+  font-size: 13px;
+`;
+
+const TicketHeader = styled.div`
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+
+  h4 {
+    margin: 0;
+  }
+`;
+
+const TicketRow = styled.div`
+  display: flex;
+  align-items: center;
+  gap: 8px;
+  flex-wrap: wrap;
+  color: var(--text-secondary);
+
+  label {
+    display: flex;
+    align-items: center;
+    gap: 4px;
+  }
+`;
+
+const TicketInput = styled.input`
+  width: ${props => props.wide ? '120px' : '60px'};
+  background-color: #333;
+  color: var(--text-primary);
+  border: 1px solid #444;
+  border-radius: 4px;
+  padding: 4px 6px;
+  font-size: 12px;
+`;
+
+const TicketButton = styled.button`
+  background-color: ${props => props.active ? (props.sell ? 'var(--error-color)' : 'var(--accent-color)') : '#333'};
+  color: var(--text-primary);
+  border: none;
+  padding: 4px 12px;
+  border-radius: 4px;
+  font-size: 12px;
+  cursor: pointer;
+
+  &:disabled {
+    opacity: 0.6;
+    cursor: default;
+  }
+`;
+
+const TicketMessage = styled.div`
+  color: ${props => props.error ? 'var(--error-color)' : 'var(--accent-color)'};
+  font-size: 12px;
+`;
+
+// Shares per option contract
+const CONTRACT_MULTIPLIER = 100;
+
+// Slippage (dollars per share) and commission (dollars per contract) until the user changes them
+const DEFAULT_COSTS = { slippage: '0.02', commission: '0.65' };
+
+const OrderTicket = ({ ticker, contract, settings, onClose }) => {
+  const [action, setAction] = useState('buy');
+  const [quantity, setQuantity] = useState('1');
+  const [strategy, setStrategy] = useState(() => localStorage.getItem('paperTradingStrategy') || '');
+  const [costs, setCosts] = useState(() => {
+    const saved = localStorage.getItem('paperTradingCosts');
+    return saved ? { ...DEFAULT_COSTS, ...JSON.parse(saved) } : DEFAULT_COSTS;
+  });
+  const [submitting, setSubmitting] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  // Remember the trading costs and strategy for the next ticket
+  useEffect(() => {
+    localStorage.setItem('paperTradingCosts', JSON.stringify(costs));
+  }, [costs]);
+
+  useEffect(() => {
+    localStorage.setItem('paperTradingStrategy', strategy);
+  }, [strategy]);
+
+  // Start over when another contract is picked
+  useEffect(() => {
+    setMessage(null);
+  }, [contract]);
+
+  const slippage = parseFloat(costs.slippage) || 0;
+  const contracts = parseInt(quantity, 10) || 0;
+  const estimatedFill = action === 'buy' ? contract.price + slippage : Math.max(0, contract.price - slippage);
+  const estimatedCommission = contracts * (parseFloat(costs.commission) || 0);
+  const estimatedCash = (action === 'buy' ? -1 : 1) * estimatedFill * CONTRACT_MULTIPLIER * contracts - estimatedCommission;
+
+  const handleSubmit = async () => {
+    setSubmitting(true);
+    setMessage(null);
+
+    try {
+      const params = new URLSearchParams();
+      if (settings.model !== 'black-scholes') {
+        params.append('model', settings.model);
+      }
+      if (settings.volModel !== 'close-to-close') {
+        params.append('volModel', settings.volModel);
+      }
+      if (settings.timeBasis !== 'calendar') {
+        params.append('timeBasis', settings.timeBasis);
+      }
+      const query = params.toString();
+
+      const response = await axios.post(`/api/trades${query ? `?${query}` : ''}`, {
+        ticker,
+        type: contract.type,
+        action,
+        quantity: contracts,
+        strike: contract.strike,
+        expiry: contract.expiry,
+        strategy,
+        slippage,
+        commission: parseFloat(costs.commission) || 0
+      });
+      const { fill } = response.data;
+      setMessage({ text: `Filled: ${fill.action} ${fill.quantity} at ${fill.fillPrice.toFixed(2)} (commission $${fill.commission.toFixed(2)})` });
+    } catch (err) {
+      console.error('Error submitting paper trade:', err);
+      setMessage({ error: true, text: (err.response && err.response.data && err.response.data.error) || err.message || 'Order failed' });
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <TicketContainer>
+      <TicketHeader>
+        <h4>Paper Trade: {ticker} {contract.expiry} {contract.strike.toFixed(2)} {contract.type}</h4>
+        <TicketButton onClick={onClose}>Close</TicketButton>
+      </TicketHeader>
+
+      <TicketRow>
+        <TicketButton active={action === 'buy'} onClick={() => setAction('buy')}>Buy</TicketButton>
+        <TicketButton active={action === 'sell'} sell onClick={() => setAction('sell')}>Sell</TicketButton>
+        <label>Contracts <TicketInput type="number" min="1" value={quantity} onChange={(e) => setQuantity(e.target.value)} /></label>
+        <label title="Dollars per share between the model price and the fill">
+          Slippage <TicketInput type="number" min="0" step="0.01" value={costs.slippage} onChange={(e) => setCosts({ ...costs, slippage: e.target.value })} />
+        </label>
+        <label title="Dollars per contract">
+          Commission <TicketInput type="number" min="0" step="0.05" value={costs.commission} onChange={(e) => setCosts({ ...costs, commission: e.target.value })} />
+        </label>
+        <label title="Trades in the same strategy are grouped in the journal">
+          Strategy <TicketInput wide placeholder="Optional" value={strategy} onChange={(e) => setStrategy(e.target.value)} />
+        </label>
+      </TicketRow>
+
+      <TicketRow>
+        <span>Model {contract.price.toFixed(2)}</span>
+        <span>Est. fill {estimatedFill.toFixed(2)}</span>
+        <span>Est. cash {estimatedCash < 0 ? '-' : ''}${Math.abs(estimatedCash).toFixed(2)}</span>
+        <TicketButton active sell={action === 'sell'} onClick={handleSubmit} disabled={submitting || contracts < 1}>
+          {submitting ? 'Submitting...' : `Submit ${action === 'buy' ? 'Buy' : 'Sell'}`}
+        </TicketButton>
+      </TicketRow>
+
+      {message && <TicketMessage error={message.error}>{message.text}</TicketMessage>}
+    </TicketContainer>
+  );
+};
+
+export default OrderTicket;
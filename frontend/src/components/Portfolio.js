@@ -0,0 +1,333 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import styled from 'styled-components';
+
+const PortfolioContainer = styled.div`
+  background-color: var(--secondary-bg);
+  padding: 15px 20px;
+  display: flex;
+  flex-direction: column;
+  gap: 15px;
+  height: 100%;
+  overflow-y: auto;
+  box-sizing: border-box;
+`;
+
+const SummaryRow = styled.div`
+  display: flex;
+  gap: 20px;
+  flex-wrap: wrap;
+`;
+
+const SummaryItem = styled.div`
+  display: flex;
+  flex-direction: column;
+`;
+
+const SummaryLabel = styled.span`
+  font-size: 12px;
+  color: var(--text-secondary);
+`;
+
+const SummaryValue = styled.span`
+  font-size: 16px;
+  font-weight: bold;
+  color: ${props => props.tone === 'positive' ? 'var(--accent-color)' : props.tone === 'negative' ? 'var(--error-color)' : 'inherit'};
+`;
+
+const PositionTable = styled.table`
+  width: 100%;
+  border-collapse: collapse;
+  font-size: 14px;
+`;
+
+const TableHead = styled.thead`
+  background-color: #333;
+  position: sticky;
+  top: 0;
+`;
+
+const TableRow = styled.tr`
+  &:nth-child(even) {
+    background-color: rgba(255, 255, 255, 0.05);
+  }
+
+  &:hover {
+    background-color: rgba(255, 255, 255, 0.1);
+  }
+`;
+
+const TableHeader = styled.th`
+  padding: 10px;
+  text-align: right;
+  border-bottom: 1px solid #444;
+
+  &:first-child {
+    text-align: left;
+  }
+`;
+
+const TableCell = styled.td`
+  padding: 8px 10px;
+  text-align: right;
+  color: ${props => props.highlight && props.value !== null ? (props.value >= 0 ? 'var(--accent-color)' : 'var(--error-color)') : 'inherit'};
+
+  &:first-child {
+    text-align: left;
+    font-weight: bold;
+  }
+`;
+
+const AddForm = styled.div`
+  display: flex;
+  align-items: center;
+  gap: 8px;
+  flex-wrap: wrap;
+`;
+
+const FormInput = styled.input`
+  background-color: #333;
+  color: var(--text-primary);
+  border: 1px solid #444;
+  border-radius: 4px;
+  padding: 6px 8px;
+  font-size: 13px;
+  width: ${props => props.type === 'date' ? '140px' : '80px'};
+
+  &::-webkit-calendar-picker-indicator {
+    filter: invert(1);
+  }
+`;
+
+const FormSelect = styled.select`
+  background-color: #333;
+  color: var(--text-primary);
+  border: 1px solid #444;
+  border-radius: 4px;
+  padding: 6px 8px;
+  font-size: 13px;
+`;
+
+const ActionButton = styled.button`
+  background-color: ${props => props.danger ? '#333' : 'var(--accent-color)'};
+  color: var(--text-primary);
+  border: none;
+  padding: 6px 12px;
+  border-radius: 4px;
+  cursor: pointer;
+
+  &:hover {
+    background-color: ${props => props.danger ? 'var(--error-color)' : '#3a8c3a'};
+  }
+`;
+
+const Message = styled.div`
+  color: ${props => props.error ? 'var(--error-color)' : 'var(--text-secondary)'};
+  font-size: 14px;
+`;
+
+const EMPTY_FORM = {
+  ticker: '',
+  type: 'call',
+  side: 'long',
+  quantity: '1',
+  strike: '',
+  expiry: '',
+  entryPrice: ''
+};
+
+/**
+ * Format a dollar amount with its sign
+ * @param {number|null} value - Amount in dollars
+ * @returns {string} - Formatted amount, '-' when unknown
+ */
+const formatDollars = (value) => {
+  if (value === null || value === undefined) return '-';
+  const sign = value < 0 ? '-' : '';
+  return `${sign}$${Math.abs(value).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+};
+
+const Portfolio = () => {
+  const [positions, setPositions] = useState([]);
+  const [summary, setSummary] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [form, setForm] = useState(EMPTY_FORM);
+
+  // Positions are marked to the model on every request, so reload both lists together
+  const fetchPortfolio = async () => {
+    setLoading(true);
+    setError('');
+
+    try {
+      const [positionsResponse, summaryResponse] = await Promise.all([
+        axios.get('/api/positions'),
+        axios.get('/api/positions/summary')
+      ]);
+      setPositions(positionsResponse.data.positions);
+      setSummary(summaryResponse.data);
+    } catch (err) {
+      console.error('Error fetching portfolio:', err);
+      setError((err.response && err.response.data && err.response.data.error) || err.message || 'Failed to load portfolio');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchPortfolio();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []); // Load once on mount; changes reload through the handlers below
+
+  const handleFormChange = (field) => (e) => {
+    setForm({ ...form, [field]: e.target.value });
+  };
+
+  const handleAdd = async () => {
+    setError('');
+
+    try {
+      const body = {
+        ticker: form.ticker,
+        type: form.type,
+        side: form.side,
+        quantity: parseFloat(form.quantity),
+        entryPrice: parseFloat(form.entryPrice)
+      };
+      if (form.type !== 'stock') {
+        body.strike = parseFloat(form.strike);
+        body.expiry = form.expiry;
+      }
+      await axios.post('/api/positions', body);
+      setForm(EMPTY_FORM);
+      fetchPortfolio();
+    } catch (err) {
+      console.error('Error adding position:', err);
+      setError((err.response && err.response.data && err.response.data.error) || err.message || 'Failed to add position');
+    }
+  };
+
+  const handleDelete = async (id) => {
+    try {
+      await axios.delete(`/api/positions/${id}`);
+      fetchPortfolio();
+    } catch (err) {
+      console.error('Error deleting position:', err);
+      setError((err.response && err.response.data && err.response.data.error) || err.message || 'Failed to delete position');
+    }
+  };
+
+  return (
+    <PortfolioContainer>
+      <h3>Portfolio</h3>
+
+      {summary && (
+        <SummaryRow>
+          <SummaryItem>
+            <SummaryLabel>Market Value</SummaryLabel>
+            <SummaryValue>{formatDollars(summary.marketValue)}</SummaryValue>
+          </SummaryItem>
+          <SummaryItem>
+            <SummaryLabel>Unrealized P&L</SummaryLabel>
+            <SummaryValue tone={summary.unrealizedPnl >= 0 ? 'positive' : 'negative'}>
+              {formatDollars(summary.unrealizedPnl)}
+            </SummaryValue>
+          </SummaryItem>
+          <SummaryItem>
+            <SummaryLabel title={`Delta in ${summary.benchmark} shares`}>Delta ({summary.benchmark}-weighted)</SummaryLabel>
+            <SummaryValue>{summary.netGreeks.delta.toFixed(1)} ({formatDollars(summary.netGreeks.dollarDelta)})</SummaryValue>
+          </SummaryItem>
+          <SummaryItem>
+            <SummaryLabel title={`Gamma in ${summary.benchmark} shares per $1 move`}>Gamma ({summary.benchmark}-weighted)</SummaryLabel>
+            <SummaryValue>{summary.netGreeks.gamma.toFixed(2)}</SummaryValue>
+          </SummaryItem>
+          <SummaryItem>
+            <SummaryLabel title="Dollars per day">Theta</SummaryLabel>
+            <SummaryValue>{formatDollars(summary.netGreeks.theta)}</SummaryValue>
+          </SummaryItem>
+          <SummaryItem>
+            <SummaryLabel title="Dollars per vol point">Vega</SummaryLabel>
+            <SummaryValue>{formatDollars(summary.netGreeks.vega)}</SummaryValue>
+          </SummaryItem>
+          {summary.missingBeta.length > 0 && (
+            <SummaryItem>
+              <SummaryLabel>No beta for</SummaryLabel>
+              <SummaryValue>{summary.missingBeta.join(', ')}</SummaryValue>
+            </SummaryItem>
+          )}
+        </SummaryRow>
+      )}
+
+      <AddForm>
+        <FormInput placeholder="Ticker" value={form.ticker} onChange={handleFormChange('ticker')} />
+        <FormSelect value={form.type} onChange={handleFormChange('type')}>
+          <option value="call">Call</option>
+          <option value="put">Put</option>
+          <option value="stock">Stock</option>
+        </FormSelect>
+        <FormSelect value={form.side} onChange={handleFormChange('side')}>
+          <option value="long">Long</option>
+          <option value="short">Short</option>
+        </FormSelect>
+        <FormInput type="number" min="1" placeholder="Qty" value={form.quantity} onChange={handleFormChange('quantity')} />
+        {form.type !== 'stock' && (
+          <>
+            <FormInput type="number" placeholder="Strike" value={form.strike} onChange={handleFormChange('strike')} />
+            <FormInput type="date" value={form.expiry} onChange={handleFormChange('expiry')} />
+          </>
+        )}
+        <FormInput type="number" min="0" step="0.01" placeholder="Entry" value={form.entryPrice} onChange={handleFormChange('entryPrice')} />
+        <ActionButton onClick={handleAdd}>Add Position</ActionButton>
+      </AddForm>
+
+      {error && <Message error>{error}</Message>}
+      {loading && <Message>Marking positions...</Message>}
+      {!loading && positions.length === 0 && <Message>No positions yet. Add one above.</Message>}
+
+      {positions.length > 0 && (
+        <PositionTable>
+          <TableHead>
+            <tr>
+              <TableHeader>Ticker</TableHeader>
+              <TableHeader>Position</TableHeader>
+              <TableHeader>Qty</TableHeader>
+              <TableHeader>Strike</TableHeader>
+              <TableHeader>Expiry</TableHeader>
+              <TableHeader>Entry</TableHeader>
+              <TableHeader>Mark</TableHeader>
+              <TableHeader>Market Value</TableHeader>
+              <TableHeader>Unrealized P&L</TableHeader>
+              <TableHeader>Delta</TableHeader>
+              <TableHeader></TableHeader>
+            </tr>
+          </TableHead>
+          <tbody>
+            {positions.map(position => (
+              <TableRow key={position.id}>
+                <TableCell>{position.ticker}</TableCell>
+                <TableCell>{position.side} {position.type}</TableCell>
+                <TableCell>{position.quantity}</TableCell>
+                <TableCell>{position.strike === null ? '-' : position.strike.toFixed(2)}</TableCell>
+                <TableCell>{position.expiry || '-'}</TableCell>
+                <TableCell>{position.entryPrice.toFixed(2)}</TableCell>
+                <TableCell title={position.error}>{position.mark === null ? 'n/a' : position.mark.toFixed(2)}</TableCell>
+                <TableCell>{formatDollars(position.mark === null ? null : position.marketValue)}</TableCell>
+                <TableCell highlight value={position.mark === null ? null : position.unrealizedPnl}>
+                  {formatDollars(position.mark === null ? null : position.unrealizedPnl)}
+                  {position.unrealizedPnlPercent !== null && position.unrealizedPnlPercent !== undefined
+                    && ` (${(position.unrealizedPnlPercent * 100).toFixed(1)}%)`}
+                </TableCell>
+                <TableCell>{position.mark === null ? '-' : position.greeks.delta.toFixed(1)}</TableCell>
+                <TableCell>
+                  <ActionButton danger onClick={() => handleDelete(position.id)}>Delete</ActionButton>
+                </TableCell>
+              </TableRow>
+            ))}
+          </tbody>
+        </PositionTable>
+      )}
+    </PortfolioContainer>
+  );
+};
+
+export default Portfolio;
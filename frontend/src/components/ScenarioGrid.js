@@ -0,0 +1,251 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import styled from 'styled-components';
+
+const GridContainer = styled.div`
+  display: flex;
+  flex-direction: column;
+  gap: 12px;
+`;
+
+const Controls = styled.div`
+  display: flex;
+  align-items: center;
+  gap: 8px;
+  flex-wrap: wrap;
+  font-size: 12px;
+  color: var(--text-secondary);
+`;
+
+const ControlSelect = styled.select`
+  background-color: #333;
+  color: var(--text-primary);
+  border: 1px solid #444;
+  border-radius: 4px;
+  padding: 4px 8px;
+  font-size: 12px;
+`;
+
+const ControlInput = styled.input`
+  width: 56px;
+  background-color: #333;
+  color: var(--text-primary);
+  border: 1px solid #444;
+  border-radius: 4px;
+  padding: 4px;
+  font-size: 12px;
+  text-align: right;
+`;
+
+const HeatmapTable = styled.table`
+  border-collapse: collapse;
+  font-size: 12px;
+
+  th {
+    padding: 6px 10px;
+    color: var(--text-secondary);
+    font-weight: normal;
+    text-align: right;
+    white-space: nowrap;
+  }
+`;
+
+const HeatmapCell = styled.td`
+  padding: 6px 10px;
+  text-align: right;
+  min-width: 70px;
+  background-color: ${props => props.color};
+  font-weight: ${props => props.current ? 'bold' : 'normal'};
+  outline: ${props => props.current ? '1px solid var(--text-primary)' : 'none'};
+`;
+
+const Hint = styled.div`
+  color: var(--text-secondary);
+  font-size: 13px;
+`;
+
+const GridError = styled.div`
+  color: var(--error-color);
+  font-size: 13px;
+`;
+
+// Columns of the grid: volatility shifts or days forward
+const SCENARIO_AXES = [
+  { value: 'volatility', label: 'Volatility shift' },
+  { value: 'days', label: 'Days forward' }
+];
+
+/**
+ * Build a symmetric range of steps around zero, e.g. -20 to 20 in steps of 5
+ * @param {number} limit - Largest absolute value
+ * @param {number} step - Distance between steps
+ * @returns {Array} - Ascending steps
+ */
+const symmetricSteps = (limit, step) => {
+  const count = Math.floor(limit / step);
+  return Array.from({ length: 2 * count + 1 }, (_, i) => (i - count) * step);
+};
+
+/**
+ * Colour a P&L cell: green for profit, red for loss, stronger for larger amounts
+ * @param {number} value - P&L of the cell
+ * @param {number} scale - Largest absolute P&L in the grid
+ * @returns {string} - CSS colour
+ */
+const heatColor = (value, scale) => {
+  const strength = scale > 0 ? 0.1 + 0.7 * Math.min(1, Math.abs(value) / scale) : 0;
+  return value >= 0 ? `rgba(38, 166, 154, ${strength})` : `rgba(239, 83, 80, ${strength})`;
+};
+
+const ScenarioGrid = ({ ticker, legs, settings }) => {
+  const [axis, setAxis] = useState('volatility');
+  const [moveLimit, setMoveLimit] = useState(20);
+  const [moveStep, setMoveStep] = useState(5);
+  const [volLimit, setVolLimit] = useState(10);
+  const [volStep, setVolStep] = useState(5);
+  const [maxDays, setMaxDays] = useState(28);
+  const [dayStep, setDayStep] = useState(7);
+  const [scenario, setScenario] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  // Rebuild the grid whenever the position, pricing settings or grid ranges change
+  useEffect(() => {
+    if (legs.length === 0) {
+      setScenario(null);
+      return;
+    }
+    if (!(moveLimit > 0 && moveStep > 0 && volLimit >= 0 && volStep > 0 && maxDays >= 0 && dayStep > 0)) {
+      return;
+    }
+
+    let cancelled = false;
+
+    const fetchScenario = async () => {
+      setLoading(true);
+      setError('');
+
+      try {
+        const params = new URLSearchParams();
+        if (settings.model !== 'black-scholes') {
+          params.append('model', settings.model);
+        }
+        if (settings.volModel !== 'close-to-close') {
+          params.append('volModel', settings.volModel);
+        }
+        if (settings.timeBasis !== 'calendar') {
+          params.append('timeBasis', settings.timeBasis);
+        }
+        const query = params.toString();
+
+        const days = [];
+        for (let day = 0; day <= maxDays; day += dayStep) days.push(day);
+
+        const response = await axios.post(`/api/scenario/${ticker}${query ? `?${query}` : ''}`, {
+          legs: legs.map(({ type, side, strike, expiry, quantity }) => ({ type, side, strike, expiry, quantity })),
+          axis,
+          moves: symmetricSteps(moveLimit, moveStep).map(move => move / 100),
+          volShifts: symmetricSteps(volLimit, volStep).map(shift => shift / 100),
+          days
+        });
+
+        if (!cancelled) setScenario(response.data);
+      } catch (err) {
+        console.error('Error building scenario grid:', err);
+        if (!cancelled) {
+          setError((err.response && err.response.data && err.response.data.error) || err.message || 'Failed to build scenario grid');
+          setScenario(null);
+        }
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    fetchScenario();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [ticker, legs, settings, axis, moveLimit, moveStep, volLimit, volStep, maxDays, dayStep]);
+
+  const readNumber = setter => (e) => setter(parseFloat(e.target.value));
+
+  if (legs.length === 0) {
+    return <Hint>Add a contract or build a strategy in the Strategy Builder to stress it here.</Hint>;
+  }
+
+  const scale = scenario ? Math.max(...scenario.pnl.map(row => Math.max(...row.map(Math.abs)))) : 0;
+  const columnLabel = column => (
+    scenario.axis === 'volatility'
+      ? `${column.volShift > 0 ? '+' : ''}${(column.volShift * 100).toFixed(1)} vol`
+      : `T+${column.days} (${column.date})`
+  );
+
+  return (
+    <GridContainer>
+      <Controls>
+        <span>Columns:</span>
+        <ControlSelect value={axis} onChange={(e) => setAxis(e.target.value)}>
+          {SCENARIO_AXES.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </ControlSelect>
+        <span>Move ±%</span>
+        <ControlInput type="number" min="1" value={moveLimit} onChange={readNumber(setMoveLimit)} />
+        <span>step</span>
+        <ControlInput type="number" min="1" value={moveStep} onChange={readNumber(setMoveStep)} />
+        {axis === 'volatility' ? (
+          <>
+            <span>Vol ± pts</span>
+            <ControlInput type="number" min="0" value={volLimit} onChange={readNumber(setVolLimit)} />
+            <span>step</span>
+            <ControlInput type="number" min="1" value={volStep} onChange={readNumber(setVolStep)} />
+          </>
+        ) : (
+          <>
+            <span>Days</span>
+            <ControlInput type="number" min="0" value={maxDays} onChange={readNumber(setMaxDays)} />
+            <span>step</span>
+            <ControlInput type="number" min="1" value={dayStep} onChange={readNumber(setDayStep)} />
+          </>
+        )}
+        {loading && <span>Updating...</span>}
+      </Controls>
+
+      {error && <GridError>{error}</GridError>}
+
+      {scenario && (
+        <HeatmapTable>
+          <thead>
+            <tr>
+              <th>Move (price)</th>
+              {scenario.columns.map(column => (
+                <th key={scenario.axis === 'volatility' ? column.volShift : column.days}>{columnLabel(column)}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {/* Largest move on top, like a price axis */}
+            {scenario.moves.map((move, row) => ({ move, row })).reverse().map(({ move, row }) => (
+              <tr key={move}>
+                <th>{move > 0 ? '+' : ''}{(move * 100).toFixed(1)}% (${scenario.prices[row].toFixed(2)})</th>
+                {scenario.pnl[row].map((value, column) => {
+                  const current = move === 0 && (scenario.axis === 'volatility'
+                    ? scenario.columns[column].volShift === 0
+                    : scenario.columns[column].days === 0);
+                  return (
+                    <HeatmapCell key={column} color={heatColor(value, scale)} current={current}>
+                      {value < 0 ? '-' : ''}${Math.abs(value).toFixed(0)}
+                    </HeatmapCell>
+                  );
+                })}
+              </tr>
+            ))}
+          </tbody>
+        </HeatmapTable>
+      )}
+    </GridContainer>
+  );
+};
+
+export default ScenarioGrid;
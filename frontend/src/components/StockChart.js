@@ -61,6 +61,57 @@ const ToggleButton = styled.button`
   }
 `;
 
+const HeaderControls = styled.div`
+  display: flex;
+  align-items: center;
+  gap: 10px;
+`;
+
+const TimeframeSelect = styled.select`
+  background-color: #333;
+  color: #fff;
+  border: none;
+  padding: 8px 10px;
+  border-radius: 4px;
+  cursor: pointer;
+`;
+
+// Bar lengths offered by the timeframe selector, with the /api/prices parameters for each
+const TIMEFRAMES = [
+  { value: 'quarterly', label: 'Quarterly', params: { resolution: 'Q' } },
+  { value: 'monthly', label: 'Monthly', params: { resolution: 'M' } },
+  { value: 'weekly', label: 'Weekly', params: { resolution: 'W' } },
+  { value: 'daily', label: 'Daily', params: {} },
+  { value: '60', label: '1 Hour', params: { interval: 60 } },
+  { value: '15', label: '15 Min', params: { interval: 15 } },
+  { value: '5', label: '5 Min', params: { interval: 5 } },
+  { value: '1', label: '1 Min', params: { interval: 1 } }
+];
+
+// Bars fetched at a time: the most recent ones first, then older ones as the chart scrolls left
+const BARS_PER_PAGE = 500;
+
+// Load older bars once the left edge of the view is within this many bars of the first one
+const LOAD_MORE_THRESHOLD = 20;
+
+// Helper function to convert an /api/prices bar to a candlestick
+const toCandle = (item) => ({
+  time: item.time,
+  open: parseFloat(item.open),
+  high: parseFloat(item.high),
+  low: parseFloat(item.low),
+  close: parseFloat(item.close),
+});
+
+// Helper function to get the `to` parameter that ends a request just before a bar.
+// Intraday times are exchange wall-clock times written as UTC, so the UTC fields are the exchange time
+const endBefore = (time, intraday) => {
+  if (intraday) {
+    return new Date((time - 60) * 1000).toISOString().slice(0, 16).replace('T', ' ');
+  }
+  return new Date((time - 86400) * 1000).toISOString().slice(0, 10);
+};
+
 const ChartWrapper = styled.div`
   flex: 1;
   position: relative;
@@ -193,6 +244,8 @@ const StockChart = ({ ticker }) => {
   const chartRef = useRef(null);
   const chartContainer = useRef(null);
   const candleSeriesRef = useRef(null);
+  // Bars on the chart and the state of loading older ones
+  const historyRef = useRef(null);
   
   // State
   const [loading, setLoading] = useState(true);
@@ -203,6 +256,11 @@ const StockChart = ({ ticker }) => {
     percentChange: 0
   });
   const [showOptionChain, setShowOptionChain] = useState(false);
+  // Show split- and dividend-adjusted prices unless turned off
+  const [adjusted, setAdjusted] = useState(() => localStorage.getItem('chartAdjustedPrices') !== 'false');
+  const [timeframe, setTimeframe] = useState(() => localStorage.getItem('chartTimeframe') || 'daily');
+  const timeframeParams = (TIMEFRAMES.find(option => option.value === timeframe) || { params: {} }).params;
+  const intraday = Boolean(timeframeParams.interval);
   
   // Add a reference to store chart dimensions
   const chartDimensions = useRef({ width: 0, height: 0 });
@@ -221,12 +279,19 @@ const StockChart = ({ ticker }) => {
       }
     };
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [ticker]); // fetchData is intentionally omitted as it would cause an infinite loop
+  }, [ticker, adjusted, timeframe]); // fetchData is intentionally omitted as it would cause an infinite loop
+  
+  // Save the adjusted price choice and timeframe to localStorage whenever they change
+  useEffect(() => {
+    localStorage.setItem('chartAdjustedPrices', String(adjusted));
+    localStorage.setItem('chartTimeframe', timeframe);
+  }, [adjusted, timeframe]);
   
   // Fetch price data from API
   const fetchData = async () => {
     try {
-      const response = await axios.get(`/api/prices/${ticker}`);
+      const params = { adjusted, ...timeframeParams };
+      const response = await axios.get(`/api/prices/${ticker}`, { params: { ...params, limit: BARS_PER_PAGE } });
       const data = response.data;
       
       if (data.length === 0) {
@@ -238,9 +303,11 @@ const StockChart = ({ ticker }) => {
         return;
       }
       
-      // Calculate price change info
+      // Calculate price change info against the last close of an earlier day,
+      // which for intraday bars is the previous session's last bar
       const latestPrice = data[data.length - 1];
-      const previousPrice = data[data.length - 2] || latestPrice;
+      const latestDay = Math.floor(latestPrice.time / 86400);
+      const previousPrice = data.slice().reverse().find(item => Math.floor(item.time / 86400) < latestDay) || latestPrice;
       
       const priceValue = parseFloat(latestPrice.close);
       const previousValue = parseFloat(previousPrice.close);
@@ -254,21 +321,23 @@ const StockChart = ({ ticker }) => {
       });
       
       // Process data for chart display
-      const processedData = data.map(item => ({
-        time: item.time,
-        open: parseFloat(item.open),
-        high: parseFloat(item.high),
-        low: parseFloat(item.low),
-        close: parseFloat(item.close),
-      }));
+      const processedData = data.map(toCandle);
       
+      historyRef.current = {
+        params,
+        data: processedData,
+        // A short first page means there is nothing older to load
+        hasMore: data.length >= BARS_PER_PAGE,
+        loading: false
+      };
       initializeChart(processedData);
     } catch (error) {
       console.error('Error fetching data:', error);
       let errorMessage = 'An error occurred while fetching data.';
       
       if (error.response) {
-        if (error.response.status === 404) {
+        // Without intraday bars the ticker may still exist, so show the server's reason
+        if (error.response.status === 404 && !intraday) {
           errorMessage = `Ticker symbol "${ticker}" was not found. Please check the symbol and try again.`;
         } else if (error.response.data && error.response.data.error) {
           errorMessage = error.response.data.error;
@@ -311,7 +380,8 @@ const StockChart = ({ ticker }) => {
       },
       timeScale: {
         borderColor: '#2a3245',
-        timeVisible: true,
+        // Intraday bars need the time of day on the axis
+        timeVisible: intraday,
         secondsVisible: false,
       },
       crosshair: {
@@ -344,18 +414,56 @@ const StockChart = ({ ticker }) => {
     // Add price data to candlestick series
     candleSeriesRef.current.setData(data);
     
-    // Set initial time range to last 90 days
+    // Set initial time range to last 90 bars
     setInitialTimeRange(data);
     
+    // Fetch older bars as the user scrolls towards the start of the history
+    chartRef.current.timeScale().subscribeVisibleLogicalRangeChange((range) => {
+      if (range && range.from < LOAD_MORE_THRESHOLD) {
+        loadOlderBars();
+      }
+    });
+    
     setLoading(false);
   };
   
-  // Set initial time range to last 90 days
+  // Fetch the page of bars before the first one on the chart and prepend it
+  const loadOlderBars = async () => {
+    const history = historyRef.current;
+    if (!history || history.loading || !history.hasMore || history.data.length === 0) return;
+    
+    history.loading = true;
+    const series = candleSeriesRef.current;
+    try {
+      const firstTime = history.data[0].time;
+      const response = await axios.get(`/api/prices/${ticker}`, {
+        params: { ...history.params, limit: BARS_PER_PAGE, to: endBefore(firstTime, Boolean(history.params.interval)) }
+      });
+      
+      // Drop the page if the ticker or timeframe changed while it loaded
+      if (historyRef.current !== history || candleSeriesRef.current !== series) return;
+      
+      history.hasMore = response.data.length >= BARS_PER_PAGE;
+      const olderData = response.data.map(toCandle).filter(item => item.time < firstTime);
+      if (olderData.length > 0) {
+        history.data = [...olderData, ...history.data];
+        series.setData(history.data);
+      }
+    } catch (error) {
+      console.error('Error loading older prices:', error);
+      // Stop here rather than retry on every scroll
+      history.hasMore = false;
+    } finally {
+      history.loading = false;
+    }
+  };
+  
+  // Set initial time range to last 90 bars
   const setInitialTimeRange = (data) => {
     if (!chartRef.current || !data || data.length === 0) return;
     
     try {
-      // If we have enough data, show the last 90 days
+      // If we have enough data, show the last 90 bars
       if (data.length > 90) {
         const visibleRange = {
           from: data[data.length - 90].time,
@@ -447,9 +555,22 @@ const StockChart = ({ ticker }) => {
             </PriceChange>
           </PriceDisplay>
         </PriceInfo>
-        <ToggleButton onClick={() => setShowOptionChain(!showOptionChain)}>
-          {showOptionChain ? 'Hide Options' : 'Show Options'}
-        </ToggleButton>
+        <HeaderControls>
+          <TimeframeSelect value={timeframe} onChange={(e) => setTimeframe(e.target.value)} title="Bar length">
+            {TIMEFRAMES.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </TimeframeSelect>
+          <ToggleButton
+            onClick={() => setAdjusted(!adjusted)}
+            title="Back-adjust earlier prices for splits and dividends"
+          >
+            {adjusted ? 'Adjusted Prices' : 'Raw Prices'}
+          </ToggleButton>
+          <ToggleButton onClick={() => setShowOptionChain(!showOptionChain)}>
+            {showOptionChain ? 'Hide Options' : 'Show Options'}
+          </ToggleButton>
+        </HeaderControls>
       </ChartHeader>
       
       <ChartWrapper style={{ height: showOptionChain ? 'calc(100% - 300px)' : '100%' }}>
@@ -0,0 +1,594 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { createChart } from 'lightweight-charts';
+import axios from 'axios';
+import styled from 'styled-components';
+
+const BuilderContainer = styled.div`
+  background-color: #1a2130;
+  border: 1px solid #2a3245;
+  border-radius: 4px;
+  padding: 12px;
+  display: flex;
+  flex-direction: column;
+  gap: 10px;
+  min-width: 360px;
+  width: 420px;
+`;
+
+const BuilderHeader = styled.div`
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+
+  h4 {
+    margin: 0;
+  }
+`;
+
+const SmallButton = styled.button`
+  background-color: ${props => props.active ? 'var(--accent-color)' : '#333'};
+  color: var(--text-primary);
+  border: none;
+  padding: 4px 10px;
+  border-radius: 4px;
+  font-size: 12px;
+  cursor: pointer;
+
+  &:hover {
+    background-color: ${props => props.active ? 'var(--accent-color)' : '#444'};
+  }
+`;
+
+const LegTable = styled.table`
+  width: 100%;
+  border-collapse: collapse;
+  font-size: 12px;
+
+  th, td {
+    padding: 4px 6px;
+    text-align: right;
+  }
+
+  th {
+    color: var(--text-secondary);
+    font-weight: normal;
+    border-bottom: 1px solid #444;
+  }
+`;
+
+const QuantityInput = styled.input`
+  width: 48px;
+  background-color: #333;
+  color: var(--text-primary);
+  border: 1px solid #444;
+  border-radius: 4px;
+  padding: 2px 4px;
+  text-align: right;
+`;
+
+const SummaryGrid = styled.div`
+  display: grid;
+  grid-template-columns: repeat(3, 1fr);
+  gap: 8px;
+`;
+
+const SummaryItem = styled.div`
+  display: flex;
+  flex-direction: column;
+`;
+
+const SummaryLabel = styled.span`
+  font-size: 11px;
+  color: var(--text-secondary);
+`;
+
+const SummaryValue = styled.span`
+  font-size: 13px;
+  font-weight: bold;
+  color: ${props => props.tone === 'positive' ? 'var(--accent-color)' : props.tone === 'negative' ? 'var(--error-color)' : 'inherit'};
+`;
+
+const CurveControls = styled.div`
+  display: flex;
+  align-items: center;
+  gap: 8px;
+  font-size: 12px;
+  color: var(--text-secondary);
+`;
+
+const Legend = styled.div`
+  display: flex;
+  gap: 12px;
+  font-size: 11px;
+  color: var(--text-secondary);
+`;
+
+const LegendSwatch = styled.span`
+  display: inline-block;
+  width: 10px;
+  height: 3px;
+  margin-right: 4px;
+  vertical-align: middle;
+  background-color: ${props => props.color};
+`;
+
+const PlotContainer = styled.div`
+  width: 100%;
+  height: 260px;
+`;
+
+const TemplateForm = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  align-items: center;
+  gap: 6px;
+  font-size: 12px;
+  color: var(--text-secondary);
+
+  label {
+    display: flex;
+    align-items: center;
+    gap: 4px;
+  }
+`;
+
+const FormSelect = styled.select`
+  background-color: #333;
+  color: var(--text-primary);
+  border: 1px solid #444;
+  border-radius: 4px;
+  padding: 2px 4px;
+  font-size: 12px;
+`;
+
+const FormInput = styled.input`
+  width: ${props => props.type === 'date' ? '120px' : '56px'};
+  background-color: #333;
+  color: var(--text-primary);
+  border: 1px solid #444;
+  border-radius: 4px;
+  padding: 2px 4px;
+  font-size: 12px;
+
+  &::-webkit-calendar-picker-indicator {
+    filter: invert(1);
+  }
+`;
+
+const Hint = styled.div`
+  color: var(--text-secondary);
+  font-size: 12px;
+`;
+
+const BuilderError = styled.div`
+  color: var(--error-color);
+  font-size: 12px;
+`;
+
+// Line colours for the payoff curves, keyed by curve label
+const CURVE_COLORS = { expiry: '#26a69a', today: '#4c9aff', offset: '#f5a623' };
+
+// Template parameters filled in from the chain rather than the form
+const CHAIN_TEMPLATE_PARAMS = ['expiry'];
+
+// Calendar days ahead of today for the intermediate curve
+const DEFAULT_OFFSET_DAYS = 7;
+
+/**
+ * Format a dollar amount, with null meaning unlimited
+ * @param {number|null} value - Amount in dollars
+ * @returns {string} - Formatted amount
+ */
+const formatDollars = (value) => {
+  if (value === null) return 'Unlimited';
+  const sign = value < 0 ? '-' : '';
+  return `${sign}$${Math.abs(value).toFixed(2)}`;
+};
+
+/**
+ * Build the initial form values for a template from its parameter defaults
+ * @param {Object} template - Template from /api/strategy/templates
+ * @returns {Object} - Form values keyed by parameter name
+ */
+const templateDefaults = (template) => template.params.reduce((values, param) => ({
+  ...values,
+  [param.name]: param.default === null ? '' : String(param.default)
+}), {});
+
+/**
+ * Add calendar days to today and return the local YYYY-MM-DD date
+ * @param {number} days - Days to add
+ * @returns {string} - ISO date
+ */
+const offsetDate = (days) => {
+  const date = new Date();
+  date.setDate(date.getDate() + days);
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+};
+
+// The price axis is plotted on the chart's time scale, one tick per grid point
+const toTime = index => index + 1;
+
+/**
+ * Find the payoff grid point closest to a price
+ * @param {Array} prices - Payoff price grid, ascending
+ * @param {number} price - Price to locate
+ * @returns {number} - Index into the grid
+ */
+const nearestIndex = (prices, price) => prices.reduce((best, value, index) => (
+  Math.abs(value - price) < Math.abs(prices[best] - price) ? index : best
+), 0);
+
+const StrategyBuilder = ({ ticker, legs, settings, expiry, onUpdateLeg, onRemoveLeg, onClear, onSetLegs }) => {
+  const [analysis, setAnalysis] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [offsetDays, setOffsetDays] = useState(DEFAULT_OFFSET_DAYS);
+  const [templates, setTemplates] = useState([]);
+  const [templateName, setTemplateName] = useState('');
+  const [templateValues, setTemplateValues] = useState({});
+
+  const plotContainer = useRef(null);
+  const chartRef = useRef(null);
+  const seriesRef = useRef([]);
+  const pricesRef = useRef([]);
+
+  // Load the strategy templates once
+  useEffect(() => {
+    axios.get('/api/strategy/templates')
+      .then(response => {
+        setTemplates(response.data.templates);
+        if (response.data.templates.length > 0) {
+          setTemplateName(response.data.templates[0].name);
+          setTemplateValues(templateDefaults(response.data.templates[0]));
+        }
+      })
+      .catch(err => console.error('Error loading strategy templates:', err));
+  }, []);
+
+  const selectedTemplate = templates.find(template => template.name === templateName);
+
+  const handleTemplateChange = (e) => {
+    const template = templates.find(candidate => candidate.name === e.target.value);
+    setTemplateName(e.target.value);
+    setTemplateValues(templateDefaults(template));
+  };
+
+  // Build the template's legs against the chain for the selected expiry and replace the strategy with them
+  const handleApplyTemplate = async () => {
+    setError('');
+
+    try {
+      const params = new URLSearchParams();
+      Object.entries(templateValues).forEach(([name, value]) => {
+        if (value !== '' && !CHAIN_TEMPLATE_PARAMS.includes(name)) {
+          params.append(name, value);
+        }
+      });
+      params.append('expiry', expiry);
+      if (settings.model !== 'black-scholes') {
+        params.append('model', settings.model);
+      }
+      if (settings.volModel !== 'close-to-close') {
+        params.append('volModel', settings.volModel);
+      }
+      if (settings.timeBasis !== 'calendar') {
+        params.append('timeBasis', settings.timeBasis);
+      }
+
+      const response = await axios.get(`/api/strategy/${ticker}/templates/${templateName}?${params.toString()}`);
+      onSetLegs(response.data.legs.map(({ type, side, strike, expiry: legExpiry, quantity }) => ({
+        type, side, strike, expiry: legExpiry, quantity
+      })));
+    } catch (err) {
+      console.error('Error building strategy template:', err);
+      setError((err.response && err.response.data && err.response.data.error) || err.message || 'Failed to build template');
+    }
+  };
+
+  // Re-run the analysis whenever the legs or pricing settings change
+  useEffect(() => {
+    if (legs.length === 0) {
+      setAnalysis(null);
+      setError('');
+      return;
+    }
+
+    let cancelled = false;
+
+    const fetchAnalysis = async () => {
+      setLoading(true);
+      setError('');
+
+      try {
+        const params = new URLSearchParams();
+        if (settings.model !== 'black-scholes') {
+          params.append('model', settings.model);
+        }
+        if (settings.volModel !== 'close-to-close') {
+          params.append('volModel', settings.volModel);
+        }
+        if (settings.timeBasis !== 'calendar') {
+          params.append('timeBasis', settings.timeBasis);
+        }
+        const query = params.toString();
+
+        // The T+N curve only exists between today and the first expiry
+        const firstExpiry = legs.filter(leg => leg.type !== 'stock').map(leg => leg.expiry).sort()[0];
+        const intermediate = offsetDays > 0 ? offsetDate(offsetDays) : null;
+        const dates = intermediate && firstExpiry && intermediate < firstExpiry ? [intermediate] : [];
+
+        const response = await axios.post(`/api/strategy/${ticker}${query ? `?${query}` : ''}`, {
+          legs: legs.map(({ type, side, strike, expiry, quantity }) => ({ type, side, strike, expiry, quantity })),
+          dates
+        });
+
+        if (!cancelled) setAnalysis(response.data);
+      } catch (err) {
+        console.error('Error analysing strategy:', err);
+        if (!cancelled) {
+          setError((err.response && err.response.data && err.response.data.error) || err.message || 'Failed to analyse strategy');
+          setAnalysis(null);
+        }
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    fetchAnalysis();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [ticker, legs, settings, offsetDays]);
+
+  // Create the payoff chart once and keep it sized to its container
+  useEffect(() => {
+    if (!plotContainer.current) return undefined;
+
+    // Labels on the horizontal axis are underlying prices, not times
+    const formatPrice = time => {
+      const price = pricesRef.current[time - 1];
+      return price === undefined ? '' : `$${price.toFixed(2)}`;
+    };
+
+    chartRef.current = createChart(plotContainer.current, {
+      height: plotContainer.current.clientHeight,
+      width: plotContainer.current.clientWidth,
+      layout: {
+        background: { color: '#1a2130' },
+        textColor: '#9ca3af',
+        fontFamily: "'Roboto', sans-serif",
+      },
+      grid: {
+        vertLines: { color: '#222b3c' },
+        horzLines: { color: '#222b3c' },
+      },
+      localization: {
+        timeFormatter: formatPrice,
+      },
+      timeScale: {
+        borderColor: '#2a3245',
+        tickMarkFormatter: formatPrice,
+      },
+      handleScroll: false,
+      handleScale: false,
+    });
+
+    const handleResize = () => {
+      if (chartRef.current && plotContainer.current) {
+        chartRef.current.resize(plotContainer.current.clientWidth, plotContainer.current.clientHeight);
+      }
+    };
+
+    window.addEventListener('resize', handleResize);
+
+    return () => {
+      window.removeEventListener('resize', handleResize);
+      chartRef.current.remove();
+      chartRef.current = null;
+      seriesRef.current = [];
+    };
+  }, []);
+
+  // Redraw the payoff curves, breakevens and spot marker for each new analysis
+  useEffect(() => {
+    const chart = chartRef.current;
+    if (!chart) return;
+
+    seriesRef.current.forEach(series => chart.removeSeries(series));
+    seriesRef.current = [];
+    if (!analysis) return;
+
+    const { prices, curves } = analysis.payoff;
+    pricesRef.current = prices;
+
+    curves.forEach(curve => {
+      const colorKey = curve.atExpiry ? 'expiry' : curve.label === 'today' ? 'today' : 'offset';
+      const series = chart.addLineSeries({
+        color: CURVE_COLORS[colorKey],
+        lineWidth: curve.atExpiry ? 2 : 1,
+        lineStyle: curve.atExpiry ? 0 : 2,
+        priceLineVisible: false,
+        lastValueVisible: false,
+      });
+      series.setData(curve.pnl.map((value, index) => ({ time: toTime(index), value })));
+      seriesRef.current.push(series);
+
+      if (curve.atExpiry) {
+        series.createPriceLine({ price: 0, color: '#536680', lineWidth: 1, lineStyle: 1, axisLabelVisible: false });
+
+        const inRange = price => price >= prices[0] && price <= prices[prices.length - 1];
+        const markers = [
+          ...analysis.breakevens.filter(inRange).map(breakeven => ({
+            time: toTime(nearestIndex(prices, breakeven)),
+            position: 'aboveBar',
+            color: '#f5a623',
+            shape: 'circle',
+            text: `BE ${breakeven.toFixed(2)}`
+          })),
+          {
+            time: toTime(nearestIndex(prices, analysis.price)),
+            position: 'belowBar',
+            color: '#4c9aff',
+            shape: 'arrowUp',
+            text: `Spot ${analysis.price.toFixed(2)}`
+          }
+        ];
+        series.setMarkers(markers.sort((a, b) => a.time - b.time));
+      }
+    });
+
+    chart.timeScale().fitContent();
+  }, [analysis]);
+
+  return (
+    <BuilderContainer>
+      <BuilderHeader>
+        <h4>Strategy Builder</h4>
+        {legs.length > 0 && <SmallButton onClick={onClear}>Clear</SmallButton>}
+      </BuilderHeader>
+
+      {selectedTemplate && (
+        <TemplateForm>
+          <FormSelect value={templateName} onChange={handleTemplateChange} title={selectedTemplate.description}>
+            {templates.map(template => (
+              <option key={template.name} value={template.name}>{template.label}</option>
+            ))}
+          </FormSelect>
+          {selectedTemplate.params.filter(param => !CHAIN_TEMPLATE_PARAMS.includes(param.name)).map(param => (
+            <label key={param.name} title={param.description}>
+              {param.name}
+              {param.type === 'choice' ? (
+                <FormSelect
+                  value={templateValues[param.name]}
+                  onChange={(e) => setTemplateValues({ ...templateValues, [param.name]: e.target.value })}
+                >
+                  {param.choices.map(choice => <option key={choice} value={choice}>{choice}</option>)}
+                </FormSelect>
+              ) : (
+                <FormInput
+                  type={param.type === 'date' ? 'date' : 'number'}
+                  step={param.type === 'integer' ? 1 : 'any'}
+                  value={templateValues[param.name]}
+                  onChange={(e) => setTemplateValues({ ...templateValues, [param.name]: e.target.value })}
+                />
+              )}
+            </label>
+          ))}
+          <SmallButton onClick={handleApplyTemplate}>Apply</SmallButton>
+        </TemplateForm>
+      )}
+
+      {legs.length === 0 ? (
+        <Hint>Click an option price to add a long leg, shift-click to add a short leg, or apply a template for the selected expiry.</Hint>
+      ) : (
+        <LegTable>
+          <thead>
+            <tr>
+              <th>Side</th>
+              <th>Qty</th>
+              <th>Type</th>
+              <th>Strike</th>
+              <th>Expiry</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {legs.map((leg, index) => (
+              <tr key={`${leg.type}-${leg.strike}-${leg.expiry}-${leg.side}`}>
+                <td>
+                  <SmallButton
+                    active={leg.side === 'long'}
+                    onClick={() => onUpdateLeg(index, { side: leg.side === 'long' ? 'short' : 'long' })}
+                  >
+                    {leg.side === 'long' ? 'Long' : 'Short'}
+                  </SmallButton>
+                </td>
+                <td>
+                  <QuantityInput
+                    type="number"
+                    min="1"
+                    value={leg.quantity}
+                    onChange={(e) => onUpdateLeg(index, { quantity: Math.max(1, parseInt(e.target.value, 10) || 1) })}
+                  />
+                </td>
+                <td>{leg.type}</td>
+                <td>{leg.strike === null ? '-' : leg.strike.toFixed(2)}</td>
+                <td>{leg.expiry || '-'}</td>
+                <td>
+                  <SmallButton onClick={() => onRemoveLeg(index)}>×</SmallButton>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </LegTable>
+      )}
+
+      {error && <BuilderError>{error}</BuilderError>}
+
+      {analysis && (
+        <SummaryGrid>
+          <SummaryItem>
+            <SummaryLabel>Net {analysis.costType === 'debit' ? 'Debit' : 'Credit'}</SummaryLabel>
+            <SummaryValue>{formatDollars(Math.abs(analysis.netCost))}</SummaryValue>
+          </SummaryItem>
+          <SummaryItem>
+            <SummaryLabel>Max Profit</SummaryLabel>
+            <SummaryValue tone="positive">{formatDollars(analysis.maxProfit)}</SummaryValue>
+          </SummaryItem>
+          <SummaryItem>
+            <SummaryLabel>Max Loss</SummaryLabel>
+            <SummaryValue tone="negative">{formatDollars(analysis.maxLoss)}</SummaryValue>
+          </SummaryItem>
+          <SummaryItem>
+            <SummaryLabel>Breakevens</SummaryLabel>
+            <SummaryValue>
+              {analysis.breakevens.length > 0 ? analysis.breakevens.map(price => price.toFixed(2)).join(', ') : '-'}
+            </SummaryValue>
+          </SummaryItem>
+          <SummaryItem>
+            <SummaryLabel>Delta / Gamma</SummaryLabel>
+            <SummaryValue>{analysis.netGreeks.delta.toFixed(1)} / {analysis.netGreeks.gamma.toFixed(2)}</SummaryValue>
+          </SummaryItem>
+          <SummaryItem>
+            <SummaryLabel>Theta / Vega</SummaryLabel>
+            <SummaryValue>{analysis.netGreeks.theta.toFixed(2)} / {analysis.netGreeks.vega.toFixed(2)}</SummaryValue>
+          </SummaryItem>
+        </SummaryGrid>
+      )}
+
+      <CurveControls>
+        <span>T+</span>
+        <QuantityInput
+          type="number"
+          min="0"
+          value={offsetDays}
+          onChange={(e) => setOffsetDays(Math.max(0, parseInt(e.target.value, 10) || 0))}
+        />
+        <span>days curve</span>
+        {loading && <span>Updating...</span>}
+      </CurveControls>
+
+      <PlotContainer ref={plotContainer} />
+
+      {analysis && (
+        <Legend>
+          {analysis.payoff.curves.map(curve => {
+            const colorKey = curve.atExpiry ? 'expiry' : curve.label === 'today' ? 'today' : 'offset';
+            return (
+              <span key={curve.date}>
+                <LegendSwatch color={CURVE_COLORS[colorKey]} />
+                {curve.atExpiry ? `Expiry (${curve.date})` : curve.label === 'today' ? 'Today' : `T+${offsetDays} (${curve.date})`}
+              </span>
+            );
+          })}
+        </Legend>
+      )}
+    </BuilderContainer>
+  );
+};
+
+export default StrategyBuilder;
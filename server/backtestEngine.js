@@ -0,0 +1,585 @@
+/**
+ * Backtest Engine
+ * Replays option strategy rules ("sell a 30-delta 45-DTE put every month, close
+ * at 50% profit or 21 DTE") over stored daily bars. Options are priced at each
+ * day's close with the volatility estimate as of that day.
+ */
+
+const optionCalc = require('./optionCalc');
+const volatilityEstimators = require('./volatilityEstimators');
+const marketCalendar = require('./marketCalendar');
+const { CONTRACT_MULTIPLIER } = require('./strategyCalc');
+
+const LEG_TYPES = ['call', 'put', 'stock'];
+const LEG_SIDES = ['long', 'short'];
+const MAX_LEGS = 8;
+
+// How often a new trade may be opened and which expirations it may use
+const ENTRY_FREQUENCIES = ['monthly', 'weekly', 'daily'];
+const EXPIRATION_TYPES = ['monthly', 'all'];
+
+const DEFAULT_CAPITAL = 10000;
+const DEFAULT_ENTRY_DTE = 45;
+const MAX_ENTRY_DTE = 365;
+const MAX_OPEN_TRADES = 20;
+
+// Strikes considered when choosing a leg by delta
+const STRIKE_DELTA_RANGE = { min: 0.01, max: 0.99 };
+
+// Shortest gap in calendar days between the entries of each frequency
+const ENTRY_GAP_DAYS = { monthly: 25, weekly: 4, daily: 1 };
+
+// Leg prices a lattice-model backtest may need at most. Each one runs a full tree,
+// so larger runs would hold up every other request for several seconds
+const MAX_LATTICE_LEG_MARKS = 8000;
+
+// GARCH is refitted at most this often (about a month of bars) and rolled forward in between
+const GARCH_REFIT_BARS = 21;
+
+/**
+ * Validate a backtest rule, filling in defaults
+ * @param {Object} rule - { legs, entry, exit, startDate, endDate, capital, commission }
+ *   legs: [{ type, side, quantity, delta | moneyness }] where option legs pick their strike by
+ *   absolute delta (e.g. 0.3) or by strike / spot (e.g. 0.95); stock legs count shares.
+ *   entry: { frequency, dte, expirations, maxOpen }
+ *   exit: { profitTarget, stopLoss, dte } as fractions of the entry premium and days to expiry,
+ *   null to disable; trades without a triggered exit are held to expiry
+ * @returns {Object} - Resolved rule
+ */
+function resolveBacktestRule(rule = {}) {
+  const { legs, entry = {}, exit = {} } = rule;
+
+  if (!Array.isArray(legs) || legs.length === 0 || legs.length > MAX_LEGS) {
+    throw new Error(`legs must be an array of 1 to ${MAX_LEGS} legs`);
+  }
+  const resolvedLegs = legs.map((leg, index) => {
+    const label = `Leg ${index + 1}`;
+    if (!leg || !LEG_TYPES.includes(leg.type)) {
+      throw new Error(`${label}: type must be one of ${LEG_TYPES.join(', ')}`);
+    }
+    if (!LEG_SIDES.includes(leg.side)) {
+      throw new Error(`${label}: side must be one of ${LEG_SIDES.join(', ')}`);
+    }
+    const quantity = leg.quantity === undefined ? 1 : Number(leg.quantity);
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      throw new Error(`${label}: quantity must be a positive whole number`);
+    }
+    if (leg.type === 'stock') {
+      return { type: leg.type, side: leg.side, quantity, delta: null, moneyness: null };
+    }
+
+    const hasDelta = leg.delta !== undefined && leg.delta !== null;
+    const hasMoneyness = leg.moneyness !== undefined && leg.moneyness !== null;
+    if (hasDelta === hasMoneyness) {
+      throw new Error(`${label}: give either delta or moneyness`);
+    }
+    const delta = hasDelta ? Number(leg.delta) : null;
+    const moneyness = hasMoneyness ? Number(leg.moneyness) : null;
+    if (hasDelta && !(delta >= STRIKE_DELTA_RANGE.min && delta <= STRIKE_DELTA_RANGE.max)) {
+      throw new Error(`${label}: delta must be between ${STRIKE_DELTA_RANGE.min} and ${STRIKE_DELTA_RANGE.max}`);
+    }
+    if (hasMoneyness && !(moneyness > 0 && moneyness <= 3)) {
+      throw new Error(`${label}: moneyness must be above 0 and at most 3`);
+    }
+    return { type: leg.type, side: leg.side, quantity, delta, moneyness };
+  });
+  if (resolvedLegs.every(leg => leg.type === 'stock')) {
+    throw new Error('legs must include at least one option');
+  }
+
+  const frequency = entry.frequency === undefined ? 'monthly' : entry.frequency;
+  if (!ENTRY_FREQUENCIES.includes(frequency)) {
+    throw new Error(`entry.frequency must be one of ${ENTRY_FREQUENCIES.join(', ')}`);
+  }
+  const expirations = entry.expirations === undefined ? 'monthly' : entry.expirations;
+  if (!EXPIRATION_TYPES.includes(expirations)) {
+    throw new Error(`entry.expirations must be one of ${EXPIRATION_TYPES.join(', ')}`);
+  }
+  const entryDte = entry.dte === undefined ? DEFAULT_ENTRY_DTE : Number(entry.dte);
+  if (!Number.isInteger(entryDte) || entryDte < 1 || entryDte > MAX_ENTRY_DTE) {
+    throw new Error(`entry.dte must be a whole number of days from 1 to ${MAX_ENTRY_DTE}`);
+  }
+  const maxOpen = entry.maxOpen === undefined ? 1 : Number(entry.maxOpen);
+  if (!Number.isInteger(maxOpen) || maxOpen < 1 || maxOpen > MAX_OPEN_TRADES) {
+    throw new Error(`entry.maxOpen must be a whole number from 1 to ${MAX_OPEN_TRADES}`);
+  }
+
+  const readOptional = (value, name, isValid, requirement) => {
+    if (value === undefined || value === null) return null;
+    const number = Number(value);
+    if (!isValid(number)) throw new Error(`${name} must be ${requirement}`);
+    return number;
+  };
+  const profitTarget = readOptional(exit.profitTarget, 'exit.profitTarget', value => value > 0, 'a positive fraction of the entry premium, e.g. 0.5');
+  const stopLoss = readOptional(exit.stopLoss, 'exit.stopLoss', value => value > 0, 'a positive multiple of the entry premium, e.g. 2');
+  const exitDte = readOptional(exit.dte, 'exit.dte', value => Number.isInteger(value) && value >= 0 && value < entryDte, `a whole number of days below entry.dte (${entryDte})`);
+
+  ['startDate', 'endDate'].forEach(name => {
+    if (rule[name] !== undefined && rule[name] !== null && !marketCalendar.isIsoDate(rule[name])) {
+      throw new Error(`${name} must be a date as YYYY-MM-DD`);
+    }
+  });
+  if (rule.startDate && rule.endDate && rule.endDate <= rule.startDate) {
+    throw new Error('endDate must be after startDate');
+  }
+
+  const capital = rule.capital === undefined ? DEFAULT_CAPITAL : Number(rule.capital);
+  if (!(capital > 0)) throw new Error('capital must be positive');
+  const commission = rule.commission === undefined ? 0 : Number(rule.commission);
+  if (!(commission >= 0)) throw new Error('commission must be zero or more per contract');
+
+  return {
+    legs: resolvedLegs,
+    entry: { frequency, dte: entryDte, expirations, maxOpen },
+    exit: { profitTarget, stopLoss, dte: exitDte },
+    startDate: rule.startDate || null,
+    endDate: rule.endDate || null,
+    capital,
+    commission
+  };
+}
+
+/**
+ * Signed number of shares a leg controls: positive long, negative short
+ * @param {Object} leg - Rule or trade leg
+ * @returns {number} - Signed share count
+ */
+function legUnits(leg) {
+  const multiplier = leg.type === 'stock' ? 1 : CONTRACT_MULTIPLIER;
+  return (leg.side === 'long' ? 1 : -1) * leg.quantity * multiplier;
+}
+
+/**
+ * Key of the entry period a date falls in; a new key opens a new entry window
+ * @param {string} date - Date as YYYY-MM-DD
+ * @param {string} frequency - 'monthly', 'weekly' or 'daily'
+ * @returns {string} - Period key
+ */
+function entryPeriod(date, frequency) {
+  if (frequency === 'monthly') return date.slice(0, 7);
+  if (frequency === 'weekly') {
+    // Monday of the date's week
+    const day = marketCalendar.toDay(date);
+    return marketCalendar.formatDay(marketCalendar.addDays(day, -((day.getUTCDay() + 6) % 7)));
+  }
+  return date;
+}
+
+/**
+ * Pick the listed expiration closest to a target number of days out
+ * @param {string} date - Trade date as YYYY-MM-DD
+ * @param {number} dte - Target calendar days to expiry
+ * @param {string} expirations - 'monthly' (monthlies only) or 'all'
+ * @returns {string|null} - Expiry as YYYY-MM-DD
+ */
+function chooseExpiry(date, dte, expirations) {
+  const day = marketCalendar.toDay(date);
+  const candidates = marketCalendar.expirationsBetween(marketCalendar.addDays(day, 1), marketCalendar.addDays(day, 2 * dte + 35))
+    .filter(expiry => expirations === 'all' || expiry.type === 'monthly');
+  if (candidates.length === 0) return null;
+
+  return candidates.reduce((best, expiry) => (
+    Math.abs(marketCalendar.calendarDaysBetween(date, expiry.date) - dte)
+      < Math.abs(marketCalendar.calendarDaysBetween(date, best.date) - dte) ? expiry : best
+  )).date;
+}
+
+/**
+ * Estimate the volatility as of a bar from the bars up to and including it
+ * @param {Array} bars - Daily bars, oldest first
+ * @param {number} index - Index of the valuation bar
+ * @param {Object} market - Market settings passed to runBacktest()
+ * @returns {Object|null} - Estimate from volatilityEstimators, or null before a full window of history
+ */
+function estimateAt(bars, index, market) {
+  const { volSpec } = market;
+  if (index < volSpec.window) return null;
+  try {
+    return volatilityEstimators.estimateVolatility(
+      volSpec.model, bars.slice(Math.max(0, index - volSpec.window), index + 1), volSpec.window
+    );
+  } catch (estimateError) {
+    return null;
+  }
+}
+
+/**
+ * Create the volatility estimator for the bars of one backtest
+ * Estimates come from estimateAt(), except that GARCH, whose fit is a likelihood
+ * search over the whole window, is refitted at most every GARCH_REFIT_BARS bars
+ * and rolled forward through the daily returns in between.
+ * @param {Array} bars - Daily bars, oldest first
+ * @param {Object} market - Market settings passed to runBacktest()
+ * @returns {Function} - index => estimate or null, as estimateAt(); indexes must not decrease
+ */
+function createEstimator(bars, market) {
+  if (market.volSpec.model !== 'garch') return index => estimateAt(bars, index, market);
+
+  let fittedAt = null;
+  let latest = null; // { index, estimate } as of the latest bar asked for
+  return index => {
+    if (fittedAt === null || index - fittedAt >= GARCH_REFIT_BARS) {
+      const estimate = estimateAt(bars, index, market);
+      if (estimate) {
+        fittedAt = index;
+        latest = { index, estimate };
+        return estimate;
+      }
+      // Keep rolling the last fit if a refit fails
+      if (!latest) return null;
+    }
+
+    let { garch } = latest.estimate;
+    for (let i = latest.index + 1; i <= index; i++) {
+      if (bars[i].close > 0 && bars[i - 1].close > 0) {
+        garch = volatilityEstimators.updateGarch(garch, Math.log(bars[i].close / bars[i - 1].close));
+      }
+    }
+    const volatility = Math.sqrt(garch.nextVariance * volatilityEstimators.TRADING_DAYS_PER_YEAR);
+    latest = { index, estimate: { ...latest.estimate, garch, volatility } };
+    return latest.estimate;
+  };
+}
+
+/**
+ * Check that a backtest is small enough to price on a lattice
+ * The bound is the worst case: every bar in range marks as many trades as can be
+ * open at once, and each trade prices every option leg on a tree. Black-Scholes
+ * backtests are not limited.
+ * @param {Array} bars - Daily bars { date }, oldest first
+ * @param {Object} rule - Rule from resolveBacktestRule()
+ * @param {string} model - 'black-scholes', 'binomial' or 'trinomial'
+ */
+function checkBacktestSize(bars, rule, model) {
+  if (model === 'black-scholes') return;
+
+  const barCount = bars.filter(bar => (!rule.startDate || bar.date >= rule.startDate)
+    && (!rule.endDate || bar.date <= rule.endDate)).length;
+  // Trades last at most until the furthest expiry chooseExpiry() considers
+  const overlapping = Math.floor((2 * rule.entry.dte + 35) / ENTRY_GAP_DAYS[rule.entry.frequency]) + 1;
+  const optionLegs = rule.legs.filter(leg => leg.type !== 'stock').length;
+  const marks = barCount * Math.min(rule.entry.maxOpen, overlapping) * optionLegs;
+
+  if (marks > MAX_LATTICE_LEG_MARKS) {
+    throw new Error(`This backtest could price up to ${marks} option legs on a ${model} tree, more than the ${MAX_LATTICE_LEG_MARKS} allowed; `
+      + 'use black-scholes, a shorter date range, a less frequent entry or fewer open trades');
+  }
+}
+
+/**
+ * Volatility input for an expiry as of a date
+ * GARCH estimates forecast the average volatility to expiry; others are flat.
+ * @param {Object} estimate - Volatility estimate as of the date
+ * @param {string} date - Valuation date as YYYY-MM-DD
+ * @param {string} expiry - Expiry as YYYY-MM-DD
+ * @param {Object} market - Market settings passed to runBacktest()
+ * @returns {number} - Annualized volatility within the market's bounds
+ */
+function volatilityFor(estimate, date, expiry, market) {
+  const { volatilityBounds } = market;
+  const volatility = estimate.garch
+    ? volatilityEstimators.garchForecastVolatility(estimate.garch, marketCalendar.tradingDaysBetween(date, expiry))
+    : estimate.volatility;
+  return Math.max(volatilityBounds.min, Math.min(volatility, volatilityBounds.max));
+}
+
+/**
+ * Price one share's worth of an option leg at a bar's close
+ * @param {Object} leg - Trade leg with { type, strike, expiry }
+ * @param {number} spot - Closing price
+ * @param {string} date - Valuation date as YYYY-MM-DD
+ * @param {Object} estimate - Volatility estimate as of the date
+ * @param {Object} market - Market settings passed to runBacktest()
+ * @returns {number} - Option price
+ */
+function priceLeg(leg, spot, date, estimate, market) {
+  const T = marketCalendar.timeToExpiry(date, leg.expiry, market.timeBasis);
+  return optionCalc.priceContract(
+    market.model, leg.type, spot, leg.strike, T, market.rateFor(T), volatilityFor(estimate, date, leg.expiry, market),
+    { dividendYield: market.dividendYield, greeks: false }
+  ).price;
+}
+
+/**
+ * Choose the strike of an option leg on the exchange-style strike grid
+ * Delta targets are matched on Black-Scholes-Merton delta.
+ * @param {Object} ruleLeg - Leg from the rule with delta or moneyness
+ * @param {string} expiry - Expiry as YYYY-MM-DD
+ * @param {number} spot - Closing price
+ * @param {string} date - Trade date as YYYY-MM-DD
+ * @param {Object} estimate - Volatility estimate as of the date
+ * @param {Object} market - Market settings passed to runBacktest()
+ * @returns {number} - Strike price
+ */
+function chooseStrike(ruleLeg, expiry, spot, date, estimate, market) {
+  const step = optionCalc.defaultStrikeStep(spot);
+  if (ruleLeg.moneyness !== null) {
+    return Math.max(step, Math.round(spot * ruleLeg.moneyness / step) * step);
+  }
+
+  const T = marketCalendar.timeToExpiry(date, expiry, market.timeBasis);
+  const r = market.rateFor(T);
+  const volatility = volatilityFor(estimate, date, expiry, market);
+  const deltaOf = strike => Math.abs(optionCalc.computeGreeks(ruleLeg.type, spot, strike, T, r, volatility, market.dividendYield).delta);
+
+  const strikes = optionCalc.generateStrikes(spot, { strikeStep: step, delta: STRIKE_DELTA_RANGE }, {
+    spot,
+    forward: spot * Math.exp((r - market.dividendYield) * T),
+    timeToExpiry: T,
+    riskFreeRate: r,
+    dividendYield: market.dividendYield,
+    volatilityFor: () => volatility
+  });
+  if (strikes.length === 0) return Math.max(step, Math.round(spot / step) * step);
+
+  return strikes.reduce((best, strike) => (
+    Math.abs(deltaOf(strike) - ruleLeg.delta) < Math.abs(deltaOf(best) - ruleLeg.delta) ? strike : best
+  ));
+}
+
+/**
+ * Value a trade's legs at a bar's close: model prices before expiry, intrinsic value on or after it
+ * @param {Object} trade - Open trade
+ * @param {number} spot - Closing price
+ * @param {string} date - Valuation date as YYYY-MM-DD
+ * @param {Object} estimate - Volatility estimate to price unexpired legs with
+ * @param {Object} market - Market settings passed to runBacktest()
+ * @returns {Array} - Price per share of each leg
+ */
+function legPrices(trade, spot, date, estimate, market) {
+  return trade.legs.map(leg => {
+    if (leg.type === 'stock') return spot;
+    if (date >= leg.expiry) {
+      return leg.type === 'call' ? Math.max(0, spot - leg.strike) : Math.max(0, leg.strike - spot);
+    }
+    return priceLeg(leg, spot, date, estimate, market);
+  });
+}
+
+/**
+ * Total the signed value of a trade's legs
+ * @param {Array} legs - Trade legs
+ * @param {Array} prices - Price per share of each leg
+ * @returns {number} - Position value in dollars, positive for a net long position
+ */
+function positionValue(legs, prices) {
+  return legs.reduce((total, leg, index) => total + legUnits(leg) * prices[index], 0);
+}
+
+/**
+ * Commission for trading every option contract of a trade once
+ * @param {Array} legs - Trade legs
+ * @param {number} commission - Commission per contract
+ * @returns {number} - Commission in dollars
+ */
+function tradeCommission(legs, commission) {
+  return legs.reduce((total, leg) => total + (leg.type === 'stock' ? 0 : leg.quantity * commission), 0);
+}
+
+/**
+ * Open a trade at a bar's close
+ * @param {Object} rule - Rule from resolveBacktestRule()
+ * @param {Object} bar - Entry bar
+ * @param {Object} estimate - Volatility estimate as of the bar
+ * @param {Object} market - Market settings passed to runBacktest()
+ * @returns {Object|null} - Open trade, or null if no expiration fits
+ */
+function openTrade(rule, bar, estimate, market) {
+  const expiry = chooseExpiry(bar.date, rule.entry.dte, rule.entry.expirations);
+  if (!expiry) return null;
+
+  const legs = rule.legs.map(ruleLeg => (ruleLeg.type === 'stock'
+    ? { type: 'stock', side: ruleLeg.side, quantity: ruleLeg.quantity, strike: null, expiry: null }
+    : {
+      type: ruleLeg.type,
+      side: ruleLeg.side,
+      quantity: ruleLeg.quantity,
+      strike: chooseStrike(ruleLeg, expiry, bar.close, bar.date, estimate, market),
+      expiry
+    }));
+  const prices = legPrices({ legs }, bar.close, bar.date, estimate, market);
+
+  return {
+    entryDate: bar.date,
+    expiry,
+    entrySpot: bar.close,
+    entryVolatility: volatilityFor(estimate, bar.date, expiry, market),
+    legs: legs.map((leg, index) => ({ ...leg, entryPrice: prices[index] })),
+    entryValue: positionValue(legs, prices),
+    commission: tradeCommission(legs, rule.commission)
+  };
+}
+
+/**
+ * Decide whether a trade should be closed at a bar
+ * @param {Object} trade - Open trade
+ * @param {number} pnl - Open P&L before exit commission
+ * @param {string} date - Bar date as YYYY-MM-DD
+ * @param {Object} exit - Exit rules from resolveBacktestRule()
+ * @returns {string|null} - Exit reason, or null to keep the trade open
+ */
+function exitReason(trade, pnl, date, exit) {
+  if (date >= trade.expiry) return 'expiry';
+
+  // Targets are measured against the premium paid or received
+  const premium = Math.abs(trade.entryValue);
+  if (exit.profitTarget !== null && pnl >= exit.profitTarget * premium) return 'profit-target';
+  if (exit.stopLoss !== null && pnl <= -exit.stopLoss * premium) return 'stop-loss';
+  if (exit.dte !== null && marketCalendar.calendarDaysBetween(date, trade.expiry) <= exit.dte) return 'dte';
+  return null;
+}
+
+/**
+ * Summarise closed trades and the equity curve
+ * The Sharpe ratio annualises the mean daily return of the equity curve over its
+ * standard deviation, taking a zero risk-free rate.
+ * @param {Array} trades - Closed trades
+ * @param {Array} equityCurve - Array of { date, equity }
+ * @param {number} capital - Starting capital
+ * @returns {Object} - Trade and equity statistics
+ */
+function backtestStats(trades, equityCurve, capital) {
+  const wins = trades.filter(trade => trade.pnl > 0);
+  const losses = trades.filter(trade => trade.pnl <= 0);
+  const sum = values => values.reduce((total, value) => total + value, 0);
+  const mean = values => (values.length > 0 ? sum(values) / values.length : null);
+
+  let peak = capital;
+  let maxDrawdown = 0;
+  let maxDrawdownPercent = 0;
+  const returns = [];
+  equityCurve.forEach((point, index) => {
+    peak = Math.max(peak, point.equity);
+    maxDrawdown = Math.max(maxDrawdown, peak - point.equity);
+    maxDrawdownPercent = Math.max(maxDrawdownPercent, (peak - point.equity) / peak);
+    if (index > 0) returns.push(point.equity / equityCurve[index - 1].equity - 1);
+  });
+
+  let sharpeRatio = null;
+  if (returns.length > 1) {
+    const average = mean(returns);
+    const deviation = Math.sqrt(sum(returns.map(value => (value - average) ** 2)) / (returns.length - 1));
+    sharpeRatio = deviation > 0 ? average / deviation * Math.sqrt(volatilityEstimators.TRADING_DAYS_PER_YEAR) : null;
+  }
+
+  const finalEquity = equityCurve.length > 0 ? equityCurve[equityCurve.length - 1].equity : capital;
+  return {
+    trades: trades.length,
+    wins: wins.length,
+    losses: losses.length,
+    winRate: trades.length > 0 ? wins.length / trades.length : null,
+    totalPnl: sum(trades.map(trade => trade.pnl)),
+    averagePnl: mean(trades.map(trade => trade.pnl)),
+    averageWin: mean(wins.map(trade => trade.pnl)),
+    averageLoss: mean(losses.map(trade => trade.pnl)),
+    averageDaysHeld: mean(trades.map(trade => trade.daysHeld)),
+    startingCapital: capital,
+    finalEquity,
+    totalReturn: finalEquity / capital - 1,
+    maxDrawdown,
+    maxDrawdownPercent,
+    sharpeRatio
+  };
+}
+
+/**
+ * Run a backtest over daily bars
+ * Trades open at the close of the first bar of each entry period while fewer than
+ * maxOpen are open, and are marked at every close until an exit rule fires. Trades
+ * still open on the last bar are closed there.
+ * @param {Array} bars - Daily bars { date, open, high, low, close }, oldest first; bars before
+ *   startDate only warm up the volatility estimate
+ * @param {Object} rule - Rule from resolveBacktestRule()
+ * @param {Object} market - { model, volSpec, timeBasis, dividendYield, rateFor,
+ *   volatilityBounds: { min, max } } where rateFor(T) gives the risk-free rate for a time in years
+ * @returns {Object} - { trades, equityCurve, stats }
+ */
+function runBacktest(bars, rule, market) {
+  const trades = [];
+  const equityCurve = [];
+  let openTrades = [];
+  let realized = 0;
+  let lastPeriod = null;
+  const estimateFor = createEstimator(bars, market);
+  // Latest estimate of each open trade, so a bar without one marks it at the last known volatility
+  const markEstimates = new Map();
+
+  const closeTrade = (trade, bar, prices, reason) => {
+    const exitValue = positionValue(trade.legs, prices);
+    // Expiring contracts settle without a closing trade
+    const commission = trade.commission + (reason === 'expiry' ? 0 : tradeCommission(trade.legs, rule.commission));
+    const pnl = exitValue - trade.entryValue - commission;
+    realized += pnl;
+    trades.push({
+      id: trades.length + 1,
+      ...trade,
+      legs: trade.legs.map((leg, index) => ({ ...leg, exitPrice: prices[index] })),
+      exitDate: bar.date,
+      exitSpot: bar.close,
+      exitValue,
+      exitReason: reason,
+      commission,
+      daysHeld: marketCalendar.calendarDaysBetween(trade.entryDate, bar.date),
+      pnl,
+      pnlPercent: trade.entryValue !== 0 ? pnl / Math.abs(trade.entryValue) : null
+    });
+  };
+
+  bars.forEach((bar, index) => {
+    if (rule.startDate && bar.date < rule.startDate) return;
+    if (rule.endDate && bar.date > rule.endDate) return;
+    const isLast = index === bars.length - 1 || (rule.endDate && bars[index + 1].date > rule.endDate);
+
+    const estimate = openTrades.length > 0 || entryPeriod(bar.date, rule.entry.frequency) !== lastPeriod
+      ? estimateFor(index)
+      : null;
+
+    // Mark open trades and close the ones whose exit fires
+    let unrealized = 0;
+    openTrades = openTrades.filter(trade => {
+      if (estimate) markEstimates.set(trade, estimate);
+      const prices = legPrices(trade, bar.close, bar.date, markEstimates.get(trade), market);
+      const pnl = positionValue(trade.legs, prices) - trade.entryValue;
+      const reason = exitReason(trade, pnl, bar.date, rule.exit) || (isLast ? 'end-of-data' : null);
+      if (reason) {
+        closeTrade(trade, bar, prices, reason);
+        markEstimates.delete(trade);
+        return false;
+      }
+      unrealized += pnl - trade.commission;
+      return true;
+    });
+
+    // Open a new trade at the first bar of each period that has a volatility estimate
+    const period = entryPeriod(bar.date, rule.entry.frequency);
+    if (period !== lastPeriod && estimate && !isLast) {
+      lastPeriod = period;
+      if (openTrades.length < rule.entry.maxOpen) {
+        const trade = openTrade(rule, bar, estimate, market);
+        if (trade) {
+          openTrades.push(trade);
+          markEstimates.set(trade, estimate);
+          unrealized -= trade.commission;
+        }
+      }
+    }
+
+    equityCurve.push({ date: bar.date, equity: rule.capital + realized + unrealized });
+  });
+
+  return {
+    trades,
+    equityCurve,
+    stats: backtestStats(trades, equityCurve, rule.capital)
+  };
+}
+
+module.exports = {
+  ENTRY_FREQUENCIES,
+  chooseExpiry,
+  estimateAt,
+  volatilityFor,
+  resolveBacktestRule,
+  checkBacktestSize,
+  runBacktest
+};
@@ -0,0 +1,167 @@
+/**
+ * Corporate Actions
+ * Stores the splits and cash dividends that come with the daily bars and
+ * back-adjusts stored prices for them on read, so a split doesn't show up as a
+ * price gap and dividends don't show up as losses in historical returns
+ */
+
+const path = require('path');
+const sqlite3 = require('sqlite3').verbose();
+const { promisify } = require('util');
+
+// Database connection
+const dbPath = path.join(__dirname, 'db/stockdata.db');
+const db = new sqlite3.Database(dbPath);
+
+// Promisify database operations for easier async/await usage
+const dbAll = promisify(db.all.bind(db));
+const dbRun = promisify(db.run.bind(db));
+
+// Bar fields scaled by the price factor
+const PRICE_FIELDS = ['open', 'high', 'low', 'close'];
+
+// Create the corporate actions table next to stock_prices if it doesn't exist yet
+const tableReady = dbRun(`CREATE TABLE IF NOT EXISTS corporate_actions (
+  ticker TEXT NOT NULL,
+  date TEXT NOT NULL, -- first day trading at the new terms (split date or ex-dividend date)
+  split_coefficient REAL NOT NULL DEFAULT 1, -- new shares per old share, e.g. 4 for a 4-for-1 split
+  dividend_amount REAL NOT NULL DEFAULT 0, -- cash per share at the new terms
+  PRIMARY KEY (ticker, date)
+)`);
+
+/**
+ * Check whether a bar carries a split or a dividend
+ * @param {Object} bar - Bar with optional splitCoefficient and dividendAmount
+ * @returns {boolean} - True if it has either
+ */
+function hasAction(bar) {
+  return (bar.splitCoefficient > 0 && bar.splitCoefficient !== 1) || bar.dividendAmount > 0;
+}
+
+/**
+ * Store the splits and dividends found on fetched bars
+ * Bars from providers without corporate actions have neither field and are skipped.
+ * @param {string} ticker - The stock ticker symbol
+ * @param {Array} bars - Bars { date, splitCoefficient, dividendAmount }
+ * @returns {Promise<number>} - Number of actions stored
+ */
+async function storeActions(ticker, bars) {
+  await tableReady;
+  const actions = bars.filter(hasAction);
+  for (const bar of actions) {
+    await dbRun(
+      `INSERT INTO corporate_actions (ticker, date, split_coefficient, dividend_amount) VALUES (?, ?, ?, ?)
+       ON CONFLICT(ticker, date) DO UPDATE SET
+         split_coefficient = excluded.split_coefficient, dividend_amount = excluded.dividend_amount`,
+      [ticker, bar.date, bar.splitCoefficient > 0 ? bar.splitCoefficient : 1, bar.dividendAmount > 0 ? bar.dividendAmount : 0]
+    );
+  }
+  return actions.length;
+}
+
+/**
+ * Get a ticker's stored splits and dividends, each with the close before it
+ * @param {string} ticker - The stock ticker symbol
+ * @returns {Promise<Array>} - [{ date, splitCoefficient, dividendAmount, previousClose }], oldest first;
+ *   previousClose is null when no earlier bar is stored
+ */
+async function getActions(ticker) {
+  await tableReady;
+  const rows = await dbAll(
+    `SELECT a.date, a.split_coefficient, a.dividend_amount,
+       (SELECT p.close FROM stock_prices p WHERE p.ticker = a.ticker AND p.date < a.date ORDER BY p.date DESC LIMIT 1) AS previous_close
+     FROM corporate_actions a WHERE a.ticker = ? ORDER BY a.date`,
+    [ticker]
+  );
+  return rows.map(row => ({
+    date: row.date,
+    splitCoefficient: row.split_coefficient,
+    dividendAmount: row.dividend_amount,
+    previousClose: row.previous_close === null ? null : parseFloat(row.previous_close)
+  }));
+}
+
+/**
+ * Price factor applied to every bar before an action
+ * A split divides earlier prices by its coefficient. A dividend scales them by
+ * 1 - dividend / previous close, with the previous close restated at the new terms.
+ * @param {Object} action - Action from getActions()
+ * @returns {number} - Factor in (0, 1] for dividends, 1 / coefficient for splits
+ */
+function actionFactor(action) {
+  const split = action.splitCoefficient > 0 ? action.splitCoefficient : 1;
+  let factor = 1 / split;
+  if (action.dividendAmount > 0 && action.previousClose > 0) {
+    const ratio = 1 - action.dividendAmount * split / action.previousClose;
+    // A dividend as large as the price is bad data rather than something to adjust for
+    if (ratio > 0) factor *= ratio;
+  }
+  return factor;
+}
+
+/**
+ * Back-adjust bars for splits and dividends
+ * The latest bar keeps its traded prices and earlier bars are scaled by the factors of
+ * every later action, so returns across a split or ex-date are the holder's actual
+ * return. Volumes are scaled up by split coefficients only. Works on any slice of the
+ * history, since each action carries its own previous close.
+ * @param {Array} bars - Bars { date, open, high, low, close, volume } (any of the price
+ *   and volume fields may be left out), oldest first
+ * @param {Array} actions - Actions from getActions(), oldest first
+ * @returns {Array} - New bars with adjusted prices and volumes
+ */
+function adjustBars(bars, actions) {
+  if (actions.length === 0) return bars;
+
+  const adjusted = new Array(bars.length);
+  let priceFactor = 1;
+  let volumeFactor = 1;
+  let next = actions.length - 1;
+  for (let i = bars.length - 1; i >= 0; i--) {
+    const bar = bars[i];
+    // Fold in every action after this bar
+    while (next >= 0 && actions[next].date > bar.date) {
+      priceFactor *= actionFactor(actions[next]);
+      volumeFactor *= actions[next].splitCoefficient > 0 ? actions[next].splitCoefficient : 1;
+      next--;
+    }
+    adjusted[i] = { ...bar };
+    PRICE_FIELDS.forEach(field => {
+      if (bar[field] !== undefined) adjusted[i][field] = bar[field] * priceFactor;
+    });
+    if (bar.volume !== undefined) {
+      adjusted[i].volume = Math.round(bar.volume * volumeFactor);
+    }
+  }
+  return adjusted;
+}
+
+/**
+ * Split the history into date ranges that share one adjustment
+ * The same factors as adjustBars(), in a form a price query can join against.
+ * @param {Array} actions - Actions from getActions(), oldest first
+ * @returns {Array} - [{ from, to, priceFactor, volumeFactor }] covering dates from `from`
+ *   (inclusive) to `to` (exclusive), oldest first; the first range starts at '' and the last
+ *   ends at '9999-12-31'
+ */
+function adjustmentSegments(actions) {
+  const segments = [];
+  let priceFactor = 1;
+  let volumeFactor = 1;
+  let to = '9999-12-31';
+  for (let i = actions.length - 1; i >= 0; i--) {
+    segments.unshift({ from: actions[i].date, to, priceFactor, volumeFactor });
+    priceFactor *= actionFactor(actions[i]);
+    volumeFactor *= actions[i].splitCoefficient > 0 ? actions[i].splitCoefficient : 1;
+    to = actions[i].date;
+  }
+  segments.unshift({ from: '', to, priceFactor, volumeFactor });
+  return segments;
+}
+
+module.exports = {
+  storeActions,
+  getActions,
+  adjustBars,
+  adjustmentSegments
+};
@@ -0,0 +1,35 @@
+const fs = require('fs');
+const path = require('path');
+const rateCurve = require('../rateCurve');
+
+// Process command line arguments
+const args = process.argv.slice(2);
+const DEFAULT_FILE_PATH = path.join(__dirname, '../../yield-curve.csv');
+
+const filePath = args[0] || DEFAULT_FILE_PATH;
+
+console.log(`Loading yield curve from file: ${filePath}`);
+
+// Check if file exists
+if (!fs.existsSync(filePath)) {
+  console.error(`Error: File not found: ${filePath}`);
+  process.exit(1);
+}
+
+async function loadRates() {
+  try {
+    const { date, points } = rateCurve.parseCurveCsv(fs.readFileSync(filePath, 'utf8'));
+    console.log(`Read ${points.length} tenors${date ? ` for ${date}` : ''} from CSV.`);
+    
+    const curve = await rateCurve.setCurve(points);
+    curve.forEach(point => {
+      console.log(`  ${point.tenor.padEnd(6)} ${(point.rate * 100).toFixed(3)}%`);
+    });
+    console.log('Yield curve stored.');
+  } catch (error) {
+    console.error('Error loading yield curve:', error.message);
+    process.exit(1);
+  }
+}
+
+loadRates();
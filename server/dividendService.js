@@ -0,0 +1,147 @@
+/**
+ * Dividend Service
+ * Stores per-ticker dividend assumptions (continuous yield and discrete
+ * ex-dividend payments) in the database for use by the option pricer
+ */
+
+const path = require('path');
+const sqlite3 = require('sqlite3').verbose();
+const { promisify } = require('util');
+
+// Database connection
+const dbPath = path.join(__dirname, 'db/stockdata.db');
+const db = new sqlite3.Database(dbPath);
+
+// Promisify database operations for easier async/await usage
+const dbAll = promisify(db.all.bind(db));
+const dbRun = promisify(db.run.bind(db));
+const dbGet = promisify(db.get.bind(db));
+
+// Create the dividend tables next to stock_prices if they don't exist yet
+const tablesReady = (async () => {
+  await dbRun(`CREATE TABLE IF NOT EXISTS dividend_yields (
+    ticker TEXT PRIMARY KEY,
+    yield REAL NOT NULL,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`);
+  await dbRun(`CREATE TABLE IF NOT EXISTS dividends (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    ticker TEXT NOT NULL,
+    ex_date DATETIME NOT NULL,
+    amount REAL NOT NULL,
+    UNIQUE(ticker, ex_date)
+  )`);
+})();
+
+/**
+ * Get the dividend assumption stored for a ticker
+ * @param {string} ticker - The stock ticker symbol
+ * @returns {Promise<Object>} - { dividendYield, dividends: [{ exDate, amount }] }
+ */
+async function getDividendAssumption(ticker) {
+  await tablesReady;
+
+  const yieldRow = await dbGet('SELECT yield FROM dividend_yields WHERE ticker = ?', [ticker]);
+  const rows = await dbAll(
+    'SELECT ex_date, amount FROM dividends WHERE ticker = ? ORDER BY ex_date',
+    [ticker]
+  );
+
+  return {
+    dividendYield: yieldRow ? yieldRow.yield : 0,
+    dividends: rows.map(row => ({ exDate: row.ex_date, amount: row.amount }))
+  };
+}
+
+// Assumption writes take turns, since overlapping transactions on one connection fail
+let assumptionWrites = Promise.resolve();
+
+/**
+ * Replace the dividend assumption for a ticker
+ * @param {string} ticker - The stock ticker symbol
+ * @param {Object} assumption - { dividendYield, dividends: [{ exDate, amount }] }
+ * @returns {Promise<Object>} - The stored assumption
+ */
+async function setDividendAssumption(ticker, { dividendYield = 0, dividends = [] }) {
+  if (!isFinite(dividendYield) || dividendYield < 0 || dividendYield >= 1) {
+    throw new Error('Dividend yield must be a decimal between 0 and 1');
+  }
+  for (const dividend of dividends) {
+    if (!dividend.exDate || isNaN(new Date(dividend.exDate).getTime())) {
+      throw new Error(`Invalid ex-dividend date: ${dividend.exDate}`);
+    }
+    if (!isFinite(dividend.amount) || dividend.amount <= 0) {
+      throw new Error(`Invalid dividend amount for ${dividend.exDate}: ${dividend.amount}`);
+    }
+  }
+
+  const write = assumptionWrites.then(() => writeDividendAssumption(ticker, dividendYield, dividends));
+  assumptionWrites = write.catch(() => {});
+  return write;
+}
+
+/**
+ * Replace a ticker's stored assumption for setDividendAssumption(), which serializes the calls
+ * @param {string} ticker - The stock ticker symbol
+ * @param {number} dividendYield - Continuous dividend yield
+ * @param {Array} dividends - Validated [{ exDate, amount }]
+ * @returns {Promise<Object>} - The stored assumption
+ */
+async function writeDividendAssumption(ticker, dividendYield, dividends) {
+  await tablesReady;
+  await dbRun('BEGIN TRANSACTION');
+
+  try {
+    await dbRun(
+      'INSERT OR REPLACE INTO dividend_yields (ticker, yield, updated_at) VALUES (?, ?, CURRENT_TIMESTAMP)',
+      [ticker, dividendYield]
+    );
+    await dbRun('DELETE FROM dividends WHERE ticker = ?', [ticker]);
+    for (const dividend of dividends) {
+      await dbRun(
+        'INSERT INTO dividends (ticker, ex_date, amount) VALUES (?, ?, ?)',
+        [ticker, new Date(dividend.exDate).toISOString().split('T')[0], parseFloat(dividend.amount)]
+      );
+    }
+    await dbRun('COMMIT');
+  } catch (error) {
+    await dbRun('ROLLBACK');
+    throw error;
+  }
+
+  return getDividendAssumption(ticker);
+}
+
+/**
+ * Convert stored ex-dividend dates into pricer inputs for one expiry
+ * @param {Array} dividends - Array of { exDate, amount }
+ * @param {Date} valuationDate - Date the option is valued on
+ * @param {number} timeToExpiry - Time to expiration in years
+ * @param {Function} yearFraction - (valuationDate, exDate) => years, so dividend times
+ *   share the expiry's day count (defaults to calendar time)
+ * @returns {Array} - Array of { time, amount } with time in years, paid before expiry
+ */
+function dividendsBeforeExpiry(dividends, valuationDate, timeToExpiry, yearFraction = calendarYearFraction) {
+  return dividends
+    .map(dividend => ({
+      time: yearFraction(valuationDate, dividend.exDate),
+      amount: dividend.amount
+    }))
+    .filter(dividend => dividend.time > 0 && dividend.time <= timeToExpiry);
+}
+
+/**
+ * Calculate the calendar year fraction between a valuation date and a later date
+ * @param {Date} valuationDate - Date the option is valued on
+ * @param {string} date - Later date
+ * @returns {number} - Time in years
+ */
+function calendarYearFraction(valuationDate, date) {
+  return (new Date(date) - valuationDate) / (1000 * 60 * 60 * 24 * 365);
+}
+
+module.exports = {
+  getDividendAssumption,
+  setDividendAssumption,
+  dividendsBeforeExpiry
+};
@@ -0,0 +1,323 @@
+/**
+ * Delta-Hedging Simulator
+ * Replays a single option position over stored daily bars while hedging its delta
+ * with stock, to show how the gamma earned on realized moves trades off against
+ * the theta paid at the pricing volatility.
+ */
+
+const optionCalc = require('./optionCalc');
+const volatilityEstimators = require('./volatilityEstimators');
+const marketCalendar = require('./marketCalendar');
+const { CONTRACT_MULTIPLIER } = require('./strategyCalc');
+const { chooseExpiry, estimateAt, volatilityFor } = require('./backtestEngine');
+
+const OPTION_TYPES = ['call', 'put'];
+const OPTION_SIDES = ['long', 'short'];
+
+// Rebalance every close, or only when the net delta leaves a band
+const REBALANCE_MODES = ['daily', 'band'];
+
+const DEFAULT_DTE = 30;
+const MAX_DTE = 365;
+const MAX_CONTRACTS = 100;
+const DEFAULT_BAND = 0.1;
+const VOLATILITY_RANGE = { min: 0.01, max: 5 };
+
+// Dollars per share traded for the hedge and per option contract traded
+const DEFAULT_STOCK_COST = 0.01;
+const DEFAULT_COMMISSION = 0.65;
+
+/**
+ * Validate the simulation parameters, filling in defaults
+ * @param {Object} params - { type, side, quantity, strike | moneyness, startDate, expiry | dte,
+ *   rebalance, band, volatility, stockCost, commission }
+ *   strike defaults to the at-the-money strike (moneyness 1) on the strike grid; band is the
+ *   net delta allowed before rebalancing, as a fraction of the option's shares; volatility
+ *   overrides the pricing volatility, which otherwise comes from the estimate on startDate
+ * @returns {Object} - Resolved parameters
+ */
+function resolveHedgeParams(params = {}) {
+  const type = params.type;
+  if (!OPTION_TYPES.includes(type)) {
+    throw new Error(`type must be one of ${OPTION_TYPES.join(', ')}`);
+  }
+  const side = params.side === undefined ? 'short' : params.side;
+  if (!OPTION_SIDES.includes(side)) {
+    throw new Error(`side must be one of ${OPTION_SIDES.join(', ')}`);
+  }
+  const quantity = params.quantity === undefined ? 1 : Number(params.quantity);
+  if (!Number.isInteger(quantity) || quantity < 1 || quantity > MAX_CONTRACTS) {
+    throw new Error(`quantity must be a whole number of contracts from 1 to ${MAX_CONTRACTS}`);
+  }
+
+  const readOptional = (value, name, isValid, requirement) => {
+    if (value === undefined || value === null || value === '') return null;
+    const number = Number(value);
+    if (!isValid(number)) throw new Error(`${name} must be ${requirement}`);
+    return number;
+  };
+  const strike = readOptional(params.strike, 'strike', value => value > 0, 'a positive price');
+  const moneyness = readOptional(params.moneyness, 'moneyness', value => value > 0 && value <= 3, 'above 0 and at most 3');
+  if (strike !== null && moneyness !== null) {
+    throw new Error('give either strike or moneyness');
+  }
+
+  ['startDate', 'expiry'].forEach(name => {
+    if (params[name] !== undefined && params[name] !== null && params[name] !== '' && !marketCalendar.isIsoDate(params[name])) {
+      throw new Error(`${name} must be a date as YYYY-MM-DD`);
+    }
+  });
+  const startDate = params.startDate || null;
+  const expiry = params.expiry || null;
+  if (startDate && expiry && expiry <= startDate) {
+    throw new Error('expiry must be after startDate');
+  }
+  const dte = params.dte === undefined || params.dte === null ? DEFAULT_DTE : Number(params.dte);
+  if (!Number.isInteger(dte) || dte < 1 || dte > MAX_DTE) {
+    throw new Error(`dte must be a whole number of days from 1 to ${MAX_DTE}`);
+  }
+
+  const rebalance = params.rebalance === undefined ? 'daily' : params.rebalance;
+  if (!REBALANCE_MODES.includes(rebalance)) {
+    throw new Error(`rebalance must be one of ${REBALANCE_MODES.join(', ')}`);
+  }
+  const band = readOptional(params.band, 'band', value => value > 0 && value <= 1, 'a fraction of the option\'s shares above 0 and at most 1, e.g. 0.1');
+
+  const volatility = readOptional(params.volatility, 'volatility', value => value >= VOLATILITY_RANGE.min && value <= VOLATILITY_RANGE.max,
+    `an annualized volatility from ${VOLATILITY_RANGE.min} to ${VOLATILITY_RANGE.max}`);
+  const stockCost = readOptional(params.stockCost, 'stockCost', value => value >= 0, 'zero or more dollars per share');
+  const commission = readOptional(params.commission, 'commission', value => value >= 0, 'zero or more dollars per contract');
+
+  return {
+    type,
+    side,
+    quantity,
+    strike,
+    moneyness: strike === null && moneyness === null ? 1 : moneyness,
+    startDate,
+    expiry,
+    dte,
+    rebalance,
+    band: rebalance === 'band' ? (band === null ? DEFAULT_BAND : band) : null,
+    volatility,
+    stockCost: stockCost === null ? DEFAULT_STOCK_COST : stockCost,
+    commission: commission === null ? DEFAULT_COMMISSION : commission
+  };
+}
+
+/**
+ * Find the bar the simulation starts on
+ * Without a startDate the option is opened dte calendar days before the last bar.
+ * @param {Array} bars - Daily bars, oldest first
+ * @param {Object} params - Parameters from resolveHedgeParams()
+ * @returns {number} - Index of the entry bar, or -1 if there is none
+ */
+function entryIndex(bars, params) {
+  if (params.startDate) {
+    return bars.findIndex(bar => bar.date >= params.startDate);
+  }
+  const lastDate = bars[bars.length - 1].date;
+  const target = marketCalendar.formatDay(marketCalendar.addDays(marketCalendar.toDay(lastDate), -params.dte));
+  for (let index = bars.length - 1; index >= 0; index--) {
+    if (bars[index].date <= target) return index;
+  }
+  return -1;
+}
+
+/**
+ * Annualized close-to-close volatility realized over a run of bars
+ * @param {Array} bars - Daily bars, oldest first
+ * @returns {number|null} - Volatility, or null with fewer than two returns
+ */
+function realizedVolatility(bars) {
+  const returns = [];
+  for (let i = 1; i < bars.length; i++) {
+    returns.push(Math.log(bars[i].close / bars[i - 1].close));
+  }
+  if (returns.length < 2) return null;
+
+  const mean = returns.reduce((sum, value) => sum + value, 0) / returns.length;
+  const variance = returns.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (returns.length - 1);
+  return Math.sqrt(variance * volatilityEstimators.TRADING_DAYS_PER_YEAR);
+}
+
+/**
+ * Simulate delta-hedging one option over daily bars
+ * The option is opened at the entry bar's close and repriced at every close with the
+ * pricing volatility held fixed. The hedge is short the option's share delta, in whole
+ * shares, and is rebalanced at each close (or when the net delta leaves the band) until
+ * expiry, when the option settles at intrinsic value and the hedge is sold, or until the
+ * data runs out, when both are closed. Each day's option and hedge P&L splits exactly into
+ * theta (the option repriced at the old spot on the new date), gamma (the rest of the
+ * option's move beyond its delta) and delta (the unhedged net delta times the move).
+ * Cash is not financed and the hedge earns no dividends.
+ * @param {Array} bars - Daily bars { date, open, high, low, close }, oldest first; bars before
+ *   the entry only warm up the volatility estimate
+ * @param {Object} params - Parameters from resolveHedgeParams()
+ * @param {Object} market - { model, volSpec, timeBasis, dividendYield, rateFor,
+ *   volatilityBounds: { min, max } } as for backtestEngine.runBacktest()
+ * @returns {Object|null} - { option, volatility, pnl, rebalances, sharesTraded, steps }, or
+ *   null if there is no bar to start on with a volatility estimate before expiry
+ */
+function simulateHedge(bars, params, market) {
+  if (bars.length === 0) return null;
+  const start = entryIndex(bars, params);
+  if (start < 0 || start === bars.length - 1) return null;
+
+  const entryBar = bars[start];
+  const estimate = params.volatility === null ? estimateAt(bars, start, market) : null;
+  if (params.volatility === null && !estimate) return null;
+
+  const expiry = params.expiry || chooseExpiry(entryBar.date, params.dte, 'all');
+  if (!expiry || expiry <= entryBar.date) return null;
+
+  const pricingVolatility = params.volatility === null
+    ? volatilityFor(estimate, entryBar.date, expiry, market)
+    : params.volatility;
+  const step = optionCalc.defaultStrikeStep(entryBar.close);
+  const strike = params.strike === null
+    ? Math.max(step, Math.round(entryBar.close * params.moneyness / step) * step)
+    : params.strike;
+
+  // Price one share of the option; on or after expiry it is worth its intrinsic value
+  const value = (spot, date, greeks) => {
+    const T = marketCalendar.timeToExpiry(date, expiry, market.timeBasis);
+    if (date >= expiry || T <= 0) {
+      const inTheMoney = params.type === 'call' ? spot > strike : spot < strike;
+      return {
+        price: params.type === 'call' ? Math.max(0, spot - strike) : Math.max(0, strike - spot),
+        delta: inTheMoney ? (params.type === 'call' ? 1 : -1) : 0,
+        gamma: 0
+      };
+    }
+    const priced = optionCalc.priceContract(
+      market.model, params.type, spot, strike, T, market.rateFor(T), pricingVolatility,
+      { dividendYield: market.dividendYield, greeks }
+    );
+    return { price: priced.price, delta: greeks ? priced.greeks.delta : null, gamma: greeks ? priced.greeks.gamma : null };
+  };
+
+  // Signed shares the option controls, and the whole-share hedge that offsets its delta
+  const units = (params.side === 'long' ? 1 : -1) * params.quantity * CONTRACT_MULTIPLIER;
+  const hedgeFor = delta => -Math.round(units * delta) || 0;
+  const bandShares = params.band === null ? 0 : params.band * Math.abs(units);
+
+  const totals = { option: 0, hedge: 0, costs: params.quantity * params.commission, theta: 0, gamma: 0, delta: 0 };
+  const steps = [];
+  let rebalances = 0;
+  let sharesTraded = 0;
+
+  let previous = { bar: entryBar, ...value(entryBar.close, entryBar.date, true) };
+  let hedgeShares = hedgeFor(previous.delta);
+  sharesTraded += Math.abs(hedgeShares);
+  totals.costs += Math.abs(hedgeShares) * params.stockCost;
+
+  const record = (bar, priced, traded) => {
+    steps.push({
+      date: bar.date,
+      spot: bar.close,
+      optionPrice: priced.price,
+      delta: priced.delta,
+      gamma: priced.gamma,
+      hedgeShares,
+      traded,
+      netDelta: units * priced.delta + hedgeShares,
+      optionPnl: totals.option,
+      hedgePnl: totals.hedge,
+      costs: totals.costs,
+      thetaPnl: totals.theta,
+      gammaPnl: totals.gamma,
+      deltaPnl: totals.delta,
+      totalPnl: totals.option + totals.hedge - totals.costs
+    });
+  };
+  record(entryBar, previous, hedgeShares);
+
+  let exitReason = null;
+  for (let index = start + 1; index < bars.length && !exitReason; index++) {
+    const bar = bars[index];
+    const current = value(bar.close, bar.date, true);
+    const timeOnly = value(previous.bar.close, bar.date, false);
+    const move = bar.close - previous.bar.close;
+
+    const optionPnl = units * (current.price - previous.price);
+    const hedgePnl = hedgeShares * move;
+    totals.option += optionPnl;
+    totals.hedge += hedgePnl;
+    totals.theta += units * (timeOnly.price - previous.price);
+    totals.gamma += units * (current.price - timeOnly.price) - units * previous.delta * move;
+    totals.delta += (units * previous.delta + hedgeShares) * move;
+
+    if (bar.date >= expiry) {
+      exitReason = 'expiry';
+    } else if (index === bars.length - 1) {
+      exitReason = 'end-of-data';
+    }
+
+    let traded = 0;
+    if (exitReason) {
+      // Unwind the hedge; an option still trading is sold or bought back too
+      traded = -hedgeShares;
+      if (exitReason === 'end-of-data') totals.costs += params.quantity * params.commission;
+    } else {
+      const netDelta = units * current.delta + hedgeShares;
+      if (params.rebalance === 'daily' || Math.abs(netDelta) > bandShares) {
+        traded = hedgeFor(current.delta) - hedgeShares;
+      }
+    }
+    if (traded !== 0) {
+      rebalances += exitReason ? 0 : 1;
+      sharesTraded += Math.abs(traded);
+      totals.costs += Math.abs(traded) * params.stockCost;
+      hedgeShares += traded;
+    }
+
+    record(bar, current, traded);
+    previous = { bar, ...current };
+  }
+
+  const exitBar = previous.bar;
+  const realized = realizedVolatility(bars.slice(start, start + steps.length));
+
+  return {
+    option: {
+      type: params.type,
+      side: params.side,
+      quantity: params.quantity,
+      strike,
+      expiry,
+      entryDate: entryBar.date,
+      entrySpot: entryBar.close,
+      entryPrice: steps[0].optionPrice,
+      premium: units * steps[0].optionPrice,
+      exitDate: exitBar.date,
+      exitSpot: exitBar.close,
+      exitPrice: previous.price,
+      exitReason
+    },
+    volatility: {
+      pricing: pricingVolatility,
+      source: params.volatility === null ? estimate.model : 'input',
+      realized,
+      spread: realized === null ? null : realized - pricingVolatility
+    },
+    pnl: {
+      option: totals.option,
+      hedge: totals.hedge,
+      costs: totals.costs,
+      total: totals.option + totals.hedge - totals.costs,
+      theta: totals.theta,
+      gamma: totals.gamma,
+      delta: totals.delta
+    },
+    rebalances,
+    sharesTraded,
+    steps
+  };
+}
+
+module.exports = {
+  REBALANCE_MODES,
+  resolveHedgeParams,
+  simulateHedge
+};
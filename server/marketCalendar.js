@@ -0,0 +1,432 @@
+/**
+ * Market Calendar
+ * US equity exchange holidays, listed option expiration dates (weeklies,
+ * monthlies and quarterlies) and time to expiry on a calendar-day or
+ * trading-day basis
+ */
+
+// Constants
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+const CALENDAR_DAYS_PER_YEAR = 365;
+const TRADING_DAYS_PER_YEAR = 252;
+
+// Time zone the exchange calendar and closing time follow
+const EXCHANGE_TIME_ZONE = 'America/New_York';
+
+// Regular session in minutes after midnight exchange time (09:30 to 16:00)
+const SESSION_OPEN_MINUTES = 9 * 60 + 30;
+const SESSION_CLOSE_MINUTES = 16 * 60;
+
+// Supported time-to-expiry conventions, default first
+const TIME_BASES = ['calendar', 'trading'];
+
+// Default number of each expiration type listed in a chain
+const DEFAULT_LISTING = {
+  weeks: 4,      // Weekly expirations over the next 4 weeks
+  months: 6,     // Next 6 monthly (third Friday) expirations
+  quarters: 2    // Next 2 quarterly (last trading day of the quarter) expirations
+};
+
+// Cache of holiday sets by year
+const holidayCache = {};
+
+/**
+ * Normalise a date to midnight UTC of its calendar day
+ * Strings in YYYY-MM-DD form are read as that day; Date objects use their local day
+ * @param {Date|string} date - Date to normalise
+ * @returns {Date} - Midnight UTC of the same calendar day
+ */
+function toDay(date) {
+  if (typeof date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(date)) {
+    const [year, month, day] = date.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day));
+  }
+  const value = new Date(date);
+  if (isNaN(value.getTime())) {
+    throw new Error(`Invalid date: ${date}`);
+  }
+  return new Date(Date.UTC(value.getFullYear(), value.getMonth(), value.getDate()));
+}
+
+/**
+ * Format a day as YYYY-MM-DD
+ * @param {Date} day - Day from toDay()
+ * @returns {string} - ISO date string
+ */
+function formatDay(day) {
+  return day.toISOString().split('T')[0];
+}
+
+/**
+ * Check that a value is a YYYY-MM-DD date string for a real day
+ * @param {*} value - Value to check
+ * @returns {boolean} - True for valid dates
+ */
+function isIsoDate(value) {
+  return typeof value === 'string'
+    && /^\d{4}-\d{2}-\d{2}$/.test(value)
+    && formatDay(toDay(value)) === value;
+}
+
+/**
+ * Add a number of calendar days to a day
+ * @param {Date} day - Day from toDay()
+ * @param {number} days - Days to add (may be negative)
+ * @returns {Date} - New day
+ */
+function addDays(day, days) {
+  return new Date(day.getTime() + days * MS_PER_DAY);
+}
+
+/**
+ * Find the nth occurrence of a weekday in a month
+ * @param {number} year - Full year
+ * @param {number} month - Month index (0 = January)
+ * @param {number} weekday - Day of week (0 = Sunday)
+ * @param {number} n - Occurrence, 1-based; -1 for the last
+ * @returns {Date} - Matching day
+ */
+function nthWeekday(year, month, weekday, n) {
+  if (n === -1) {
+    const last = new Date(Date.UTC(year, month + 1, 0));
+    return addDays(last, -((last.getUTCDay() - weekday + 7) % 7));
+  }
+  const first = new Date(Date.UTC(year, month, 1));
+  return addDays(first, (weekday - first.getUTCDay() + 7) % 7 + (n - 1) * 7);
+}
+
+/**
+ * Calculate Easter Sunday (anonymous Gregorian algorithm)
+ * @param {number} year - Full year
+ * @returns {Date} - Easter Sunday
+ */
+function easterSunday(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return new Date(Date.UTC(year, month - 1, day));
+}
+
+/**
+ * Move a fixed-date holiday that falls on a weekend to the observed weekday
+ * Saturday holidays are observed on Friday, Sunday holidays on Monday
+ * @param {Date} day - Holiday date
+ * @returns {Date} - Observed date
+ */
+function observed(day) {
+  const weekday = day.getUTCDay();
+  if (weekday === 6) return addDays(day, -1);
+  if (weekday === 0) return addDays(day, 1);
+  return day;
+}
+
+/**
+ * List the full-day exchange holidays for a year
+ * Follows the NYSE rules; one-off closures (e.g. national days of mourning) are not included.
+ * @param {number} year - Full year
+ * @returns {Array} - Array of { date, name } sorted by date
+ */
+function marketHolidays(year) {
+  const holidays = [];
+
+  // New Year's Day is not observed on the prior Friday when it falls on a Saturday
+  const newYear = new Date(Date.UTC(year, 0, 1));
+  if (newYear.getUTCDay() !== 6) holidays.push({ date: observed(newYear), name: "New Year's Day" });
+
+  holidays.push({ date: nthWeekday(year, 0, 1, 3), name: 'Martin Luther King Jr. Day' });
+  holidays.push({ date: nthWeekday(year, 1, 1, 3), name: "Washington's Birthday" });
+  holidays.push({ date: addDays(easterSunday(year), -2), name: 'Good Friday' });
+  holidays.push({ date: nthWeekday(year, 4, 1, -1), name: 'Memorial Day' });
+  if (year >= 2022) {
+    holidays.push({ date: observed(new Date(Date.UTC(year, 5, 19))), name: 'Juneteenth' });
+  }
+  holidays.push({ date: observed(new Date(Date.UTC(year, 6, 4))), name: 'Independence Day' });
+  holidays.push({ date: nthWeekday(year, 8, 1, 1), name: 'Labor Day' });
+  holidays.push({ date: nthWeekday(year, 10, 4, 4), name: 'Thanksgiving Day' });
+  holidays.push({ date: observed(new Date(Date.UTC(year, 11, 25))), name: 'Christmas Day' });
+
+  return holidays
+    .sort((a, b) => a.date - b.date)
+    .map(holiday => ({ date: formatDay(holiday.date), name: holiday.name }));
+}
+
+/**
+ * Check whether the exchange is closed for a holiday on a day
+ * @param {Date|string} date - Day to check
+ * @returns {boolean} - True on an exchange holiday
+ */
+function isMarketHoliday(date) {
+  return isHoliday(toDay(date));
+}
+
+/**
+ * Check a normalised day against the cached holiday set for its year
+ * @param {Date} day - Day from toDay()
+ * @returns {boolean} - True on an exchange holiday
+ */
+function isHoliday(day) {
+  const year = day.getUTCFullYear();
+  if (!holidayCache[year]) {
+    holidayCache[year] = new Set(marketHolidays(year).map(holiday => holiday.date));
+  }
+  return holidayCache[year].has(formatDay(day));
+}
+
+/**
+ * Check whether the exchange is open on a day
+ * @param {Date|string} date - Day to check
+ * @returns {boolean} - True on weekdays that are not holidays
+ */
+function isTradingDay(date) {
+  return isOpen(toDay(date));
+}
+
+/**
+ * Read the exchange's local date and time of day
+ * @param {Date} now - Moment to convert (default now)
+ * @returns {Object} - { date, time, minutes } with date as YYYY-MM-DD, time as HH:MM and
+ *   minutes since local midnight
+ */
+function exchangeTime(now = new Date()) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone: EXCHANGE_TIME_ZONE,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(now).forEach(part => { parts[part.type] = part.value; });
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    time: `${parts.hour}:${parts.minute}`,
+    minutes: Number(parts.hour) * 60 + Number(parts.minute)
+  };
+}
+
+/**
+ * Find the latest regular session that has opened
+ * @param {Date} now - Moment to check (default now)
+ * @returns {string} - Session date as YYYY-MM-DD: today once the bell has rung on a
+ *   trading day, otherwise the trading day before
+ */
+function latestSession(now = new Date()) {
+  const clock = exchangeTime(now);
+  const today = toDay(clock.date);
+  if (isOpen(today) && clock.minutes >= SESSION_OPEN_MINUTES) {
+    return clock.date;
+  }
+  return formatDay(previousTradingDay(addDays(today, -1)));
+}
+
+/**
+ * Check whether the exchange is open on a normalised day
+ * @param {Date} day - Day from toDay()
+ * @returns {boolean} - True on weekdays that are not holidays
+ */
+function isOpen(day) {
+  const weekday = day.getUTCDay();
+  return weekday !== 0 && weekday !== 6 && !isHoliday(day);
+}
+
+/**
+ * Step back to the closest trading day on or before a day
+ * @param {Date} day - Day from toDay()
+ * @returns {Date} - Trading day
+ */
+function previousTradingDay(day) {
+  let current = day;
+  while (!isOpen(current)) current = addDays(current, -1);
+  return current;
+}
+
+/**
+ * Step forward a number of trading days
+ * @param {Date} day - Day from toDay()
+ * @param {number} count - Trading days to add
+ * @returns {Date} - The count-th trading day after day
+ */
+function addTradingDays(day, count) {
+  let current = day;
+  for (let added = 0; added < count;) {
+    current = addDays(current, 1);
+    if (isOpen(current)) added++;
+  }
+  return current;
+}
+
+/**
+ * Count the trading days after one day up to and including another
+ * @param {Date|string} from - Start day (excluded)
+ * @param {Date|string} to - End day (included)
+ * @returns {number} - Number of trading days, 0 if `to` is not after `from`
+ */
+function tradingDaysBetween(from, to) {
+  const start = toDay(from);
+  const end = toDay(to);
+  let count = 0;
+  for (let day = addDays(start, 1); day <= end; day = addDays(day, 1)) {
+    if (isOpen(day)) count++;
+  }
+  return count;
+}
+
+/**
+ * Count the calendar days between two days
+ * @param {Date|string} from - Start day
+ * @param {Date|string} to - End day
+ * @returns {number} - Whole days from `from` to `to`
+ */
+function calendarDaysBetween(from, to) {
+  return Math.round((toDay(to) - toDay(from)) / MS_PER_DAY);
+}
+
+/**
+ * Calculate the year fraction between two days
+ * @param {Date|string} from - Valuation day
+ * @param {Date|string} to - Later day, e.g. an expiry or ex-dividend date
+ * @param {string} basis - 'calendar' (days / 365) or 'trading' (trading days / 252)
+ * @returns {number} - Time in years
+ */
+function yearFraction(from, to, basis = 'calendar') {
+  if (basis === 'trading') {
+    return tradingDaysBetween(from, to) / TRADING_DAYS_PER_YEAR;
+  }
+  return calendarDaysBetween(from, to) / CALENDAR_DAYS_PER_YEAR;
+}
+
+/**
+ * Calculate the time to expiry used for pricing
+ * An option expiring on the valuation day is given one day of life.
+ * @param {Date|string} valuationDate - Valuation day
+ * @param {Date|string} expiryDate - Expiration day
+ * @param {string} basis - 'calendar' or 'trading'
+ * @returns {number} - Time to expiry in years
+ */
+function timeToExpiry(valuationDate, expiryDate, basis = 'calendar') {
+  const daysPerYear = basis === 'trading' ? TRADING_DAYS_PER_YEAR : CALENDAR_DAYS_PER_YEAR;
+  return Math.max(yearFraction(valuationDate, expiryDate, basis), 1 / daysPerYear);
+}
+
+/**
+ * List every option expiration between two days
+ * Weeklies expire on Fridays, monthlies on the third Friday and quarterlies on
+ * the last trading day of March, June, September and December. A Friday
+ * expiration that falls on a holiday moves to the preceding trading day.
+ * @param {Date|string} from - First day (inclusive)
+ * @param {Date|string} to - Last day (inclusive)
+ * @returns {Array} - Array of { date, type } sorted by date, type is 'weekly', 'monthly' or 'quarterly'
+ */
+function expirationsBetween(from, to) {
+  const start = toDay(from);
+  const end = toDay(to);
+  const byDate = new Map();
+
+  // Walk the Fridays from the week of `start` to the week after `end`, since a
+  // holiday can pull a Friday expiration back into range
+  let friday = addDays(start, (5 - start.getUTCDay() + 7) % 7);
+  for (; friday <= addDays(end, 7); friday = addDays(friday, 7)) {
+    const date = previousTradingDay(friday);
+    const isMonthly = friday.getUTCDate() >= 15 && friday.getUTCDate() <= 21;
+    byDate.set(formatDay(date), { date: formatDay(date), type: isMonthly ? 'monthly' : 'weekly' });
+  }
+
+  for (let year = start.getUTCFullYear(); year <= end.getUTCFullYear(); year++) {
+    [2, 5, 8, 11].forEach(month => {
+      const date = formatDay(previousTradingDay(new Date(Date.UTC(year, month + 1, 0))));
+      byDate.set(date, { date, type: 'quarterly' });
+    });
+  }
+
+  const first = formatDay(start);
+  const last = formatDay(end);
+  return Array.from(byDate.values())
+    .filter(expiry => expiry.date >= first && expiry.date <= last)
+    .sort((a, b) => (a.date < b.date ? -1 : 1));
+}
+
+/**
+ * List the expirations shown in an option chain
+ * @param {Date|string} from - Valuation day; expirations on this day are included
+ * @param {Object} listing - { weeks, months, quarters }, see DEFAULT_LISTING
+ * @returns {Array} - Array of { date, type } sorted by date
+ */
+function listExpirations(from, listing = {}) {
+  const { weeks, months, quarters } = { ...DEFAULT_LISTING, ...listing };
+  const start = toDay(from);
+  const horizon = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + Math.max(months, quarters * 3) + 1, 0));
+  const weeklyCutoff = formatDay(addDays(start, weeks * 7));
+
+  let monthlies = 0;
+  let quarterlies = 0;
+  return expirationsBetween(formatDay(start), formatDay(horizon)).filter(expiry => {
+    if (expiry.type === 'monthly' && monthlies < months) {
+      monthlies++;
+      return true;
+    }
+    if (expiry.type === 'quarterly' && quarterlies < quarters) {
+      quarterlies++;
+      return true;
+    }
+    return expiry.date < weeklyCutoff;
+  });
+}
+
+/**
+ * Snap a requested date to the nearest valid expiration on or after the valuation day
+ * Ties go to the later expiration.
+ * @param {Date|string} date - Requested expiry date
+ * @param {Date|string} from - Valuation day
+ * @returns {Object} - { date, type } of the nearest expiration
+ */
+function snapToExpiry(date, from) {
+  const target = toDay(date);
+  const start = toDay(from);
+  const windowStart = addDays(target, -7) > start ? addDays(target, -7) : start;
+  const candidates = expirationsBetween(formatDay(windowStart), formatDay(addDays(target, 10)));
+
+  return candidates.reduce((best, expiry) => {
+    const distance = Math.abs(calendarDaysBetween(formatDay(target), expiry.date));
+    const bestDistance = best ? Math.abs(calendarDaysBetween(formatDay(target), best.date)) : Infinity;
+    return distance <= bestDistance ? expiry : best;
+  }, null);
+}
+
+module.exports = {
+  TIME_BASES,
+  TRADING_DAYS_PER_YEAR,
+  EXCHANGE_TIME_ZONE,
+  SESSION_OPEN_MINUTES,
+  SESSION_CLOSE_MINUTES,
+  toDay,
+  formatDay,
+  isIsoDate,
+  addDays,
+  marketHolidays,
+  isMarketHoliday,
+  isTradingDay,
+  exchangeTime,
+  latestSession,
+  previousTradingDay,
+  addTradingDays,
+  tradingDaysBetween,
+  calendarDaysBetween,
+  yearFraction,
+  timeToExpiry,
+  expirationsBetween,
+  listExpirations,
+  snapToExpiry
+};
@@ -0,0 +1,207 @@
+/**
+ * Market Data Providers
+ * Chooses where daily bars, quotes and symbol searches come from. Every provider in
+ * server/providers/ exposes the same interface:
+ *   name, configurationProblem(), fetchDailyBars(ticker, { since }), fetchQuote(ticker), searchSymbols(query)
+ * where `since` lets a provider return less than the full history. Bars are raw
+ * (unadjusted) prices and may carry a splitCoefficient and dividendAmount. Providers
+ * with intraday data add fetchIntradayBars(ticker, { interval, since }).
+ * Providers are tried in the configured order, falling back to the next when one
+ * fails, and single tickers can be pointed at their own list of providers.
+ */
+
+const alphaVantageProvider = require('./providers/alphaVantageProvider');
+const csvProvider = require('./providers/csvProvider');
+const stooqProvider = require('./providers/stooqProvider');
+require('dotenv').config();
+
+const PROVIDERS = {
+  [alphaVantageProvider.name]: alphaVantageProvider,
+  [csvProvider.name]: csvProvider,
+  [stooqProvider.name]: stooqProvider
+};
+
+const DEFAULT_ORDER = [alphaVantageProvider.name];
+
+/**
+ * Parse a comma-separated list of provider names
+ * @param {string} value - e.g. "csv,alpha-vantage"
+ * @param {string} setting - Setting name for error messages
+ * @returns {Array} - Provider names in order, without duplicates
+ */
+function parseProviderList(value, setting) {
+  const names = String(value).split(',').map(item => item.trim().toLowerCase()).filter(item => item.length > 0);
+  if (names.length === 0) {
+    throw new Error(`${setting} must list at least one provider`);
+  }
+  names.forEach(item => {
+    if (!PROVIDERS[item]) {
+      throw new Error(`${setting}: unknown provider "${item}"; use ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+  });
+  return Array.from(new Set(names));
+}
+
+/**
+ * Read the provider configuration
+ * MARKET_DATA_PROVIDERS is the default order, e.g. "alpha-vantage,stooq,csv".
+ * MARKET_DATA_OVERRIDES replaces the order for single tickers, e.g. "SPY=csv;QQQ=stooq,alpha-vantage".
+ * @param {Object} env - Environment variables
+ * @returns {Object} - { order, overrides } where overrides maps tickers to provider lists
+ */
+function resolveProviderConfig(env = process.env) {
+  const order = env.MARKET_DATA_PROVIDERS
+    ? parseProviderList(env.MARKET_DATA_PROVIDERS, 'MARKET_DATA_PROVIDERS')
+    : DEFAULT_ORDER;
+
+  const overrides = {};
+  String(env.MARKET_DATA_OVERRIDES || '').split(';').map(item => item.trim()).filter(item => item.length > 0).forEach(item => {
+    const [ticker, list] = item.split('=');
+    if (!ticker || !ticker.trim() || list === undefined) {
+      throw new Error(`MARKET_DATA_OVERRIDES: expected TICKER=provider[,provider...] but got "${item}"`);
+    }
+    overrides[ticker.trim().toUpperCase()] = parseProviderList(list, `MARKET_DATA_OVERRIDES for ${ticker.trim().toUpperCase()}`);
+  });
+
+  return { order, overrides };
+}
+
+const config = resolveProviderConfig();
+
+/**
+ * Providers to try for a ticker, in order
+ * @param {string} ticker - The stock ticker symbol
+ * @returns {Array} - Provider names
+ */
+function providersFor(ticker) {
+  return config.overrides[ticker.toUpperCase()] || config.order;
+}
+
+/**
+ * Try each provider for a ticker in turn until one succeeds
+ * Unconfigured providers and those without the method are skipped. The error when all
+ * of them fail says whether none was usable, every one reported no data, or a provider failed.
+ * @param {string} ticker - The stock ticker symbol
+ * @param {string} method - Provider method to call, e.g. 'fetchDailyBars'
+ * @param {Object} options - Options passed on to the method
+ * @returns {Promise<Object>} - { provider, result }
+ */
+async function tryProviders(ticker, method, options) {
+  const failures = [];
+  let configured = 0;
+
+  for (const providerName of providersFor(ticker)) {
+    const provider = PROVIDERS[providerName];
+    const problem = typeof provider[method] === 'function'
+      ? provider.configurationProblem()
+      : `${method} is not supported`;
+    if (problem) {
+      failures.push({ providerName, message: problem, skipped: true });
+      continue;
+    }
+
+    configured++;
+    try {
+      return { provider: providerName, result: await provider[method](ticker, options) };
+    } catch (error) {
+      console.warn(`Market data provider ${providerName} failed for ${ticker}:`, error.message);
+      failures.push({ providerName, message: error.message, notFound: error.message.includes('No data found') });
+    }
+  }
+
+  const details = failures.map(failure => `${failure.providerName}: ${failure.message}`).join('; ');
+  if (configured === 0) {
+    throw new Error(`No market data provider is configured for ${ticker} (${details})`);
+  }
+  if (failures.every(failure => failure.skipped || failure.notFound)) {
+    throw new Error(`No data found for ticker "${ticker}" (${details})`);
+  }
+  throw new Error(`Failed to fetch data for ${ticker}: ${details}`);
+}
+
+/**
+ * Fetch the daily price history of a ticker from the first provider that has it
+ * @param {string} ticker - The stock ticker symbol
+ * @param {Object} options - { since } as YYYY-MM-DD when only bars from that date on are needed;
+ *   providers may still return more
+ * @returns {Promise<Object>} - { provider, bars } with bars { date, open, high, low, close, volume }, oldest first
+ */
+async function fetchDailyBars(ticker, options = {}) {
+  const { provider, result } = await tryProviders(ticker, 'fetchDailyBars', options);
+  return { provider, bars: result };
+}
+
+/**
+ * Fetch the intraday bars of a ticker from the first provider that has them
+ * @param {string} ticker - The stock ticker symbol
+ * @param {Object} options - { interval, since } with interval in minutes and since as
+ *   'YYYY-MM-DD HH:MM' when only bars from then on are needed
+ * @returns {Promise<Object>} - { provider, bars } with bars { date, open, high, low, close, volume }
+ *   and date as 'YYYY-MM-DD HH:MM' exchange time, oldest first
+ */
+async function fetchIntradayBars(ticker, options) {
+  const { provider, result } = await tryProviders(ticker, 'fetchIntradayBars', options);
+  return { provider, bars: result };
+}
+
+/**
+ * Fetch the latest quote for a ticker from the first provider that has it
+ * @param {string} ticker - The stock ticker symbol
+ * @returns {Promise<Object>} - Quote { symbol, date, price, ... } with the provider it came from
+ */
+async function fetchQuote(ticker) {
+  const { provider, result } = await tryProviders(ticker, 'fetchQuote');
+  return { ...result, provider };
+}
+
+/**
+ * Search every configured provider for symbols, in order
+ * A provider that fails is left out of the results.
+ * @param {string} query - Search text
+ * @returns {Promise<Array>} - Matches as { symbol, name, provider }, first provider wins on duplicates
+ */
+async function searchSymbols(query) {
+  const names = Array.from(new Set([...config.order, ...Object.values(config.overrides).flat()]));
+  const matches = new Map();
+
+  for (const providerName of names) {
+    const provider = PROVIDERS[providerName];
+    if (provider.configurationProblem()) continue;
+    try {
+      (await provider.searchSymbols(query)).forEach(match => {
+        const symbol = match.symbol.toUpperCase();
+        if (!matches.has(symbol)) matches.set(symbol, { symbol, name: match.name, provider: providerName });
+      });
+    } catch (error) {
+      console.warn(`Market data provider ${providerName} failed to search for "${query}":`, error.message);
+    }
+  }
+
+  return Array.from(matches.values());
+}
+
+/**
+ * Describe the provider configuration
+ * @returns {Object} - { order, overrides, providers: [{ name, configured, problem }] }
+ */
+function describeProviders() {
+  return {
+    order: config.order,
+    overrides: config.overrides,
+    providers: Object.values(PROVIDERS).map(provider => {
+      const problem = provider.configurationProblem();
+      return { name: provider.name, configured: !problem, problem };
+    })
+  };
+}
+
+module.exports = {
+  PROVIDERS,
+  resolveProviderConfig,
+  providersFor,
+  fetchDailyBars,
+  fetchIntradayBars,
+  fetchQuote,
+  searchSymbols,
+  describeProviders
+};
@@ -0,0 +1,482 @@
+/**
+ * Market Data Service
+ * This module fetches stock data through the configured market data providers
+ * (see marketDataProviders.js) and stores it in the database
+ */
+
+const path = require('path');
+const sqlite3 = require('sqlite3').verbose();
+const { promisify } = require('util');
+const marketDataProviders = require('./marketDataProviders');
+const marketCalendar = require('./marketCalendar');
+const corporateActions = require('./corporateActions');
+require('dotenv').config();
+
+// Stored prices older than this many days are refreshed unless configured otherwise
+const DEFAULT_STALE_DAYS = 7;
+
+// Price differences smaller than this count as unchanged
+const PRICE_TOLERANCE = 1e-6;
+
+// Supported intraday bar lengths in minutes
+const INTRADAY_INTERVALS = [1, 5, 15, 60];
+
+// SQL expressions grouping daily bars into the periods of each resolution
+const RESOLUTION_PERIODS = {
+  D: 'date',
+  W: "date(date, '-6 days', 'weekday 1')", // Monday of the bar's week
+  M: "strftime('%Y-%m', date)",
+  Q: "strftime('%Y', date) || '-Q' || ((CAST(strftime('%m', date) AS INTEGER) + 2) / 3)"
+};
+const RESOLUTIONS = Object.keys(RESOLUTION_PERIODS);
+
+// Minutes an intraday series may lag the clock before it is refreshed, unless configured otherwise
+const DEFAULT_INTRADAY_STALE_MINUTES = 15;
+
+// Database connection
+const dbPath = path.join(__dirname, 'db/stockdata.db');
+const db = new sqlite3.Database(dbPath);
+
+// Promisify database operations for easier async/await usage
+const dbAll = promisify(db.all.bind(db));
+const dbRun = promisify(db.run.bind(db));
+const dbGet = promisify(db.get.bind(db));
+
+// Create the intraday table next to stock_prices if it doesn't exist yet
+const intradayTableReady = dbRun(`CREATE TABLE IF NOT EXISTS intraday_prices (
+  ticker TEXT NOT NULL,
+  interval INTEGER NOT NULL, -- bar length in minutes
+  date TEXT NOT NULL, -- bar start as 'YYYY-MM-DD HH:MM' exchange time
+  open REAL,
+  high REAL,
+  low REAL,
+  close REAL,
+  volume INTEGER,
+  PRIMARY KEY (ticker, interval, date)
+)`);
+
+/**
+ * Check if a ticker exists in the database
+ * @param {string} ticker - The stock ticker symbol
+ * @returns {Promise<boolean>} - True if ticker exists, false otherwise
+ */
+async function tickerExistsInDatabase(ticker) {
+  try {
+    const query = 'SELECT COUNT(*) as count FROM stock_prices WHERE ticker = ?';
+    const row = await dbGet(query, [ticker]);
+    return row && row.count > 0;
+  } catch (error) {
+    console.error(`Error checking database for ticker ${ticker}:`, error.message);
+    return false;
+  }
+}
+
+/**
+ * List the tickers with stored prices
+ * @returns {Promise<Array>} - Ticker symbols in alphabetical order
+ */
+async function listStoredTickers() {
+  const rows = await dbAll('SELECT DISTINCT ticker FROM stock_prices ORDER BY ticker');
+  return rows.map(row => row.ticker);
+}
+
+/**
+ * Check whether a stored bar differs from a fetched one
+ * @param {Object} row - Stored row { open, high, low, close, volume }
+ * @param {Object} bar - Fetched bar { open, high, low, close, volume }
+ * @returns {boolean} - True if any value changed
+ */
+function barChanged(row, bar) {
+  return ['open', 'high', 'low', 'close'].some(field => Math.abs(row[field] - bar[field]) > PRICE_TOLERANCE)
+    || row.volume !== bar.volume;
+}
+
+// Price writes take turns on the shared connection. The background refresh and the request
+// path both write, and overlapping transactions on one connection fail or roll each other back
+let priceWrites = Promise.resolve();
+
+/**
+ * Insert missing rows and update changed ones in a price table, leaving the rest untouched
+ * Bars without finite prices are ignored. Calls run one at a time.
+ * @param {string} table - 'stock_prices' or 'intraday_prices'
+ * @param {Object} key - Key columns besides date, e.g. { ticker } or { ticker, interval }
+ * @param {Array} bars - Bars { date, open, high, low, close, volume }, oldest first
+ * @returns {Promise<Object>} - { added, updated, unchanged } row counts
+ */
+function upsertPriceRows(table, key, bars) {
+  const write = priceWrites.then(() => writePriceRows(table, key, bars));
+  priceWrites = write.catch(() => {});
+  return write;
+}
+
+/**
+ * Compare and write the rows for upsertPriceRows(), which serializes the calls
+ * @param {string} table - 'stock_prices' or 'intraday_prices'
+ * @param {Object} key - Key columns besides date
+ * @param {Array} bars - Bars { date, open, high, low, close, volume }, oldest first
+ * @returns {Promise<Object>} - { added, updated, unchanged } row counts
+ */
+async function writePriceRows(table, key, bars) {
+  const counts = { added: 0, updated: 0, unchanged: 0 };
+  const usable = bars.filter(bar => ['open', 'high', 'low', 'close'].every(field => isFinite(bar[field])));
+  if (usable.length === 0) return counts;
+  
+  const keyColumns = Object.keys(key);
+  const keyValues = Object.values(key);
+  const rows = await dbAll(
+    `SELECT date, open, high, low, close, volume FROM ${table} WHERE ${keyColumns.map(column => `${column} = ?`).join(' AND ')} AND date >= ?`,
+    [...keyValues, usable[0].date]
+  );
+  const stored = new Map(rows.map(row => [row.date, row]));
+  
+  const changes = usable.filter(bar => {
+    const row = stored.get(bar.date);
+    if (!row) {
+      counts.added++;
+      return true;
+    }
+    if (barChanged(row, bar)) {
+      counts.updated++;
+      return true;
+    }
+    counts.unchanged++;
+    return false;
+  });
+  if (changes.length === 0) return counts;
+  
+  // Begin transaction for faster writes
+  await dbRun('BEGIN TRANSACTION');
+  
+  try {
+    const stmt = db.prepare(`
+      INSERT INTO ${table} (${keyColumns.join(', ')}, date, open, high, low, close, volume)
+      VALUES (${keyColumns.map(() => '?').join(', ')}, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(${keyColumns.join(', ')}, date) DO UPDATE SET
+        open = excluded.open, high = excluded.high, low = excluded.low,
+        close = excluded.close, volume = excluded.volume
+    `);
+    const stmtRun = promisify(stmt.run.bind(stmt));
+    
+    for (const bar of changes) {
+      await stmtRun([...keyValues, bar.date, bar.open, bar.high, bar.low, bar.close, bar.volume || 0]);
+    }
+    
+    await promisify(stmt.finalize.bind(stmt))();
+    await dbRun('COMMIT');
+  } catch (error) {
+    // Rollback transaction on error
+    await dbRun('ROLLBACK');
+    throw error;
+  }
+  
+  return counts;
+}
+
+/**
+ * Insert missing daily bars and update changed ones for a ticker
+ * Splits and dividends on the bars are stored as corporate actions.
+ * @param {string} ticker - The stock ticker symbol
+ * @param {Array} bars - Bars { date, open, high, low, close, volume } with optional
+ *   splitCoefficient and dividendAmount, oldest first
+ * @returns {Promise<Object>} - { added, updated, unchanged } row counts
+ */
+async function upsertBars(ticker, bars) {
+  await corporateActions.storeActions(ticker, bars);
+  return upsertPriceRows('stock_prices', { ticker }, bars);
+}
+
+/**
+ * Fetch bars from the market data providers and upsert them
+ * @param {string} ticker - The stock ticker symbol
+ * @param {string|null} since - Earliest date needed as YYYY-MM-DD, or null for the full history
+ * @returns {Promise<Object>} - { provider, bars, counts } with counts from upsertBars()
+ */
+async function fetchAndUpsert(ticker, since) {
+  const { provider, bars } = await marketDataProviders.fetchDailyBars(ticker, since ? { since } : {});
+  console.log(`Retrieved ${bars.length} days of price data for ${ticker} from ${provider}`);
+  
+  const counts = await upsertBars(ticker, bars);
+  console.log(`Stored ${ticker}: ${counts.added} added, ${counts.updated} updated, ${counts.unchanged} unchanged`);
+  return { provider, bars, counts };
+}
+
+/**
+ * Fetch daily stock price data from the market data providers and save to database
+ * @param {string} ticker - The stock ticker symbol
+ * @returns {Promise<Array>} - Formatted data for TradingView charts
+ */
+async function fetchAndStoreStockData(ticker) {
+  console.log(`Fetching data for ${ticker} from the market data providers (${marketDataProviders.providersFor(ticker).join(', ')})...`);
+  
+  try {
+    const { bars } = await fetchAndUpsert(ticker, null);
+    
+    // Format data for TradingView chart and return
+    return bars.map(bar => ({
+      time: new Date(bar.date).getTime() / 1000, // Convert to Unix timestamp in seconds
+      open: bar.open,
+      high: bar.high,
+      low: bar.low,
+      close: bar.close,
+      volume: bar.volume
+    }));
+  } catch (error) {
+    console.error(`Error fetching data for ${ticker}:`, error.message);
+    throw new Error(`Failed to fetch data for ${ticker}: ${error.message}`);
+  }
+}
+
+/**
+ * Update stock data for a ticker that already exists in the database
+ * Requests only the bars from the latest stored date on (compact output where the
+ * provider supports it) and upserts the missing or changed ones. The latest stored
+ * bar is fetched again so a bar stored mid-session gets its final values.
+ * @param {string} ticker - The stock ticker symbol
+ * @returns {Promise<Object|null>} - { ticker, provider, since, received, added, updated, unchanged,
+ *   latestDate }, or null if the ticker isn't stored; provider is null when already up to date
+ */
+async function updateExistingStockData(ticker) {
+  // Get the latest date we have data for
+  const query = 'SELECT MAX(date) as latestDate FROM stock_prices WHERE ticker = ?';
+  const row = await dbGet(query, [ticker]);
+  
+  if (!row || !row.latestDate) {
+    console.log(`Ticker ${ticker} not found in database. Use fetchAndStoreStockData instead.`);
+    return null;
+  }
+  
+  const report = { ticker, provider: null, since: row.latestDate, received: 0, added: 0, updated: 0, unchanged: 0, latestDate: row.latestDate };
+  
+  // If latest data is from today, no need to update
+  const dayDiff = Math.floor((new Date() - new Date(row.latestDate)) / (1000 * 60 * 60 * 24));
+  if (dayDiff < 1) {
+    console.log(`Data for ${ticker} is already up to date (latest: ${row.latestDate})`);
+    return report;
+  }
+  
+  console.log(`Updating data for ${ticker}. Latest data from: ${row.latestDate}`);
+  
+  const { provider, bars, counts } = await fetchAndUpsert(ticker, row.latestDate);
+  const latest = await dbGet(query, [ticker]);
+  return {
+    ...report,
+    provider,
+    received: bars.length,
+    ...counts,
+    latestDate: latest.latestDate
+  };
+}
+
+/**
+ * Read the staleness limits
+ * PRICE_STALE_DAYS is the default number of days after which stored prices are refreshed
+ * (7 if unset); PRICE_STALE_DAYS_OVERRIDES sets it for single tickers, e.g. "SPY=1;TLT=3".
+ * @param {Object} env - Environment variables
+ * @returns {Object} - { defaultDays, overrides } where overrides maps tickers to days
+ */
+function resolveStalenessConfig(env = process.env) {
+  const readDays = (value, setting) => {
+    const days = Number(value);
+    if (!Number.isInteger(days) || days < 0) {
+      throw new Error(`${setting} must be a whole number of days, got "${value}"`);
+    }
+    return days;
+  };
+  
+  const defaultDays = env.PRICE_STALE_DAYS ? readDays(env.PRICE_STALE_DAYS, 'PRICE_STALE_DAYS') : DEFAULT_STALE_DAYS;
+  const overrides = {};
+  String(env.PRICE_STALE_DAYS_OVERRIDES || '').split(';').map(item => item.trim()).filter(item => item.length > 0).forEach(item => {
+    const [ticker, days] = item.split('=');
+    if (!ticker || !ticker.trim() || days === undefined) {
+      throw new Error(`PRICE_STALE_DAYS_OVERRIDES: expected TICKER=days but got "${item}"`);
+    }
+    overrides[ticker.trim().toUpperCase()] = readDays(days.trim(), `PRICE_STALE_DAYS_OVERRIDES for ${ticker.trim().toUpperCase()}`);
+  });
+  
+  return { defaultDays, overrides };
+}
+
+const stalenessConfig = resolveStalenessConfig();
+
+/**
+ * Days after which a ticker's stored prices count as stale
+ * @param {string} ticker - The stock ticker symbol
+ * @returns {number} - Days since the latest stored bar
+ */
+function staleAfterDays(ticker) {
+  const override = stalenessConfig.overrides[ticker.toUpperCase()];
+  return override === undefined ? stalenessConfig.defaultDays : override;
+}
+
+/**
+ * Get stored daily bars, optionally resampled and adjusted
+ * Adjustment happens per day before resampling, and a period's bar takes its first
+ * open, highest high, lowest low, last close and total volume. Periods are dated by
+ * their first trading day and cut off at `from` and `to`.
+ * @param {string} ticker - The stock ticker symbol
+ * @param {Object} options - { from, to, limit, resolution, adjusted } where from and to are
+ *   inclusive YYYY-MM-DD dates, limit keeps the latest bars, resolution is one of RESOLUTIONS
+ *   (default 'D') and adjusted back-adjusts for splits and dividends
+ * @returns {Promise<Array>} - Bars { date, open, high, low, close, volume }, oldest first
+ */
+async function getPriceBars(ticker, options = {}) {
+  const { from = null, to = null, limit = null, resolution = 'D', adjusted = false } = options;
+  if (!RESOLUTIONS.includes(resolution)) {
+    throw new Error(`Invalid resolution "${resolution}". Use one of: ${RESOLUTIONS.join(', ')}`);
+  }
+  
+  const segments = adjusted
+    ? corporateActions.adjustmentSegments(await corporateActions.getActions(ticker))
+    : [{ from: '', to: '9999-12-31', priceFactor: 1, volumeFactor: 1 }];
+  const dailyBars = `
+    WITH factors (start_date, end_date, price_factor, volume_factor) AS (VALUES ${segments.map(() => '(?, ?, ?, ?)').join(', ')}),
+    bars AS (
+      SELECT p.date, p.open * f.price_factor AS open, p.high * f.price_factor AS high,
+        p.low * f.price_factor AS low, p.close * f.price_factor AS close,
+        CAST(ROUND(p.volume * f.volume_factor) AS INTEGER) AS volume, ${RESOLUTION_PERIODS[resolution]} AS period
+      FROM stock_prices p JOIN factors f ON p.date >= f.start_date AND p.date < f.end_date
+      WHERE p.ticker = ? AND p.date >= ? AND p.date <= ?
+    )`;
+  const query = resolution === 'D'
+    ? `${dailyBars}
+      SELECT date, open, high, low, close, volume FROM bars ORDER BY date DESC LIMIT ?`
+    : `${dailyBars},
+    periods AS (
+      SELECT period, MIN(date) AS first_date, MAX(date) AS last_date,
+        MAX(high) AS high, MIN(low) AS low, SUM(volume) AS volume
+      FROM bars GROUP BY period
+    )
+    SELECT periods.first_date AS date, opening.open, periods.high, periods.low, closing.close, periods.volume
+    FROM periods
+    JOIN bars opening ON opening.date = periods.first_date
+    JOIN bars closing ON closing.date = periods.last_date
+    ORDER BY periods.first_date DESC LIMIT ?`;
+  
+  const rows = await dbAll(query, [
+    ...segments.flatMap(segment => [segment.from, segment.to, segment.priceFactor, segment.volumeFactor]),
+    ticker,
+    from || '',
+    to || '9999-12-31',
+    limit || -1 // SQLite reads a negative limit as no limit
+  ]);
+  return rows.reverse();
+}
+
+/**
+ * Read a bar interval
+ * @param {string} value - 'daily' (or empty) for daily bars, otherwise minutes such as '5' or '5min'
+ * @returns {number|null} - Minutes, or null for daily bars
+ */
+function parseInterval(value) {
+  const text = String(value === undefined || value === null ? '' : value).trim().toLowerCase();
+  if (text === '' || text === 'daily' || text === '1d') return null;
+
+  const match = /^(\d+)\s*(m|min)?$/.exec(text);
+  const minutes = match ? parseInt(match[1], 10) : NaN;
+  if (!INTRADAY_INTERVALS.includes(minutes)) {
+    throw new Error(`Invalid interval "${value}". Use daily or ${INTRADAY_INTERVALS.join(', ')} minutes`);
+  }
+  return minutes;
+}
+
+/**
+ * Get the stored intraday bars of a ticker
+ * @param {string} ticker - The stock ticker symbol
+ * @param {number} interval - Bar length in minutes
+ * @param {Object} options - { from, to, limit } where from and to are inclusive
+ *   'YYYY-MM-DD HH:MM' timestamps and limit keeps the latest bars
+ * @returns {Promise<Array>} - Bars { date, open, high, low, close, volume }, oldest first
+ */
+async function getIntradayBars(ticker, interval, options = {}) {
+  const { from = null, to = null, limit = null } = options;
+  await intradayTableReady;
+  const rows = await dbAll(
+    `SELECT date, open, high, low, close, volume FROM intraday_prices
+     WHERE ticker = ? AND interval = ? AND date >= ? AND date <= ? ORDER BY date DESC LIMIT ?`,
+    [ticker, interval, from || '', to || '9999-12-31', limit || -1]
+  );
+  return rows.reverse();
+}
+
+/**
+ * List the bar lengths stored for a ticker
+ * @param {string} ticker - The stock ticker symbol
+ * @returns {Promise<Array>} - Minutes, shortest first
+ */
+async function storedIntradayIntervals(ticker) {
+  await intradayTableReady;
+  const rows = await dbAll('SELECT DISTINCT interval FROM intraday_prices WHERE ticker = ? ORDER BY interval', [ticker]);
+  return rows.map(row => row.interval);
+}
+
+/**
+ * Fetch intraday bars from the market data providers and upsert them
+ * Asks only for the bars from the latest stored one on, or for everything the
+ * providers have when nothing is stored yet.
+ * @param {string} ticker - The stock ticker symbol
+ * @param {number} interval - Bar length in minutes
+ * @returns {Promise<Object>} - { ticker, interval, provider, since, received, added, updated, unchanged, latestDate }
+ */
+async function refreshIntradayData(ticker, interval) {
+  await intradayTableReady;
+  const query = 'SELECT MAX(date) as latestDate FROM intraday_prices WHERE ticker = ? AND interval = ?';
+  const row = await dbGet(query, [ticker, interval]);
+  const since = row ? row.latestDate : null;
+  
+  const { provider, bars } = await marketDataProviders.fetchIntradayBars(ticker, { interval, since });
+  console.log(`Retrieved ${bars.length} ${interval} minute bars for ${ticker} from ${provider}`);
+  
+  const counts = await upsertPriceRows('intraday_prices', { ticker, interval }, bars);
+  console.log(`Stored ${interval} minute bars for ${ticker}: ${counts.added} added, ${counts.updated} updated, ${counts.unchanged} unchanged`);
+  const latest = await dbGet(query, [ticker, interval]);
+  return { ticker, interval, provider, since, received: bars.length, ...counts, latestDate: latest.latestDate };
+}
+
+const intradayStaleMinutes = process.env.INTRADAY_STALE_MINUTES
+  ? Number(process.env.INTRADAY_STALE_MINUTES)
+  : DEFAULT_INTRADAY_STALE_MINUTES;
+if (!(intradayStaleMinutes >= 0)) {
+  throw new Error(`INTRADAY_STALE_MINUTES must be a number of minutes, got "${process.env.INTRADAY_STALE_MINUTES}"`);
+}
+
+/**
+ * Check whether an intraday series is missing bars it could have by now
+ * It is stale when it ends before the latest session, or when more than one bar plus
+ * INTRADAY_STALE_MINUTES (default 15) has gone by in that session since its last bar.
+ * Outside the session nothing new is expected, so the limit stops at the close.
+ * @param {string} latestDate - Last stored bar as 'YYYY-MM-DD HH:MM'
+ * @param {number} interval - Bar length in minutes
+ * @param {Date} now - Current moment
+ * @returns {boolean} - True if a refresh would bring new bars
+ */
+function intradayIsStale(latestDate, interval, now = new Date()) {
+  const session = marketCalendar.latestSession(now);
+  const day = latestDate.slice(0, 10);
+  if (day < session) return true;
+  if (day > session) return false;
+  
+  const clock = marketCalendar.exchangeTime(now);
+  const sessionMinutes = clock.date === session
+    ? Math.min(clock.minutes, marketCalendar.SESSION_CLOSE_MINUTES)
+    : marketCalendar.SESSION_CLOSE_MINUTES;
+  const [hours, minutes] = latestDate.slice(11, 16).split(':').map(Number);
+  return sessionMinutes - (hours * 60 + minutes) > interval + intradayStaleMinutes;
+}
+
+module.exports = {
+  fetchAndStoreStockData,
+  tickerExistsInDatabase,
+  listStoredTickers,
+  updateExistingStockData,
+  upsertBars,
+  resolveStalenessConfig,
+  staleAfterDays,
+  RESOLUTIONS,
+  getPriceBars,
+  INTRADAY_INTERVALS,
+  parseInterval,
+  getIntradayBars,
+  storedIntradayIntervals,
+  refreshIntradayData,
+  intradayIsStale
+};
@@ -1,10 +1,19 @@
 /**
  * Option Chain Calculator
- * Calculates option prices based on the Black-Scholes model
+ * Calculates option prices based on the Black-Scholes model and,
+ * for American-style exercise, binomial/trinomial lattices
  */
 
 // Constants
 const DAYS_PER_YEAR = 365;
+const DEFAULT_TREE_STEPS = 200;
+
+// Implied volatility solver settings
+const IV_MIN = 0.0001;
+const IV_MAX = 5;
+const IV_PRICE_TOLERANCE = 1e-8;
+const IV_VOL_TOLERANCE = 1e-10;
+const IV_MAX_ITERATIONS = 100;
 
 /**
  * Calculate standard normal cumulative distribution function
@@ -23,15 +32,18 @@ function normalCDF(x) {
 
 /**
  * Calculate the Black-Scholes option price
+ * A continuous dividend yield is handled with Merton's adjustment; discrete
+ * dividends should be removed from S first with escrowedSpot()
  * @param {string} type - Option type: 'call' or 'put'
  * @param {number} S - Current stock price
  * @param {number} K - Strike price
  * @param {number} T - Time to expiration in years
  * @param {number} r - Risk-free interest rate (as a decimal)
  * @param {number} v - Volatility (as a decimal)
+ * @param {number} q - Continuous dividend yield (as a decimal, default 0)
  * @returns {number} - Option price
  */
-function blackScholes(type, S, K, T, r, v) {
+function blackScholes(type, S, K, T, r, v, q = 0) {
   // Input validation
   if (S <= 0) throw new Error('Stock price must be positive');
   if (K <= 0) throw new Error('Strike price must be positive');
@@ -48,57 +60,613 @@ function blackScholes(type, S, K, T, r, v) {
   }
   
   // Calculate d1 and d2
-  const d1 = (Math.log(S / K) + (r + v * v / 2) * T) / (v * Math.sqrt(T));
+  const d1 = (Math.log(S / K) + (r - q + v * v / 2) * T) / (v * Math.sqrt(T));
   const d2 = d1 - v * Math.sqrt(T);
   
   // Calculate option price based on type
   if (type === 'call') {
-    return S * normalCDF(d1) - K * Math.exp(-r * T) * normalCDF(d2);
+    return S * Math.exp(-q * T) * normalCDF(d1) - K * Math.exp(-r * T) * normalCDF(d2);
   } else if (type === 'put') {
-    return K * Math.exp(-r * T) * normalCDF(-d2) - S * normalCDF(-d1);
+    return K * Math.exp(-r * T) * normalCDF(-d2) - S * Math.exp(-q * T) * normalCDF(-d1);
   } else {
     throw new Error('Invalid option type. Use "call" or "put".');
   }
 }
 
 /**
- * Calculate implied volatility using the Newton-Raphson method
+ * Calculate the present value of discrete dividends paid within a horizon
+ * @param {Array} dividends - Array of { time, amount } with time in years from now
+ * @param {number} r - Risk-free interest rate (as a decimal)
+ * @param {number} horizon - Only dividends paid at or before this time count (default all)
+ * @returns {number} - Present value of the dividends
+ */
+function dividendPresentValue(dividends, r, horizon = Infinity) {
+  if (!dividends || dividends.length === 0) return 0;
+  return dividends
+    .filter(dividend => dividend.time > 0 && dividend.time <= horizon)
+    .reduce((sum, dividend) => sum + dividend.amount * Math.exp(-r * dividend.time), 0);
+}
+
+/**
+ * Calculate the escrowed-dividend spot price (stock price less the present
+ * value of discrete dividends paid before expiry)
+ * @param {number} S - Current stock price
+ * @param {Array} dividends - Array of { time, amount } with time in years from now
+ * @param {number} r - Risk-free interest rate (as a decimal)
+ * @param {number} T - Time to expiration in years
+ * @returns {number} - Adjusted spot price
+ */
+function escrowedSpot(S, dividends, r, T) {
+  const adjusted = S - dividendPresentValue(dividends, r, T);
+  if (adjusted <= 0) throw new Error('Dividends exceed the stock price');
+  return adjusted;
+}
+
+/**
+ * Units of each Greek returned by computeGreeks()
+ * "vol point" is a 1 percentage point change in volatility (e.g. 20% -> 21%),
+ * time-based Greeks describe the change as one calendar day passes
+ */
+const GREEK_UNITS = {
+  delta: 'option price change per $1 move in the underlying',
+  gamma: 'delta change per $1 move in the underlying',
+  theta: 'option price change per calendar day',
+  vega: 'option price change per 1 vol point',
+  rho: 'option price change per 1 percentage point move in the risk-free rate',
+  vanna: 'delta change per 1 vol point',
+  charm: 'delta change per calendar day',
+  vomma: 'vega change per 1 vol point',
+  speed: 'gamma change per $1 move in the underlying',
+  color: 'gamma change per calendar day'
+};
+
+// Placeholder Greeks for contracts that fail to price
+const ZERO_GREEKS = Object.freeze(Object.fromEntries(Object.keys(GREEK_UNITS).map(name => [name, 0])));
+
+/**
+ * Calculate first- and second-order Black-Scholes-Merton Greeks
+ * Units are listed in GREEK_UNITS
+ * @param {string} type - Option type: 'call' or 'put'
+ * @param {number} S - Current stock price (escrowed if there are discrete dividends)
+ * @param {number} K - Strike price
+ * @param {number} T - Time to expiration in years
+ * @param {number} r - Risk-free interest rate (as a decimal)
+ * @param {number} v - Volatility (as a decimal)
+ * @param {number} q - Continuous dividend yield (as a decimal, default 0)
+ * @returns {Object} - { delta, gamma, theta, vega, rho, vanna, charm, vomma, speed, color }
+ */
+function computeGreeks(type, S, K, T, r, v, q = 0) {
+  if (type !== 'call' && type !== 'put') throw new Error('Invalid option type. Use "call" or "put".');
+  if (S <= 0) throw new Error('Stock price must be positive');
+  if (K <= 0) throw new Error('Strike price must be positive');
+  if (T <= 0) throw new Error('Time to expiration must be positive');
+  if (v <= 0) throw new Error('Volatility must be positive');
+
+  const sqrtT = Math.sqrt(T);
+  const d1 = (Math.log(S / K) + (r - q + v * v / 2) * T) / (v * sqrtT);
+  const d2 = d1 - v * sqrtT;
+  const pdf = Math.exp(-d1 * d1 / 2) / Math.sqrt(2 * Math.PI);
+  const dividendDiscount = Math.exp(-q * T);
+  const rateDiscount = Math.exp(-r * T);
+  const isCall = type === 'call';
+
+  // Shared by the delta-decay terms of theta, charm and color
+  const driftTerm = (2 * (r - q) * T - d2 * v * sqrtT) / (2 * T * v * sqrtT);
+
+  const delta = isCall
+    ? dividendDiscount * normalCDF(d1)
+    : -dividendDiscount * normalCDF(-d1);
+  const gamma = dividendDiscount * pdf / (S * v * sqrtT);
+  const vega = S * dividendDiscount * pdf * sqrtT;
+
+  const theta = isCall
+    ? -S * dividendDiscount * pdf * v / (2 * sqrtT) - r * K * rateDiscount * normalCDF(d2) + q * S * dividendDiscount * normalCDF(d1)
+    : -S * dividendDiscount * pdf * v / (2 * sqrtT) + r * K * rateDiscount * normalCDF(-d2) - q * S * dividendDiscount * normalCDF(-d1);
+  const rho = isCall
+    ? K * T * rateDiscount * normalCDF(d2)
+    : -K * T * rateDiscount * normalCDF(-d2);
+
+  const vanna = -dividendDiscount * pdf * d2 / v;
+  const charm = isCall
+    ? q * dividendDiscount * normalCDF(d1) - dividendDiscount * pdf * driftTerm
+    : -q * dividendDiscount * normalCDF(-d1) - dividendDiscount * pdf * driftTerm;
+  const vomma = vega * d1 * d2 / v;
+  const speed = -gamma / S * (d1 / (v * sqrtT) + 1);
+  // Negated from dGamma/dT so that, like theta and charm, it follows the passage of time
+  const color = dividendDiscount * pdf / (2 * S * T * v * sqrtT)
+    * (2 * q * T + 1 + (2 * (r - q) * T - d2 * v * sqrtT) / (v * sqrtT) * d1);
+
+  // Scale to per-day and per-point units
+  return {
+    delta,
+    gamma,
+    theta: theta / DAYS_PER_YEAR,
+    vega: vega / 100,
+    rho: rho / 100,
+    vanna: vanna / 100,
+    charm: charm / DAYS_PER_YEAR,
+    vomma: vomma / 10000,
+    speed,
+    color: color / DAYS_PER_YEAR
+  };
+}
+
+// Placeholder probabilities for contracts that fail to price
+const EMPTY_PROBABILITIES = Object.freeze({
+  probabilityITM: null,
+  probabilityOfTouch: null,
+  probabilityOfProfitLong: null,
+  probabilityOfProfitShort: null,
+  breakeven: null
+});
+
+/**
+ * Calculate the risk-neutral probability that the stock finishes above a level
+ * @param {number} S - Current stock price (escrowed if there are discrete dividends)
+ * @param {number} level - Price level
+ * @param {number} T - Time to expiration in years
+ * @param {number} r - Risk-free interest rate (as a decimal)
+ * @param {number} v - Volatility (as a decimal)
+ * @param {number} q - Continuous dividend yield (as a decimal, default 0)
+ * @returns {number} - Probability between 0 and 1
+ */
+function probabilityAbove(S, level, T, r, v, q = 0) {
+  if (level <= 0) return 1;
+  const d2 = (Math.log(S / level) + (r - q - v * v / 2) * T) / (v * Math.sqrt(T));
+  return normalCDF(d2);
+}
+
+/**
+ * Calculate the risk-neutral probability that the stock trades at a level before expiry
+ * Uses the first-passage probability of geometric Brownian motion.
+ * @param {number} S - Current stock price (escrowed if there are discrete dividends)
+ * @param {number} level - Barrier level
+ * @param {number} T - Time to expiration in years
+ * @param {number} r - Risk-free interest rate (as a decimal)
+ * @param {number} v - Volatility (as a decimal)
+ * @param {number} q - Continuous dividend yield (as a decimal, default 0)
+ * @returns {number} - Probability between 0 and 1
+ */
+function probabilityOfTouch(S, level, T, r, v, q = 0) {
+  if (level === S) return 1;
+
+  const drift = r - q - v * v / 2;
+  const distance = Math.log(level / S);
+  const sd = v * Math.sqrt(T);
+  const reflection = Math.exp(2 * drift * distance / (v * v));
+
+  const probability = level > S
+    ? normalCDF((-distance + drift * T) / sd) + reflection * normalCDF((-distance - drift * T) / sd)
+    : normalCDF((distance - drift * T) / sd) + reflection * normalCDF((distance + drift * T) / sd);
+  return Math.min(1, Math.max(0, probability));
+}
+
+/**
+ * Calculate expiry probabilities for a contract
+ * Probabilities are risk-neutral, under the same lognormal model used to price the option.
+ * @param {string} type - Option type: 'call' or 'put'
+ * @param {number} S - Current stock price (escrowed if there are discrete dividends)
+ * @param {number} K - Strike price
+ * @param {number} T - Time to expiration in years
+ * @param {number} r - Risk-free interest rate (as a decimal)
+ * @param {number} v - Volatility (as a decimal)
+ * @param {number} q - Continuous dividend yield (as a decimal)
+ * @param {number} premium - Option price paid by the long side
+ * @returns {Object} - { probabilityITM, probabilityOfTouch, probabilityOfProfitLong, probabilityOfProfitShort, breakeven }
+ */
+function computeProbabilities(type, S, K, T, r, v, q, premium) {
+  if (type !== 'call' && type !== 'put') throw new Error('Invalid option type. Use "call" or "put".');
+  if (S <= 0 || K <= 0 || T <= 0 || v <= 0) throw new Error('Stock price, strike, time and volatility must be positive');
+
+  const isCall = type === 'call';
+  const probabilityITM = isCall ? probabilityAbove(S, K, T, r, v, q) : 1 - probabilityAbove(S, K, T, r, v, q);
+
+  // A strike already crossed counts as touched
+  const touched = isCall ? K <= S : K >= S;
+
+  // The long side profits beyond the strike plus (call) or minus (put) the premium
+  const breakeven = isCall ? K + premium : K - premium;
+  const probabilityOfProfitLong = isCall
+    ? probabilityAbove(S, breakeven, T, r, v, q)
+    : (breakeven > 0 ? 1 - probabilityAbove(S, breakeven, T, r, v, q) : 0);
+
+  return {
+    probabilityITM,
+    probabilityOfTouch: touched ? 1 : probabilityOfTouch(S, K, T, r, v, q),
+    probabilityOfProfitLong,
+    probabilityOfProfitShort: 1 - probabilityOfProfitLong,
+    breakeven
+  };
+}
+
+/**
+ * Calculate the expected move to expiry as lognormal price ranges
+ * The ±1σ and ±2σ ranges hold about 68% and 95% of the terminal price distribution.
+ * @param {number} forward - Forward price for the expiry
+ * @param {number} T - Time to expiration in years
+ * @param {number} v - Volatility (as a decimal)
+ * @returns {Object} - { volatility, oneSigma: { low, high, move }, twoSigma: { low, high, move } }
+ */
+function expectedMove(forward, T, v) {
+  const sd = v * Math.sqrt(T);
+  const median = forward * Math.exp(-sd * sd / 2);
+  const range = sigmas => {
+    const low = median * Math.exp(-sigmas * sd);
+    const high = median * Math.exp(sigmas * sd);
+    return { low, high, move: (high - low) / 2 };
+  };
+
+  return { volatility: v, oneSigma: range(1), twoSigma: range(2) };
+}
+
+/**
+ * Calculate the intrinsic (immediate exercise) value of an option
+ * @param {string} type - Option type: 'call' or 'put'
+ * @param {number} S - Stock price
+ * @param {number} K - Strike price
+ * @returns {number} - Exercise value
+ */
+function intrinsicValue(type, S, K) {
+  return type === 'call' ? Math.max(0, S - K) : Math.max(0, K - S);
+}
+
+/**
+ * Validate the inputs shared by the lattice pricers
  * @param {string} type - Option type: 'call' or 'put'
- * @param {number} marketPrice - Market price of the option
  * @param {number} S - Current stock price
  * @param {number} K - Strike price
  * @param {number} T - Time to expiration in years
+ * @param {number} v - Volatility (as a decimal)
+ * @param {number} steps - Number of time steps in the tree
+ */
+function validateLatticeInputs(type, S, K, T, v, steps) {
+  if (type !== 'call' && type !== 'put') throw new Error('Invalid option type. Use "call" or "put".');
+  if (S <= 0) throw new Error('Stock price must be positive');
+  if (K <= 0) throw new Error('Strike price must be positive');
+  if (T <= 0) throw new Error('Time to expiration must be positive');
+  if (v <= 0) throw new Error('Volatility must be positive');
+  if (!Number.isInteger(steps) || steps < 3) throw new Error('Tree must have at least 3 steps');
+}
+
+/**
+ * Present value at each level of a tree of the discrete dividends still to come
+ * Computed once per level so the backward pass doesn't rebuild it at every node.
+ * @param {Array} dividends - Array of { time, amount } with time in years from now
  * @param {number} r - Risk-free interest rate (as a decimal)
- * @returns {number} - Implied volatility
+ * @param {number} T - Time to expiration in years
+ * @param {number} steps - Number of time steps in the tree
+ * @returns {Array} - PV of the remaining dividends at levels 0 to steps
  */
-function impliedVolatility(type, marketPrice, S, K, T, r) {
-  let v = 0.3; // Initial guess
-  const PRECISION = 0.00001;
-  const MAX_ITERATIONS = 100;
-  
-  for (let i = 0; i < MAX_ITERATIONS; i++) {
-    const price = blackScholes(type, S, K, T, r, v);
-    const diff = marketPrice - price;
-    
-    if (Math.abs(diff) < PRECISION) {
-      return v;
+function dividendsByLevel(dividends, r, T, steps) {
+  const dt = T / steps;
+  const pv = new Array(steps + 1).fill(0);
+  if (dividends.length === 0) return pv;
+  for (let i = 0; i <= steps; i++) {
+    pv[i] = dividendPresentValue(shiftDividends(dividends, i * dt), r, T - i * dt);
+  }
+  return pv;
+}
+
+/**
+ * Price an option on a Cox-Ross-Rubinstein binomial tree
+ * Delta, gamma and theta are read off the first two levels of the tree.
+ * Discrete dividends use the escrowed-dividend model: the tree is built on
+ * the spot less the PV of dividends, which are added back when testing
+ * for early exercise.
+ * @param {string} type - Option type: 'call' or 'put'
+ * @param {number} S - Current stock price
+ * @param {number} K - Strike price
+ * @param {number} T - Time to expiration in years
+ * @param {number} r - Risk-free interest rate (as a decimal)
+ * @param {number} v - Volatility (as a decimal)
+ * @param {Object} options - Tree options
+ * @param {number} options.steps - Number of time steps (default 200)
+ * @param {boolean} options.american - Allow early exercise (default true)
+ * @param {number} options.dividendYield - Continuous dividend yield (default 0)
+ * @param {Array} options.dividends - Discrete dividends as [{ time, amount }] (default none)
+ * @param {boolean} options.european - Also price the European option in the same pass (default false)
+ * @returns {Object} - { price, delta, gamma, theta } with theta per calendar day, plus
+ *   europeanPrice when options.european is set
+ */
+function binomialTree(type, S, K, T, r, v, options = {}) {
+  const steps = options.steps || DEFAULT_TREE_STEPS;
+  const american = options.american !== false;
+  const withEuropean = american && options.european === true;
+  const q = options.dividendYield || 0;
+  const dividends = options.dividends || [];
+  validateLatticeInputs(type, S, K, T, v, steps);
+
+  const dt = T / steps;
+  const u = Math.exp(v * Math.sqrt(dt));
+  const d = 1 / u;
+  const discount = Math.exp(-r * dt);
+  const p = (Math.exp((r - q) * dt) - d) / (u - d);
+
+  if (p <= 0 || p >= 1) {
+    throw new Error('Binomial tree is unstable for these inputs; increase the number of steps');
+  }
+
+  const S0 = escrowedSpot(S, dividends, r, T);
+  // Stock price at node j of level i: escrowed price S0 * u^(2j - i) plus PV of dividends still to come
+  const dividendPV = dividendsByLevel(dividends, r, T, steps);
+  const upSquared = u * u;
+
+  // Option values at expiry, node j has j up-moves
+  const values = new Array(steps + 1);
+  for (let j = 0; j <= steps; j++) {
+    values[j] = intrinsicValue(type, S0 * Math.pow(u, 2 * j - steps), K);
+  }
+  const europeanValues = withEuropean ? values.slice() : null;
+
+  // Keep the first two levels of the tree for the Greeks
+  let level1 = null;
+  let level2 = null;
+
+  for (let i = steps - 1; i >= 0; i--) {
+    let escrowed = S0 * Math.pow(d, i);
+    for (let j = 0; j <= i; j++) {
+      const continuation = discount * (p * values[j + 1] + (1 - p) * values[j]);
+      values[j] = american
+        ? Math.max(continuation, intrinsicValue(type, escrowed + dividendPV[i], K))
+        : continuation;
+      if (withEuropean) {
+        europeanValues[j] = discount * (p * europeanValues[j + 1] + (1 - p) * europeanValues[j]);
+      }
+      escrowed *= upSquared;
     }
-    
-    // Calculate vega (derivative of price with respect to volatility)
-    const d1 = (Math.log(S / K) + (r + v * v / 2) * T) / (v * Math.sqrt(T));
-    const vega = S * Math.sqrt(T) * 0.3989423 * Math.exp(-d1 * d1 / 2);
-    
-    // Update volatility using Newton-Raphson
-    v = v + diff / vega;
-    
-    // Ensure volatility stays positive
-    if (v <= 0) {
-      v = 0.001;
+    if (i === 2) level2 = values.slice(0, 3);
+    if (i === 1) level1 = values.slice(0, 2);
+  }
+
+  const price = values[0];
+  const delta = (level1[1] - level1[0]) / (S0 * u - S0 * d);
+  const gamma = ((level2[2] - level2[1]) / (S0 * u * u - S0) - (level2[1] - level2[0]) / (S0 - S0 * d * d))
+    / (0.5 * (S0 * u * u - S0 * d * d));
+  const theta = (level2[1] - price) / (2 * dt) / DAYS_PER_YEAR;
+
+  const result = { price, delta, gamma, theta };
+  if (withEuropean) result.europeanPrice = europeanValues[0];
+  return result;
+}
+
+/**
+ * Price an option on a Boyle trinomial tree
+ * Delta, gamma and theta are read off the first level of the tree.
+ * Dividends are handled as in binomialTree().
+ * @param {string} type - Option type: 'call' or 'put'
+ * @param {number} S - Current stock price
+ * @param {number} K - Strike price
+ * @param {number} T - Time to expiration in years
+ * @param {number} r - Risk-free interest rate (as a decimal)
+ * @param {number} v - Volatility (as a decimal)
+ * @param {Object} options - Tree options
+ * @param {number} options.steps - Number of time steps (default 200)
+ * @param {boolean} options.american - Allow early exercise (default true)
+ * @param {number} options.dividendYield - Continuous dividend yield (default 0)
+ * @param {Array} options.dividends - Discrete dividends as [{ time, amount }] (default none)
+ * @param {boolean} options.european - Also price the European option in the same pass (default false)
+ * @returns {Object} - { price, delta, gamma, theta } with theta per calendar day, plus
+ *   europeanPrice when options.european is set
+ */
+function trinomialTree(type, S, K, T, r, v, options = {}) {
+  const steps = options.steps || DEFAULT_TREE_STEPS;
+  const american = options.american !== false;
+  const withEuropean = american && options.european === true;
+  const q = options.dividendYield || 0;
+  const dividends = options.dividends || [];
+  validateLatticeInputs(type, S, K, T, v, steps);
+
+  const dt = T / steps;
+  const u = Math.exp(v * Math.sqrt(2 * dt));
+  const discount = Math.exp(-r * dt);
+  const a = Math.exp((r - q) * dt / 2);
+  const b = Math.exp(v * Math.sqrt(dt / 2));
+  const pu = Math.pow((a - 1 / b) / (b - 1 / b), 2);
+  const pd = Math.pow((b - a) / (b - 1 / b), 2);
+  const pm = 1 - pu - pd;
+
+  if (pu <= 0 || pd <= 0 || pm <= 0) {
+    throw new Error('Trinomial tree is unstable for these inputs; increase the number of steps');
+  }
+
+  const S0 = escrowedSpot(S, dividends, r, T);
+  // Stock price at node j of level i: escrowed price S0 * u^(j - i) plus PV of dividends still to come
+  const dividendPV = dividendsByLevel(dividends, r, T, steps);
+
+  // Option values at expiry, node j sits at S0 * u^(j - steps)
+  const values = new Array(2 * steps + 1);
+  for (let j = 0; j <= 2 * steps; j++) {
+    values[j] = intrinsicValue(type, S0 * Math.pow(u, j - steps), K);
+  }
+  const europeanValues = withEuropean ? values.slice() : null;
+
+  let level1 = null;
+
+  for (let i = steps - 1; i >= 0; i--) {
+    let escrowed = S0 * Math.pow(u, -i);
+    for (let j = 0; j <= 2 * i; j++) {
+      const continuation = discount * (pu * values[j + 2] + pm * values[j + 1] + pd * values[j]);
+      values[j] = american
+        ? Math.max(continuation, intrinsicValue(type, escrowed + dividendPV[i], K))
+        : continuation;
+      if (withEuropean) {
+        europeanValues[j] = discount * (pu * europeanValues[j + 2] + pm * europeanValues[j + 1] + pd * europeanValues[j]);
+      }
+      escrowed *= u;
     }
+    if (i === 1) level1 = values.slice(0, 3);
   }
-  
-  // If we reached maximum iterations without converging
-  return v;
+
+  const price = values[0];
+  const delta = (level1[2] - level1[0]) / (S0 * u - S0 / u);
+  const gamma = ((level1[2] - level1[1]) / (S0 * u - S0) - (level1[1] - level1[0]) / (S0 - S0 / u))
+    / (0.5 * (S0 * u - S0 / u));
+  const theta = (level1[1] - price) / dt / DAYS_PER_YEAR;
+
+  const result = { price, delta, gamma, theta };
+  if (withEuropean) result.europeanPrice = europeanValues[0];
+  return result;
+}
+
+/**
+ * Re-time discrete dividends relative to a later point in the tree
+ * @param {Array} dividends - Array of { time, amount } with time in years from now
+ * @param {number} elapsed - Years elapsed since now
+ * @returns {Array} - Dividends still to be paid, timed from the later point
+ */
+function shiftDividends(dividends, elapsed) {
+  if (dividends.length === 0) return dividends;
+  return dividends.map(dividend => ({ time: dividend.time - elapsed, amount: dividend.amount }));
+}
+
+/**
+ * Price an American option on a lattice, including tree-derived Greeks
+ * Vega and rho are found by re-running the tree with bumped inputs.
+ * The early-exercise premium is measured against the European price from
+ * the same pass over the lattice, so discretisation error cancels out.
+ * @param {string} model - Lattice model: 'binomial' or 'trinomial'
+ * @param {string} type - Option type: 'call' or 'put'
+ * @param {number} S - Current stock price
+ * @param {number} K - Strike price
+ * @param {number} T - Time to expiration in years
+ * @param {number} r - Risk-free interest rate (as a decimal)
+ * @param {number} v - Volatility (as a decimal)
+ * @param {Object} options - Tree options, see binomialTree()
+ * @returns {Object} - { price, delta, gamma, theta, vega, rho, earlyExercisePremium }
+ */
+function americanOption(model, type, S, K, T, r, v, options = {}) {
+  let tree;
+  if (model === 'binomial') {
+    tree = binomialTree;
+  } else if (model === 'trinomial') {
+    tree = trinomialTree;
+  } else {
+    throw new Error(`Unknown lattice model "${model}". Use "binomial" or "trinomial".`);
+  }
+
+  const { europeanPrice, ...result } = tree(type, S, K, T, r, v, { ...options, european: true });
+
+  // Central differences; vega per 1 vol point and rho per 1% rate change
+  const volBump = Math.min(0.01, v / 2);
+  const vega = (tree(type, S, K, T, r, v + volBump, options).price
+    - tree(type, S, K, T, r, v - volBump, options).price) / (2 * volBump) / 100;
+  const rateBump = 0.001;
+  const rho = (tree(type, S, K, T, r + rateBump, v, options).price
+    - tree(type, S, K, T, r - rateBump, v, options).price) / (2 * rateBump) / 100;
+
+  return {
+    ...result,
+    vega,
+    rho,
+    earlyExercisePremium: Math.max(0, result.price - europeanPrice)
+  };
+}
+
+/**
+ * Solve for implied volatility with a safeguarded Newton-Raphson method
+ * The root is kept inside a [low, high] volatility bracket; whenever a Newton
+ * step would leave the bracket or vega is too small to trust, the solver
+ * falls back to bisection. Prices outside the no-arbitrage bounds are
+ * rejected before iterating.
+ * @param {string} type - Option type: 'call' or 'put'
+ * @param {number} marketPrice - Market price of the option
+ * @param {number} S - Current stock price (escrowed if there are discrete dividends)
+ * @param {number} K - Strike price
+ * @param {number} T - Time to expiration in years
+ * @param {number} r - Risk-free interest rate (as a decimal)
+ * @param {number} q - Continuous dividend yield (as a decimal, default 0)
+ * @returns {Object} - { volatility, status, iterations, message } where status is one of
+ *   'converged', 'below-lower-bound', 'above-upper-bound', 'out-of-range', 'not-converged', 'invalid-input'
+ */
+function solveImpliedVolatility(type, marketPrice, S, K, T, r, q = 0) {
+  const result = (status, volatility = null, iterations = 0, message = null) => ({ volatility, status, iterations, message });
+
+  if (type !== 'call' && type !== 'put') return result('invalid-input', null, 0, 'Invalid option type. Use "call" or "put".');
+  if (!(marketPrice > 0)) return result('invalid-input', null, 0, 'Option price must be positive');
+  if (!(S > 0)) return result('invalid-input', null, 0, 'Stock price must be positive');
+  if (!(K > 0)) return result('invalid-input', null, 0, 'Strike price must be positive');
+  if (!(T > 0)) return result('invalid-input', null, 0, 'Time to expiration must be positive');
+
+  // No-arbitrage bounds for a European option
+  const forwardStock = S * Math.exp(-q * T);
+  const discountedStrike = K * Math.exp(-r * T);
+  const lowerBound = type === 'call'
+    ? Math.max(0, forwardStock - discountedStrike)
+    : Math.max(0, discountedStrike - forwardStock);
+  const upperBound = type === 'call' ? forwardStock : discountedStrike;
+
+  if (marketPrice <= lowerBound) {
+    return result('below-lower-bound', null, 0,
+      `Price ${marketPrice} is at or below the no-arbitrage lower bound ${lowerBound.toFixed(4)}`);
+  }
+  if (marketPrice >= upperBound) {
+    return result('above-upper-bound', null, 0,
+      `Price ${marketPrice} is at or above the no-arbitrage upper bound ${upperBound.toFixed(4)}`);
+  }
+
+  let low = IV_MIN;
+  let high = IV_MAX;
+  const priceError = v => blackScholes(type, S, K, T, r, v, q) - marketPrice;
+
+  if (priceError(low) > 0 || priceError(high) < 0) {
+    return result('out-of-range', null, 0,
+      `Implied volatility lies outside ${IV_MIN * 100}%-${IV_MAX * 100}%`);
+  }
+
+  // Start from the Brenner-Subrahmanyam approximation, clamped to the bracket
+  let v = Math.sqrt(2 * Math.PI / T) * marketPrice / S;
+  if (!(v > low && v < high)) v = 0.3;
+
+  // Relative tolerance so far out-of-the-money quotes are still solved accurately
+  const tolerance = Math.min(IV_PRICE_TOLERANCE, marketPrice * 1e-6);
+
+  for (let i = 1; i <= IV_MAX_ITERATIONS; i++) {
+    const diff = priceError(v);
+
+    if (Math.abs(diff) < tolerance) {
+      return result('converged', v, i);
+    }
+
+    // Tighten the bracket: price increases with volatility
+    if (diff < 0) {
+      low = v;
+    } else {
+      high = v;
+    }
+
+    if (high - low < IV_VOL_TOLERANCE) {
+      return result('converged', (low + high) / 2, i);
+    }
+
+    // Vega per unit of volatility (not per vol point)
+    const vega = computeGreeks(type, S, K, T, r, v, q).vega * 100;
+    const newtonStep = vega > 1e-10 ? v - diff / vega : NaN;
+
+    v = newtonStep > low && newtonStep < high ? newtonStep : (low + high) / 2;
+  }
+
+  return result('not-converged', v, IV_MAX_ITERATIONS,
+    `No convergence after ${IV_MAX_ITERATIONS} iterations`);
+}
+
+/**
+ * Calculate implied volatility
+ * @param {string} type - Option type: 'call' or 'put'
+ * @param {number} marketPrice - Market price of the option
+ * @param {number} S - Current stock price
+ * @param {number} K - Strike price
+ * @param {number} T - Time to expiration in years
+ * @param {number} r - Risk-free interest rate (as a decimal)
+ * @param {number} q - Continuous dividend yield (as a decimal, default 0)
+ * @returns {number} - Implied volatility
+ * @throws {Error} - If the solver does not converge, see solveImpliedVolatility()
+ */
+function impliedVolatility(type, marketPrice, S, K, T, r, q = 0) {
+  const solution = solveImpliedVolatility(type, marketPrice, S, K, T, r, q);
+  if (solution.status !== 'converged') {
+    throw new Error(`Implied volatility not found (${solution.status}): ${solution.message}`);
+  }
+  return solution.volatility;
 }
 
 /**
@@ -147,139 +715,310 @@ function calculateHistoricalVolatility(prices, period = 30) {
   return dailyVolatility * Math.sqrt(DAYS_PER_YEAR);
 }
 
+// Greeks measured per day of T, rescaled when T is not on a 365-day year
+const TIME_GREEKS = ['theta', 'charm', 'color'];
+
 /**
- * Generate an option chain with various strikes and expirations
+ * Price one contract with any of the supported models
+ * Black-Scholes uses the escrowed spot (spot less the present value of discrete
+ * dividends) with Merton's continuous yield; the lattices model both directly.
+ * @param {string} model - 'black-scholes', 'binomial' or 'trinomial'
+ * @param {string} type - Option type: 'call' or 'put'
+ * @param {number} S - Current stock price
+ * @param {number} K - Strike price
+ * @param {number} T - Time to expiration in years
+ * @param {number} r - Risk-free interest rate (as a decimal)
+ * @param {number} v - Volatility (as a decimal)
+ * @param {Object} options - Pricing options
+ * @param {number} options.dividendYield - Continuous dividend yield (default 0)
+ * @param {Array} options.dividends - Discrete dividends before expiry as [{ time, amount }] (default none)
+ * @param {boolean} options.greeks - Also compute Greeks (default true); false prices only
+ * @param {number} options.daysPerYear - Days in a year of T, e.g. 252 for trading-day time (default 365)
+ * @returns {Object} - { price, greeks, earlyExercisePremium } where greeks is null if not requested
+ */
+function priceContract(model, type, S, K, T, r, v, options = {}) {
+  const { dividendYield = 0, dividends = [], greeks: withGreeks = true, daysPerYear = DAYS_PER_YEAR } = options;
+  const spot = S - dividendPresentValue(dividends, r);
+
+  if (model === 'black-scholes') {
+    const price = blackScholes(type, spot, K, T, r, v, dividendYield);
+    if (!withGreeks) return { price, greeks: null, earlyExercisePremium: 0 };
+
+    const greeks = computeGreeks(type, spot, K, T, r, v, dividendYield);
+    TIME_GREEKS.forEach(name => { greeks[name] *= DAYS_PER_YEAR / daysPerYear; });
+    return { price, greeks, earlyExercisePremium: 0 };
+  }
+
+  const treeOptions = { dividendYield, dividends };
+  if (!withGreeks) {
+    const tree = model === 'binomial' ? binomialTree : trinomialTree;
+    return { price: tree(type, S, K, T, r, v, treeOptions).price, greeks: null, earlyExercisePremium: 0 };
+  }
+
+  // American-style pricing on a lattice; first-order Greeks come from the tree,
+  // second-order Greeks stay on the Black-Scholes-Merton approximation
+  const tree = americanOption(model, type, S, K, T, r, v, treeOptions);
+  const greeks = {
+    ...computeGreeks(type, spot, K, T, r, v, dividendYield),
+    delta: tree.delta,
+    gamma: tree.gamma,
+    theta: tree.theta,
+    vega: tree.vega,
+    rho: tree.rho
+  };
+  TIME_GREEKS.forEach(name => { greeks[name] *= DAYS_PER_YEAR / daysPerYear; });
+  return { price: tree.price, greeks, earlyExercisePremium: tree.earlyExercisePremium };
+}
+
+// Strike grid defaults and limits: strikes per expiry, and strikes across a whole chain.
+// Lattice models run several trees per contract, so their chains are capped lower
+const DEFAULT_STRIKE_COUNT = 11;
+const MAX_STRIKES = 201;
+const MAX_CHAIN_STRIKES = 2500;
+const MAX_LATTICE_CHAIN_STRIKES = 400;
+
+// Exchange-style strike increments by underlying price, lowest tier first
+const STRIKE_INCREMENTS = [
+  { below: 5, step: 0.5 },
+  { below: 25, step: 1 },
+  { below: 100, step: 2.5 },
+  { below: 200, step: 5 },
+  { below: 1000, step: 10 },
+  { below: 3000, step: 25 },
+  { below: Infinity, step: 50 }
+];
+
+/**
+ * Pick an exchange-style strike increment for an underlying price
+ * @param {number} price - Current stock price
+ * @returns {number} - Strike increment
+ */
+function defaultStrikeStep(price) {
+  return STRIKE_INCREMENTS.find(tier => price < tier.below).step;
+}
+
+/**
+ * Validate the strike grid settings for a chain
+ * Strikes are either a fixed count around the money, every strike inside a
+ * moneyness (strike / spot) range, or every strike inside a call delta range.
+ * @param {Object} settings - Any of strikeStep, strikeCount, minMoneyness, maxMoneyness,
+ *   minDelta, maxDelta; values may be strings
+ * @returns {Object} - { strikeStep, strikeCount, moneyness, delta } where strikeStep is null
+ *   for the price-based default and moneyness/delta are { min, max } or null
+ */
+function resolveStrikeGrid(settings = {}) {
+  const read = name => (settings[name] === undefined || settings[name] === '' ? null : parseFloat(settings[name]));
+  const range = (minName, maxName, lower, upper) => {
+    const min = read(minName);
+    const max = read(maxName);
+    if (min === null && max === null) return null;
+    if (min === null || max === null || !(min > lower) || !(max > min) || !(max < upper)) {
+      throw new Error(`${minName} and ${maxName} must be given together with ${lower} < ${minName} < ${maxName}${isFinite(upper) ? ` < ${upper}` : ''}`);
+    }
+    return { min, max };
+  };
+
+  const strikeStep = read('strikeStep');
+  if (strikeStep !== null && !(strikeStep > 0)) {
+    throw new Error('strikeStep must be positive');
+  }
+
+  const strikeCount = read('strikeCount') === null ? DEFAULT_STRIKE_COUNT : read('strikeCount');
+  if (!Number.isInteger(strikeCount) || strikeCount < 1 || strikeCount > MAX_STRIKES) {
+    throw new Error(`strikeCount must be an integer between 1 and ${MAX_STRIKES}`);
+  }
+
+  const moneyness = range('minMoneyness', 'maxMoneyness', 0, Infinity);
+  const delta = range('minDelta', 'maxDelta', 0, 1);
+  if (moneyness && delta) {
+    throw new Error('Use either a moneyness range or a delta range, not both');
+  }
+
+  return { strikeStep, strikeCount, moneyness, delta };
+}
+
+/**
+ * Round a strike to the cent to remove floating point noise from the grid
+ * @param {number} strike - Strike price
+ * @returns {number} - Rounded strike
+ */
+function roundStrike(strike) {
+  return Math.round(strike * 100) / 100;
+}
+
+/**
+ * Generate the strikes for one expiry, highest first
  * @param {number} currentPrice - Current stock price
- * @param {number} volatility - Historical volatility
- * @param {number} riskFreeRate - Risk-free interest rate (as a decimal)
- * @param {Array} daysToExpiration - Array of days to expiration
- * @param {number} strikePriceCount - Number of strike prices to generate
- * @param {number} strikePriceStep - Step size between strike prices
- * @returns {Object} - Option chain with calls and puts
+ * @param {Object} grid - Strike grid from resolveStrikeGrid()
+ * @param {Object} expiry - { spot, forward, timeToExpiry, riskFreeRate, dividendYield, volatilityFor },
+ *   only used for delta ranges
+ * @returns {Array} - Strike prices
  */
-function generateOptionChain(currentPrice, volatility, riskFreeRate, daysToExpiration, strikePriceCount = 10, strikePriceStep = 5) {
-  // Input validation
+function generateStrikes(currentPrice, grid, expiry) {
+  const step = grid.strikeStep || defaultStrikeStep(currentPrice);
+  const baseStrike = Math.round(currentPrice / step) * step;
+  const strikes = [];
+
+  if (grid.moneyness) {
+    const low = Math.max(step, Math.ceil(currentPrice * grid.moneyness.min / step) * step);
+    const high = Math.floor(currentPrice * grid.moneyness.max / step) * step;
+    if ((high - low) / step + 1 > MAX_STRIKES) {
+      throw new Error(`Moneyness range gives more than ${MAX_STRIKES} strikes; narrow it or raise strikeStep`);
+    }
+    for (let strike = low; strike <= high + step / 2; strike += step) strikes.push(strike);
+  } else if (grid.delta) {
+    // Walk out from the money in both directions; call delta falls as the strike rises
+    const { spot, forward, timeToExpiry, riskFreeRate, dividendYield, volatilityFor } = expiry;
+    const callDelta = strike => computeGreeks(
+      'call', spot, strike, timeToExpiry, riskFreeRate, volatilityFor(strike, forward), dividendYield
+    ).delta;
+
+    for (let i = 0, strike = baseStrike; i < MAX_STRIKES && strike > 0; i++, strike -= step) {
+      const delta = callDelta(strike);
+      if (delta > grid.delta.max) break;
+      if (delta >= grid.delta.min) strikes.push(strike);
+    }
+    for (let i = 0, strike = baseStrike + step; i < MAX_STRIKES; i++, strike += step) {
+      const delta = callDelta(strike);
+      if (delta < grid.delta.min) break;
+      if (delta <= grid.delta.max) strikes.push(strike);
+    }
+    if (strikes.length > MAX_STRIKES) {
+      throw new Error(`Delta range gives more than ${MAX_STRIKES} strikes; narrow it or raise strikeStep`);
+    }
+  } else {
+    const below = Math.floor(grid.strikeCount / 2);
+    for (let i = -below; i < grid.strikeCount - below; i++) {
+      const strike = baseStrike + i * step;
+      if (strike > 0) strikes.push(strike);
+    }
+  }
+
+  return strikes.map(roundStrike).sort((a, b) => b - a);
+}
+
+/**
+ * Generate an option chain for a set of expirations
+ * Each expiry is priced off the escrowed spot (spot less the present value of
+ * discrete dividends before expiry) with Merton's continuous dividend yield,
+ * and each strike takes its own volatility from volatilityFor.
+ * @param {number} currentPrice - Current stock price
+ * @param {Array} expiries - Array of { key, timeToExpiry, riskFreeRate, dividendYield, dividends,
+ *   volatilityFor, details } where dividends are [{ time, amount }] paid before expiry,
+ *   volatilityFor(strike, forward) returns the volatility for a strike and details
+ *   are extra fields copied onto the expiry in the chain
+ * @param {Object} options - Chain options
+ * @param {string} options.model - 'black-scholes' (default), 'binomial' or 'trinomial'
+ * @param {Object} options.strikeGrid - Strike grid from resolveStrikeGrid() (default 11 strikes)
+ * @param {number} options.daysPerYear - Days in a year of T, e.g. 252 for trading-day time (default 365)
+ * @returns {Object} - Option chain keyed by expiry key, each with calls and puts
+ */
+function generateOptionChain(currentPrice, expiries, options = {}) {
+  const { model = 'black-scholes', strikeGrid = resolveStrikeGrid(), daysPerYear = DAYS_PER_YEAR } = options;
+
   if (currentPrice <= 0) {
     throw new Error('Current price must be positive');
   }
-  
-  // Ensure volatility is positive and reasonable
-  if (volatility <= 0 || !isFinite(volatility)) {
-    console.warn('Invalid volatility value, using default');
-    volatility = 0.3; // Default to 30% if volatility calculation failed
-  }
-  
-  // Cap volatility at a reasonable maximum
-  if (volatility > 2) {
-    console.warn('Unusually high volatility capped at 200%');
-    volatility = 2; // Cap at 200%
+
+  // Lay out every expiry's strikes first, so an oversized chain fails before any pricing
+  const layouts = expiries.map(expiry => {
+    const { timeToExpiry, riskFreeRate, dividendYield = 0, dividends = [], volatilityFor } = expiry;
+    const dividendPV = dividendPresentValue(dividends, riskFreeRate);
+
+    // Escrowed-dividend spot: remove the PV of dividends paid before expiry
+    const spot = currentPrice - dividendPV;
+    const forward = spot * Math.exp((riskFreeRate - dividendYield) * timeToExpiry);
+    const strikes = generateStrikes(currentPrice, strikeGrid, {
+      spot, forward, timeToExpiry, riskFreeRate, dividendYield, volatilityFor
+    });
+    return { expiry, dividendPV, spot, forward, strikes };
+  });
+
+  const maxStrikes = model === 'black-scholes' ? MAX_CHAIN_STRIKES : MAX_LATTICE_CHAIN_STRIKES;
+  const totalStrikes = layouts.reduce((total, layout) => total + layout.strikes.length, 0);
+  if (totalStrikes > maxStrikes) {
+    throw new Error(`The chain has ${totalStrikes} strikes across its expiries; the ${model} model prices at most ${maxStrikes}. Narrow the strike range or raise strikeStep`);
   }
 
   const optionChain = {};
-  
-  // Calculate strike prices (centered around current price)
-  const strikes = [];
-  const baseStrike = Math.round(currentPrice / strikePriceStep) * strikePriceStep; // Round to nearest step
-  
-  for (let i = -Math.floor(strikePriceCount / 2); i <= Math.floor(strikePriceCount / 2); i++) {
-    strikes.push(baseStrike + i * strikePriceStep);
-  }
-  
-  // Generate option data for each expiration date
-  daysToExpiration.forEach(days => {
-    const expiry = days;
-    const timeToExpiry = days / DAYS_PER_YEAR;
-    
+
+  layouts.forEach(({ expiry, dividendPV, spot, forward, strikes }) => {
+    const { key, timeToExpiry, riskFreeRate, dividendYield = 0, dividends = [], volatilityFor, details = {} } = expiry;
+    const pricingOptions = { dividendYield, dividends, daysPerYear };
+
     const expiryData = {
+      ...details,
+      forward,
+      dividendPV,
+      riskFreeRate,
+      // Expected move from the at-the-money-forward volatility
+      expectedMove: expectedMove(forward, timeToExpiry, volatilityFor(forward, forward)),
       calls: [],
       puts: []
     };
-    
-    // Calculate option prices for each strike
+
     strikes.forEach(strike => {
-      try {
-        const callPrice = blackScholes('call', currentPrice, strike, timeToExpiry, riskFreeRate, volatility);
-        const putPrice = blackScholes('put', currentPrice, strike, timeToExpiry, riskFreeRate, volatility);
-        
-        // Calculate Greeks
-        const d1 = (Math.log(currentPrice / strike) + (riskFreeRate + volatility * volatility / 2) * timeToExpiry) / (volatility * Math.sqrt(timeToExpiry));
-        const d2 = d1 - volatility * Math.sqrt(timeToExpiry);
-        
-        const callDelta = normalCDF(d1);
-        const putDelta = callDelta - 1;
-        
-        const gamma = 0.3989423 * Math.exp(-d1 * d1 / 2) / (currentPrice * volatility * Math.sqrt(timeToExpiry));
-        
-        const theta = -currentPrice * volatility * 0.3989423 * Math.exp(-d1 * d1 / 2) / (2 * Math.sqrt(timeToExpiry)) 
-          - riskFreeRate * strike * Math.exp(-riskFreeRate * timeToExpiry);
-        const callTheta = theta / DAYS_PER_YEAR;
-        const putTheta = (theta + riskFreeRate * strike * Math.exp(-riskFreeRate * timeToExpiry)) / DAYS_PER_YEAR;
-        
-        const vega = currentPrice * Math.sqrt(timeToExpiry) * 0.3989423 * Math.exp(-d1 * d1 / 2) / 100; // Divided by 100 to get per 1% change
-        
-        const callRho = strike * timeToExpiry * Math.exp(-riskFreeRate * timeToExpiry) * normalCDF(d2) / 100; // Divided by 100 to get per 1% change
-        const putRho = -strike * timeToExpiry * Math.exp(-riskFreeRate * timeToExpiry) * normalCDF(-d2) / 100;
-        
-        // Add call option
-        expiryData.calls.push({
-          strike,
-          price: callPrice,
-          delta: callDelta,
-          gamma,
-          theta: callTheta,
-          vega,
-          rho: callRho,
-          inTheMoney: currentPrice > strike
-        });
-        
-        // Add put option
-        expiryData.puts.push({
-          strike,
-          price: putPrice,
-          delta: putDelta,
-          gamma,
-          theta: putTheta,
-          vega,
-          rho: putRho,
-          inTheMoney: currentPrice < strike
-        });
-      } catch (error) {
-        console.error(`Error calculating option for strike ${strike}: ${error.message}`);
-        // Add placeholder data to avoid breaking the chain
-        expiryData.calls.push({
-          strike,
-          price: 0,
-          delta: 0,
-          gamma: 0,
-          theta: 0,
-          vega: 0,
-          rho: 0,
-          inTheMoney: false
-        });
-        
-        expiryData.puts.push({
-          strike,
-          price: 0,
-          delta: 0,
-          gamma: 0,
-          theta: 0,
-          vega: 0,
-          rho: 0,
-          inTheMoney: false
-        });
-      }
+      const strikeVol = volatilityFor(strike, forward);
+
+      ['call', 'put'].forEach(type => {
+        const contracts = type === 'call' ? expiryData.calls : expiryData.puts;
+
+        try {
+          const contract = priceContract(model, type, currentPrice, strike, timeToExpiry, riskFreeRate, strikeVol, pricingOptions);
+          const { greeks, earlyExercisePremium } = contract;
+          const price = Math.max(0.01, contract.price);
+          contracts.push({
+            strike,
+            price,
+            impliedVolatility: strikeVol,
+            ...greeks,
+            ...computeProbabilities(type, spot, strike, timeToExpiry, riskFreeRate, strikeVol, dividendYield, price),
+            earlyExercisePremium,
+            inTheMoney: type === 'call' ? currentPrice > strike : currentPrice < strike
+          });
+        } catch (error) {
+          console.error(`Error calculating ${type} for strike ${strike}: ${error.message}`);
+          // Add placeholder data to avoid breaking the chain
+          contracts.push({
+            strike,
+            price: 0.01,
+            impliedVolatility: strikeVol,
+            ...ZERO_GREEKS,
+            ...EMPTY_PROBABILITIES,
+            earlyExercisePremium: 0,
+            inTheMoney: false
+          });
+        }
+      });
     });
-    
-    optionChain[expiry] = expiryData;
+
+    optionChain[key] = expiryData;
   });
-  
+
   return optionChain;
 }
 
 module.exports = {
   blackScholes,
+  binomialTree,
+  trinomialTree,
+  americanOption,
+  escrowedSpot,
+  dividendPresentValue,
+  computeGreeks,
+  GREEK_UNITS,
+  ZERO_GREEKS,
+  TIME_GREEKS,
+  priceContract,
+  computeProbabilities,
+  probabilityOfTouch,
+  expectedMove,
   impliedVolatility,
+  solveImpliedVolatility,
   calculateHistoricalVolatility,
+  defaultStrikeStep,
+  resolveStrikeGrid,
+  generateStrikes,
   generateOptionChain,
   normalCDF
 }; 
\ No newline at end of file
@@ -0,0 +1,368 @@
+/**
+ * Position Service
+ * Stores the option and stock positions book in the database, marks positions
+ * to the pricing model and aggregates portfolio Greeks beta-weighted to a benchmark
+ */
+
+const path = require('path');
+const sqlite3 = require('sqlite3').verbose();
+const { promisify } = require('util');
+const marketCalendar = require('./marketCalendar');
+const { CONTRACT_MULTIPLIER } = require('./strategyCalc');
+
+// Database connection
+const dbPath = path.join(__dirname, 'db/stockdata.db');
+const db = new sqlite3.Database(dbPath);
+
+// Promisify database operations for easier async/await usage
+const dbAll = promisify(db.all.bind(db));
+const dbGet = promisify(db.get.bind(db));
+
+// db.run reports the inserted row id and the number of changed rows on `this`
+const dbRun = (sql, params = []) => new Promise((resolve, reject) => {
+  db.run(sql, params, function onRun(err) {
+    if (err) {
+      reject(err);
+      return;
+    }
+    resolve({ lastID: this.lastID, changes: this.changes });
+  });
+});
+
+const POSITION_TYPES = ['call', 'put', 'stock'];
+const POSITION_SIDES = ['long', 'short'];
+
+// Benchmark the portfolio Greeks are beta-weighted to, and the history used for beta
+const DEFAULT_BENCHMARK = 'SPY';
+const BETA_LOOKBACK_DAYS = 252;
+const MIN_BETA_OBSERVATIONS = 20;
+
+// Create the positions table next to stock_prices if it doesn't exist yet
+const tableReady = dbRun(`CREATE TABLE IF NOT EXISTS positions (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  ticker TEXT NOT NULL,
+  type TEXT NOT NULL,
+  side TEXT NOT NULL,
+  quantity REAL NOT NULL,
+  strike REAL,
+  expiry TEXT,
+  entry_price REAL NOT NULL,
+  opened_at TEXT NOT NULL,
+  notes TEXT,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+)`);
+
+/**
+ * Validate and normalise a position
+ * Unlike strategy legs, positions may hold options that have already expired.
+ * @param {Object} fields - { ticker, type, side, quantity, strike, expiry, entryPrice, openedAt, notes }
+ *   where quantity counts contracts (or shares for stock) and entryPrice is per share
+ * @returns {Object} - Normalised position fields
+ */
+function validatePosition(fields) {
+  const ticker = String(fields.ticker || '').trim().toUpperCase();
+  const type = String(fields.type || '').toLowerCase();
+  const side = String(fields.side || 'long').toLowerCase();
+  const quantity = parseFloat(fields.quantity);
+  const entryPrice = parseFloat(fields.entryPrice);
+  const openedAt = fields.openedAt || marketCalendar.formatDay(marketCalendar.toDay(new Date()));
+
+  if (!/^[A-Z0-9.^-]{1,10}$/.test(ticker)) {
+    throw new Error('ticker must be a stock symbol such as SPY');
+  }
+  if (!POSITION_TYPES.includes(type)) {
+    throw new Error(`type must be one of ${POSITION_TYPES.join(', ')}`);
+  }
+  if (!POSITION_SIDES.includes(side)) {
+    throw new Error('side must be "long" or "short"');
+  }
+  if (!(quantity > 0)) {
+    throw new Error('quantity must be positive');
+  }
+  if (!(entryPrice >= 0)) {
+    throw new Error('entryPrice must be a non-negative price per share');
+  }
+  if (!marketCalendar.isIsoDate(openedAt)) {
+    throw new Error('openedAt must be a date in YYYY-MM-DD form');
+  }
+
+  const position = {
+    ticker,
+    type,
+    side,
+    quantity,
+    strike: null,
+    expiry: null,
+    entryPrice,
+    openedAt,
+    notes: fields.notes ? String(fields.notes) : null
+  };
+
+  if (type !== 'stock') {
+    position.strike = parseFloat(fields.strike);
+    if (!(position.strike > 0)) {
+      throw new Error('strike must be positive for option positions');
+    }
+    if (!marketCalendar.isIsoDate(fields.expiry)) {
+      throw new Error('expiry must be a date in YYYY-MM-DD form for option positions');
+    }
+    position.expiry = fields.expiry;
+  }
+
+  return position;
+}
+
+/**
+ * Convert a database row to a position
+ * @param {Object} row - Row from the positions table
+ * @returns {Object} - Position
+ */
+function rowToPosition(row) {
+  return {
+    id: row.id,
+    ticker: row.ticker,
+    type: row.type,
+    side: row.side,
+    quantity: row.quantity,
+    strike: row.strike,
+    expiry: row.expiry,
+    entryPrice: row.entry_price,
+    openedAt: row.opened_at,
+    notes: row.notes,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+/**
+ * Get every position, grouped by ticker
+ * @returns {Promise<Array>} - Array of positions
+ */
+async function listPositions() {
+  await tableReady;
+  const rows = await dbAll('SELECT * FROM positions ORDER BY ticker, expiry, strike, id');
+  return rows.map(rowToPosition);
+}
+
+/**
+ * Get one position
+ * @param {number} id - Position id
+ * @returns {Promise<Object|null>} - The position, or null if there is none with this id
+ */
+async function getPosition(id) {
+  await tableReady;
+  const row = await dbGet('SELECT * FROM positions WHERE id = ?', [id]);
+  return row ? rowToPosition(row) : null;
+}
+
+/**
+ * Add a position
+ * @param {Object} fields - Position fields, see validatePosition()
+ * @returns {Promise<Object>} - The stored position
+ */
+async function createPosition(fields) {
+  const position = validatePosition(fields);
+  await tableReady;
+
+  const { lastID } = await dbRun(
+    `INSERT INTO positions (ticker, type, side, quantity, strike, expiry, entry_price, opened_at, notes)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [position.ticker, position.type, position.side, position.quantity, position.strike,
+      position.expiry, position.entryPrice, position.openedAt, position.notes]
+  );
+  return getPosition(lastID);
+}
+
+/**
+ * Update a position with any subset of its fields
+ * @param {number} id - Position id
+ * @param {Object} changes - Fields to change, see validatePosition()
+ * @returns {Promise<Object|null>} - The updated position, or null if there is none with this id
+ */
+async function updatePosition(id, changes) {
+  const existing = await getPosition(id);
+  if (!existing) return null;
+
+  const position = validatePosition({ ...existing, ...changes });
+  await dbRun(
+    `UPDATE positions SET ticker = ?, type = ?, side = ?, quantity = ?, strike = ?, expiry = ?,
+     entry_price = ?, opened_at = ?, notes = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+    [position.ticker, position.type, position.side, position.quantity, position.strike,
+      position.expiry, position.entryPrice, position.openedAt, position.notes, id]
+  );
+  return getPosition(id);
+}
+
+/**
+ * Delete a position
+ * @param {number} id - Position id
+ * @returns {Promise<boolean>} - True if a position was deleted
+ */
+async function deletePosition(id) {
+  await tableReady;
+  const { changes } = await dbRun('DELETE FROM positions WHERE id = ?', [id]);
+  return changes > 0;
+}
+
+/**
+ * Signed number of shares a position controls: positive long, negative short
+ * @param {Object} position - Position
+ * @returns {number} - Signed share count
+ */
+function positionUnits(position) {
+  const multiplier = position.type === 'stock' ? 1 : CONTRACT_MULTIPLIER;
+  return (position.side === 'long' ? 1 : -1) * position.quantity * multiplier;
+}
+
+/**
+ * Check whether an option position has expired
+ * @param {Object} position - Position
+ * @param {string} today - Valuation day as YYYY-MM-DD
+ * @returns {boolean} - True for options whose expiry is before today
+ */
+function isExpired(position, today) {
+  return position.type !== 'stock' && position.expiry < today;
+}
+
+/**
+ * Attach the mark, market value, unrealized P&L and position Greeks to a position
+ * @param {Object} position - Position
+ * @param {Object} mark - { spot, price, greeks } where price is the model value per share
+ *   and greeks are position Greeks; expired options are marked at intrinsic value
+ * @returns {Object} - Marked position
+ */
+function markPosition(position, { spot, price, greeks }) {
+  const units = positionUnits(position);
+  const costBasis = units * position.entryPrice;
+  const marketValue = units * price;
+
+  return {
+    ...position,
+    spot,
+    mark: price,
+    marketValue,
+    costBasis,
+    unrealizedPnl: marketValue - costBasis,
+    unrealizedPnlPercent: costBasis !== 0 ? (marketValue - costBasis) / Math.abs(costBasis) : null,
+    greeks
+  };
+}
+
+/**
+ * Calculate the beta of a stock to a benchmark from daily log returns
+ * @param {Array} assetCloses - Array of { date, close }, oldest first
+ * @param {Array} benchmarkCloses - Array of { date, close }, oldest first
+ * @returns {number|null} - Beta, or null if the histories overlap too little
+ */
+function calculateBeta(assetCloses, benchmarkCloses) {
+  const benchmarkByDate = new Map(benchmarkCloses.map(bar => [bar.date, bar.close]));
+  const shared = assetCloses.filter(bar => benchmarkByDate.has(bar.date));
+
+  const assetReturns = [];
+  const benchmarkReturns = [];
+  for (let i = 1; i < shared.length; i++) {
+    assetReturns.push(Math.log(shared[i].close / shared[i - 1].close));
+    benchmarkReturns.push(Math.log(benchmarkByDate.get(shared[i].date) / benchmarkByDate.get(shared[i - 1].date)));
+  }
+  if (assetReturns.length < MIN_BETA_OBSERVATIONS) return null;
+
+  const mean = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+  const assetMean = mean(assetReturns);
+  const benchmarkMean = mean(benchmarkReturns);
+  let covariance = 0;
+  let variance = 0;
+  for (let i = 0; i < assetReturns.length; i++) {
+    covariance += (assetReturns[i] - assetMean) * (benchmarkReturns[i] - benchmarkMean);
+    variance += (benchmarkReturns[i] - benchmarkMean) ** 2;
+  }
+  return variance > 0 ? covariance / variance : null;
+}
+
+/**
+ * Aggregate marked positions into portfolio totals and Greeks beta-weighted to a benchmark
+ * A position's delta becomes benchmark shares through beta * spot / benchmarkPrice,
+ * and gamma through the square of that ratio. Theta and vega are already dollars
+ * and are summed as they are.
+ * @param {Array} positions - Marked positions from markPosition(); unpriced ones have mark null
+ * @param {Object} betas - Beta per ticker (null where it couldn't be estimated)
+ * @param {Object} benchmark - { ticker, price }
+ * @returns {Object} - Portfolio summary with netGreeks { delta, gamma, theta, vega, dollarDelta }
+ *   and a breakdown by ticker
+ */
+function summarizePortfolio(positions, betas, benchmark) {
+  const priced = positions.filter(position => position.mark !== null);
+  const byTicker = {};
+
+  priced.forEach(position => {
+    const group = byTicker[position.ticker] || (byTicker[position.ticker] = {
+      ticker: position.ticker,
+      spot: position.spot,
+      beta: betas[position.ticker],
+      positions: 0,
+      marketValue: 0,
+      unrealizedPnl: 0,
+      greeks: { delta: 0, gamma: 0, theta: 0, vega: 0 }
+    });
+    group.positions++;
+    group.marketValue += position.marketValue;
+    group.unrealizedPnl += position.unrealizedPnl;
+    Object.keys(group.greeks).forEach(name => { group.greeks[name] += position.greeks[name]; });
+  });
+
+  const totals = {
+    marketValue: 0,
+    costBasis: priced.reduce((sum, position) => sum + position.costBasis, 0),
+    unrealizedPnl: 0
+  };
+  // Delta and gamma in benchmark shares, theta and vega in dollars
+  const netGreeks = { delta: 0, gamma: 0, theta: 0, vega: 0, dollarDelta: 0 };
+  const missingBeta = [];
+
+  const tickers = Object.values(byTicker).map(group => {
+    totals.marketValue += group.marketValue;
+    totals.unrealizedPnl += group.unrealizedPnl;
+    netGreeks.theta += group.greeks.theta;
+    netGreeks.vega += group.greeks.vega;
+
+    if (group.beta === null || group.beta === undefined) {
+      missingBeta.push(group.ticker);
+      return { ...group, betaWeightedDelta: null, betaWeightedGamma: null };
+    }
+
+    const ratio = group.beta * group.spot / benchmark.price;
+    const betaWeightedDelta = group.greeks.delta * ratio;
+    const betaWeightedGamma = group.greeks.gamma * ratio * ratio;
+    netGreeks.delta += betaWeightedDelta;
+    netGreeks.gamma += betaWeightedGamma;
+    return { ...group, betaWeightedDelta, betaWeightedGamma };
+  });
+  netGreeks.dollarDelta = netGreeks.delta * benchmark.price;
+
+  return {
+    benchmark: benchmark.ticker,
+    benchmarkPrice: benchmark.price,
+    positions: priced.length,
+    unpriced: positions.filter(position => position.mark === null).map(position => position.id),
+    ...totals,
+    netGreeks,
+    missingBeta,
+    byTicker: tickers
+  };
+}
+
+module.exports = {
+  DEFAULT_BENCHMARK,
+  BETA_LOOKBACK_DAYS,
+  validatePosition,
+  listPositions,
+  getPosition,
+  createPosition,
+  updatePosition,
+  deletePosition,
+  positionUnits,
+  isExpired,
+  markPosition,
+  calculateBeta,
+  summarizePortfolio
+};
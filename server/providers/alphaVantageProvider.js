@@ -0,0 +1,303 @@
+/**
+ * Alpha Vantage Market Data Provider
+ * Daily bars, quotes and symbol search from the Alpha Vantage API.
+ */
+
+const axios = require('axios');
+const marketCalendar = require('../marketCalendar');
+const requestQueue = require('../requestQueue');
+require('dotenv').config();
+
+// API configuration
+const API_KEY = process.env.ALPHA_VANTAGE_API_KEY;
+const BASE_URL = process.env.ALPHA_VANTAGE_URL || 'https://www.alphavantage.co/query';
+
+const name = 'alpha-vantage';
+
+// Free keys allow 5 requests a minute and 25 a day; set the plan's limits in .env (0 per day for none)
+requestQueue.defineQuota(name, {
+  perMinute: Number(process.env.ALPHA_VANTAGE_REQUESTS_PER_MINUTE || 5),
+  perDay: Number(process.env.ALPHA_VANTAGE_REQUESTS_PER_DAY || 25)
+});
+
+// Bars returned by outputsize=compact, trading days for the daily series
+const COMPACT_BARS = 100;
+
+// Bar lengths in minutes that TIME_SERIES_INTRADAY supports
+const INTRADAY_INTERVALS = [1, 5, 15, 30, 60];
+
+// Start of the error thrown for functions the API key can't use
+const PREMIUM_ENDPOINT_ERROR = 'Alpha Vantage premium endpoint';
+
+// TIME_SERIES_DAILY_ADJUSTED adds splits and dividends but needs a premium key on some
+// plans; set ALPHA_VANTAGE_ADJUSTED=false to skip it, otherwise it is tried once
+let adjustedAvailable = String(process.env.ALPHA_VANTAGE_ADJUSTED || 'true').toLowerCase() !== 'false';
+
+/**
+ * Explain what is missing before the provider can be used
+ * @returns {string|null} - Problem description, or null when the provider is ready
+ */
+function configurationProblem() {
+  if (!API_KEY || API_KEY === 'your_api_key_here') {
+    return 'Alpha Vantage API key not set. Please configure ALPHA_VANTAGE_API_KEY in .env file.';
+  }
+  return null;
+}
+
+/**
+ * Retry a function with exponential backoff
+ * @param {Function} fn - The function to retry
+ * @param {number} maxRetries - Maximum number of retries
+ * @param {number} initialDelay - Initial delay in milliseconds
+ * @returns {Promise<any>} - Result of the function
+ */
+async function retryWithBackoff(fn, maxRetries = 3, initialDelay = 1000) {
+  let retries = 0;
+
+  while (true) {
+    try {
+      return await fn();
+    } catch (error) {
+      // Waiting a few seconds won't bring back a spent daily allowance
+      if (retries >= maxRetries || error.message.includes('daily request limit')) {
+        throw error;
+      }
+
+      // If it's a rate limit error, use longer delay
+      const isRateLimit = error.response &&
+        (error.response.status === 429 ||
+         (error.response.data && error.response.data.toString().includes('limit')));
+
+      const delay = isRateLimit
+        ? initialDelay * Math.pow(2, retries) * 2 // Double delay for rate limits
+        : initialDelay * Math.pow(2, retries);
+
+      console.warn(`Retry attempt ${retries + 1}/${maxRetries}. Waiting ${delay}ms before retrying...`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+      retries++;
+    }
+  }
+}
+
+/**
+ * Call the Alpha Vantage API and check the response for errors and rate limit notes
+ * @param {Object} params - Query parameters besides the API key, e.g. { function, symbol }
+ * @returns {Promise<Object>} - Response body
+ */
+async function request(params) {
+  const problem = configurationProblem();
+  if (problem) throw new Error(problem);
+
+  // Every attempt, retries included, counts against the quota
+  const response = await retryWithBackoff(() => requestQueue.schedule(name, () => axios.get(BASE_URL, {
+    params: { ...params, apikey: API_KEY },
+    timeout: 10000 // 10 second timeout
+  })));
+  const data = response.data;
+
+  if (!data || data.hasOwnProperty('Error Message')) {
+    throw new Error((data && data['Error Message']) || 'Invalid response from Alpha Vantage');
+  }
+
+  // Rate limit and premium-only responses arrive as a 200 with a note. Rate limit notes
+  // also suggest a premium plan, so only "premium endpoint" marks a premium-only function
+  const note = data.Note || data.Information;
+  if (note && /premium endpoint/i.test(note)) {
+    throw new Error(`${PREMIUM_ENDPOINT_ERROR}: ${note}`);
+  }
+  if (note && /limit|premium/i.test(note)) {
+    if (/per day/i.test(note)) {
+      await requestQueue.markExhausted(name);
+    }
+    throw new Error(`Alpha Vantage API rate limit reached: ${note}`);
+  }
+
+  return data;
+}
+
+/**
+ * Fetch one daily series response, adjusted when the key allows it
+ * @param {string} ticker - The stock ticker symbol
+ * @param {string} outputSize - 'compact' (latest 100 trading days) or 'full' (up to 20 years)
+ * @returns {Promise<Array>} - Bars { date, open, high, low, close, volume } of raw prices, with
+ *   splitCoefficient and dividendAmount from the adjusted series, oldest first
+ */
+async function fetchSeries(ticker, outputSize) {
+  let data = null;
+  if (adjustedAvailable) {
+    try {
+      data = await request({
+        function: 'TIME_SERIES_DAILY_ADJUSTED',
+        symbol: ticker,
+        outputsize: outputSize
+      });
+    } catch (error) {
+      if (!error.message.startsWith(PREMIUM_ENDPOINT_ERROR)) throw error;
+      console.warn('TIME_SERIES_DAILY_ADJUSTED needs a premium Alpha Vantage key; fetching prices without splits and dividends');
+      adjustedAvailable = false;
+    }
+  }
+  if (!data) {
+    data = await request({
+      function: 'TIME_SERIES_DAILY',
+      symbol: ticker,
+      outputsize: outputSize
+    });
+  }
+
+  const timeSeries = data['Time Series (Daily)'];
+  if (!timeSeries || Object.keys(timeSeries).length === 0) {
+    throw new Error(`No data found for ticker "${ticker}" via Alpha Vantage API`);
+  }
+
+  return Object.keys(timeSeries).sort().map(date => {
+    const entry = timeSeries[date];
+    const bar = {
+      date,
+      open: parseFloat(entry['1. open']),
+      high: parseFloat(entry['2. high']),
+      low: parseFloat(entry['3. low']),
+      close: parseFloat(entry['4. close'])
+    };
+    // The adjusted series moves volume to field 6 and adds the corporate actions
+    if (entry['8. split coefficient'] !== undefined) {
+      bar.volume = parseInt(entry['6. volume'], 10);
+      bar.splitCoefficient = parseFloat(entry['8. split coefficient']);
+      bar.dividendAmount = parseFloat(entry['7. dividend amount']);
+    } else {
+      bar.volume = parseInt(entry['5. volume'], 10);
+    }
+    return bar;
+  });
+}
+
+/**
+ * Fetch the daily price history of a ticker
+ * With `since` inside the compact window only the latest 100 trading days are
+ * requested, falling back to the full history if they don't reach back that far.
+ * @param {string} ticker - The stock ticker symbol
+ * @param {Object} options - { since } as YYYY-MM-DD, the earliest date the caller needs
+ * @returns {Promise<Array>} - Bars { date, open, high, low, close, volume }, oldest first
+ */
+async function fetchDailyBars(ticker, options = {}) {
+  const { since = null } = options;
+  const compact = since !== null && marketCalendar.tradingDaysBetween(since, new Date()) < COMPACT_BARS;
+  if (!compact) return fetchSeries(ticker, 'full');
+
+  const bars = await fetchSeries(ticker, 'compact');
+  if (bars[0].date > since) {
+    console.log(`Compact output for ${ticker} starts ${bars[0].date}, after ${since}; fetching full history`);
+    return fetchSeries(ticker, 'full');
+  }
+  return bars;
+}
+
+/**
+ * Fetch one TIME_SERIES_INTRADAY response of regular-session, unadjusted bars
+ * @param {string} ticker - The stock ticker symbol
+ * @param {number} interval - Bar length in minutes
+ * @param {string} outputSize - 'compact' (latest 100 bars) or 'full' (about the last month)
+ * @returns {Promise<Array>} - Bars { date, open, high, low, close, volume } with date as
+ *   'YYYY-MM-DD HH:MM' exchange time, oldest first
+ */
+async function fetchIntradaySeries(ticker, interval, outputSize) {
+  const data = await request({
+    function: 'TIME_SERIES_INTRADAY',
+    symbol: ticker,
+    interval: `${interval}min`,
+    outputsize: outputSize,
+    adjusted: 'false',
+    extended_hours: 'false'
+  });
+
+  const timeSeries = data[`Time Series (${interval}min)`];
+  if (!timeSeries || Object.keys(timeSeries).length === 0) {
+    throw new Error(`No data found for ticker "${ticker}" via Alpha Vantage API`);
+  }
+
+  return Object.keys(timeSeries).sort().map(timestamp => {
+    const entry = timeSeries[timestamp];
+    return {
+      date: timestamp.slice(0, 16),
+      open: parseFloat(entry['1. open']),
+      high: parseFloat(entry['2. high']),
+      low: parseFloat(entry['3. low']),
+      close: parseFloat(entry['4. close']),
+      volume: parseInt(entry['5. volume'], 10)
+    };
+  });
+}
+
+/**
+ * Fetch the intraday bars of a ticker
+ * Like fetchDailyBars(), only the latest 100 bars are requested when they should reach
+ * back to `since`, falling back to the full output if they don't.
+ * @param {string} ticker - The stock ticker symbol
+ * @param {Object} options - { interval, since } with interval in minutes and since as
+ *   'YYYY-MM-DD HH:MM', the earliest bar the caller needs
+ * @returns {Promise<Array>} - Bars { date, open, high, low, close, volume }, oldest first
+ */
+async function fetchIntradayBars(ticker, options = {}) {
+  const { interval, since = null } = options;
+  if (!INTRADAY_INTERVALS.includes(interval)) {
+    throw new Error(`Alpha Vantage has no ${interval} minute bars; use ${INTRADAY_INTERVALS.join(', ')}`);
+  }
+
+  const sessions = since === null ? Infinity
+    : marketCalendar.tradingDaysBetween(since.slice(0, 10), marketCalendar.latestSession()) + 1;
+  const barsPerSession = (marketCalendar.SESSION_CLOSE_MINUTES - marketCalendar.SESSION_OPEN_MINUTES) / interval;
+  if (sessions * barsPerSession >= COMPACT_BARS) return fetchIntradaySeries(ticker, interval, 'full');
+
+  const bars = await fetchIntradaySeries(ticker, interval, 'compact');
+  if (bars[0].date > since) {
+    console.log(`Compact ${interval} minute output for ${ticker} starts ${bars[0].date}, after ${since}; fetching full output`);
+    return fetchIntradaySeries(ticker, interval, 'full');
+  }
+  return bars;
+}
+
+/**
+ * Fetch the latest quote for a ticker
+ * @param {string} ticker - The stock ticker symbol
+ * @returns {Promise<Object>} - { symbol, date, price, open, high, low, previousClose, change, changePercent, volume }
+ */
+async function fetchQuote(ticker) {
+  const data = await request({ function: 'GLOBAL_QUOTE', symbol: ticker });
+
+  const quote = data['Global Quote'];
+  if (!quote || !quote['05. price']) {
+    throw new Error(`No data found for ticker "${ticker}" via Alpha Vantage API`);
+  }
+
+  return {
+    symbol: quote['01. symbol'],
+    date: quote['07. latest trading day'],
+    price: parseFloat(quote['05. price']),
+    open: parseFloat(quote['02. open']),
+    high: parseFloat(quote['03. high']),
+    low: parseFloat(quote['04. low']),
+    previousClose: parseFloat(quote['08. previous close']),
+    change: parseFloat(quote['09. change']),
+    changePercent: parseFloat(quote['10. change percent']) / 100,
+    volume: parseInt(quote['06. volume'], 10)
+  };
+}
+
+/**
+ * Search for symbols by ticker or company name
+ * @param {string} query - Search text
+ * @returns {Promise<Array>} - Matches as { symbol, name }
+ */
+async function searchSymbols(query) {
+  const data = await request({ function: 'SYMBOL_SEARCH', keywords: query });
+  return (data.bestMatches || []).map(match => ({ symbol: match['1. symbol'], name: match['2. name'] }));
+}
+
+module.exports = {
+  name,
+  configurationProblem,
+  fetchDailyBars,
+  fetchIntradayBars,
+  fetchQuote,
+  searchSymbols
+};
@@ -0,0 +1,239 @@
+/**
+ * CSV Folder Market Data Provider
+ * Reads daily bars from one CSV file per ticker (e.g. SPY.csv) in a local folder,
+ * for working offline or with data exported from another source. Intraday bars come
+ * from one file per ticker and bar length, e.g. SPY_5min.csv.
+ */
+
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config();
+
+const DATA_DIR = process.env.CSV_DATA_DIR || path.join(__dirname, '../db/csv');
+
+const name = 'csv';
+
+// Upper-case file names of intraday files, e.g. SPY_5MIN
+const INTRADAY_FILE = /_\d+MIN$/;
+
+// Header names accepted for each bar field, lower case
+const COLUMN_NAMES = {
+  date: ['date', 'timestamp', 'time'],
+  open: ['open'],
+  high: ['high'],
+  low: ['low'],
+  close: ['close'],
+  volume: ['volume', 'vol'],
+  splitCoefficient: ['split coefficient', 'split', 'splits', 'stock splits'],
+  dividendAmount: ['dividend amount', 'dividend', 'dividends']
+};
+
+/**
+ * Explain what is missing before the provider can be used
+ * @returns {string|null} - Problem description, or null when the provider is ready
+ */
+function configurationProblem() {
+  return fs.existsSync(DATA_DIR) ? null : `CSV data folder ${DATA_DIR} does not exist. Set CSV_DATA_DIR in .env file.`;
+}
+
+/**
+ * Normalise a date cell to YYYY-MM-DD
+ * @param {string} value - Date such as 2024-03-01, 20240301 or 03/01/2024
+ * @returns {string|null} - ISO date, or null if unreadable
+ */
+function normaliseDate(value) {
+  const compact = /^(\d{4})(\d{2})(\d{2})$/.exec(value);
+  if (compact) return `${compact[1]}-${compact[2]}-${compact[3]}`;
+  if (/^\d{4}-\d{2}-\d{2}/.test(value)) return value.slice(0, 10);
+
+  const parsed = new Date(value);
+  if (isNaN(parsed.getTime())) return null;
+  return `${parsed.getFullYear()}-${String(parsed.getMonth() + 1).padStart(2, '0')}-${String(parsed.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Normalise a timestamp cell to 'YYYY-MM-DD HH:MM'
+ * @param {string} value - Timestamp such as 2024-03-01 09:35:00 or 2024-03-01T09:35
+ * @returns {string|null} - Exchange-time timestamp, or null if unreadable
+ */
+function normaliseTimestamp(value) {
+  const match = /^(\d{4}-\d{2}-\d{2})[ T](\d{1,2}):(\d{2})/.exec(value || '');
+  return match ? `${match[1]} ${match[2].padStart(2, '0')}:${match[3]}` : null;
+}
+
+/**
+ * Parse daily bars from CSV text with a header row
+ * Columns are found by name (Date, Open, High, Low, Close, Volume in any order and
+ * case; others such as Adj Close are ignored). Optional Split Coefficient and Dividend
+ * Amount columns, where a blank or 0 split means none, give the corporate actions for
+ * raw prices. Rows without a date or close are skipped.
+ * @param {string} text - CSV contents
+ * @param {Object} options - { intraday } to keep the time of day, giving dates as 'YYYY-MM-DD HH:MM'
+ * @returns {Array} - Bars { date, open, high, low, close, volume } plus splitCoefficient and
+ *   dividendAmount when those columns exist, oldest first
+ */
+function parseBarsCsv(text, options = {}) {
+  const readDate = options.intraday ? normaliseTimestamp : normaliseDate;
+  const lines = String(text).split(/\r?\n/).map(line => line.trim()).filter(line => line.length > 0);
+  if (lines.length < 2) {
+    throw new Error('Price CSV needs a header row and at least one data row');
+  }
+
+  const header = lines[0].split(',').map(cell => cell.replace(/["<>]/g, '').trim().toLowerCase());
+  const columns = {};
+  Object.keys(COLUMN_NAMES).forEach(field => {
+    columns[field] = header.findIndex(cell => COLUMN_NAMES[field].includes(cell));
+  });
+  ['date', 'open', 'high', 'low', 'close'].forEach(field => {
+    if (columns[field] < 0) {
+      throw new Error(`Price CSV header has no ${field} column`);
+    }
+  });
+
+  const bars = [];
+  lines.slice(1).forEach(line => {
+    const cells = line.split(',').map(cell => cell.replace(/"/g, '').trim());
+    const date = readDate(cells[columns.date]);
+    const close = parseFloat(cells[columns.close]);
+    if (!date || !(close > 0)) return;
+
+    const read = field => {
+      const value = parseFloat(cells[columns[field]]);
+      return isNaN(value) ? close : value;
+    };
+    const bar = {
+      date,
+      open: read('open'),
+      high: read('high'),
+      low: read('low'),
+      close,
+      volume: columns.volume < 0 ? 0 : parseInt(cells[columns.volume], 10) || 0
+    };
+    if (columns.splitCoefficient >= 0) {
+      bar.splitCoefficient = parseFloat(cells[columns.splitCoefficient]) || 1;
+    }
+    if (columns.dividendAmount >= 0) {
+      bar.dividendAmount = parseFloat(cells[columns.dividendAmount]) || 0;
+    }
+    bars.push(bar);
+  });
+
+  return bars.sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+}
+
+/**
+ * Build a quote from the last two bars of a history
+ * @param {string} symbol - Ticker symbol
+ * @param {Array} bars - Daily bars, oldest first
+ * @returns {Object} - { symbol, date, price, open, high, low, previousClose, change, changePercent, volume }
+ */
+function quoteFromBars(symbol, bars) {
+  const last = bars[bars.length - 1];
+  const previousClose = bars.length > 1 ? bars[bars.length - 2].close : null;
+  return {
+    symbol,
+    date: last.date,
+    price: last.close,
+    open: last.open,
+    high: last.high,
+    low: last.low,
+    previousClose,
+    change: previousClose === null ? null : last.close - previousClose,
+    changePercent: previousClose === null ? null : last.close / previousClose - 1,
+    volume: last.volume
+  };
+}
+
+/**
+ * List the tickers with a file in the data folder
+ * @returns {Map} - File path keyed by upper-case ticker
+ */
+function listFiles() {
+  const files = new Map();
+  fs.readdirSync(DATA_DIR).forEach(file => {
+    if (path.extname(file).toLowerCase() === '.csv') {
+      files.set(path.basename(file, path.extname(file)).toUpperCase(), path.join(DATA_DIR, file));
+    }
+  });
+  return files;
+}
+
+/**
+ * Fetch the daily price history of a ticker from its CSV file
+ * The whole file is always read, so edits to older rows are picked up too.
+ * @param {string} ticker - The stock ticker symbol
+ * @returns {Promise<Array>} - Bars { date, open, high, low, close, volume }, oldest first
+ */
+async function fetchDailyBars(ticker) {
+  const problem = configurationProblem();
+  if (problem) throw new Error(problem);
+
+  const file = listFiles().get(ticker.toUpperCase());
+  if (!file) {
+    throw new Error(`No data found for ticker "${ticker}" in ${DATA_DIR}`);
+  }
+
+  const bars = parseBarsCsv(await fs.promises.readFile(file, 'utf8'));
+  if (bars.length === 0) {
+    throw new Error(`No data found for ticker "${ticker}" in ${file}`);
+  }
+  return bars;
+}
+
+/**
+ * Fetch the intraday bars of a ticker from its <TICKER>_<interval>min.csv file
+ * Timestamps are read as exchange time.
+ * @param {string} ticker - The stock ticker symbol
+ * @param {Object} options - { interval } in minutes
+ * @returns {Promise<Array>} - Bars { date, open, high, low, close, volume } with date as
+ *   'YYYY-MM-DD HH:MM', oldest first
+ */
+async function fetchIntradayBars(ticker, options = {}) {
+  const problem = configurationProblem();
+  if (problem) throw new Error(problem);
+
+  const file = listFiles().get(`${ticker.toUpperCase()}_${options.interval}MIN`);
+  if (!file) {
+    throw new Error(`No data found for ticker "${ticker}" at ${options.interval} minutes in ${DATA_DIR}`);
+  }
+
+  const bars = parseBarsCsv(await fs.promises.readFile(file, 'utf8'), { intraday: true });
+  if (bars.length === 0) {
+    throw new Error(`No data found for ticker "${ticker}" in ${file}`);
+  }
+  return bars;
+}
+
+/**
+ * Quote a ticker from the last bar of its CSV file
+ * @param {string} ticker - The stock ticker symbol
+ * @returns {Promise<Object>} - Quote as from quoteFromBars()
+ */
+async function fetchQuote(ticker) {
+  return quoteFromBars(ticker.toUpperCase(), await fetchDailyBars(ticker));
+}
+
+/**
+ * Search the tickers with a CSV file
+ * @param {string} query - Part of a ticker symbol
+ * @returns {Promise<Array>} - Matches as { symbol, name }
+ */
+async function searchSymbols(query) {
+  if (configurationProblem()) return [];
+  const text = query.toUpperCase();
+  return Array.from(listFiles().keys())
+    .filter(symbol => symbol.includes(text) && !INTRADAY_FILE.test(symbol))
+    .sort()
+    .map(symbol => ({ symbol, name: null }));
+}
+
+module.exports = {
+  name,
+  configurationProblem,
+  parseBarsCsv,
+  quoteFromBars,
+  fetchDailyBars,
+  fetchIntradayBars,
+  fetchQuote,
+  searchSymbols
+};
@@ -0,0 +1,126 @@
+/**
+ * Stooq File Market Data Provider
+ * Reads daily bars from Stooq's bulk download, an unpacked folder tree of
+ * <symbol>.<market>.txt files (e.g. data/daily/us/nyse etfs/spy.us.txt) with the
+ * <TICKER>,<PER>,<DATE>,<TIME>,<OPEN>,<HIGH>,<LOW>,<CLOSE>,<VOL>,<OPENINT> layout.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseBarsCsv, quoteFromBars } = require('./csvProvider');
+require('dotenv').config();
+
+const DATA_DIR = process.env.STOOQ_DATA_DIR || path.join(__dirname, '../db/stooq');
+// Market suffix of the files to read, e.g. 'us' for spy.us.txt
+const MARKET = (process.env.STOOQ_MARKET || 'us').toLowerCase();
+
+const name = 'stooq';
+
+// File path keyed by upper-case ticker, built on first use
+let fileIndex = null;
+
+/**
+ * Explain what is missing before the provider can be used
+ * @returns {string|null} - Problem description, or null when the provider is ready
+ */
+function configurationProblem() {
+  return fs.existsSync(DATA_DIR) ? null : `Stooq data folder ${DATA_DIR} does not exist. Set STOOQ_DATA_DIR in .env file.`;
+}
+
+/**
+ * Convert a ticker to Stooq's file symbol, e.g. BRK.B to brk-b
+ * @param {string} ticker - The stock ticker symbol
+ * @returns {string} - Upper-case Stooq symbol without the market suffix
+ */
+function stooqSymbol(ticker) {
+  return ticker.toUpperCase().replace(/\./g, '-');
+}
+
+/**
+ * Walk the data folder for files of the configured market
+ * @returns {Map} - File path keyed by upper-case Stooq symbol
+ */
+function buildIndex() {
+  const index = new Map();
+  const suffix = `.${MARKET}.txt`;
+  const walk = directory => {
+    fs.readdirSync(directory, { withFileTypes: true }).forEach(entry => {
+      const entryPath = path.join(directory, entry.name);
+      if (entry.isDirectory()) {
+        walk(entryPath);
+      } else if (entry.name.toLowerCase().endsWith(suffix)) {
+        index.set(entry.name.slice(0, -suffix.length).toUpperCase(), entryPath);
+      }
+    });
+  };
+  walk(DATA_DIR);
+  return index;
+}
+
+/**
+ * Find the file for a ticker, rescanning the folder once if it isn't indexed yet
+ * @param {string} ticker - The stock ticker symbol
+ * @returns {string|undefined} - File path
+ */
+function findFile(ticker) {
+  const symbol = stooqSymbol(ticker);
+  if (!fileIndex || !fileIndex.has(symbol)) {
+    fileIndex = buildIndex();
+  }
+  return fileIndex.get(symbol);
+}
+
+/**
+ * Fetch the daily price history of a ticker from its Stooq file
+ * The whole file is always read, so edits to older rows are picked up too.
+ * @param {string} ticker - The stock ticker symbol
+ * @returns {Promise<Array>} - Bars { date, open, high, low, close, volume }, oldest first
+ */
+async function fetchDailyBars(ticker) {
+  const problem = configurationProblem();
+  if (problem) throw new Error(problem);
+
+  const file = findFile(ticker);
+  if (!file) {
+    throw new Error(`No data found for ticker "${ticker}" in ${DATA_DIR}`);
+  }
+
+  const bars = parseBarsCsv(await fs.promises.readFile(file, 'utf8'));
+  if (bars.length === 0) {
+    throw new Error(`No data found for ticker "${ticker}" in ${file}`);
+  }
+  return bars;
+}
+
+/**
+ * Quote a ticker from the last bar of its Stooq file
+ * @param {string} ticker - The stock ticker symbol
+ * @returns {Promise<Object>} - Quote as from csvProvider.quoteFromBars()
+ */
+async function fetchQuote(ticker) {
+  return quoteFromBars(ticker.toUpperCase(), await fetchDailyBars(ticker));
+}
+
+/**
+ * Search the tickers with a Stooq file
+ * @param {string} query - Part of a ticker symbol
+ * @returns {Promise<Array>} - Matches as { symbol, name }
+ */
+async function searchSymbols(query) {
+  if (configurationProblem()) return [];
+  if (!fileIndex) fileIndex = buildIndex();
+
+  const text = stooqSymbol(query);
+  return Array.from(fileIndex.keys())
+    .filter(symbol => symbol.includes(text))
+    .sort()
+    .map(symbol => ({ symbol: symbol.replace(/-/g, '.'), name: null }));
+}
+
+module.exports = {
+  name,
+  configurationProblem,
+  fetchDailyBars,
+  fetchQuote,
+  searchSymbols
+};
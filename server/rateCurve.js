@@ -0,0 +1,253 @@
+/**
+ * Risk-Free Rate Curve
+ * Stores a treasury yield curve in the database and interpolates the
+ * risk-free rate for any time to expiry
+ */
+
+const path = require('path');
+const sqlite3 = require('sqlite3').verbose();
+const { promisify } = require('util');
+
+// Database connection
+const dbPath = path.join(__dirname, 'db/stockdata.db');
+const db = new sqlite3.Database(dbPath);
+
+// Promisify database operations for easier async/await usage
+const dbAll = promisify(db.all.bind(db));
+const dbRun = promisify(db.run.bind(db));
+
+// Rate used when no curve has been loaded
+const DEFAULT_RISK_FREE_RATE = 0.035;
+
+const INTERPOLATION_METHODS = ['linear', 'cubic'];
+
+// Create the yield curve table next to stock_prices if it doesn't exist yet
+const tableReady = dbRun(`CREATE TABLE IF NOT EXISTS yield_curve (
+  tenor TEXT PRIMARY KEY,
+  years REAL NOT NULL,
+  rate REAL NOT NULL,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+)`);
+
+/**
+ * Convert a tenor label such as "3 Mo", "6M", "1 Yr" or "10Y" into years
+ * @param {string} tenor - Tenor label
+ * @returns {number} - Tenor in years
+ */
+function tenorToYears(tenor) {
+  const match = String(tenor).trim().match(/^(\d+(?:\.\d+)?)\s*(d|day|days|w|wk|wks|week|weeks|m|mo|mos|month|months|y|yr|yrs|year|years)$/i);
+  if (!match) {
+    throw new Error(`Unrecognised tenor "${tenor}". Use labels like 1M, 3 Mo, 2Y or 10 Yr`);
+  }
+
+  const amount = parseFloat(match[1]);
+  const unit = match[2].toLowerCase();
+  if (unit.startsWith('d')) return amount / 365;
+  if (unit.startsWith('w')) return amount * 7 / 365;
+  if (unit.startsWith('m')) return amount / 12;
+  return amount;
+}
+
+/**
+ * Convert a semi-annual bond-equivalent yield to a continuously compounded rate
+ * @param {number} yieldRate - Bond-equivalent yield (as a decimal)
+ * @returns {number} - Continuously compounded rate
+ */
+function toContinuous(yieldRate) {
+  return 2 * Math.log(1 + yieldRate / 2);
+}
+
+/**
+ * Parse a yield curve CSV
+ * Accepts the Treasury "Daily Par Yield Curve Rates" layout (a Date column
+ * followed by one column per tenor, newest row first) or a two-column
+ * tenor,rate layout. Rates are in percent, as Treasury publishes them.
+ * @param {string} text - CSV contents
+ * @returns {Object} - { date, points: [{ tenor, rate }] } with rates as decimals
+ */
+function parseCurveCsv(text) {
+  const lines = String(text).split(/\r?\n/).map(line => line.trim()).filter(line => line.length > 0);
+  if (lines.length < 2) {
+    throw new Error('Yield curve CSV needs a header row and at least one data row');
+  }
+
+  const header = lines[0].split(',').map(cell => cell.replace(/"/g, '').trim());
+  const rows = lines.slice(1).map(line => line.split(',').map(cell => cell.replace(/"/g, '').trim()));
+
+  // Two-column tenor,rate layout
+  if (header.length === 2 && /tenor/i.test(header[0])) {
+    return {
+      date: null,
+      points: rows.map(([tenor, rate]) => ({ tenor, rate: parseFloat(rate) / 100 }))
+    };
+  }
+
+  // Treasury layout: pick the most recent date
+  if (!/date/i.test(header[0])) {
+    throw new Error('Unrecognised yield curve CSV header; expected "Date,<tenors...>" or "tenor,rate"');
+  }
+
+  const latest = rows.reduce((best, row) => (
+    !best || new Date(row[0]) > new Date(best[0]) ? row : best
+  ), null);
+
+  const points = [];
+  header.slice(1).forEach((tenor, index) => {
+    const rate = parseFloat(latest[index + 1]);
+    if (!isNaN(rate)) points.push({ tenor, rate: rate / 100 });
+  });
+
+  return { date: latest[0], points };
+}
+
+/**
+ * Get the stored yield curve, shortest tenor first
+ * @returns {Promise<Array>} - Array of { tenor, years, rate, updatedAt }
+ */
+async function getCurve() {
+  await tableReady;
+  const rows = await dbAll('SELECT tenor, years, rate, updated_at FROM yield_curve ORDER BY years');
+  return rows.map(row => ({ tenor: row.tenor, years: row.years, rate: row.rate, updatedAt: row.updated_at }));
+}
+
+// Curve writes take turns, since overlapping transactions on one connection fail
+let curveWrites = Promise.resolve();
+
+/**
+ * Replace the stored yield curve
+ * @param {Array} points - Array of { tenor, rate } with rates as decimal bond-equivalent yields
+ * @returns {Promise<Array>} - The stored curve
+ */
+async function setCurve(points) {
+  if (!Array.isArray(points) || points.length === 0) {
+    throw new Error('A yield curve needs at least one { tenor, rate } point');
+  }
+
+  const normalized = points.map(point => {
+    const rate = parseFloat(point.rate);
+    if (!isFinite(rate) || rate < -0.05 || rate > 0.5) {
+      throw new Error(`Invalid rate for tenor ${point.tenor}: ${point.rate}. Rates are decimals, e.g. 0.0525`);
+    }
+    return { tenor: String(point.tenor).trim(), years: tenorToYears(point.tenor), rate };
+  });
+
+  const write = curveWrites.then(() => writeCurve(normalized));
+  curveWrites = write.catch(() => {});
+  return write;
+}
+
+/**
+ * Replace the stored curve for setCurve(), which serializes the calls
+ * @param {Array} normalized - Array of { tenor, years, rate }
+ * @returns {Promise<Array>} - The stored curve
+ */
+async function writeCurve(normalized) {
+  await tableReady;
+  await dbRun('BEGIN TRANSACTION');
+
+  try {
+    await dbRun('DELETE FROM yield_curve');
+    for (const point of normalized) {
+      await dbRun(
+        'INSERT INTO yield_curve (tenor, years, rate, updated_at) VALUES (?, ?, ?, CURRENT_TIMESTAMP)',
+        [point.tenor, point.years, point.rate]
+      );
+    }
+    await dbRun('COMMIT');
+  } catch (error) {
+    await dbRun('ROLLBACK');
+    throw error;
+  }
+
+  return getCurve();
+}
+
+/**
+ * Build natural cubic spline second derivatives for the curve knots
+ * @param {Array} xs - Knot times, ascending
+ * @param {Array} ys - Knot rates
+ * @returns {Array} - Second derivatives at each knot
+ */
+function splineSecondDerivatives(xs, ys) {
+  const n = xs.length;
+  const second = new Array(n).fill(0);
+  const u = new Array(n).fill(0);
+
+  for (let i = 1; i < n - 1; i++) {
+    const sig = (xs[i] - xs[i - 1]) / (xs[i + 1] - xs[i - 1]);
+    const p = sig * second[i - 1] + 2;
+    second[i] = (sig - 1) / p;
+    const slopeDiff = (ys[i + 1] - ys[i]) / (xs[i + 1] - xs[i]) - (ys[i] - ys[i - 1]) / (xs[i] - xs[i - 1]);
+    u[i] = (6 * slopeDiff / (xs[i + 1] - xs[i - 1]) - sig * u[i - 1]) / p;
+  }
+
+  for (let k = n - 2; k >= 0; k--) {
+    second[k] = second[k] * second[k + 1] + u[k];
+  }
+  return second;
+}
+
+/**
+ * Create an interpolator over a yield curve
+ * Rates are flat-extrapolated beyond the first and last tenor and returned
+ * as continuously compounded rates for the pricer.
+ * @param {Array} curve - Array of { years, rate }, as returned by getCurve()
+ * @param {string} method - 'linear' or 'cubic' (natural cubic spline)
+ * @returns {Function} - (timeToExpiry) => continuously compounded rate
+ */
+function createInterpolator(curve, method = 'linear') {
+  if (!INTERPOLATION_METHODS.includes(method)) {
+    throw new Error(`Invalid rate interpolation "${method}". Use one of: ${INTERPOLATION_METHODS.join(', ')}`);
+  }
+
+  if (!curve || curve.length === 0) {
+    return () => DEFAULT_RISK_FREE_RATE;
+  }
+
+  const xs = curve.map(point => point.years);
+  const ys = curve.map(point => point.rate);
+  const n = xs.length;
+  const second = method === 'cubic' && n > 2 ? splineSecondDerivatives(xs, ys) : null;
+
+  return (T) => {
+    if (n === 1 || T <= xs[0]) return toContinuous(ys[0]);
+    if (T >= xs[n - 1]) return toContinuous(ys[n - 1]);
+
+    let hi = 1;
+    while (xs[hi] < T) hi++;
+    const lo = hi - 1;
+    const h = xs[hi] - xs[lo];
+    const a = (xs[hi] - T) / h;
+    const b = (T - xs[lo]) / h;
+
+    let rate = a * ys[lo] + b * ys[hi];
+    if (second) {
+      rate += ((a * a * a - a) * second[lo] + (b * b * b - b) * second[hi]) * h * h / 6;
+    }
+    return toContinuous(rate);
+  };
+}
+
+/**
+ * Load the stored curve and return an interpolator over it
+ * @param {string} method - 'linear' or 'cubic'
+ * @returns {Promise<Object>} - { rateFor, source } where rateFor(T) gives the rate for a time in years
+ */
+async function getRateInterpolator(method = 'linear') {
+  const curve = await getCurve();
+  return {
+    rateFor: createInterpolator(curve, method),
+    source: curve.length > 0 ? `yield-curve-${method}` : 'default-flat'
+  };
+}
+
+module.exports = {
+  DEFAULT_RISK_FREE_RATE,
+  INTERPOLATION_METHODS,
+  tenorToYears,
+  parseCurveCsv,
+  getCurve,
+  setCurve,
+  createInterpolator,
+  getRateInterpolator
+};
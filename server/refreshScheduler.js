@@ -0,0 +1,284 @@
+/**
+ * Refresh Scheduler
+ * Refreshes stored prices in the background: once every trading day after the
+ * market closes for the configured tickers, and on demand for stale daily or
+ * intraday series the price route comes across. Tickers are refreshed one at a time through the market
+ * data providers, so the Alpha Vantage request quota (see requestQueue.js) paces them.
+ */
+
+const marketDataService = require('./marketDataService');
+const marketCalendar = require('./marketCalendar');
+const requestQueue = require('./requestQueue');
+require('dotenv').config();
+
+// Exchange time after which the day's refresh runs, half an hour after the close
+const DEFAULT_REFRESH_TIME = '16:30';
+
+// How often the schedule is checked
+const CHECK_INTERVAL_MS = 60 * 1000;
+
+// Number of failures kept for the status report
+const MAX_FAILURES = 50;
+
+/**
+ * Read the scheduler settings
+ * REFRESH_ENABLED=false turns the daily run off, REFRESH_TIME sets its start as HH:MM
+ * exchange time (16:30 if unset) and REFRESH_TICKERS lists the tickers to refresh,
+ * e.g. "SPY,QQQ,AAPL" (every stored ticker if unset).
+ * @param {Object} env - Environment variables
+ * @returns {Object} - { enabled, time, minutes, tickers } where tickers is null for every stored ticker
+ */
+function resolveSchedulerConfig(env = process.env) {
+  const time = (env.REFRESH_TIME || DEFAULT_REFRESH_TIME).trim();
+  const match = /^(\d{1,2}):(\d{2})$/.exec(time);
+  if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+    throw new Error(`REFRESH_TIME must be HH:MM in ${marketCalendar.EXCHANGE_TIME_ZONE} time, got "${time}"`);
+  }
+
+  const tickers = String(env.REFRESH_TICKERS || '').split(',')
+    .map(ticker => ticker.trim().toUpperCase())
+    .filter(ticker => ticker.length > 0);
+
+  return {
+    enabled: String(env.REFRESH_ENABLED || 'true').toLowerCase() !== 'false',
+    time: `${match[1].padStart(2, '0')}:${match[2]}`,
+    minutes: Number(match[1]) * 60 + Number(match[2]),
+    tickers: tickers.length > 0 ? Array.from(new Set(tickers)) : null
+  };
+}
+
+const config = resolveSchedulerConfig();
+
+// Scheduler state reported by status()
+const state = {
+  timer: null,
+  running: false,
+  current: null,
+  queue: [],       // { ticker, interval, reason, run } waiting to be refreshed
+  lastRunDay: null,
+  lastRun: null,
+  failures: []     // Most recent first
+};
+
+/**
+ * Describe a queue item for logs and the status report
+ * @param {Object} item - { ticker, interval }
+ * @returns {string} - e.g. 'SPY' or 'SPY 5min'
+ */
+function label({ ticker, interval }) {
+  return interval ? `${ticker} ${interval}min` : ticker;
+}
+
+/**
+ * Refresh one ticker's daily or intraday series, fetching its full history if it isn't stored yet
+ * @param {string} ticker - The stock ticker symbol
+ * @param {number|null} interval - Intraday bar length in minutes, or null for daily bars
+ * @returns {Promise<Object>} - { ticker, provider, added, updated, latestDate }
+ */
+async function refreshTicker(ticker, interval) {
+  if (interval) {
+    const { provider, added, updated, latestDate } = await marketDataService.refreshIntradayData(ticker, interval);
+    return { ticker, provider, added, updated, latestDate };
+  }
+
+  const report = await marketDataService.updateExistingStockData(ticker);
+  if (report) {
+    const { provider, added, updated, latestDate } = report;
+    return { ticker, provider, added, updated, latestDate };
+  }
+
+  const data = await marketDataService.fetchAndStoreStockData(ticker);
+  const latest = data[data.length - 1];
+  return {
+    ticker,
+    provider: null,
+    added: data.length,
+    updated: 0,
+    latestDate: latest ? marketCalendar.formatDay(new Date(latest.time * 1000)) : null
+  };
+}
+
+/**
+ * Work through the queue until it is empty
+ * @returns {Promise} - Resolves when the queue is drained
+ */
+async function drain() {
+  if (state.running) return;
+  state.running = true;
+
+  while (state.queue.length > 0) {
+    const item = state.queue.shift();
+    const { ticker, interval, reason, run } = item;
+    state.current = item;
+    try {
+      const result = await refreshTicker(ticker, interval);
+      console.log(`Refreshed ${label(item)} (${reason}): ${result.added} added, ${result.updated} updated`);
+      if (run) {
+        run.refreshed++;
+        run.added += result.added;
+        run.updated += result.updated;
+      }
+    } catch (error) {
+      console.error(`Error refreshing ${label(item)} (${reason}):`, error.message);
+      state.failures.unshift({ ticker, interval, reason, error: error.message, at: new Date().toISOString() });
+      state.failures.length = Math.min(state.failures.length, MAX_FAILURES);
+      if (run) run.failed++;
+    }
+
+    if (run && !state.queue.some(item => item.run === run)) {
+      run.finishedAt = new Date().toISOString();
+      console.log(`Price refresh run finished: ${run.refreshed} of ${run.tickers} tickers refreshed, ${run.failed} failed`);
+    }
+  }
+
+  state.current = null;
+  state.running = false;
+}
+
+/**
+ * Queue series that aren't already waiting or being refreshed
+ * @param {Array} tickers - Ticker symbols
+ * @param {number|null} interval - Intraday bar length in minutes, or null for daily bars
+ * @param {string} reason - 'scheduled', 'manual' or 'stale'
+ * @param {Object|null} run - Run the tickers belong to
+ * @returns {number} - Number of series queued
+ */
+function enqueue(tickers, interval, reason, run = null) {
+  const sameSeries = ticker => item => item && item.ticker === ticker && item.interval === interval;
+  let queued = 0;
+  tickers.forEach(ticker => {
+    const waiting = state.queue.find(sameSeries(ticker));
+    if (waiting) {
+      // A ticker already waiting on demand still counts towards the run
+      if (run && !waiting.run) waiting.run = run;
+      return;
+    }
+    if (sameSeries(ticker)(state.current) && !run) return;
+    state.queue.push({ ticker, interval, reason, run });
+    queued++;
+  });
+  return queued;
+}
+
+/**
+ * Start a run over the configured tickers, unless one is still going
+ * @param {string} reason - 'scheduled' or 'manual'
+ * @returns {Promise<Object>} - The new or unfinished run { reason, startedAt, finishedAt, tickers,
+ *   refreshed, added, updated, failed }
+ */
+async function startRun(reason) {
+  const tickers = config.tickers || await marketDataService.listStoredTickers();
+  // Its tickers are already queued, so a second run would have nothing to wait on and never finish
+  if (state.lastRun && !state.lastRun.finishedAt) {
+    console.log(`Price refresh run started ${state.lastRun.startedAt} is still going; not starting a ${reason} run`);
+    return state.lastRun;
+  }
+
+  const run = {
+    reason,
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    tickers: tickers.length,
+    refreshed: 0,
+    added: 0,
+    updated: 0,
+    failed: 0
+  };
+  state.lastRun = run;
+  console.log(`Starting ${reason} price refresh of ${tickers.length} tickers`);
+
+  enqueue(tickers, null, reason, run);
+  if (tickers.length === 0) {
+    run.finishedAt = run.startedAt;
+  }
+  drain();
+  return run;
+}
+
+/**
+ * Start the day's run once the refresh time has passed on a trading day
+ * @param {Date} now - Current moment
+ */
+function checkSchedule(now = new Date()) {
+  const clock = marketCalendar.exchangeTime(now);
+  if (state.lastRunDay === clock.date || clock.minutes < config.minutes || !marketCalendar.isTradingDay(clock.date)) {
+    return;
+  }
+
+  state.lastRunDay = clock.date;
+  startRun('scheduled').catch(error => {
+    console.error('Error starting scheduled price refresh:', error.message);
+  });
+}
+
+/**
+ * Start checking the schedule, unless REFRESH_ENABLED=false
+ */
+function start() {
+  if (!config.enabled || state.timer) return;
+
+  console.log(`Scheduled price refresh at ${config.time} ${marketCalendar.EXCHANGE_TIME_ZONE} on trading days`);
+  state.timer = setInterval(checkSchedule, CHECK_INTERVAL_MS);
+  state.timer.unref(); // Don't keep the process alive just for the schedule
+  checkSchedule();
+}
+
+/**
+ * Queue a background refresh of one ticker's daily or intraday series
+ * @param {string} ticker - The stock ticker symbol
+ * @param {number|null} interval - Intraday bar length in minutes, or null for daily bars
+ * @returns {boolean} - True if queued, false if already waiting or being refreshed
+ */
+function requestRefresh(ticker, interval = null) {
+  const queued = enqueue([ticker.toUpperCase()], interval, 'stale') > 0;
+  drain();
+  return queued;
+}
+
+/**
+ * Exchange date and time of the next scheduled run
+ * @param {Date} now - Current moment
+ * @returns {string|null} - 'YYYY-MM-DD HH:MM', or null when the schedule is off
+ */
+function nextRun(now = new Date()) {
+  if (!config.enabled) return null;
+
+  const clock = marketCalendar.exchangeTime(now);
+  let day = clock.date;
+  if (!marketCalendar.isTradingDay(day) || state.lastRunDay === day) {
+    day = marketCalendar.formatDay(marketCalendar.addTradingDays(marketCalendar.toDay(day), 1));
+  } else if (clock.minutes >= config.minutes) {
+    // Due now; the next check starts it
+    return `${day} ${clock.time}`;
+  }
+  return `${day} ${config.time}`;
+}
+
+/**
+ * Describe the scheduler, its queue and the data provider quotas
+ * @returns {Promise<Object>} - { enabled, refreshTime, timeZone, tickers, nextRun, running, current,
+ *   queue, lastRun, failures, quotas }
+ */
+async function status() {
+  return {
+    enabled: config.enabled,
+    refreshTime: config.time,
+    timeZone: marketCalendar.EXCHANGE_TIME_ZONE,
+    tickers: config.tickers || await marketDataService.listStoredTickers(),
+    nextRun: nextRun(),
+    running: state.running,
+    current: state.current ? label(state.current) : null,
+    queue: state.queue.map(({ ticker, interval, reason }) => ({ ticker, interval, reason })),
+    lastRun: state.lastRun,
+    failures: state.failures,
+    quotas: await requestQueue.quotaStatus()
+  };
+}
+
+module.exports = {
+  resolveSchedulerConfig,
+  start,
+  startRun,
+  requestRefresh,
+  status
+};
@@ -0,0 +1,195 @@
+/**
+ * Request Queue
+ * Token-bucket rate limiting for external data APIs. Each provider with a quota gets
+ * a bucket refilled at its per-minute limit and a per-day allowance whose usage is
+ * stored in the api_quota_usage table, so a restart doesn't reset the day's count.
+ * Requests wait in FIFO order for a token; once the day's allowance is spent they
+ * fail at once instead of waiting for tomorrow.
+ */
+
+const path = require('path');
+const sqlite3 = require('sqlite3').verbose();
+const { promisify } = require('util');
+const marketCalendar = require('./marketCalendar');
+
+// Database connection
+const dbPath = path.join(__dirname, 'db/stockdata.db');
+const db = new sqlite3.Database(dbPath);
+
+// Promisify database operations for easier async/await usage
+const dbGet = promisify(db.get.bind(db));
+const dbRun = promisify(db.run.bind(db));
+
+const MS_PER_MINUTE = 60 * 1000;
+
+// Create the quota usage table next to stock_prices if it doesn't exist yet
+const tableReady = dbRun(`CREATE TABLE IF NOT EXISTS api_quota_usage (
+  provider TEXT NOT NULL,
+  day TEXT NOT NULL, -- exchange-local date the requests count against
+  requests INTEGER NOT NULL DEFAULT 0,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (provider, day)
+)`);
+
+// Bucket state keyed by provider name
+const buckets = new Map();
+
+/**
+ * Give a provider a request quota
+ * @param {string} provider - Provider name, e.g. 'alpha-vantage'
+ * @param {Object} limits - { perMinute, perDay } where perDay 0 means no daily limit
+ */
+function defineQuota(provider, limits) {
+  const { perMinute, perDay } = limits;
+  if (!(perMinute > 0)) {
+    throw new Error(`${provider}: requests per minute must be positive`);
+  }
+  if (!Number.isInteger(perDay) || perDay < 0) {
+    throw new Error(`${provider}: requests per day must be a whole number (0 for no limit)`);
+  }
+
+  buckets.set(provider, {
+    perMinute,
+    perDay,
+    tokens: perMinute,
+    refilledAt: Date.now(),
+    queued: 0,
+    // Each request takes its token after the one before it, so waits are first come, first served
+    turn: Promise.resolve(),
+    usage: { day: null, requests: 0 }
+  });
+}
+
+/**
+ * Top a bucket up for the time since it was last refilled
+ * @param {Object} bucket - Bucket state
+ */
+function refill(bucket) {
+  const now = Date.now();
+  bucket.tokens = Math.min(bucket.perMinute, bucket.tokens + (now - bucket.refilledAt) * bucket.perMinute / MS_PER_MINUTE);
+  bucket.refilledAt = now;
+}
+
+/**
+ * Number of requests a provider has made on a day, read from the database once per day
+ * @param {string} provider - Provider name
+ * @param {Object} bucket - Bucket state
+ * @param {string} day - Exchange-local date as YYYY-MM-DD
+ * @returns {Promise<number>} - Requests made
+ */
+async function requestsOn(provider, bucket, day) {
+  if (bucket.usage.day !== day) {
+    await tableReady;
+    const row = await dbGet('SELECT requests FROM api_quota_usage WHERE provider = ? AND day = ?', [provider, day]);
+    bucket.usage = { day, requests: row ? row.requests : 0 };
+  }
+  return bucket.usage.requests;
+}
+
+/**
+ * Store a provider's request count for a day
+ * @param {string} provider - Provider name
+ * @param {Object} bucket - Bucket state with usage for the day
+ * @returns {Promise} - Resolves once stored
+ */
+function saveUsage(provider, bucket) {
+  return dbRun(
+    `INSERT INTO api_quota_usage (provider, day, requests) VALUES (?, ?, ?)
+     ON CONFLICT(provider, day) DO UPDATE SET requests = excluded.requests, updated_at = CURRENT_TIMESTAMP`,
+    [provider, bucket.usage.day, bucket.usage.requests]
+  );
+}
+
+/**
+ * Wait for a token and count the request against the day's allowance
+ * @param {string} provider - Provider name
+ * @param {Object} bucket - Bucket state
+ * @returns {Promise} - Resolves when the request may go ahead
+ */
+async function acquire(provider, bucket) {
+  const { date } = marketCalendar.exchangeTime();
+  const used = await requestsOn(provider, bucket, date);
+  if (bucket.perDay > 0 && used >= bucket.perDay) {
+    throw new Error(`${provider} daily request limit reached (${used} of ${bucket.perDay} used on ${date})`);
+  }
+
+  refill(bucket);
+  if (bucket.tokens < 1) {
+    const wait = Math.ceil((1 - bucket.tokens) * MS_PER_MINUTE / bucket.perMinute);
+    await new Promise(resolve => setTimeout(resolve, wait));
+    refill(bucket);
+  }
+  bucket.tokens -= 1;
+
+  bucket.usage.requests++;
+  await saveUsage(provider, bucket);
+}
+
+/**
+ * Run a request once the provider's quota allows it
+ * Providers without a quota run the request straight away.
+ * @param {string} provider - Provider name
+ * @param {Function} task - Async function making one request
+ * @returns {Promise<any>} - Result of the task
+ */
+async function schedule(provider, task) {
+  const bucket = buckets.get(provider);
+  if (!bucket) return task();
+
+  bucket.queued++;
+  const turn = bucket.turn.then(() => acquire(provider, bucket));
+  bucket.turn = turn.catch(() => {});
+  try {
+    await turn;
+  } finally {
+    bucket.queued--;
+  }
+  return task();
+}
+
+/**
+ * Mark a provider's daily allowance as used up, e.g. when the API says so first
+ * @param {string} provider - Provider name
+ * @returns {Promise} - Resolves once stored
+ */
+async function markExhausted(provider) {
+  const bucket = buckets.get(provider);
+  if (!bucket || bucket.perDay === 0) return;
+
+  const { date } = marketCalendar.exchangeTime();
+  const used = await requestsOn(provider, bucket, date);
+  bucket.usage.requests = Math.max(used, bucket.perDay);
+  await saveUsage(provider, bucket);
+}
+
+/**
+ * Describe every provider's quota and queue
+ * @returns {Promise<Array>} - [{ provider, perMinute, perDay, day, usedToday, remainingToday, tokens, queued }]
+ *   where remainingToday is null without a daily limit
+ */
+async function quotaStatus() {
+  const { date } = marketCalendar.exchangeTime();
+  const status = [];
+  for (const [provider, bucket] of buckets) {
+    refill(bucket);
+    const used = await requestsOn(provider, bucket, date);
+    status.push({
+      provider,
+      perMinute: bucket.perMinute,
+      perDay: bucket.perDay,
+      day: date,
+      usedToday: used,
+      remainingToday: bucket.perDay > 0 ? Math.max(0, bucket.perDay - used) : null,
+      tokens: Math.floor(bucket.tokens),
+      queued: bucket.queued
+    });
+  }
+  return status;
+}
+
+module.exports = {
+  defineQuota,
+  schedule,
+  markExhausted,
+  quotaStatus
+};
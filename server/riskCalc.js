@@ -0,0 +1,162 @@
+/**
+ * Risk Calculator
+ * Historical-simulation Value-at-Risk and Expected Shortfall: past joint returns
+ * of the underlyings are replayed against today's prices and every position is
+ * fully repriced at the end of the horizon
+ */
+
+const strategyCalc = require('./strategyCalc');
+const marketCalendar = require('./marketCalendar');
+
+// Holding periods in trading days and the confidence levels reported for each
+const RISK_HORIZONS = [1, 10];
+const CONFIDENCE_LEVELS = [0.95, 0.99];
+
+// Years of joint history replayed
+const DEFAULT_LOOKBACK_YEARS = 2;
+const MAX_LOOKBACK_YEARS = 10;
+
+// Worst historical scenarios listed per horizon
+const DEFAULT_WORST_SCENARIOS = 10;
+const MAX_WORST_SCENARIOS = 50;
+
+// Fewest joint 1-day returns needed for a meaningful tail estimate
+const MIN_SCENARIOS = 20;
+
+/**
+ * Validate the risk settings
+ * @param {Object} settings - { years, worst }, both optional
+ * @returns {Object} - { years, lookbackDays, worst } where lookbackDays counts trading days
+ */
+function resolveRiskSettings(settings = {}) {
+  const years = settings.years === undefined ? DEFAULT_LOOKBACK_YEARS : Number(settings.years);
+  const worst = settings.worst === undefined ? DEFAULT_WORST_SCENARIOS : Number(settings.worst);
+
+  if (!isFinite(years) || years <= 0 || years > MAX_LOOKBACK_YEARS) {
+    throw new Error(`years must be greater than 0 and at most ${MAX_LOOKBACK_YEARS}`);
+  }
+  if (!Number.isInteger(worst) || worst < 0 || worst > MAX_WORST_SCENARIOS) {
+    throw new Error(`worst must be a whole number from 0 to ${MAX_WORST_SCENARIOS}`);
+  }
+
+  return {
+    years,
+    lookbackDays: Math.round(years * marketCalendar.TRADING_DAYS_PER_YEAR),
+    worst
+  };
+}
+
+/**
+ * Build joint log returns over a holding period from the days every ticker traded
+ * Windows overlap, so a 10-day horizon gets nearly as many scenarios as a 1-day one.
+ * @param {Object} histories - Daily closes per ticker, each an array of { date, close }, oldest first
+ * @param {number} horizon - Holding period in trading days
+ * @returns {Array} - Array of { startDate, date, returns } where returns maps ticker to log return
+ */
+function jointReturns(histories, horizon) {
+  const tickers = Object.keys(histories);
+  if (tickers.length === 0) return [];
+
+  const closesByTicker = {};
+  tickers.forEach(ticker => {
+    closesByTicker[ticker] = new Map(histories[ticker].map(bar => [bar.date, bar.close]));
+  });
+  const dates = histories[tickers[0]]
+    .map(bar => bar.date)
+    .filter(date => tickers.every(ticker => closesByTicker[ticker].has(date)));
+
+  const scenarios = [];
+  for (let i = horizon; i < dates.length; i++) {
+    const returns = {};
+    tickers.forEach(ticker => {
+      const closes = closesByTicker[ticker];
+      returns[ticker] = Math.log(closes.get(dates[i]) / closes.get(dates[i - horizon]));
+    });
+    scenarios.push({ startDate: dates[i - horizon], date: dates[i], returns });
+  }
+  return scenarios;
+}
+
+/**
+ * Read Value-at-Risk and Expected Shortfall off a set of scenario P&Ls
+ * VaR is the loss at the tail quantile and ES the average loss in the tail,
+ * both reported as positive numbers for losses.
+ * @param {Array} pnl - Scenario P&Ls in dollars
+ * @param {number} confidence - Confidence level, e.g. 0.99
+ * @returns {Object} - { confidence, valueAtRisk, expectedShortfall, tailScenarios }
+ */
+function tailRisk(pnl, confidence) {
+  const sorted = [...pnl].sort((a, b) => a - b);
+  const tailScenarios = Math.max(1, Math.ceil(sorted.length * (1 - confidence)));
+  const tail = sorted.slice(0, tailScenarios);
+
+  return {
+    confidence,
+    valueAtRisk: -tail[tail.length - 1],
+    expectedShortfall: -tail.reduce((sum, value) => sum + value, 0) / tail.length,
+    tailScenarios
+  };
+}
+
+/**
+ * Run a historical simulation over a portfolio
+ * Each scenario moves every underlying by its historical return over the horizon
+ * and revalues the legs on the horizon date, keeping today's volatilities (sticky
+ * strike). Options that expire within the horizon are worth their intrinsic value.
+ * @param {Array} books - One entry per underlying: { ticker, legs, market } where legs and
+ *   market are priced as for strategyCalc.scenarioGrid()
+ * @param {Object} histories - Daily closes per ticker, oldest first
+ * @param {Object} settings - Settings from resolveRiskSettings()
+ * @returns {Object} - { currentValue, horizons } with VaR and ES per confidence level and
+ *   the worst scenarios for each horizon
+ */
+function historicalRisk(books, histories, settings) {
+  if (books.length === 0) return { currentValue: 0, horizons: [] };
+
+  const { today } = books[0].market;
+  const currentValue = books.reduce(
+    (total, book) => total + strategyCalc.strategyValue(book.legs, book.market.spot, today, book.market), 0
+  );
+
+  const horizons = RISK_HORIZONS.map(days => {
+    const valuationDate = marketCalendar.formatDay(marketCalendar.addTradingDays(marketCalendar.toDay(today), days));
+    const scenarios = jointReturns(histories, days).map(scenario => {
+      const value = books.reduce((total, book) => {
+        const price = book.market.spot * Math.exp(scenario.returns[book.ticker]);
+        return total + strategyCalc.strategyValue(book.legs, price, valuationDate, book.market);
+      }, 0);
+      return { ...scenario, pnl: value - currentValue };
+    });
+    const pnl = scenarios.map(scenario => scenario.pnl);
+
+    const worstScenarios = [...scenarios]
+      .sort((a, b) => a.pnl - b.pnl)
+      .slice(0, settings.worst)
+      .map(({ startDate, date, returns, pnl: scenarioPnl }) => {
+        const moves = {};
+        Object.keys(returns).forEach(ticker => { moves[ticker] = Math.exp(returns[ticker]) - 1; });
+        return { startDate, date, pnl: scenarioPnl, moves };
+      });
+
+    return {
+      days,
+      valuationDate,
+      scenarios: scenarios.length,
+      from: scenarios.length > 0 ? scenarios[0].startDate : null,
+      to: scenarios.length > 0 ? scenarios[scenarios.length - 1].date : null,
+      levels: scenarios.length > 0 ? CONFIDENCE_LEVELS.map(confidence => tailRisk(pnl, confidence)) : [],
+      worstScenarios
+    };
+  });
+
+  return { currentValue, horizons };
+}
+
+module.exports = {
+  RISK_HORIZONS,
+  CONFIDENCE_LEVELS,
+  MIN_SCENARIOS,
+  resolveRiskSettings,
+  jointReturns,
+  historicalRisk
+};
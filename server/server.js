@@ -3,12 +3,37 @@ const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
 const cors = require('cors');
 const optionCalc = require('./optionCalc');
-const alphaVantage = require('./alphaVantageService');
+const marketDataService = require('./marketDataService');
+const marketDataProviders = require('./marketDataProviders');
+const dividendService = require('./dividendService');
+const volSurface = require('./volSurface');
+const volatilityEstimators = require('./volatilityEstimators');
+const rateCurve = require('./rateCurve');
+const marketCalendar = require('./marketCalendar');
+const strategyCalc = require('./strategyCalc');
+const strategyTemplates = require('./strategyTemplates');
+const positionService = require('./positionService');
+const riskCalc = require('./riskCalc');
+const backtestEngine = require('./backtestEngine');
+const tradeJournal = require('./tradeJournal');
+const hedgeSimulator = require('./hedgeSimulator');
+const refreshScheduler = require('./refreshScheduler');
+const corporateActions = require('./corporateActions');
 require('dotenv').config();
 
 const app = express();
 const PORT = process.env.PORT || 5000;
 
+// Pricing models accepted by the option chain route
+const PRICING_MODELS = ['black-scholes', 'binomial', 'trinomial'];
+
+// Expirations (in days) sampled by the volatility surface endpoint
+const VOL_SURFACE_EXPIRIES = [7, 30, 60, 90, 180, 365];
+
+// Bounds applied to volatility estimates before pricing
+const MIN_VOLATILITY = 0.05;
+const MAX_VOLATILITY = 2;
+
 // Middleware
 app.use(cors());
 app.use(express.json());
@@ -46,90 +71,138 @@ app.get('/api/search/:query', (req, res) => {
   });
 });
 
+// API route to search the market data providers for symbols
+// Unlike /api/search this also finds tickers that aren't stored yet
+app.get('/api/symbols/:query', async (req, res) => {
+  const query = req.params.query.trim();
+  if (query.length === 0) {
+    res.status(400).json({ error: 'query is required' });
+    return;
+  }
+  
+  try {
+    res.json(await marketDataProviders.searchSymbols(query));
+  } catch (error) {
+    console.error(`Error searching symbols for "${query}":`, error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API route to get the latest quote for a ticker from the market data providers
+app.get('/api/quote/:ticker', async (req, res) => {
+  const ticker = req.params.ticker.toUpperCase();
+  
+  try {
+    res.json(await marketDataProviders.fetchQuote(ticker));
+  } catch (error) {
+    console.error(`Error fetching quote for ${ticker}:`, error.message);
+    if (error.message.includes('No market data provider is configured')) {
+      res.status(503).json({ error: error.message });
+    } else if (error.message.includes('No data found for ticker')) {
+      res.status(404).json({ error: error.message });
+    } else {
+      res.status(500).json({ error: error.message });
+    }
+  }
+});
+
+// API route to get the market data provider configuration
+app.get('/api/providers', (req, res) => {
+  res.json(marketDataProviders.describeProviders());
+});
+
 // API route to get price data for a specific ticker
+// adjusted=true back-adjusts the bars for splits and dividends (default false, raw prices)
+// interval=1|5|15|60 returns intraday bars of that many minutes instead of daily bars
+// from, to and limit select a range (limit keeps the latest bars in it) and resolution=W|M|Q
+// resamples daily bars into weeks, months or quarters
 app.get('/api/prices/:ticker', async (req, res) => {
   const ticker = req.params.ticker.toUpperCase();
   console.log(`Received request for price data: ${ticker}`);
   
+  const adjustedParam = String(req.query.adjusted || 'false').toLowerCase();
+  if (adjustedParam !== 'true' && adjustedParam !== 'false') {
+    res.status(400).json({ error: 'adjusted must be true or false' });
+    return;
+  }
+  const adjusted = adjustedParam === 'true';
+  
+  let interval;
+  let range;
+  try {
+    interval = marketDataService.parseInterval(req.query.interval);
+    range = parsePriceRange(req.query, interval !== null);
+  } catch (paramError) {
+    res.status(400).json({ error: paramError.message });
+    return;
+  }
+  if (interval) {
+    if (range.resolution !== 'D') {
+      res.status(400).json({ error: 'resolution only applies to daily bars; use interval for intraday bars' });
+      return;
+    }
+    sendIntradayPrices(res, ticker, interval, range, adjusted);
+    return;
+  }
+  
   try {
     // Check if ticker exists in database
-    const tickerExists = await alphaVantage.tickerExistsInDatabase(ticker);
+    const tickerExists = await marketDataService.tickerExistsInDatabase(ticker);
     
     if (tickerExists) {
-      // Check if data is stale (over a week old)
+      // Check if data is stale (older than the ticker's staleness limit)
       const needsUpdate = await isDataStale(ticker);
       
       if (needsUpdate) {
-        console.log(`Data for ${ticker} is over a week old, updating from Alpha Vantage...`);
-        try {
-          await alphaVantage.updateExistingStockData(ticker);
-          console.log(`Successfully updated data for ${ticker}`);
-        } catch (updateError) {
-          console.error(`Error updating data for ${ticker}:`, updateError.message);
-          // Continue with existing data even if update fails
+        // Serve the stored data now and refresh in the background rather than wait on the providers
+        if (refreshScheduler.requestRefresh(ticker)) {
+          console.log(`Data for ${ticker} is stale, queued a background refresh`);
         }
       }
       
-      // Fetch from database
-      db.all(
-        'SELECT ticker, date, open, high, low, close, volume FROM stock_prices WHERE ticker = ? ORDER BY date',
-        [ticker],
-        (err, rows) => {
-          if (err) {
-            console.error(`Error fetching price data for ${ticker}:`, err.message);
-            res.status(500).json({ error: err.message });
-            return;
-          }
-          
-          console.log(`Found ${rows.length} price records for ${ticker} in database`);
-          
-          if (rows.length === 0) {
-            // If no rows found (rare edge case), try fetching from Alpha Vantage
-            fetchFromAlphaVantage();
-            return;
-          }
-          
-          // Format data for TradingView chart
-          const formattedData = rows.map(row => ({
-            time: new Date(row.date).getTime() / 1000, // Convert to Unix timestamp in seconds
-            open: row.open,
-            high: row.high,
-            low: row.low,
-            close: row.close,
-            volume: row.volume
-          }));
-          
-          console.log(`Sending ${formattedData.length} formatted price records for ${ticker}`);
-          res.json(formattedData);
-        }
-      );
+      await sendStoredPrices();
     } else {
-      // Ticker not in database, fetch from Alpha Vantage
-      fetchFromAlphaVantage();
+      // Ticker not in database, fetch from the providers
+      await fetchFromProviders();
+    }
+    
+    // Helper function to send the stored prices in the requested range, resolution and adjustment
+    async function sendStoredPrices() {
+      const bars = await marketDataService.getPriceBars(ticker, { ...range, adjusted });
+      
+      // Format data for TradingView chart
+      const formattedData = bars.map(row => ({
+        time: new Date(row.date).getTime() / 1000, // Convert to Unix timestamp in seconds
+        open: row.open,
+        high: row.high,
+        low: row.low,
+        close: row.close,
+        volume: row.volume
+      }));
+      
+      console.log(`Sending ${formattedData.length} ${adjusted ? 'adjusted' : 'raw'} ${range.resolution} price records for ${ticker}`);
+      res.json(formattedData);
     }
     
-    // Helper function to fetch from Alpha Vantage and respond
-    async function fetchFromAlphaVantage() {
+    // Helper function to fetch from the market data providers and respond
+    async function fetchFromProviders() {
       try {
-        console.log(`Ticker ${ticker} not found in database, fetching from Alpha Vantage`);
-        const formattedData = await alphaVantage.fetchAndStoreStockData(ticker);
+        console.log(`Ticker ${ticker} not found in database, fetching from the market data providers`);
+        const formattedData = await marketDataService.fetchAndStoreStockData(ticker);
         
         if (!formattedData || formattedData.length === 0) {
-          console.error(`No data found for ticker ${ticker} via Alpha Vantage`);
+          console.error(`No data found for ticker ${ticker} via the market data providers`);
           res.status(404).json({ 
             error: `No data found for ticker ${ticker}. Please check if the symbol is valid.`
           });
           return;
         }
-        
-        console.log(`Sending ${formattedData.length} price records from Alpha Vantage for ${ticker}`);
-        res.json(formattedData);
       } catch (error) {
-        console.error(`Error fetching ${ticker} from Alpha Vantage:`, error.message);
-        // If API key not set, send a special message
-        if (error.message.includes('apikey')) {
+        console.error(`Error fetching ${ticker} from the market data providers:`, error.message);
+        // If no provider is set up (e.g. no API key), send a special message
+        if (error.message.includes('No market data provider is configured')) {
           res.status(503).json({ 
-            error: 'Alpha Vantage API key not configured. Please set ALPHA_VANTAGE_API_KEY in .env file.' 
+            error: 'No market data provider is configured. Set ALPHA_VANTAGE_API_KEY, CSV_DATA_DIR or STOOQ_DATA_DIR in .env file and list it in MARKET_DATA_PROVIDERS.' 
           });
         } else if (error.message.includes('No data found for ticker')) {
           // If ticker is invalid, return 404
@@ -139,7 +212,11 @@ app.get('/api/prices/:ticker', async (req, res) => {
         } else {
           res.status(500).json({ error: error.message });
         }
+        return;
       }
+      
+      // Answer from the database so the range, resolution and adjustment apply
+      await sendStoredPrices();
     }
   } catch (error) {
     console.error(`Error processing request for ${ticker}:`, error.message);
@@ -147,7 +224,134 @@ app.get('/api/prices/:ticker', async (req, res) => {
   }
 });
 
-// Helper function to check if data for a ticker is over a week old
+// Helper function to read the from, to, limit and resolution parameters of the prices route
+// Daily bars take YYYY-MM-DD dates; intraday bars also take 'YYYY-MM-DD HH:MM' times, and a
+// bare date covers that whole day. Throws if any parameter is invalid
+function parsePriceRange(query, intraday) {
+  const readTime = (name, endOfDay) => {
+    if (query[name] === undefined || query[name] === '') return null;
+    const match = /^(\d{4}-\d{2}-\d{2})(?:[ T](\d{2}:\d{2}))?$/.exec(String(query[name]));
+    if (!match || !marketCalendar.isIsoDate(match[1]) || (match[2] && !intraday)) {
+      throw new Error(`${name} must be a date as YYYY-MM-DD${intraday ? ' or a time as YYYY-MM-DD HH:MM' : ''}`);
+    }
+    if (!intraday) return match[1];
+    return `${match[1]} ${match[2] || (endOfDay ? '23:59' : '00:00')}`;
+  };
+  
+  const from = readTime('from', false);
+  const to = readTime('to', true);
+  if (from && to && from > to) {
+    throw new Error('from must not be after to');
+  }
+  
+  let limit = null;
+  if (query.limit !== undefined && query.limit !== '') {
+    limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1) {
+      throw new Error('limit must be a positive whole number of bars');
+    }
+  }
+  
+  const resolution = String(query.resolution || 'D').toUpperCase();
+  if (!marketDataService.RESOLUTIONS.includes(resolution)) {
+    throw new Error(`Invalid resolution "${query.resolution}". Use one of: ${marketDataService.RESOLUTIONS.join(', ')}`);
+  }
+  
+  return { from, to, limit, resolution };
+}
+
+// Helper function to send the intraday bars of a ticker in a range from parsePriceRange()
+// Bars are fetched on the first request and refreshed in the background once they lag the session.
+// Times are exchange wall-clock times written as UTC, so the chart's axis reads New York time
+async function sendIntradayPrices(res, ticker, interval, range, adjusted) {
+  try {
+    const stored = (await marketDataService.storedIntradayIntervals(ticker)).includes(interval);
+    if (!stored) {
+      console.log(`No ${interval} minute bars stored for ${ticker}, fetching from the market data providers`);
+      await marketDataService.refreshIntradayData(ticker, interval);
+    }
+    
+    let bars = await marketDataService.getIntradayBars(ticker, interval, range);
+    // Requests for older history don't reach the latest bar, so only the rest check its age
+    if (stored && !range.to && bars.length > 0 && marketDataService.intradayIsStale(bars[bars.length - 1].date, interval)) {
+      if (refreshScheduler.requestRefresh(ticker, interval)) {
+        console.log(`${interval} minute bars for ${ticker} are stale, queued a background refresh`);
+      }
+    }
+    
+    if (adjusted) {
+      bars = corporateActions.adjustBars(bars, await corporateActions.getActions(ticker));
+    }
+    
+    console.log(`Sending ${bars.length} ${interval} minute price records for ${ticker}`);
+    res.json(bars.map(bar => ({
+      time: Date.parse(`${bar.date.replace(' ', 'T')}:00Z`) / 1000,
+      open: bar.open,
+      high: bar.high,
+      low: bar.low,
+      close: bar.close,
+      volume: bar.volume
+    })));
+  } catch (error) {
+    console.error(`Error fetching ${interval} minute bars for ${ticker}:`, error.message);
+    if (error.message.includes('No market data provider is configured')) {
+      res.status(503).json({ error: error.message });
+    } else if (error.message.includes('No data found for ticker')) {
+      res.status(404).json({ error: error.message });
+    } else {
+      res.status(500).json({ error: error.message });
+    }
+  }
+}
+
+// API route to refresh the stored prices of a ticker from the market data providers
+// Fetches only the bars since the latest stored date and reports the rows added or updated
+app.post('/api/prices/:ticker/refresh', async (req, res) => {
+  const ticker = req.params.ticker.toUpperCase();
+  
+  try {
+    const report = await marketDataService.updateExistingStockData(ticker);
+    if (!report) {
+      res.status(404).json({ error: `No stored prices for ${ticker}; GET /api/prices/${ticker} fetches its full history` });
+      return;
+    }
+    res.json(report);
+  } catch (error) {
+    console.error(`Error refreshing prices for ${ticker}:`, error.message);
+    if (error.message.includes('No market data provider is configured')) {
+      res.status(503).json({ error: error.message });
+    } else if (error.message.includes('No data found for ticker')) {
+      res.status(404).json({ error: error.message });
+    } else {
+      res.status(500).json({ error: error.message });
+    }
+  }
+});
+
+// API route to get the background price refresh status
+// Shows the schedule, the queue, the last run, recent failures and the data provider quotas
+app.get('/api/refresh/status', async (req, res) => {
+  try {
+    res.json(await refreshScheduler.status());
+  } catch (error) {
+    console.error('Error reading refresh status:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API route to start a background refresh of the scheduled tickers now
+app.post('/api/refresh/run', async (req, res) => {
+  try {
+    const run = await refreshScheduler.startRun('manual');
+    res.status(202).json(run);
+  } catch (error) {
+    console.error('Error starting price refresh:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Helper function to check if data for a ticker is older than its staleness limit
+// (PRICE_STALE_DAYS, or its entry in PRICE_STALE_DAYS_OVERRIDES)
 async function isDataStale(ticker) {
   return new Promise((resolve, reject) => {
     const query = 'SELECT MAX(date) as latest_date FROM stock_prices WHERE ticker = ?';
@@ -173,205 +377,1396 @@ async function isDataStale(ticker) {
       
       console.log(`Latest data for ${ticker} is from ${row.latest_date} (${diffDays} days old)`);
       
-      // Return true if data is over 7 days old
-      resolve(diffDays > 7);
+      // Return true if data is older than the limit
+      resolve(diffDays > marketDataService.staleAfterDays(ticker));
     });
   });
 }
 
-// API route to get option chain data using Black-Scholes model
-app.get('/api/options/:ticker', (req, res) => {
-  const ticker = req.params.ticker.toUpperCase();
-  const requestedDate = req.query.date; // Optional query param for specific date
-  
-  console.log(`Received request for options data: ${ticker}${requestedDate ? ` with date ${requestedDate}` : ''}`);
-  
-  // Get the latest stock price and calculate historical volatility
-  db.all(
-    'SELECT close FROM stock_prices WHERE ticker = ? ORDER BY date DESC LIMIT 30',
-    [ticker],
-    (err, rows) => {
-      if (err) {
-        console.error('Database error:', err.message);
-        res.status(500).json({ error: 'Database error: ' + err.message });
-        return;
-      }
-      
-      if (!rows || rows.length === 0) {
-        console.error('No price data found for ticker:', ticker);
-        res.status(404).json({ error: 'No price data found for ticker' });
-        return;
-      }
-      
-      try {
+// Helper function to get the latest close and the historical volatility for a ticker
+// volSpec is { model, window } from volatilityEstimators.resolveVolModel()
+// Volatility is estimated from split- and dividend-adjusted bars; intradayEstimate is the
+// realized volatility of the shortest stored intraday bars, or null without any
+// Resolves to null if there is no price data for the ticker
+async function getPriceAndVolatility(ticker, volSpec) {
+  const actions = await corporateActions.getActions(ticker);
+  const intradayEstimate = await getIntradayVolatility(ticker);
+  return new Promise((resolve, reject) => {
+    db.all(
+      'SELECT date, open, high, low, close FROM stock_prices WHERE ticker = ? ORDER BY date DESC LIMIT ?',
+      [ticker, volSpec.window + 1],
+      (err, rows) => {
+        if (err) {
+          console.error('Database error:', err.message);
+          reject(new Error('Database error: ' + err.message));
+          return;
+        }
+        
+        if (!rows || rows.length === 0) {
+          resolve(null);
+          return;
+        }
+        
         // Get current price (most recent closing price)
         const currentPrice = parseFloat(rows[0].close);
         console.log(`Current price for ${ticker}: ${currentPrice}`);
         
-        // Calculate historical volatility with error handling
+        // Estimate volatility with error handling
         let volatility = 0.25; // Default volatility of 25%
+        let estimate = null;
         try {
-          // Extract closing prices for volatility calculation
-          const closingPrices = rows.map(row => parseFloat(row.close));
-          if (closingPrices.length > 1) {
-            volatility = optionCalc.calculateHistoricalVolatility(closingPrices);
-            console.log(`Calculated volatility for ${ticker}: ${volatility}`);
-            // Cap volatility to reasonable range
-            volatility = Math.max(0.1, Math.min(volatility, 0.8));
-          }
+          // Estimators expect bars oldest first
+          const bars = corporateActions.adjustBars(rows.reverse().map(row => ({
+            date: row.date,
+            open: parseFloat(row.open),
+            high: parseFloat(row.high),
+            low: parseFloat(row.low),
+            close: parseFloat(row.close)
+          })), actions);
+          estimate = volatilityEstimators.estimateVolatility(volSpec.model, bars, volSpec.window);
+          console.log(`Calculated ${volSpec.model} volatility for ${ticker}: ${estimate.volatility}`);
+          // Guard against degenerate estimates
+          volatility = Math.max(MIN_VOLATILITY, Math.min(estimate.volatility, MAX_VOLATILITY));
         } catch (volatilityError) {
-          console.error('Error calculating volatility, using default:', volatilityError);
-        }
-        
-        // Calculate base strike (round current price to nearest 5)
-        const baseStrike = Math.round(currentPrice / 5) * 5;
-        const strikeStep = 5;
-        const strikesCount = 10; // Number of strikes to generate
-        
-        // Generate strike prices (centered around base strike)
-        const strikes = [];
-        for (let i = -Math.floor(strikesCount/2); i <= Math.floor(strikesCount/2); i++) {
-          strikes.push(baseStrike + i * strikeStep);
+          console.error('Error calculating volatility, using default:', volatilityError.message);
         }
         
-        // Sort strikes high to low as requested
-        strikes.sort((a, b) => b - a);
-        
-        // Generate days to expiration - include a 0 DTE tab that will be replaced by custom date
-        let daysToExpiration = [0, 30, 60, 90, 180]; // Default expirations with 0 DTE
-        
-        // If a specific date was requested, replace the 0 DTE tab with it
-        if (requestedDate) {
-          const today = new Date();
-          const targetDate = new Date(requestedDate);
-          
-          // Only use if it's a valid future date
-          if (targetDate > today) {
-            const diffTime = Math.abs(targetDate - today);
-            const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
-            
-            // Remove 0 DTE and add custom date (replace the first tab)
-            daysToExpiration = daysToExpiration.filter(d => d !== 0);
-            daysToExpiration.unshift(diffDays);
-            
-            // Sort days to expiration in ascending order
-            daysToExpiration.sort((a, b) => a - b);
-          } else {
-            console.warn('Requested date is not in the future, ignoring:', requestedDate);
-          }
+        resolve({ currentPrice, volatility, estimate, intradayEstimate });
+      }
+    );
+  });
+}
+
+// Helper function to estimate the realized volatility of the latest sessions from the
+// shortest stored intraday bars. Resolves to null when there are none or too few
+async function getIntradayVolatility(ticker) {
+  try {
+    const intervals = await marketDataService.storedIntradayIntervals(ticker);
+    if (intervals.length === 0) return null;
+    
+    // A couple of weeks back covers the sessions the estimator uses
+    const since = marketCalendar.formatDay(marketCalendar.addDays(marketCalendar.toDay(new Date()), -14));
+    const bars = await marketDataService.getIntradayBars(ticker, intervals[0], { from: since });
+    return volatilityEstimators.estimateIntradayVolatility(bars, intervals[0]);
+  } catch (intradayError) {
+    console.warn(`No intraday volatility for ${ticker}:`, intradayError.message);
+    return null;
+  }
+}
+
+// Helper function to get the volatility input for an expiry
+// Options expiring today use the intraday realized volatility when there is one.
+// GARCH forecasts the average variance over the trading days to expiry; other estimators are flat
+function volatilityForExpiry(marketData, tradingDays) {
+  const { estimate, volatility, intradayEstimate } = marketData;
+  if (tradingDays === 0 && intradayEstimate) {
+    return Math.max(MIN_VOLATILITY, Math.min(intradayEstimate.volatility, MAX_VOLATILITY));
+  }
+  if (!estimate || !estimate.garch) return volatility;
+  
+  const forecast = volatilityEstimators.garchForecastVolatility(estimate.garch, tradingDays);
+  return Math.max(MIN_VOLATILITY, Math.min(forecast, MAX_VOLATILITY));
+}
+
+// Helper function to summarise the volatility estimate for API responses
+function describeVolatilityEstimate(marketData, volSpec) {
+  const { estimate } = marketData;
+  return {
+    model: volSpec.model,
+    window: volSpec.window,
+    barsUsed: estimate ? estimate.barsUsed : 0,
+    rawVolatility: estimate ? estimate.volatility : null,
+    fallback: !estimate,
+    garch: estimate && estimate.garch ? {
+      omega: estimate.garch.omega,
+      alpha: estimate.garch.alpha,
+      beta: estimate.garch.beta,
+      longRunVolatility: Math.sqrt(estimate.garch.longRunVariance * volatilityEstimators.TRADING_DAYS_PER_YEAR)
+    } : null,
+    // Used for options expiring today
+    intraday: marketData.intradayEstimate || null
+  };
+}
+
+// Helper function to read a query parameter restricted to a list of choices
+// Defaults to the first choice; sends a 400 response and returns null if it is invalid
+function parseQueryChoice(req, res, name, choices) {
+  const raw = req.query[name] === undefined || req.query[name] === '' ? choices[0] : req.query[name];
+  // A repeated parameter arrives as an array
+  if (typeof raw !== 'string') {
+    res.status(400).json({ error: `${name} must be given once, as one of: ${choices.join(', ')}` });
+    return null;
+  }
+  const value = raw.toLowerCase();
+  if (!choices.includes(value)) {
+    res.status(400).json({ error: `Invalid ${name} "${value}". Use one of: ${choices.join(', ')}` });
+    return null;
+  }
+  return value;
+}
+
+// API route to view the risk-free yield curve
+// Optional ?days=30,60,90 returns the interpolated rate for those expiries
+app.get('/api/rates', async (req, res) => {
+  const rateInterpolation = parseQueryChoice(req, res, 'rateInterpolation', rateCurve.INTERPOLATION_METHODS);
+  if (!rateInterpolation) return;
+  
+  try {
+    const curve = await rateCurve.getCurve();
+    const interpolate = rateCurve.createInterpolator(curve, rateInterpolation);
+    const days = req.query.days
+      ? String(req.query.days).split(',').map(value => parseInt(value, 10)).filter(value => value > 0)
+      : [];
+    
+    res.json({
+      curve,
+      interpolation: rateInterpolation,
+      defaultRate: curve.length === 0 ? rateCurve.DEFAULT_RISK_FREE_RATE : null,
+      interpolated: days.map(day => ({ days: day, rate: interpolate(day / 365) }))
+    });
+  } catch (error) {
+    console.error('Error fetching yield curve:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API route to replace the risk-free yield curve
+// Body: { points: [{ tenor: '3M', rate: 0.0415 }] } with decimal rates,
+// or { csv: '<Treasury daily par yield curve CSV>' } with rates in percent
+app.put('/api/rates', async (req, res) => {
+  const { points, csv } = req.body || {};
+  
+  try {
+    const curvePoints = csv ? rateCurve.parseCurveCsv(csv).points : points;
+    const curve = await rateCurve.setCurve(curvePoints);
+    console.log(`Stored yield curve with ${curve.length} tenors`);
+    res.json({ curve });
+  } catch (error) {
+    console.error('Error storing yield curve:', error.message);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Helper function to list the Greek units for a time basis
+// On the trading-day basis time-based Greeks are per trading day
+function greekUnitsFor(timeBasis) {
+  if (timeBasis !== 'trading') return optionCalc.GREEK_UNITS;
+  const units = { ...optionCalc.GREEK_UNITS };
+  optionCalc.TIME_GREEKS.forEach(name => { units[name] = units[name].replace('calendar day', 'trading day'); });
+  return units;
+}
+
+// Helper function to describe which dividend adjustment the pricer applied
+function describeDividendMethod(dividendYield, dividends) {
+  const methods = [];
+  if (dividendYield > 0) methods.push('merton-continuous-yield');
+  if (dividends.length > 0) methods.push('escrowed-discrete');
+  return methods.length > 0 ? methods.join('+') : 'none';
+}
+
+// API route to get the dividend assumption for a ticker
+app.get('/api/dividends/:ticker', async (req, res) => {
+  const ticker = req.params.ticker.toUpperCase();
+  
+  try {
+    const assumption = await dividendService.getDividendAssumption(ticker);
+    res.json({ ticker, ...assumption });
+  } catch (error) {
+    console.error(`Error fetching dividends for ${ticker}:`, error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API route to replace the dividend assumption for a ticker
+// Body: { dividendYield: 0.013, dividends: [{ exDate: '2025-03-21', amount: 1.74 }] }
+app.put('/api/dividends/:ticker', async (req, res) => {
+  const ticker = req.params.ticker.toUpperCase();
+  const { dividendYield = 0, dividends = [] } = req.body || {};
+  
+  if (!Array.isArray(dividends)) {
+    res.status(400).json({ error: 'dividends must be an array of { exDate, amount }' });
+    return;
+  }
+  
+  try {
+    const assumption = await dividendService.setDividendAssumption(ticker, {
+      dividendYield: parseFloat(dividendYield),
+      dividends
+    });
+    res.json({ ticker, ...assumption });
+  } catch (error) {
+    console.error(`Error storing dividends for ${ticker}:`, error.message);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Helper function to read the pricing settings shared by the chain and strategy routes
+// Sends a 400 response and returns null if any of them is invalid
+function parsePricingSettings(req, res) {
+  const model = parseQueryChoice(req, res, 'model', PRICING_MODELS);
+  if (!model) return null;
+  
+  // Volatility estimator and surface parameters (skew, curvature, ...)
+  let volSpec;
+  let surfaceParams;
+  try {
+    volSpec = volatilityEstimators.resolveVolModel(req.query.volModel, req.query.volWindow);
+    surfaceParams = volSurface.resolveSurfaceParams(req.query);
+  } catch (paramError) {
+    res.status(400).json({ error: paramError.message });
+    return null;
+  }
+  
+  const rateInterpolation = parseQueryChoice(req, res, 'rateInterpolation', rateCurve.INTERPOLATION_METHODS);
+  if (!rateInterpolation) return null;
+  
+  // Time to expiry in calendar days / 365 or trading days / 252
+  const timeBasis = parseQueryChoice(req, res, 'timeBasis', marketCalendar.TIME_BASES);
+  if (!timeBasis) return null;
+  
+  return {
+    model,
+    volSpec,
+    // GARCH supplies its own term structure, so the surface only adds the smile
+    surfaceParams: volSpec.model === 'garch' ? { ...surfaceParams, longRunVol: null } : surfaceParams,
+    rateInterpolation,
+    timeBasis,
+    daysPerYear: timeBasis === 'trading' ? marketCalendar.TRADING_DAYS_PER_YEAR : 365
+  };
+}
+
+// Helper function to load the market inputs for pricing a ticker: price and volatility,
+// the yield curve and the dividend assumption. Resolves null if there is no price data
+async function loadPricingContext(ticker, settings) {
+  const marketData = await getPriceAndVolatility(ticker, settings.volSpec);
+  if (!marketData) return null;
+  
+  const rates = await rateCurve.getRateInterpolator(settings.rateInterpolation);
+  const { dividendYield, dividends } = await dividendService.getDividendAssumption(ticker);
+  const today = marketCalendar.formatDay(marketCalendar.toDay(new Date()));
+  
+  return { ...settings, marketData, rates, dividendYield, dividends, today };
+}
+
+// Helper function to build the pricing inputs for one expiry date
+function expiryPricingInputs(context, expiryDate) {
+  const { today, timeBasis, marketData, rates, dividendYield, dividends, surfaceParams } = context;
+  
+  // Options expiring today are given one day of life to avoid division by 0
+  const timeToExpiry = marketCalendar.timeToExpiry(today, expiryDate, timeBasis);
+  const tradingDays = marketCalendar.tradingDaysBetween(today, expiryDate);
+  const expiryVol = volatilityForExpiry(marketData, tradingDays);
+  const riskFreeRate = rates.rateFor(timeToExpiry);
+  
+  // Dividend ex-dates share the expiry's day count
+  const expiryDividends = dividendService.dividendsBeforeExpiry(
+    dividends, today, timeToExpiry, (from, date) => marketCalendar.yearFraction(from, date, timeBasis)
+  );
+  const spot = marketData.currentPrice - optionCalc.dividendPresentValue(expiryDividends, riskFreeRate);
+  
+  return {
+    timeToExpiry,
+    tradingDays,
+    expiryVol,
+    riskFreeRate,
+    dividendYield,
+    dividends: expiryDividends,
+    forward: spot * Math.exp((riskFreeRate - dividendYield) * timeToExpiry),
+    // Each strike is priced off its own point on the volatility surface
+    volatilityFor: (strike, forward) => volSurface.surfaceVolatility(expiryVol, strike, forward, timeToExpiry, surfaceParams)
+  };
+}
+
+// Helper function to build a generateOptionChain expiry for a listed expiration
+function chainExpiry(context, { date: expiryDate, type: expiryType }) {
+  const inputs = expiryPricingInputs(context, expiryDate);
+  
+  return {
+    ...inputs,
+    key: expiryDate,
+    details: {
+      expiryDate,
+      expiryType,
+      daysToExpiry: marketCalendar.calendarDaysBetween(context.today, expiryDate),
+      tradingDaysToExpiry: inputs.tradingDays,
+      timeToExpiry: inputs.timeToExpiry,
+      forecastVolatility: inputs.expiryVol,
+      atmVolatility: volSurface.atmVolatility(inputs.expiryVol, inputs.timeToExpiry, context.surfaceParams)
+    }
+  };
+}
+
+// API route to get option chain data using Black-Scholes or a lattice model
+app.get('/api/options/:ticker', async (req, res) => {
+  const ticker = req.params.ticker.toUpperCase();
+  const requestedDate = req.query.date; // Optional query param for specific date
+  
+  const settings = parsePricingSettings(req, res);
+  if (!settings) return;
+  const { model, timeBasis } = settings;
+  
+  console.log(`Received request for options data: ${ticker}${requestedDate ? ` with date ${requestedDate}` : ''} (model: ${model})`);
+  
+  let strikeGrid;
+  try {
+    strikeGrid = optionCalc.resolveStrikeGrid(req.query);
+  } catch (paramError) {
+    res.status(400).json({ error: paramError.message });
+    return;
+  }
+  
+  try {
+    // Get the latest stock price, volatility, rates and dividends
+    const context = await loadPricingContext(ticker, settings);
+    
+    if (!context) {
+      console.error('No price data found for ticker:', ticker);
+      res.status(404).json({ error: 'No price data found for ticker' });
+      return;
+    }
+    
+    const { marketData, today, rates, dividendYield, dividends } = context;
+    const { currentPrice, volatility } = marketData;
+    
+    // Listed expirations: weeklies, monthlies and quarterlies from the exchange calendar
+    const expirations = marketCalendar.listExpirations(today);
+    
+    // If a specific date was requested, snap it to the nearest valid expiry and add it
+    let customExpiry = null;
+    if (requestedDate) {
+      const targetDate = new Date(requestedDate);
+      
+      // Only use if it's a valid date that hasn't passed
+      if (!isNaN(targetDate.getTime()) && marketCalendar.formatDay(marketCalendar.toDay(requestedDate)) >= today) {
+        customExpiry = marketCalendar.snapToExpiry(requestedDate, today);
+        if (!expirations.some(expiry => expiry.date === customExpiry.date)) {
+          expirations.push(customExpiry);
+          expirations.sort((a, b) => (a.date < b.date ? -1 : 1));
         }
-        
-        // Risk-free rate (approximately 3-4% as of 2023)
-        const riskFreeRate = 0.035;
-        
-        // Generate option chain data using Black-Scholes with error handling
-        const optionChain = {};
-        
-        daysToExpiration.forEach(days => {
-          // Handle 0 DTE as a special case
-          const timeToExpiry = days === 0 ? 1/365 : days / 365; // Use 1 day for 0 DTE to avoid division by 0
-          const expiryData = { calls: [], puts: [] };
-          
-          strikes.forEach(strike => {
-            try {
-              // Calculate option prices using Black-Scholes
-              const callPrice = optionCalc.blackScholes('call', currentPrice, strike, timeToExpiry, riskFreeRate, volatility);
-              const putPrice = optionCalc.blackScholes('put', currentPrice, strike, timeToExpiry, riskFreeRate, volatility);
-              
-              // Calculate the Greeks
-              // Delta: Δ = N(d1) for calls, Δ = N(d1) - 1 for puts
-              // Gamma: Γ = N'(d1) / (S * σ * √T)
-              // Theta: Θ = -S * N'(d1) * σ / (2 * √T)
-              // Vega: v = S * √T * N'(d1)
-              
-              const d1 = (Math.log(currentPrice / strike) + (riskFreeRate + volatility * volatility / 2) * timeToExpiry) 
-                         / (volatility * Math.sqrt(timeToExpiry));
-              const d2 = d1 - volatility * Math.sqrt(timeToExpiry);
-              
-              const callDelta = optionCalc.normalCDF(d1);
-              const putDelta = callDelta - 1;
-              
-              const normDist = Math.exp(-d1*d1/2) / Math.sqrt(2 * Math.PI);
-              const gamma = normDist / (currentPrice * volatility * Math.sqrt(timeToExpiry));
-              
-              const callTheta = (-currentPrice * normDist * volatility / (2 * Math.sqrt(timeToExpiry)) 
-                                - riskFreeRate * strike * Math.exp(-riskFreeRate * timeToExpiry) * optionCalc.normalCDF(d2)) / 365;
-              
-              const putTheta = (-currentPrice * normDist * volatility / (2 * Math.sqrt(timeToExpiry)) 
-                               + riskFreeRate * strike * Math.exp(-riskFreeRate * timeToExpiry) * optionCalc.normalCDF(-d2)) / 365;
-              
-              const vega = currentPrice * Math.sqrt(timeToExpiry) * normDist / 100;
-              
-              // Add call option
-              expiryData.calls.push({
-                strike,
-                price: Math.max(0.01, callPrice),
-                delta: callDelta,
-                gamma,
-                theta: callTheta,
-                vega,
-                inTheMoney: currentPrice > strike
-              });
-              
-              // Add put option
-              expiryData.puts.push({
-                strike,
-                price: Math.max(0.01, putPrice),
-                delta: putDelta,
-                gamma,
-                theta: putTheta,
-                vega,
-                inTheMoney: currentPrice < strike
-              });
-            } catch (error) {
-              console.error(`Error calculating option for strike ${strike}:`, error);
-              // Add placeholder in case of calculation error
-              expiryData.calls.push({
-                strike,
-                price: 0.01,
-                delta: 0,
-                gamma: 0,
-                theta: 0,
-                vega: 0,
-                inTheMoney: false
-              });
-              expiryData.puts.push({
-                strike,
-                price: 0.01,
-                delta: 0,
-                gamma: 0,
-                theta: 0,
-                vega: 0,
-                inTheMoney: false
-              });
-            }
-          });
-          
-          // Store the expiration data
-          optionChain[days] = expiryData;
-        });
-        
-        // Send the option chain data
-        res.json({
-          ticker,
-          price: currentPrice,
-          volatility,
-          optionChain,
-          customDate: requestedDate || null // Send the custom date if it was provided
-        });
-      } catch (error) {
-        console.error('Error processing option data:', error);
-        res.status(500).json({ 
-          error: 'Error calculating option data: ' + error.message
-        });
+      } else {
+        console.warn('Requested date is not a valid future date, ignoring:', requestedDate);
       }
     }
-  );
+    
+    // Build the pricing inputs for each expiry, then price the whole chain in one pass
+    const expiries = expirations.map(expiration => chainExpiry(context, expiration));
+    
+    // Contracts that fail to price get placeholders, so errors here come from the strike grid
+    let optionChain;
+    try {
+      optionChain = optionCalc.generateOptionChain(currentPrice, expiries, {
+        model,
+        strikeGrid,
+        daysPerYear: settings.daysPerYear
+      });
+    } catch (gridError) {
+      res.status(400).json({ error: gridError.message });
+      return;
+    }
+    
+    // Send the option chain data
+    res.json({
+      ticker,
+      price: currentPrice,
+      volatility,
+      volatilityEstimate: describeVolatilityEstimate(marketData, settings.volSpec),
+      rateSource: rates.source,
+      timeBasis,
+      model,
+      volSurface: settings.surfaceParams,
+      dividendAssumption: {
+        method: describeDividendMethod(dividendYield, dividends),
+        dividendYield,
+        dividends
+      },
+      strikeGrid: { ...strikeGrid, strikeStep: strikeGrid.strikeStep || optionCalc.defaultStrikeStep(currentPrice) },
+      greekUnits: greekUnitsFor(timeBasis),
+      expirations,
+      optionChain,
+      customDate: customExpiry ? customExpiry.date : null, // The requested date snapped to a listed expiry
+      requestedDate: requestedDate || null
+    });
+  } catch (error) {
+    console.error('Error processing option data:', error);
+    res.status(500).json({ 
+      error: 'Error calculating option data: ' + error.message
+    });
+  }
+});
+
+// Helper function to attach pricing inputs to strategy legs and build the market inputs
+// strategyCalc needs. Option legs take their rate, dividends and volatility from the
+// same inputs as the chain
+function strategyPricingInputs(context, strategyLegs) {
+  const { marketData, today, dividendYield, dividends } = context;
+  
+  const legs = strategyLegs.map(leg => {
+    if (leg.type === 'stock') return leg;
+    const inputs = expiryPricingInputs(context, leg.expiry);
+    return {
+      ...leg,
+      timeToExpiry: inputs.timeToExpiry,
+      riskFreeRate: inputs.riskFreeRate,
+      dividends: inputs.dividends,
+      volatility: inputs.volatilityFor(leg.strike, inputs.forward)
+    };
+  });
+  
+  return {
+    legs,
+    market: {
+      spot: marketData.currentPrice,
+      today,
+      model: context.model,
+      timeBasis: context.timeBasis,
+      daysPerYear: context.daysPerYear,
+      dividendYield,
+      dividends
+    }
+  };
+}
+
+// API route to analyse a multi-leg option strategy
+// Accepts the option chain's pricing query parameters (model, volModel, timeBasis, ...)
+// Body: { legs: [{ type: 'call', side: 'short', strike: 450, expiry: '2025-06-20', quantity: 1 }],
+//         dates: ['2025-06-01'], priceRange: { min, max }, points: 101 }
+app.post('/api/strategy/:ticker', async (req, res) => {
+  const ticker = req.params.ticker.toUpperCase();
+  const { legs, dates, priceRange, points } = req.body || {};
+  
+  const settings = parsePricingSettings(req, res);
+  if (!settings) return;
+  
+  let strategyLegs;
+  let curveSettings;
+  try {
+    const today = marketCalendar.formatDay(marketCalendar.toDay(new Date()));
+    strategyLegs = strategyCalc.resolveLegs(legs, today);
+    curveSettings = strategyCalc.resolveCurveSettings({ dates, priceRange, points }, strategyLegs, today);
+  } catch (paramError) {
+    res.status(400).json({ error: paramError.message });
+    return;
+  }
+  
+  console.log(`Received strategy request for ${ticker} with ${strategyLegs.length} legs (model: ${settings.model})`);
+  
+  try {
+    const context = await loadPricingContext(ticker, settings);
+    
+    if (!context) {
+      res.status(404).json({ error: 'No price data found for ticker' });
+      return;
+    }
+    
+    const { marketData, rates } = context;
+    const { legs: pricedLegs, market } = strategyPricingInputs(context, strategyLegs);
+    const analysis = strategyCalc.analyzeStrategy(pricedLegs, market, curveSettings);
+    
+    res.json({
+      ticker,
+      price: marketData.currentPrice,
+      model: settings.model,
+      timeBasis: settings.timeBasis,
+      rateSource: rates.source,
+      volatilityEstimate: describeVolatilityEstimate(marketData, settings.volSpec),
+      contractMultiplier: strategyCalc.CONTRACT_MULTIPLIER,
+      greekUnits: greekUnitsFor(settings.timeBasis),
+      ...analysis
+    });
+  } catch (error) {
+    console.error(`Error analysing strategy for ${ticker}:`, error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API route to build a what-if P&L grid for a contract or multi-leg position
+// Accepts the option chain's pricing query parameters
+// Body: { legs: [...as for /api/strategy], axis: 'volatility' | 'days',
+//         moves: [-0.2, ..., 0.2], volShifts: [-0.1, ..., 0.1], days: [0, 7, ...] }
+app.post('/api/scenario/:ticker', async (req, res) => {
+  const ticker = req.params.ticker.toUpperCase();
+  const { legs, axis, moves, volShifts, days } = req.body || {};
+  
+  const settings = parsePricingSettings(req, res);
+  if (!settings) return;
+  
+  let strategyLegs;
+  let scenarioSettings;
+  try {
+    const today = marketCalendar.formatDay(marketCalendar.toDay(new Date()));
+    strategyLegs = strategyCalc.resolveLegs(legs, today);
+    scenarioSettings = strategyCalc.resolveScenarioSettings({ axis, moves, volShifts, days });
+  } catch (paramError) {
+    res.status(400).json({ error: paramError.message });
+    return;
+  }
+  
+  try {
+    const context = await loadPricingContext(ticker, settings);
+    
+    if (!context) {
+      res.status(404).json({ error: 'No price data found for ticker' });
+      return;
+    }
+    
+    const { legs: pricedLegs, market } = strategyPricingInputs(context, strategyLegs);
+    const grid = strategyCalc.scenarioGrid(pricedLegs, market, scenarioSettings);
+    
+    res.json({
+      ticker,
+      price: context.marketData.currentPrice,
+      model: settings.model,
+      timeBasis: settings.timeBasis,
+      rateSource: context.rates.source,
+      contractMultiplier: strategyCalc.CONTRACT_MULTIPLIER,
+      ...grid
+    });
+  } catch (error) {
+    console.error(`Error building scenario grid for ${ticker}:`, error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API route to list the strategy templates and their parameters
+app.get('/api/strategy/templates', (req, res) => {
+  res.json({ templates: strategyTemplates.listTemplates() });
+});
+
+// API route to build a strategy template's legs against the option chain
+// Accepts the template's parameters and the option chain's pricing and strike grid
+// query parameters. By default strikes come from the 2-98 call delta range
+app.get('/api/strategy/:ticker/templates/:template', async (req, res) => {
+  const ticker = req.params.ticker.toUpperCase();
+  const template = req.params.template;
+  
+  const settings = parsePricingSettings(req, res);
+  if (!settings) return;
+  
+  let params;
+  let strikeGrid;
+  try {
+    params = strategyTemplates.resolveTemplateParams(template, req.query);
+    strikeGrid = optionCalc.resolveStrikeGrid(req.query);
+    if (!strikeGrid.moneyness && !strikeGrid.delta && req.query.strikeCount === undefined) {
+      strikeGrid.delta = strategyTemplates.TEMPLATE_DELTA_RANGE;
+    }
+  } catch (paramError) {
+    res.status(400).json({ error: paramError.message });
+    return;
+  }
+  
+  try {
+    const context = await loadPricingContext(ticker, settings);
+    
+    if (!context) {
+      res.status(404).json({ error: 'No price data found for ticker' });
+      return;
+    }
+    
+    const { marketData, today } = context;
+    const monthlies = marketCalendar.listExpirations(today).filter(expiry => expiry.type === 'monthly');
+    
+    // Snap requested expiries to listed ones; by default use the first monthly and the one after it
+    const near = params.expiry ? marketCalendar.snapToExpiry(params.expiry, today) : monthlies[0];
+    let far = null;
+    if (strategyTemplates.needsFarExpiry(template)) {
+      far = params.farExpiry
+        ? marketCalendar.snapToExpiry(params.farExpiry, today)
+        : monthlies.find(expiry => expiry.date > near.date);
+      if (!far || far.date <= near.date) {
+        res.status(400).json({ error: `farExpiry must be a listed expiry after ${near.date}` });
+        return;
+      }
+    }
+    
+    let optionChain;
+    let legs;
+    try {
+      optionChain = optionCalc.generateOptionChain(
+        marketData.currentPrice,
+        [near, far].filter(Boolean).map(expiration => chainExpiry(context, expiration)),
+        { model: settings.model, strikeGrid, daysPerYear: settings.daysPerYear }
+      );
+      const chainExpiryFor = expiration => expiration && { date: expiration.date, ...optionChain[expiration.date] };
+      legs = strategyTemplates.buildTemplate(template, params, {
+        spot: marketData.currentPrice,
+        near: chainExpiryFor(near),
+        far: chainExpiryFor(far)
+      });
+    } catch (templateError) {
+      res.status(400).json({ error: templateError.message });
+      return;
+    }
+    
+    res.json({
+      ticker,
+      price: marketData.currentPrice,
+      model: settings.model,
+      template,
+      params: { ...params, expiry: near.date, farExpiry: far ? far.date : null },
+      requestedExpiry: params.expiry,
+      legs
+    });
+  } catch (error) {
+    console.error(`Error building ${template} template for ${ticker}:`, error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Helper function to get the daily closes for a ticker, oldest first
+// Closes are adjusted for splits and dividends so their returns are the holder's returns
+async function getCloseHistory(ticker, days) {
+  const actions = await corporateActions.getActions(ticker);
+  return new Promise((resolve, reject) => {
+    db.all(
+      'SELECT date, close FROM stock_prices WHERE ticker = ? ORDER BY date DESC LIMIT ?',
+      [ticker, days],
+      (err, rows) => {
+        if (err) {
+          reject(new Error('Database error: ' + err.message));
+          return;
+        }
+        const closes = rows.reverse().map(row => ({ date: row.date, close: parseFloat(row.close) }));
+        resolve(corporateActions.adjustBars(closes, actions));
+      }
+    );
+  });
+}
+
+// Helper function to get the last close on or before a date
+function getCloseOnOrBefore(ticker, date) {
+  return new Promise((resolve, reject) => {
+    db.get(
+      'SELECT close FROM stock_prices WHERE ticker = ? AND date <= ? ORDER BY date DESC LIMIT 1',
+      [ticker, date],
+      (err, row) => {
+        if (err) {
+          reject(new Error('Database error: ' + err.message));
+          return;
+        }
+        resolve(row ? parseFloat(row.close) : null);
+      }
+    );
+  });
+}
+
+// Helper function to get the close of one day, or null if that day's bar isn't stored
+function getCloseOn(ticker, date) {
+  return new Promise((resolve, reject) => {
+    db.get(
+      'SELECT close FROM stock_prices WHERE ticker = ? AND date = ?',
+      [ticker, date],
+      (err, row) => {
+        if (err) {
+          reject(new Error('Database error: ' + err.message));
+          return;
+        }
+        resolve(row ? parseFloat(row.close) : null);
+      }
+    );
+  });
+}
+
+// Helper function to mark positions to the model with one pricing context per ticker
+// Expired options are worth their intrinsic value at the last close on or before expiry
+async function markPositions(positions, settings) {
+  const contexts = {};
+  for (const ticker of new Set(positions.map(position => position.ticker))) {
+    contexts[ticker] = await loadPricingContext(ticker, settings);
+  }
+  
+  const marked = [];
+  for (const position of positions) {
+    const context = contexts[position.ticker];
+    if (!context) {
+      marked.push({ ...position, mark: null, error: 'No price data found for ticker' });
+      continue;
+    }
+    
+    const spot = context.marketData.currentPrice;
+    if (positionService.isExpired(position, context.today)) {
+      const settlement = await getCloseOnOrBefore(position.ticker, position.expiry);
+      const price = settlement === null ? 0 : (position.type === 'call'
+        ? Math.max(0, settlement - position.strike)
+        : Math.max(0, position.strike - settlement));
+      marked.push(positionService.markPosition(position, { spot, price, greeks: { ...optionCalc.ZERO_GREEKS } }));
+      continue;
+    }
+    
+    const { legs, market } = strategyPricingInputs(context, [{
+      type: position.type,
+      side: position.side,
+      quantity: position.quantity,
+      strike: position.strike,
+      expiry: position.expiry,
+      entryPrice: position.entryPrice
+    }]);
+    const [leg] = strategyCalc.priceLegs(legs, market).pricedLegs;
+    marked.push(positionService.markPosition(position, { spot, price: leg.modelPrice, greeks: leg.greeks }));
+  }
+  
+  return marked;
+}
+
+// Helper function to read a position id route parameter
+// Sends a 400 response and returns null if it isn't a positive integer
+function parsePositionId(req, res) {
+  const id = Number(req.params.id);
+  if (!Number.isInteger(id) || id <= 0) {
+    res.status(400).json({ error: `Invalid position id: ${req.params.id}` });
+    return null;
+  }
+  return id;
+}
+
+// API route to list the positions book, each position marked to the model
+// Accepts the option chain's pricing query parameters
+app.get('/api/positions', async (req, res) => {
+  const settings = parsePricingSettings(req, res);
+  if (!settings) return;
+  
+  try {
+    const positions = await markPositions(await positionService.listPositions(), settings);
+    res.json({ model: settings.model, timeBasis: settings.timeBasis, positions });
+  } catch (error) {
+    console.error('Error marking positions:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API route to summarise the positions book: totals and net Greeks beta-weighted to a benchmark
+// Accepts the option chain's pricing query parameters and benchmark (default SPY)
+app.get('/api/positions/summary', async (req, res) => {
+  const benchmark = String(req.query.benchmark || positionService.DEFAULT_BENCHMARK).toUpperCase();
+  
+  const settings = parsePricingSettings(req, res);
+  if (!settings) return;
+  
+  try {
+    const benchmarkHistory = await getCloseHistory(benchmark, positionService.BETA_LOOKBACK_DAYS + 1);
+    if (benchmarkHistory.length === 0) {
+      res.status(404).json({ error: `No price data found for benchmark ${benchmark}` });
+      return;
+    }
+    
+    const positions = await markPositions(await positionService.listPositions(), settings);
+    
+    // Beta of each underlying to the benchmark over the last year of daily returns
+    const betas = {};
+    for (const ticker of new Set(positions.map(position => position.ticker))) {
+      betas[ticker] = ticker === benchmark
+        ? 1
+        : positionService.calculateBeta(await getCloseHistory(ticker, positionService.BETA_LOOKBACK_DAYS + 1), benchmarkHistory);
+    }
+    
+    const summary = positionService.summarizePortfolio(positions, betas, {
+      ticker: benchmark,
+      price: benchmarkHistory[benchmarkHistory.length - 1].close
+    });
+    res.json({ model: settings.model, timeBasis: settings.timeBasis, ...summary });
+  } catch (error) {
+    console.error('Error summarising positions:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Helper function to group open positions into priced books, one per underlying
+// Expired options no longer move with the market and are left out
+async function riskBooks(positions, settings) {
+  const books = [];
+  const unpriced = [];
+  const expired = [];
+  
+  for (const ticker of new Set(positions.map(position => position.ticker))) {
+    const tickerPositions = positions.filter(position => position.ticker === ticker);
+    const context = await loadPricingContext(ticker, settings);
+    if (!context) {
+      unpriced.push(...tickerPositions.map(position => position.id));
+      continue;
+    }
+    
+    const open = tickerPositions.filter(position => {
+      if (!positionService.isExpired(position, context.today)) return true;
+      expired.push(position.id);
+      return false;
+    });
+    if (open.length === 0) continue;
+    
+    const { legs, market } = strategyPricingInputs(context, open.map(position => ({
+      type: position.type,
+      side: position.side,
+      quantity: position.quantity,
+      strike: position.strike,
+      expiry: position.expiry,
+      entryPrice: position.entryPrice
+    })));
+    books.push({ ticker, legs: strategyCalc.priceLegs(legs, market).pricedLegs, market });
+  }
+  
+  return { books, unpriced, expired };
+}
+
+// API route to get historical-simulation VaR and Expected Shortfall for the positions book
+// Replays the last `years` (default 2) of joint daily returns and reprices every position
+// Accepts the option chain's pricing query parameters and worst (scenarios listed, default 10)
+app.get('/api/positions/risk', async (req, res) => {
+  const settings = parsePricingSettings(req, res);
+  if (!settings) return;
+  
+  let riskSettings;
+  try {
+    riskSettings = riskCalc.resolveRiskSettings({ years: req.query.years, worst: req.query.worst });
+  } catch (paramError) {
+    res.status(400).json({ error: paramError.message });
+    return;
+  }
+  
+  try {
+    const positions = await positionService.listPositions();
+    const { books, unpriced, expired } = await riskBooks(positions, settings);
+    
+    const histories = {};
+    for (const book of books) {
+      histories[book.ticker] = await getCloseHistory(book.ticker, riskSettings.lookbackDays + 1);
+    }
+    if (books.length > 0 && riskCalc.jointReturns(histories, 1).length < riskCalc.MIN_SCENARIOS) {
+      res.status(404).json({
+        error: `Need at least ${riskCalc.MIN_SCENARIOS} days of price history shared by ${Object.keys(histories).join(', ')}`
+      });
+      return;
+    }
+    
+    res.json({
+      model: settings.model,
+      timeBasis: settings.timeBasis,
+      lookbackYears: riskSettings.years,
+      tickers: books.map(book => book.ticker),
+      positions: books.reduce((count, book) => count + book.legs.length, 0),
+      unpriced,
+      expired,
+      ...riskCalc.historicalRisk(books, histories, riskSettings)
+    });
+  } catch (error) {
+    console.error('Error calculating portfolio risk:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API route to get one position marked to the model
+app.get('/api/positions/:id', async (req, res) => {
+  const id = parsePositionId(req, res);
+  if (!id) return;
+  
+  const settings = parsePricingSettings(req, res);
+  if (!settings) return;
+  
+  try {
+    const position = await positionService.getPosition(id);
+    if (!position) {
+      res.status(404).json({ error: `Position ${id} not found` });
+      return;
+    }
+    const [marked] = await markPositions([position], settings);
+    res.json(marked);
+  } catch (error) {
+    console.error(`Error fetching position ${id}:`, error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API route to add a position
+// Body: { ticker: 'SPY', type: 'call', side: 'long', quantity: 2, strike: 450, expiry: '2025-06-20',
+//         entryPrice: 4.35, openedAt: '2025-05-01', notes: '...' }
+app.post('/api/positions', async (req, res) => {
+  let position;
+  try {
+    position = await positionService.createPosition(req.body || {});
+  } catch (error) {
+    console.error('Error adding position:', error.message);
+    res.status(400).json({ error: error.message });
+    return;
+  }
+  res.status(201).json(position);
+});
+
+// API route to update any fields of a position
+app.put('/api/positions/:id', async (req, res) => {
+  const id = parsePositionId(req, res);
+  if (!id) return;
+  
+  try {
+    const position = await positionService.updatePosition(id, req.body || {});
+    if (!position) {
+      res.status(404).json({ error: `Position ${id} not found` });
+      return;
+    }
+    res.json(position);
+  } catch (error) {
+    console.error(`Error updating position ${id}:`, error.message);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// API route to delete a position
+app.delete('/api/positions/:id', async (req, res) => {
+  const id = parsePositionId(req, res);
+  if (!id) return;
+  
+  try {
+    const deleted = await positionService.deletePosition(id);
+    if (!deleted) {
+      res.status(404).json({ error: `Position ${id} not found` });
+      return;
+    }
+    res.json({ id, deleted: true });
+  } catch (error) {
+    console.error(`Error deleting position ${id}:`, error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Helper function to price one contract (or one share of stock) with the chain's model inputs
+function contractModelPrice(context, contract) {
+  if (contract.type === 'stock') return context.marketData.currentPrice;
+  
+  const { legs, market } = strategyPricingInputs(context, [{
+    type: contract.type,
+    side: 'long',
+    quantity: 1,
+    strike: contract.strike,
+    expiry: contract.expiry,
+    entryPrice: null
+  }]);
+  return strategyCalc.priceLegs(legs, market).pricedLegs[0].modelPrice;
+}
+
+// Helper function to mark the open journal trades, keyed by contract
+// Contracts on tickers without price data are left unmarked
+async function markJournalTrades(trades, settings) {
+  const open = trades.filter(trade => trade.openQuantity > 0);
+  const contexts = {};
+  for (const ticker of new Set(open.map(trade => trade.ticker))) {
+    contexts[ticker] = await loadPricingContext(ticker, settings);
+  }
+  
+  const marks = {};
+  open.forEach(trade => {
+    const context = contexts[trade.ticker];
+    if (context) marks[tradeJournal.contractKey(trade)] = contractModelPrice(context, trade);
+  });
+  return marks;
+}
+
+// API route to get the paper trading journal: fills, trades and P&L per trade and strategy
+// Options whose expiry has passed are settled first. Accepts the option chain's pricing query parameters
+app.get('/api/trades', async (req, res) => {
+  const settings = parsePricingSettings(req, res);
+  if (!settings) return;
+  
+  try {
+    const today = marketCalendar.formatDay(marketCalendar.toDay(new Date()));
+    const settlements = await tradeJournal.settleExpired(today, getCloseOn);
+    
+    const fills = await tradeJournal.listFills();
+    const trades = tradeJournal.buildTrades(fills);
+    const report = tradeJournal.journalReport(trades, await markJournalTrades(trades, settings));
+    
+    res.json({
+      model: settings.model,
+      timeBasis: settings.timeBasis,
+      settled: settlements.length,
+      fills,
+      ...report
+    });
+  } catch (error) {
+    console.error('Error loading trade journal:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API route to paper trade a contract at the model price plus slippage and commission
+// Accepts the option chain's pricing query parameters
+// Body: { ticker, type, action: 'buy' | 'sell', quantity, strike, expiry, strategy, notes,
+//         slippage (dollars per share), commission (dollars per contract) }
+app.post('/api/trades', async (req, res) => {
+  const settings = parsePricingSettings(req, res);
+  if (!settings) return;
+  
+  const today = marketCalendar.formatDay(marketCalendar.toDay(new Date()));
+  let order;
+  try {
+    order = tradeJournal.validateOrder(req.body || {}, today);
+  } catch (validationError) {
+    res.status(400).json({ error: validationError.message });
+    return;
+  }
+  
+  try {
+    const context = await loadPricingContext(order.ticker, settings);
+    
+    if (!context) {
+      res.status(404).json({ error: 'No price data found for ticker' });
+      return;
+    }
+    
+    const modelPrice = contractModelPrice(context, order);
+    const fill = await tradeJournal.recordFill({
+      ...order,
+      modelPrice,
+      fillPrice: tradeJournal.fillPrice(modelPrice, order.action, order.slippage),
+      commission: tradeJournal.orderCommission(order),
+      kind: 'order',
+      filledAt: today
+    });
+    
+    res.status(201).json({ model: settings.model, fill });
+  } catch (error) {
+    console.error(`Error filling order for ${order.ticker}:`, error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Helper function to get every daily bar for a ticker, oldest first
+// Bars are adjusted for splits and dividends, so simulations don't see a split as a crash
+async function getBarHistory(ticker) {
+  const actions = await corporateActions.getActions(ticker);
+  return new Promise((resolve, reject) => {
+    db.all(
+      'SELECT date, open, high, low, close FROM stock_prices WHERE ticker = ? ORDER BY date',
+      [ticker],
+      (err, rows) => {
+        if (err) {
+          reject(new Error('Database error: ' + err.message));
+          return;
+        }
+        resolve(corporateActions.adjustBars(rows.map(row => ({
+          date: row.date,
+          open: parseFloat(row.open),
+          high: parseFloat(row.high),
+          low: parseFloat(row.low),
+          close: parseFloat(row.close)
+        })), actions));
+      }
+    );
+  });
+}
+
+// API route to backtest an option strategy rule over the stored price history
+// Accepts the option chain's pricing query parameters (model, volModel, timeBasis, ...)
+// Body: { ticker, legs: [{ type, side, quantity, delta | moneyness }],
+//         entry: { frequency, dte, expirations, maxOpen }, exit: { profitTarget, stopLoss, dte },
+//         startDate, endDate, capital, commission }
+app.post('/api/backtest', async (req, res) => {
+  const { ticker: rawTicker, ...ruleFields } = req.body || {};
+  if (typeof rawTicker !== 'string' || rawTicker.trim() === '') {
+    res.status(400).json({ error: 'ticker is required' });
+    return;
+  }
+  const ticker = rawTicker.trim().toUpperCase();
+  
+  const settings = parsePricingSettings(req, res);
+  if (!settings) return;
+  
+  let rule;
+  try {
+    rule = backtestEngine.resolveBacktestRule(ruleFields);
+  } catch (paramError) {
+    res.status(400).json({ error: paramError.message });
+    return;
+  }
+  
+  try {
+    const bars = await getBarHistory(ticker);
+    if (bars.length === 0) {
+      res.status(404).json({ error: 'No price data found for ticker' });
+      return;
+    }
+    
+    try {
+      backtestEngine.checkBacktestSize(bars, rule, settings.model);
+    } catch (sizeError) {
+      res.status(400).json({ error: sizeError.message });
+      return;
+    }
+    
+    // Historical rates aren't stored, so every date uses today's yield curve
+    const rates = await rateCurve.getRateInterpolator(settings.rateInterpolation);
+    const { dividendYield } = await dividendService.getDividendAssumption(ticker);
+    
+    const result = backtestEngine.runBacktest(bars, rule, {
+      model: settings.model,
+      volSpec: settings.volSpec,
+      timeBasis: settings.timeBasis,
+      dividendYield,
+      rateFor: rates.rateFor,
+      volatilityBounds: { min: MIN_VOLATILITY, max: MAX_VOLATILITY }
+    });
+    
+    res.json({
+      ticker,
+      model: settings.model,
+      volModel: settings.volSpec,
+      timeBasis: settings.timeBasis,
+      rateSource: rates.source,
+      contractMultiplier: strategyCalc.CONTRACT_MULTIPLIER,
+      rule,
+      ...result
+    });
+  } catch (error) {
+    console.error(`Error running backtest for ${ticker}:`, error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API route to simulate delta-hedging one option over the stored price history
+// Body: { ticker, type, side, quantity, strike | moneyness, startDate, expiry | dte,
+//         rebalance, band, volatility, stockCost, commission }
+// Accepts the option chain's pricing query parameters
+app.post('/api/hedge-simulation', async (req, res) => {
+  const { ticker: rawTicker, ...paramFields } = req.body || {};
+  if (typeof rawTicker !== 'string' || rawTicker.trim() === '') {
+    res.status(400).json({ error: 'ticker is required' });
+    return;
+  }
+  const ticker = rawTicker.trim().toUpperCase();
+  
+  const settings = parsePricingSettings(req, res);
+  if (!settings) return;
+  
+  let params;
+  try {
+    params = hedgeSimulator.resolveHedgeParams(paramFields);
+  } catch (paramError) {
+    res.status(400).json({ error: paramError.message });
+    return;
+  }
+  
+  try {
+    const bars = await getBarHistory(ticker);
+    if (bars.length === 0) {
+      res.status(404).json({ error: 'No price data found for ticker' });
+      return;
+    }
+    
+    // Historical rates aren't stored, so every date uses today's yield curve
+    const rates = await rateCurve.getRateInterpolator(settings.rateInterpolation);
+    const { dividendYield } = await dividendService.getDividendAssumption(ticker);
+    
+    const result = hedgeSimulator.simulateHedge(bars, params, {
+      model: settings.model,
+      volSpec: settings.volSpec,
+      timeBasis: settings.timeBasis,
+      dividendYield,
+      rateFor: rates.rateFor,
+      volatilityBounds: { min: MIN_VOLATILITY, max: MAX_VOLATILITY }
+    });
+    if (!result) {
+      res.status(404).json({ error: 'Not enough price history to open the option on startDate and hedge it before expiry' });
+      return;
+    }
+    
+    res.json({
+      ticker,
+      model: settings.model,
+      volModel: settings.volSpec,
+      timeBasis: settings.timeBasis,
+      rateSource: rates.source,
+      contractMultiplier: strategyCalc.CONTRACT_MULTIPLIER,
+      params,
+      ...result
+    });
+  } catch (error) {
+    console.error(`Error simulating delta hedge for ${ticker}:`, error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API route to get the parametric volatility surface grid for a ticker
+// Accepts the same surface parameters as the option chain route plus
+// minMoneyness, maxMoneyness and points to control the strike grid
+app.get('/api/volsurface/:ticker', async (req, res) => {
+  const ticker = req.params.ticker.toUpperCase();
+  
+  let surfaceParams;
+  let volSpec;
+  try {
+    volSpec = volatilityEstimators.resolveVolModel(req.query.volModel, req.query.volWindow);
+    surfaceParams = volSurface.resolveSurfaceParams(req.query);
+  } catch (paramError) {
+    res.status(400).json({ error: paramError.message });
+    return;
+  }
+  
+  const rateInterpolation = parseQueryChoice(req, res, 'rateInterpolation', rateCurve.INTERPOLATION_METHODS);
+  if (!rateInterpolation) return;
+  
+  const minMoneyness = parseFloat(req.query.minMoneyness || 0.7);
+  const maxMoneyness = parseFloat(req.query.maxMoneyness || 1.3);
+  const points = parseInt(req.query.points || 25, 10);
+  
+  if (!(minMoneyness > 0) || !(maxMoneyness > minMoneyness) || !(points >= 2 && points <= 200)) {
+    res.status(400).json({ error: 'Require 0 < minMoneyness < maxMoneyness and 2 <= points <= 200' });
+    return;
+  }
+  
+  try {
+    const marketData = await getPriceAndVolatility(ticker, volSpec);
+    
+    if (!marketData) {
+      res.status(404).json({ error: 'No price data found for ticker' });
+      return;
+    }
+    
+    const { currentPrice, volatility } = marketData;
+    const rates = await rateCurve.getRateInterpolator(rateInterpolation);
+    const { dividendYield, dividends } = await dividendService.getDividendAssumption(ticker);
+    const valuationDate = new Date();
+    
+    // GARCH supplies its own term structure, so the surface only adds the smile
+    const gridParams = volSpec.model === 'garch' ? { ...surfaceParams, longRunVol: null } : surfaceParams;
+    
+    const expiries = VOL_SURFACE_EXPIRIES.map(days => {
+      const timeToExpiry = days / 365;
+      const riskFreeRate = rates.rateFor(timeToExpiry);
+      const discreteDividends = dividendService.dividendsBeforeExpiry(dividends, valuationDate, timeToExpiry);
+      const spot = currentPrice - optionCalc.dividendPresentValue(discreteDividends, riskFreeRate);
+      return {
+        days,
+        timeToExpiry,
+        riskFreeRate,
+        forward: spot * Math.exp((riskFreeRate - dividendYield) * timeToExpiry),
+        baseVolatility: volatilityForExpiry(marketData, days * marketCalendar.TRADING_DAYS_PER_YEAR / 365)
+      };
+    });
+    
+    const moneyness = [];
+    for (let i = 0; i < points; i++) {
+      moneyness.push(minMoneyness + (maxMoneyness - minMoneyness) * i / (points - 1));
+    }
+    
+    res.json({
+      ticker,
+      price: currentPrice,
+      baseVolatility: volatility,
+      volatilityEstimate: describeVolatilityEstimate(marketData, volSpec),
+      params: gridParams,
+      expiries: volSurface.buildSurfaceGrid(expiries, moneyness, currentPrice, gridParams)
+    });
+  } catch (error) {
+    console.error(`Error building volatility surface for ${ticker}:`, error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Helper function to get the most recent closing price for a ticker
+function getLatestClose(ticker) {
+  return new Promise((resolve, reject) => {
+    db.get(
+      'SELECT close FROM stock_prices WHERE ticker = ? ORDER BY date DESC LIMIT 1',
+      [ticker],
+      (err, row) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        resolve(row ? parseFloat(row.close) : null);
+      }
+    );
+  });
+}
+
+// API route to solve implied volatility for a batch of option quotes
+// Body: { ticker: 'SPY', quotes: [{ type: 'call', price: 4.35, strike: 450, expiry: '2025-06-20' }] }
+app.post('/api/iv', async (req, res) => {
+  const { ticker: rawTicker, quotes } = req.body || {};
+  
+  if (typeof rawTicker !== 'string' || rawTicker.trim() === '' || !Array.isArray(quotes) || quotes.length === 0) {
+    res.status(400).json({ error: 'Request body must include a ticker string and a non-empty quotes array' });
+    return;
+  }
+  
+  const rateInterpolation = parseQueryChoice(req, res, 'rateInterpolation', rateCurve.INTERPOLATION_METHODS);
+  if (!rateInterpolation) return;
+  
+  const timeBasis = parseQueryChoice(req, res, 'timeBasis', marketCalendar.TIME_BASES);
+  if (!timeBasis) return;
+  
+  const ticker = rawTicker.trim().toUpperCase();
+  console.log(`Received implied volatility request for ${ticker} with ${quotes.length} quotes`);
+  
+  try {
+    const currentPrice = await getLatestClose(ticker);
+    if (currentPrice === null) {
+      res.status(404).json({ error: 'No price data found for ticker' });
+      return;
+    }
+    
+    const rates = await rateCurve.getRateInterpolator(rateInterpolation);
+    const { dividendYield, dividends } = await dividendService.getDividendAssumption(ticker);
+    const valuationDate = new Date();
+    
+    // Solve each quote independently so one bad quote doesn't fail the batch
+    const results = quotes.map(quote => {
+      if (!quote || typeof quote !== 'object' || Array.isArray(quote)) {
+        return { quote, impliedVolatility: null, status: 'invalid-input', iterations: 0, error: 'Quote must be an object' };
+      }
+      
+      try {
+        const type = String(quote.type || '').toLowerCase();
+        const price = parseFloat(quote.price);
+        const strike = parseFloat(quote.strike);
+        const expiryDate = new Date(quote.expiry);
+        
+        if (isNaN(expiryDate.getTime())) {
+          return { ...quote, impliedVolatility: null, status: 'invalid-input', iterations: 0, error: `Invalid expiry date: ${quote.expiry}` };
+        }
+        
+        // Trading-day time only applies to unexpired quotes; expired ones fail in the solver
+        const onTradingDays = timeBasis === 'trading' && expiryDate > valuationDate;
+        const timeToExpiry = onTradingDays
+          ? marketCalendar.timeToExpiry(valuationDate, quote.expiry, 'trading')
+          : (expiryDate - valuationDate) / (1000 * 60 * 60 * 24 * 365);
+        const riskFreeRate = rates.rateFor(timeToExpiry);
+        const discreteDividends = onTradingDays
+          ? dividendService.dividendsBeforeExpiry(dividends, valuationDate, timeToExpiry,
+            (from, date) => marketCalendar.yearFraction(from, date, 'trading'))
+          : dividendService.dividendsBeforeExpiry(dividends, valuationDate, timeToExpiry);
+        const spot = currentPrice - optionCalc.dividendPresentValue(discreteDividends, riskFreeRate);
+        
+        const solution = optionCalc.solveImpliedVolatility(type, price, spot, strike, timeToExpiry, riskFreeRate, dividendYield);
+        
+        return {
+          ...quote,
+          impliedVolatility: solution.status === 'converged' ? solution.volatility : null,
+          riskFreeRate,
+          status: solution.status,
+          iterations: solution.iterations,
+          error: solution.message
+        };
+      } catch (error) {
+        // Anything the checks above miss fails this quote only
+        return { ...quote, impliedVolatility: null, status: 'invalid-input', iterations: 0, error: error.message };
+      }
+    });
+    
+    res.json({
+      ticker,
+      price: currentPrice,
+      rateSource: rates.source,
+      timeBasis,
+      dividendYield,
+      results
+    });
+  } catch (error) {
+    console.error(`Error solving implied volatility for ${ticker}:`, error.message);
+    res.status(500).json({ error: error.message });
+  }
 });
 
 // Start the server
 app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
+  refreshScheduler.start();
 });
 
 // Close the database connection when the server is terminated
@@ -0,0 +1,415 @@
+/**
+ * Strategy Calculator
+ * Prices multi-leg option strategies (spreads, condors, covered calls, ...)
+ * and builds their profit and loss profile at expiry and at earlier dates
+ */
+
+const optionCalc = require('./optionCalc');
+const marketCalendar = require('./marketCalendar');
+
+// Shares per option contract
+const CONTRACT_MULTIPLIER = 100;
+
+const LEG_TYPES = ['call', 'put', 'stock'];
+const LEG_SIDES = ['long', 'short'];
+const MAX_LEGS = 12;
+
+// Payoff curve sampling
+const DEFAULT_CURVE_POINTS = 101;
+const MAX_CURVE_POINTS = 501;
+const MAX_CURVE_DATES = 5;
+
+// Samples used to search the expiry payoff for breakevens and extremes
+const ANALYSIS_POINTS = 1000;
+
+// What-if scenario grids: underlying moves down the rows, vol shifts or days forward across
+const SCENARIO_AXES = ['volatility', 'days'];
+const DEFAULT_PRICE_MOVES = [-0.2, -0.15, -0.1, -0.05, 0, 0.05, 0.1, 0.15, 0.2];
+const DEFAULT_VOL_SHIFTS = [-0.1, -0.05, 0, 0.05, 0.1];
+const DEFAULT_DAYS_FORWARD = [0, 7, 14, 21, 28];
+const MAX_SCENARIO_STEPS = 41;
+const MAX_DAYS_FORWARD = 3650;
+
+// Floor for shifted volatilities
+const MIN_SCENARIO_VOLATILITY = 0.01;
+
+/**
+ * Validate and normalise strategy legs
+ * @param {Array} legs - Array of { type, side, quantity, strike, expiry, price } where type is
+ *   'call', 'put' or 'stock', side is 'long' (default) or 'short', quantity counts contracts
+ *   (or shares for stock) and price is an optional entry price per share
+ * @param {string} today - Valuation day as YYYY-MM-DD; option expiries may not be earlier
+ * @returns {Array} - Normalised legs { type, side, quantity, strike, expiry, entryPrice }
+ */
+function resolveLegs(legs, today) {
+  if (!Array.isArray(legs) || legs.length === 0) {
+    throw new Error('legs must be a non-empty array');
+  }
+  if (legs.length > MAX_LEGS) {
+    throw new Error(`A strategy can have at most ${MAX_LEGS} legs`);
+  }
+
+  return legs.map((leg, index) => {
+    const label = `Leg ${index + 1}`;
+    const type = String(leg.type || '').toLowerCase();
+    const side = String(leg.side || 'long').toLowerCase();
+    const quantity = leg.quantity === undefined ? 1 : parseFloat(leg.quantity);
+    const entryPrice = leg.price === undefined || leg.price === null ? null : parseFloat(leg.price);
+
+    if (!LEG_TYPES.includes(type)) {
+      throw new Error(`${label}: type must be one of ${LEG_TYPES.join(', ')}`);
+    }
+    if (!LEG_SIDES.includes(side)) {
+      throw new Error(`${label}: side must be "long" or "short"`);
+    }
+    if (!(quantity > 0)) {
+      throw new Error(`${label}: quantity must be positive`);
+    }
+    if (entryPrice !== null && !(entryPrice >= 0)) {
+      throw new Error(`${label}: price must be a non-negative number`);
+    }
+
+    if (type === 'stock') {
+      return { type, side, quantity, strike: null, expiry: null, entryPrice };
+    }
+
+    const strike = parseFloat(leg.strike);
+    if (!(strike > 0)) {
+      throw new Error(`${label}: strike must be positive`);
+    }
+    if (!marketCalendar.isIsoDate(leg.expiry)) {
+      throw new Error(`${label}: expiry must be a date in YYYY-MM-DD form`);
+    }
+    if (leg.expiry < today) {
+      throw new Error(`${label}: expiry ${leg.expiry} has already passed`);
+    }
+
+    return { type, side, quantity, strike, expiry: leg.expiry, entryPrice };
+  });
+}
+
+/**
+ * Find the date the expiry payoff is measured at: the first option expiry
+ * @param {Array} legs - Normalised legs from resolveLegs()
+ * @param {string} today - Valuation day as YYYY-MM-DD, used for stock-only strategies
+ * @returns {string} - Horizon date as YYYY-MM-DD
+ */
+function strategyHorizon(legs, today) {
+  const expiries = legs.filter(leg => leg.type !== 'stock').map(leg => leg.expiry).sort();
+  return expiries.length > 0 ? expiries[0] : today;
+}
+
+/**
+ * Validate the payoff curve settings
+ * @param {Object} settings - { dates, priceRange: { min, max }, points }, all optional
+ * @param {Array} legs - Normalised legs from resolveLegs()
+ * @param {string} today - Valuation day as YYYY-MM-DD
+ * @returns {Object} - { dates, priceRange, points } where priceRange is null for the default
+ */
+function resolveCurveSettings(settings = {}, legs, today) {
+  const { dates = [], priceRange = null, points = DEFAULT_CURVE_POINTS } = settings;
+  const horizon = strategyHorizon(legs, today);
+
+  if (!Array.isArray(dates) || dates.length > MAX_CURVE_DATES) {
+    throw new Error(`dates must be an array of at most ${MAX_CURVE_DATES} dates`);
+  }
+  dates.forEach(date => {
+    if (!marketCalendar.isIsoDate(date) || date <= today || date >= horizon) {
+      throw new Error(`Curve date ${date} must be a YYYY-MM-DD date after today and before the first expiry (${horizon})`);
+    }
+  });
+
+  const count = parseInt(points, 10);
+  if (!(count >= 2 && count <= MAX_CURVE_POINTS)) {
+    throw new Error(`points must be between 2 and ${MAX_CURVE_POINTS}`);
+  }
+
+  if (priceRange !== null) {
+    const min = parseFloat(priceRange.min);
+    const max = parseFloat(priceRange.max);
+    if (!(min >= 0) || !(max > min)) {
+      throw new Error('priceRange needs 0 <= min < max');
+    }
+    return { dates: [...new Set(dates)].sort(), priceRange: { min, max }, points: count };
+  }
+
+  return { dates: [...new Set(dates)].sort(), priceRange: null, points: count };
+}
+
+/**
+ * Signed number of shares a leg controls: positive long, negative short
+ * @param {Object} leg - Normalised leg
+ * @returns {number} - Signed share count
+ */
+function legUnits(leg) {
+  const multiplier = leg.type === 'stock' ? 1 : CONTRACT_MULTIPLIER;
+  return (leg.side === 'long' ? 1 : -1) * leg.quantity * multiplier;
+}
+
+/**
+ * Value one share's worth of a leg at a date for a given stock price
+ * Options keep the volatility and rate they were priced with (sticky strike);
+ * on or after expiry they are worth their intrinsic value.
+ * @param {Object} leg - Priced leg with { type, strike, expiry, volatility, riskFreeRate }
+ * @param {number} price - Stock price
+ * @param {string} date - Valuation date as YYYY-MM-DD
+ * @param {Object} market - Market inputs passed to analyzeStrategy()
+ * @returns {number} - Value per share
+ */
+function legValue(leg, price, date, market) {
+  if (leg.type === 'stock') return price;
+  if (date >= leg.expiry) {
+    return leg.type === 'call' ? Math.max(0, price - leg.strike) : Math.max(0, leg.strike - price);
+  }
+
+  const T = marketCalendar.timeToExpiry(date, leg.expiry, market.timeBasis);
+  const dividends = market.dividends
+    .filter(dividend => dividend.exDate > date && dividend.exDate <= leg.expiry)
+    .map(dividend => ({
+      time: marketCalendar.yearFraction(date, dividend.exDate, market.timeBasis),
+      amount: dividend.amount
+    }));
+
+  // Prices that don't cover the escrowed dividends leave nothing to model
+  if (price <= optionCalc.dividendPresentValue(dividends, leg.riskFreeRate)) {
+    return leg.type === 'call' ? 0 : leg.strike * Math.exp(-leg.riskFreeRate * T);
+  }
+
+  return optionCalc.priceContract(market.model, leg.type, price, leg.strike, T, leg.riskFreeRate, leg.volatility, {
+    dividendYield: market.dividendYield,
+    dividends,
+    greeks: false
+  }).price;
+}
+
+/**
+ * Calculate the position value of a strategy at a date for a given stock price
+ * @param {Array} legs - Priced legs
+ * @param {number} price - Stock price
+ * @param {string} date - Valuation date as YYYY-MM-DD
+ * @param {Object} market - Market inputs passed to analyzeStrategy()
+ * @returns {number} - Position value in dollars
+ */
+function strategyValue(legs, price, date, market) {
+  return legs.reduce((total, leg) => total + legUnits(leg) * legValue(leg, price, date, market), 0);
+}
+
+/**
+ * Find breakevens, maximum profit and maximum loss of a payoff function
+ * Strikes are always sampled so piecewise-linear expiry payoffs are found exactly.
+ * @param {Function} pnl - (price) => profit and loss
+ * @param {Array} kinks - Prices that must be sampled (strikes and spot)
+ * @returns {Object} - { breakevens, maxProfit, maxLoss } where null means unlimited
+ */
+function analyzePayoff(pnl, kinks) {
+  const upper = 3 * Math.max(...kinks);
+  const prices = [...new Set([
+    ...kinks,
+    ...Array.from({ length: ANALYSIS_POINTS + 1 }, (_, i) => upper * i / ANALYSIS_POINTS)
+  ])].sort((a, b) => a - b);
+  const values = prices.map(pnl);
+
+  const breakevens = [];
+  for (let i = 0; i < prices.length; i++) {
+    if (values[i] === 0) {
+      breakevens.push(prices[i]);
+    } else if (i > 0 && values[i - 1] !== 0 && Math.sign(values[i]) !== Math.sign(values[i - 1])) {
+      const fraction = values[i - 1] / (values[i - 1] - values[i]);
+      breakevens.push(prices[i - 1] + fraction * (prices[i] - prices[i - 1]));
+    }
+  }
+
+  // Past the highest sample the payoff keeps the slope it has there
+  const slope = pnl(2 * upper) - pnl(upper);
+  const maxProfit = slope > 0.01 ? null : Math.max(...values);
+  const maxLoss = slope < -0.01 ? null : -Math.min(...values);
+
+  return {
+    breakevens: [...new Set(breakevens.map(price => Math.round(price * 100) / 100))],
+    maxProfit,
+    maxLoss
+  };
+}
+
+/**
+ * Price each leg today and total the position
+ * @param {Array} legs - Normalised legs from resolveLegs(); option legs also carry
+ *   { timeToExpiry, riskFreeRate, volatility, dividends } from the pricing context
+ * @param {Object} market - { spot, model, dividendYield, daysPerYear }
+ * @returns {Object} - { pricedLegs, netCost, netGreeks } where netCost is positive for a net debit
+ */
+function priceLegs(legs, market) {
+  const { spot } = market;
+
+  // Price each leg today and convert its Greeks to position Greeks
+  const netGreeks = { ...optionCalc.ZERO_GREEKS };
+  const pricedLegs = legs.map(leg => {
+    const units = legUnits(leg);
+    let modelPrice = spot;
+    let greeks = { ...optionCalc.ZERO_GREEKS, delta: 1 };
+
+    if (leg.type !== 'stock') {
+      const contract = optionCalc.priceContract(
+        market.model, leg.type, spot, leg.strike, leg.timeToExpiry, leg.riskFreeRate, leg.volatility,
+        { dividendYield: market.dividendYield, dividends: leg.dividends, daysPerYear: market.daysPerYear }
+      );
+      modelPrice = contract.price;
+      greeks = contract.greeks;
+    }
+
+    const positionGreeks = {};
+    Object.keys(netGreeks).forEach(name => {
+      positionGreeks[name] = greeks[name] * units;
+      netGreeks[name] += positionGreeks[name];
+    });
+
+    const entryPrice = leg.entryPrice === null ? modelPrice : leg.entryPrice;
+    return {
+      ...leg,
+      modelPrice,
+      entryPrice,
+      cost: units * entryPrice,
+      greeks: positionGreeks
+    };
+  });
+
+  // Positive cost is a net debit, negative a net credit
+  const netCost = pricedLegs.reduce((total, leg) => total + leg.cost, 0);
+  return { pricedLegs, netCost, netGreeks };
+}
+
+/**
+ * Analyse a multi-leg strategy
+ * @param {Array} legs - Normalised legs from resolveLegs(); option legs also carry
+ *   { timeToExpiry, riskFreeRate, volatility, dividends } from the pricing context
+ * @param {Object} market - { spot, today, model, timeBasis, daysPerYear, dividendYield, dividends }
+ *   where dividends are the stored [{ exDate, amount }]
+ * @param {Object} curveSettings - Settings from resolveCurveSettings()
+ * @returns {Object} - { legs, netCost, costType, netGreeks, horizon, breakevens, maxProfit, maxLoss, payoff }
+ */
+function analyzeStrategy(legs, market, curveSettings) {
+  const { spot, today } = market;
+  const { pricedLegs, netCost, netGreeks } = priceLegs(legs, market);
+  const horizon = strategyHorizon(legs, today);
+  const pnlAt = date => price => strategyValue(pricedLegs, price, date, market) - netCost;
+
+  const strikes = legs.filter(leg => leg.type !== 'stock').map(leg => leg.strike);
+  const { breakevens, maxProfit, maxLoss } = analyzePayoff(pnlAt(horizon), [spot, ...strikes]);
+
+  // Payoff curves: today, any requested dates and the first expiry
+  const low = curveSettings.priceRange ? curveSettings.priceRange.min : 0.8 * Math.min(spot, ...strikes);
+  const high = curveSettings.priceRange ? curveSettings.priceRange.max : 1.2 * Math.max(spot, ...strikes);
+  const prices = Array.from({ length: curveSettings.points }, (_, i) => low + (high - low) * i / (curveSettings.points - 1));
+
+  const curveDates = [
+    ...(horizon > today ? [{ date: today, label: 'today' }] : []),
+    ...curveSettings.dates.map(date => ({ date, label: date })),
+    { date: horizon, label: strikes.length > 0 ? 'expiry' : 'today' }
+  ];
+
+  return {
+    legs: pricedLegs.map(({ dividends, ...leg }) => leg),
+    netCost,
+    costType: netCost >= 0 ? 'debit' : 'credit',
+    netGreeks,
+    horizon,
+    breakevens,
+    maxProfit,
+    maxLoss,
+    payoff: {
+      prices,
+      curves: curveDates.map(({ date, label }) => ({
+        date,
+        label,
+        atExpiry: date === horizon,
+        pnl: prices.map(pnlAt(date))
+      }))
+    }
+  };
+}
+
+/**
+ * Validate the settings of a what-if scenario grid
+ * @param {Object} settings - { axis, moves, volShifts, days }, all optional. moves are fractional
+ *   underlying moves, volShifts absolute volatility changes and days calendar days forward
+ * @returns {Object} - { axis, moves, steps } where steps are the vol shifts or days across the grid
+ */
+function resolveScenarioSettings(settings = {}) {
+  const { axis = 'volatility', moves = DEFAULT_PRICE_MOVES, volShifts = DEFAULT_VOL_SHIFTS, days = DEFAULT_DAYS_FORWARD } = settings;
+
+  if (!SCENARIO_AXES.includes(axis)) {
+    throw new Error(`axis must be one of ${SCENARIO_AXES.join(', ')}`);
+  }
+
+  const readSteps = (name, values, isValid, rule) => {
+    if (!Array.isArray(values) || values.length === 0 || values.length > MAX_SCENARIO_STEPS) {
+      throw new Error(`${name} must be an array of 1 to ${MAX_SCENARIO_STEPS} values`);
+    }
+    const numbers = values.map(value => Number(value));
+    if (!numbers.every(value => isFinite(value) && isValid(value))) {
+      throw new Error(`${name} must hold ${rule}`);
+    }
+    return [...new Set(numbers)].sort((a, b) => a - b);
+  };
+
+  return {
+    axis,
+    moves: readSteps('moves', moves, move => move > -1, 'fractional moves above -1, e.g. -0.2 for a 20% drop'),
+    steps: axis === 'volatility'
+      ? readSteps('volShifts', volShifts, () => true, 'volatility changes as decimals, e.g. 0.05 for +5 vol points')
+      : readSteps('days', days, day => Number.isInteger(day) && day >= 0 && day <= MAX_DAYS_FORWARD, `whole days from 0 to ${MAX_DAYS_FORWARD}`)
+  };
+}
+
+/**
+ * Build a what-if grid of strategy P&L over underlying moves against vol shifts or days forward
+ * Vol shifts apply to every option leg's volatility today; days forward keep the
+ * volatilities and value the legs at a later date, expired legs at intrinsic value.
+ * @param {Array} legs - Legs as passed to analyzeStrategy()
+ * @param {Object} market - Market inputs as passed to analyzeStrategy()
+ * @param {Object} settings - Settings from resolveScenarioSettings()
+ * @returns {Object} - { legs, netCost, axis, moves, prices, columns, pnl } where pnl[row][column]
+ *   is the P&L for moves[row] and columns[column]
+ */
+function scenarioGrid(legs, market, settings) {
+  const { spot, today } = market;
+  const { pricedLegs, netCost } = priceLegs(legs, market);
+
+  const columns = settings.steps.map(step => {
+    if (settings.axis === 'volatility') {
+      return {
+        volShift: step,
+        date: today,
+        legs: pricedLegs.map(leg => (
+          leg.type === 'stock' ? leg : { ...leg, volatility: Math.max(MIN_SCENARIO_VOLATILITY, leg.volatility + step) }
+        ))
+      };
+    }
+    const date = marketCalendar.formatDay(marketCalendar.addDays(marketCalendar.toDay(today), step));
+    return { days: step, date, legs: pricedLegs };
+  });
+
+  const prices = settings.moves.map(move => spot * (1 + move));
+
+  return {
+    legs: pricedLegs.map(({ dividends, ...leg }) => leg),
+    netCost,
+    axis: settings.axis,
+    moves: settings.moves,
+    prices,
+    columns: columns.map(({ legs: columnLegs, ...column }) => column),
+    pnl: prices.map(price => columns.map(column => strategyValue(column.legs, price, column.date, market) - netCost))
+  };
+}
+
+module.exports = {
+  CONTRACT_MULTIPLIER,
+  SCENARIO_AXES,
+  resolveLegs,
+  resolveCurveSettings,
+  resolveScenarioSettings,
+  priceLegs,
+  strategyValue,
+  analyzeStrategy,
+  scenarioGrid
+};
@@ -0,0 +1,369 @@
+/**
+ * Strategy Templates
+ * Builds the legs of common option strategies (verticals, straddles, condors,
+ * calendars, collars, ...) against a generated option chain, choosing strikes
+ * by delta or by distance from the stock price
+ */
+
+const { CONTRACT_MULTIPLIER } = require('./strategyCalc');
+const marketCalendar = require('./marketCalendar');
+
+// Call delta range of the chain templates pick strikes from, unless the
+// request sets its own strike grid
+const TEMPLATE_DELTA_RANGE = { min: 0.02, max: 0.98 };
+
+// Parameters the templates can take. Each template lists the ones it uses
+// and may override the default.
+const PARAM_SPECS = {
+  optionType: { type: 'choice', choices: ['call', 'put'], default: 'call', description: 'Option type used for the spread' },
+  side: { type: 'choice', choices: ['long', 'short'], default: 'long', description: 'long buys the strategy (net debit for most), short sells it' },
+  strikeBy: { type: 'choice', choices: ['delta', 'offset'], default: 'delta', description: 'Choose strikes by absolute delta or by dollar distance from the stock price' },
+  delta: { type: 'number', default: 0.5, min: 0.01, max: 0.99, description: 'Target absolute delta when strikeBy is delta' },
+  offset: { type: 'number', default: 0, min: 0, description: 'Dollars out of the money from the stock price when strikeBy is offset' },
+  width: { type: 'number', default: null, min: 0, description: 'Distance in dollars to the wing or second strike; defaults to the adjacent strike' },
+  quantity: { type: 'integer', default: 1, min: 1, max: 100, description: 'Number of strategies (contracts per leg, or 100 shares per stock leg)' },
+  expiry: { type: 'date', default: null, description: 'Expiry as YYYY-MM-DD, snapped to a listed expiration; defaults to the first monthly expiry' },
+  farExpiry: { type: 'date', default: null, description: 'Back-month expiry as YYYY-MM-DD; defaults to the next monthly expiry after expiry' }
+};
+
+/**
+ * Create a leg for a template
+ * @param {string} type - 'call', 'put' or 'stock'
+ * @param {string} side - 'long' or 'short'
+ * @param {Object|null} contract - Chain contract the leg trades, null for stock
+ * @param {string|null} expiry - Expiry as YYYY-MM-DD, null for stock
+ * @param {number} ratio - Units of the leg per strategy
+ * @returns {Object} - Template leg
+ */
+function makeLeg(type, side, contract, expiry, ratio = 1) {
+  return {
+    type,
+    side,
+    ratio,
+    strike: contract ? contract.strike : null,
+    expiry,
+    modelPrice: contract ? contract.price : null,
+    delta: contract ? contract.delta : null
+  };
+}
+
+/**
+ * Find a contract by target delta or by distance out of the money
+ * @param {Array} contracts - Calls or puts from one chain expiry
+ * @param {string} type - 'call' or 'put'
+ * @param {Object} params - Resolved template parameters
+ * @param {number} spot - Current stock price
+ * @returns {Object} - Chain contract
+ */
+function selectContract(contracts, type, params, spot) {
+  if (contracts.length === 0) {
+    throw new Error(`No ${type}s listed in the expiry; widen the strike grid`);
+  }
+  if (params.strikeBy === 'delta') {
+    return contracts.reduce((best, contract) => (
+      Math.abs(Math.abs(contract.delta) - params.delta) < Math.abs(Math.abs(best.delta) - params.delta) ? contract : best
+    ));
+  }
+
+  const target = type === 'call' ? spot + params.offset : spot - params.offset;
+  const strikes = contracts.map(contract => contract.strike);
+  const step = strikes.length > 1 ? Math.abs(strikes[0] - strikes[1]) : 0;
+  if (target < Math.min(...strikes) - step || target > Math.max(...strikes) + step) {
+    throw new Error(`No listed strike near ${target.toFixed(2)}; reduce offset or widen the strike grid`);
+  }
+  return contracts.reduce((best, contract) => (
+    Math.abs(contract.strike - target) < Math.abs(best.strike - target) ? contract : best
+  ));
+}
+
+/**
+ * Find the contract a width away from a strike, in one direction
+ * @param {Array} contracts - Calls or puts from one chain expiry
+ * @param {number} strike - Strike to measure from
+ * @param {number} direction - 1 for higher strikes, -1 for lower strikes
+ * @param {number|null} width - Distance in dollars, null for the adjacent strike
+ * @returns {Object} - Chain contract
+ */
+function wingContract(contracts, strike, direction, width) {
+  const candidates = contracts
+    .filter(contract => (contract.strike - strike) * direction > 0)
+    .sort((a, b) => (a.strike - b.strike) * direction);
+  if (candidates.length === 0) {
+    throw new Error(`No listed strike ${direction > 0 ? 'above' : 'below'} ${strike}; widen the strike grid`);
+  }
+  if (width === null) return candidates[0];
+
+  const target = strike + direction * width;
+  return candidates.reduce((best, contract) => (
+    Math.abs(contract.strike - target) < Math.abs(best.strike - target) ? contract : best
+  ));
+}
+
+/**
+ * Find the contract with the same strike in another expiry
+ * @param {Array} contracts - Calls or puts from the other expiry
+ * @param {number} strike - Strike to match
+ * @returns {Object} - Chain contract
+ */
+function matchingContract(contracts, strike) {
+  const contract = contracts.find(candidate => candidate.strike === strike);
+  if (!contract) {
+    throw new Error(`Strike ${strike} is not listed in the far expiry; widen the strike grid`);
+  }
+  return contract;
+}
+
+// Contracts of an expiry by option type
+const contractsOf = (expiry, type) => (type === 'call' ? expiry.calls : expiry.puts);
+
+// Template definitions. Each build() returns the long form of the strategy;
+// side 'short' flips every option leg.
+const TEMPLATES = {
+  vertical: {
+    label: 'Vertical Spread',
+    description: 'Buy one strike and sell a further out-of-the-money strike in the same expiry',
+    params: ['optionType', 'side', 'strikeBy', 'delta', 'offset', 'width'],
+    defaults: { delta: 0.5 },
+    build: ({ near, params, spot }) => {
+      const contracts = contractsOf(near, params.optionType);
+      const inner = selectContract(contracts, params.optionType, params, spot);
+      const outer = wingContract(contracts, inner.strike, params.optionType === 'call' ? 1 : -1, params.width);
+      return [
+        makeLeg(params.optionType, 'long', inner, near.date),
+        makeLeg(params.optionType, 'short', outer, near.date)
+      ];
+    }
+  },
+  straddle: {
+    label: 'Straddle',
+    description: 'Buy a call and a put at the same strike',
+    params: ['side', 'strikeBy', 'delta', 'offset'],
+    defaults: { delta: 0.5 },
+    build: ({ near, params, spot }) => {
+      const call = selectContract(near.calls, 'call', params, spot);
+      return [
+        makeLeg('call', 'long', call, near.date),
+        makeLeg('put', 'long', matchingContract(near.puts, call.strike), near.date)
+      ];
+    }
+  },
+  strangle: {
+    label: 'Strangle',
+    description: 'Buy an out-of-the-money call and an out-of-the-money put',
+    params: ['side', 'strikeBy', 'delta', 'offset'],
+    defaults: { delta: 0.25 },
+    build: ({ near, params, spot }) => [
+      makeLeg('put', 'long', selectContract(near.puts, 'put', params, spot), near.date),
+      makeLeg('call', 'long', selectContract(near.calls, 'call', params, spot), near.date)
+    ]
+  },
+  'iron-condor': {
+    label: 'Iron Condor',
+    description: 'Sell an out-of-the-money put and call and buy wings further out; short collects a credit',
+    params: ['side', 'strikeBy', 'delta', 'offset', 'width'],
+    defaults: { side: 'short', delta: 0.2 },
+    build: ({ near, params, spot }) => {
+      const put = selectContract(near.puts, 'put', params, spot);
+      const call = selectContract(near.calls, 'call', params, spot);
+      return [
+        makeLeg('put', 'short', wingContract(near.puts, put.strike, -1, params.width), near.date),
+        makeLeg('put', 'long', put, near.date),
+        makeLeg('call', 'long', call, near.date),
+        makeLeg('call', 'short', wingContract(near.calls, call.strike, 1, params.width), near.date)
+      ];
+    }
+  },
+  'iron-butterfly': {
+    label: 'Iron Butterfly',
+    description: 'Sell a call and a put at the same strike and buy wings either side; short collects a credit',
+    params: ['side', 'strikeBy', 'delta', 'offset', 'width'],
+    defaults: { side: 'short', delta: 0.5 },
+    build: ({ near, params, spot }) => {
+      const call = selectContract(near.calls, 'call', params, spot);
+      const put = matchingContract(near.puts, call.strike);
+      return [
+        makeLeg('put', 'short', wingContract(near.puts, put.strike, -1, params.width), near.date),
+        makeLeg('put', 'long', put, near.date),
+        makeLeg('call', 'long', call, near.date),
+        makeLeg('call', 'short', wingContract(near.calls, call.strike, 1, params.width), near.date)
+      ];
+    }
+  },
+  butterfly: {
+    label: 'Butterfly',
+    description: 'Buy the wings and sell two of the body strike, all calls or all puts',
+    params: ['optionType', 'side', 'strikeBy', 'delta', 'offset', 'width'],
+    defaults: { delta: 0.5 },
+    build: ({ near, params, spot }) => {
+      const contracts = contractsOf(near, params.optionType);
+      const body = selectContract(contracts, params.optionType, params, spot);
+      return [
+        makeLeg(params.optionType, 'long', wingContract(contracts, body.strike, -1, params.width), near.date),
+        makeLeg(params.optionType, 'short', body, near.date, 2),
+        makeLeg(params.optionType, 'long', wingContract(contracts, body.strike, 1, params.width), near.date)
+      ];
+    }
+  },
+  calendar: {
+    label: 'Calendar Spread',
+    description: 'Sell the near expiry and buy the far expiry at the same strike',
+    params: ['optionType', 'side', 'strikeBy', 'delta', 'offset', 'farExpiry'],
+    defaults: { delta: 0.5 },
+    build: ({ near, far, params, spot }) => {
+      const nearContract = selectContract(contractsOf(near, params.optionType), params.optionType, params, spot);
+      return [
+        makeLeg(params.optionType, 'short', nearContract, near.date),
+        makeLeg(params.optionType, 'long', matchingContract(contractsOf(far, params.optionType), nearContract.strike), far.date)
+      ];
+    }
+  },
+  diagonal: {
+    label: 'Diagonal Spread',
+    description: 'Sell the near expiry and buy the far expiry at a strike further in the money',
+    params: ['optionType', 'side', 'strikeBy', 'delta', 'offset', 'width', 'farExpiry'],
+    defaults: { delta: 0.3 },
+    build: ({ near, far, params, spot }) => {
+      const nearContract = selectContract(contractsOf(near, params.optionType), params.optionType, params, spot);
+      const farContract = wingContract(
+        contractsOf(far, params.optionType), nearContract.strike, params.optionType === 'call' ? -1 : 1, params.width
+      );
+      return [
+        makeLeg(params.optionType, 'short', nearContract, near.date),
+        makeLeg(params.optionType, 'long', farContract, far.date)
+      ];
+    }
+  },
+  collar: {
+    label: 'Collar',
+    description: 'Own 100 shares, buy an out-of-the-money put and sell an out-of-the-money call',
+    params: ['strikeBy', 'delta', 'offset'],
+    defaults: { delta: 0.25 },
+    build: ({ near, params, spot }) => [
+      makeLeg('stock', 'long', null, null, CONTRACT_MULTIPLIER),
+      makeLeg('put', 'long', selectContract(near.puts, 'put', params, spot), near.date),
+      makeLeg('call', 'short', selectContract(near.calls, 'call', params, spot), near.date)
+    ]
+  },
+  'covered-call': {
+    label: 'Covered Call',
+    description: 'Own 100 shares and sell an out-of-the-money call',
+    params: ['strikeBy', 'delta', 'offset'],
+    defaults: { delta: 0.3 },
+    build: ({ near, params, spot }) => [
+      makeLeg('stock', 'long', null, null, CONTRACT_MULTIPLIER),
+      makeLeg('call', 'short', selectContract(near.calls, 'call', params, spot), near.date)
+    ]
+  }
+};
+
+/**
+ * Look up a template by name
+ * Only the templates' own keys count, so names like "constructor" are unknown too.
+ * @param {string} name - Template name
+ * @returns {Object} - Template definition
+ */
+function getTemplate(name) {
+  if (!Object.prototype.hasOwnProperty.call(TEMPLATES, name)) {
+    throw new Error(`Unknown strategy template "${name}". Use one of: ${Object.keys(TEMPLATES).join(', ')}`);
+  }
+  return TEMPLATES[name];
+}
+
+/**
+ * Check whether a template uses a far expiry
+ * @param {string} name - Template name
+ * @returns {boolean} - True for calendars and diagonals
+ */
+function needsFarExpiry(name) {
+  return getTemplate(name).params.includes('farExpiry');
+}
+
+/**
+ * List the templates with their parameters for display
+ * @returns {Array} - Array of { name, label, description, params: [{ name, type, default, ... }] }
+ */
+function listTemplates() {
+  return Object.entries(TEMPLATES).map(([name, template]) => ({
+    name,
+    label: template.label,
+    description: template.description,
+    params: [...template.params, 'expiry', 'quantity'].map(param => ({
+      name: param,
+      ...PARAM_SPECS[param],
+      default: param in template.defaults ? template.defaults[param] : PARAM_SPECS[param].default
+    }))
+  }));
+}
+
+/**
+ * Validate a template's parameters, filling in defaults
+ * @param {string} name - Template name
+ * @param {Object} query - Raw parameter values, usually strings from the query string
+ * @returns {Object} - Resolved parameters
+ */
+function resolveTemplateParams(name, query = {}) {
+  const template = getTemplate(name);
+
+  const params = {};
+  [...template.params, 'expiry', 'quantity'].forEach(param => {
+    const spec = PARAM_SPECS[param];
+    const raw = query[param];
+    const fallback = param in template.defaults ? template.defaults[param] : spec.default;
+
+    if (raw === undefined || raw === '') {
+      params[param] = fallback;
+      return;
+    }
+
+    if (spec.type === 'choice') {
+      if (!spec.choices.includes(raw)) {
+        throw new Error(`${param} must be one of ${spec.choices.join(', ')}`);
+      }
+      params[param] = raw;
+    } else if (spec.type === 'date') {
+      if (!marketCalendar.isIsoDate(raw)) {
+        throw new Error(`${param} must be a date in YYYY-MM-DD form`);
+      }
+      params[param] = raw;
+    } else {
+      const value = spec.type === 'integer' ? Number(raw) : parseFloat(raw);
+      if (!isFinite(value) || (spec.type === 'integer' && !Number.isInteger(value))
+        || (spec.min !== undefined && value < spec.min) || (spec.max !== undefined && value > spec.max)) {
+        const bounds = spec.max !== undefined ? ` between ${spec.min} and ${spec.max}` : ` of at least ${spec.min}`;
+        throw new Error(`${param} must be ${spec.type === 'integer' ? 'an integer' : 'a number'}${bounds}`);
+      }
+      params[param] = value;
+    }
+  });
+
+  return params;
+}
+
+/**
+ * Build a template's legs against the option chain
+ * @param {string} name - Template name
+ * @param {Object} params - Parameters from resolveTemplateParams()
+ * @param {Object} chain - { spot, near, far } where near and far are chain expiries
+ *   ({ date, calls, puts }); far is only needed for calendars and diagonals
+ * @returns {Array} - Legs { type, side, quantity, strike, expiry, modelPrice, delta } ready for analyzeStrategy
+ */
+function buildTemplate(name, params, chain) {
+  const template = getTemplate(name);
+  const legs = template.build({ ...chain, params });
+  const flip = params.side === 'short';
+
+  return legs.map(({ ratio, ...leg }) => ({
+    ...leg,
+    side: flip && leg.type !== 'stock' ? (leg.side === 'long' ? 'short' : 'long') : leg.side,
+    quantity: ratio * params.quantity
+  }));
+}
+
+module.exports = {
+  TEMPLATE_DELTA_RANGE,
+  PARAM_SPECS,
+  listTemplates,
+  needsFarExpiry,
+  resolveTemplateParams,
+  buildTemplate
+};
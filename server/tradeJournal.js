@@ -0,0 +1,433 @@
+/**
+ * Trade Journal
+ * Paper trading: records simulated fills at the model price plus slippage and
+ * commission, settles expired options by exercise, assignment or expiration,
+ * and reports realized and unrealized P&L per trade and per strategy
+ */
+
+const path = require('path');
+const sqlite3 = require('sqlite3').verbose();
+const { promisify } = require('util');
+const marketCalendar = require('./marketCalendar');
+const { CONTRACT_MULTIPLIER } = require('./strategyCalc');
+
+// Database connection
+const dbPath = path.join(__dirname, 'db/stockdata.db');
+const db = new sqlite3.Database(dbPath);
+
+// Promisify database operations for easier async/await usage
+const dbAll = promisify(db.all.bind(db));
+const dbGet = promisify(db.get.bind(db));
+
+// db.run reports the inserted row id and the number of changed rows on `this`
+const dbRun = (sql, params = []) => new Promise((resolve, reject) => {
+  db.run(sql, params, function onRun(err) {
+    if (err) {
+      reject(err);
+      return;
+    }
+    resolve({ lastID: this.lastID, changes: this.changes });
+  });
+});
+
+const TRADE_TYPES = ['call', 'put', 'stock'];
+const TRADE_ACTIONS = ['buy', 'sell'];
+
+// Default trading costs: slippage in dollars per share, commission in dollars per contract
+const DEFAULT_SLIPPAGE = 0.02;
+const DEFAULT_COMMISSION = 0.65;
+
+// Label for fills entered without a strategy
+const UNASSIGNED_STRATEGY = 'Unassigned';
+
+// Create the trades table next to stock_prices if it doesn't exist yet
+const tableReady = dbRun(`CREATE TABLE IF NOT EXISTS trades (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  ticker TEXT NOT NULL,
+  type TEXT NOT NULL,
+  action TEXT NOT NULL,
+  quantity INTEGER NOT NULL,
+  strike REAL,
+  expiry TEXT,
+  model_price REAL NOT NULL,
+  slippage REAL NOT NULL,
+  fill_price REAL NOT NULL,
+  commission REAL NOT NULL,
+  strategy TEXT,
+  kind TEXT NOT NULL DEFAULT 'order', -- order, or expiration / exercise / assignment when an option settles
+  notes TEXT,
+  filled_at TEXT NOT NULL,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+)`);
+
+/**
+ * Validate and normalise an order from the order ticket
+ * @param {Object} fields - { ticker, type, action, quantity, strike, expiry, strategy, notes,
+ *   slippage, commission } where quantity counts contracts (or shares for stock), slippage is
+ *   dollars per share and commission dollars per contract
+ * @param {string} today - Trade date as YYYY-MM-DD; options must not have expired
+ * @returns {Object} - Normalised order
+ */
+function validateOrder(fields, today) {
+  const ticker = String(fields.ticker || '').trim().toUpperCase();
+  const type = String(fields.type || '').toLowerCase();
+  const action = String(fields.action || '').toLowerCase();
+  const quantity = Number(fields.quantity);
+  const slippage = fields.slippage === undefined || fields.slippage === null ? DEFAULT_SLIPPAGE : Number(fields.slippage);
+  const commission = fields.commission === undefined || fields.commission === null ? DEFAULT_COMMISSION : Number(fields.commission);
+  const strategy = fields.strategy ? String(fields.strategy).trim() : '';
+
+  if (!/^[A-Z0-9.^-]{1,10}$/.test(ticker)) {
+    throw new Error('ticker must be a stock symbol such as SPY');
+  }
+  if (!TRADE_TYPES.includes(type)) {
+    throw new Error(`type must be one of ${TRADE_TYPES.join(', ')}`);
+  }
+  if (!TRADE_ACTIONS.includes(action)) {
+    throw new Error('action must be "buy" or "sell"');
+  }
+  if (!Number.isInteger(quantity) || quantity < 1) {
+    throw new Error('quantity must be a positive whole number');
+  }
+  if (!(slippage >= 0)) {
+    throw new Error('slippage must be zero or more dollars per share');
+  }
+  if (!(commission >= 0)) {
+    throw new Error('commission must be zero or more dollars per contract');
+  }
+
+  const order = {
+    ticker,
+    type,
+    action,
+    quantity,
+    strike: null,
+    expiry: null,
+    slippage,
+    commission,
+    strategy: strategy || null,
+    notes: fields.notes ? String(fields.notes) : null
+  };
+
+  if (type !== 'stock') {
+    order.strike = Number(fields.strike);
+    if (!(order.strike > 0)) {
+      throw new Error('strike must be positive for options');
+    }
+    if (!marketCalendar.isIsoDate(fields.expiry)) {
+      throw new Error('expiry must be a date in YYYY-MM-DD form for options');
+    }
+    if (fields.expiry < today) {
+      throw new Error(`The ${fields.expiry} expiry has passed`);
+    }
+    order.expiry = fields.expiry;
+  }
+
+  return order;
+}
+
+/**
+ * Fill price for an order: buys pay the slippage above the model price, sells give it up
+ * @param {number} modelPrice - Model price per share
+ * @param {string} action - 'buy' or 'sell'
+ * @param {number} slippage - Slippage in dollars per share
+ * @returns {number} - Fill price per share
+ */
+function fillPrice(modelPrice, action, slippage) {
+  return action === 'buy' ? modelPrice + slippage : Math.max(0, modelPrice - slippage);
+}
+
+/**
+ * Commission for an order
+ * Commission is charged per option contract; stock trades are commission-free.
+ * @param {Object} order - Normalised order
+ * @returns {number} - Commission in dollars
+ */
+function orderCommission(order) {
+  return order.type === 'stock' ? 0 : order.quantity * order.commission;
+}
+
+/**
+ * Convert a database row to a fill
+ * @param {Object} row - Row from the trades table
+ * @returns {Object} - Fill
+ */
+function rowToFill(row) {
+  return {
+    id: row.id,
+    ticker: row.ticker,
+    type: row.type,
+    action: row.action,
+    quantity: row.quantity,
+    strike: row.strike,
+    expiry: row.expiry,
+    modelPrice: row.model_price,
+    slippage: row.slippage,
+    fillPrice: row.fill_price,
+    commission: row.commission,
+    strategy: row.strategy,
+    kind: row.kind,
+    notes: row.notes,
+    filledAt: row.filled_at,
+    createdAt: row.created_at
+  };
+}
+
+/**
+ * Get every fill in the order it was booked
+ * @returns {Promise<Array>} - Array of fills
+ */
+async function listFills() {
+  await tableReady;
+  const rows = await dbAll('SELECT * FROM trades ORDER BY filled_at, id');
+  return rows.map(rowToFill);
+}
+
+/**
+ * Book a fill
+ * @param {Object} fill - { ticker, type, action, quantity, strike, expiry, modelPrice, slippage,
+ *   fillPrice, commission, strategy, kind, notes, filledAt } with commission in dollars
+ * @returns {Promise<Object>} - The stored fill
+ */
+async function recordFill(fill) {
+  await tableReady;
+
+  const { lastID } = await dbRun(
+    `INSERT INTO trades (ticker, type, action, quantity, strike, expiry, model_price, slippage,
+       fill_price, commission, strategy, kind, notes, filled_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [fill.ticker, fill.type, fill.action, fill.quantity, fill.strike, fill.expiry, fill.modelPrice,
+      fill.slippage, fill.fillPrice, fill.commission, fill.strategy, fill.kind || 'order', fill.notes, fill.filledAt]
+  );
+  const row = await dbGet('SELECT * FROM trades WHERE id = ?', [lastID]);
+  return rowToFill(row);
+}
+
+/**
+ * Key identifying a contract: ticker, type, strike and expiry
+ * @param {Object} contract - Fill or trade
+ * @returns {string} - Contract key
+ */
+function contractKey(contract) {
+  return [contract.ticker, contract.type, contract.strike === null ? '' : contract.strike, contract.expiry || ''].join('|');
+}
+
+/**
+ * Match fills into trades, first in first out, within each strategy and contract
+ * Each fill that opens or adds to a position starts a trade; later fills in the
+ * opposite direction close the oldest open trades first. Commissions are charged
+ * to the trades they open or close.
+ * @param {Array} fills - Fills from listFills(), oldest first
+ * @returns {Array} - Trades { id, strategy, ticker, type, side, quantity, openQuantity, strike,
+ *   expiry, entryPrice, openedAt, closedAt, status, closes, commission, realizedPnl }
+ */
+function buildTrades(fills) {
+  const openByKey = new Map();
+  const trades = [];
+
+  fills.forEach(fill => {
+    const key = `${fill.strategy || ''}|${contractKey(fill)}`;
+    const open = openByKey.get(key) || [];
+    const direction = fill.action === 'buy' ? 1 : -1;
+    const multiplier = fill.type === 'stock' ? 1 : CONTRACT_MULTIPLIER;
+    let remaining = fill.quantity;
+
+    while (remaining > 0 && open.length > 0 && open[0].direction !== direction) {
+      const trade = open[0];
+      const closed = Math.min(remaining, trade.openQuantity);
+      const commission = fill.commission * closed / fill.quantity;
+
+      trade.realizedPnl += trade.direction * closed * multiplier * (fill.fillPrice - trade.entryPrice) - commission;
+      trade.commission += commission;
+      trade.openQuantity -= closed;
+      trade.closes.push({ fillId: fill.id, date: fill.filledAt, quantity: closed, price: fill.fillPrice, kind: fill.kind });
+      remaining -= closed;
+
+      if (trade.openQuantity === 0) {
+        trade.status = 'closed';
+        trade.closedAt = fill.filledAt;
+        open.shift();
+      }
+    }
+
+    if (remaining > 0) {
+      const commission = fill.commission * remaining / fill.quantity;
+      const trade = {
+        id: fill.id,
+        strategy: fill.strategy,
+        ticker: fill.ticker,
+        type: fill.type,
+        side: direction > 0 ? 'long' : 'short',
+        direction,
+        quantity: remaining,
+        openQuantity: remaining,
+        strike: fill.strike,
+        expiry: fill.expiry,
+        entryPrice: fill.fillPrice,
+        openedAt: fill.filledAt,
+        openKind: fill.kind,
+        closedAt: null,
+        status: 'open',
+        closes: [],
+        commission,
+        realizedPnl: -commission
+      };
+      open.push(trade);
+      trades.push(trade);
+    }
+
+    openByKey.set(key, open);
+  });
+
+  return trades;
+}
+
+// Settlement runs one at a time, so overlapping calls can't book the same fills twice
+let settling = Promise.resolve();
+
+/**
+ * Book the settlement of every open option trade whose expiry has passed
+ * Options in the money at the close of the last session on or before expiry are
+ * exercised (long) or assigned (short): the option closes at zero and the shares
+ * change hands at the strike. Options out of the money expire worthless. Trades
+ * whose settlement session isn't stored yet are left open for a later call.
+ * @param {string} today - Valuation day as YYYY-MM-DD
+ * @param {Function} closeOn - async (ticker, date) => stored close of that day, or null if none
+ * @returns {Promise<Array>} - The settlement fills that were booked
+ */
+function settleExpired(today, closeOn) {
+  const run = settling.then(() => settleOpenTrades(today, closeOn));
+  settling = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Book the settlements for settleExpired(), which serializes the calls
+ * @param {string} today - Valuation day as YYYY-MM-DD
+ * @param {Function} closeOn - async (ticker, date) => stored close of that day, or null if none
+ * @returns {Promise<Array>} - The settlement fills that were booked
+ */
+async function settleOpenTrades(today, closeOn) {
+  const trades = buildTrades(await listFills());
+
+  // Trades on the same strategy and contract are all long or all short, so each settles as one fill
+  const expiredByKey = new Map();
+  trades
+    .filter(trade => trade.status === 'open' && trade.type !== 'stock' && trade.expiry < today)
+    .forEach(trade => {
+      const key = `${trade.strategy || ''}|${contractKey(trade)}`;
+      const group = expiredByKey.get(key) || { ...trade, openQuantity: 0 };
+      group.openQuantity += trade.openQuantity;
+      expiredByKey.set(key, group);
+    });
+
+  const settlements = [];
+  for (const trade of expiredByKey.values()) {
+    // An expiry on a holiday or weekend settles on the session before it
+    const session = marketCalendar.formatDay(marketCalendar.previousTradingDay(marketCalendar.toDay(trade.expiry)));
+    const close = await closeOn(trade.ticker, session);
+    // Stored prices don't reach the session yet; settle once they do rather than on an older close
+    if (close === null) continue;
+
+    const inTheMoney = trade.type === 'call' ? close > trade.strike : close < trade.strike;
+    const kind = !inTheMoney ? 'expiration' : trade.side === 'long' ? 'exercise' : 'assignment';
+    const settlement = {
+      ticker: trade.ticker,
+      strategy: trade.strategy,
+      kind,
+      slippage: 0,
+      commission: 0,
+      filledAt: trade.expiry
+    };
+
+    settlements.push(await recordFill({
+      ...settlement,
+      type: trade.type,
+      action: trade.side === 'long' ? 'sell' : 'buy',
+      quantity: trade.openQuantity,
+      strike: trade.strike,
+      expiry: trade.expiry,
+      modelPrice: 0,
+      fillPrice: 0,
+      notes: `${kind} at a close of ${close.toFixed(2)}`
+    }));
+
+    if (inTheMoney) {
+      // Calls deliver shares to the holder, puts deliver them to the writer
+      const buysStock = (trade.type === 'call') === (trade.side === 'long');
+      settlements.push(await recordFill({
+        ...settlement,
+        type: 'stock',
+        action: buysStock ? 'buy' : 'sell',
+        quantity: trade.openQuantity * CONTRACT_MULTIPLIER,
+        strike: null,
+        expiry: null,
+        modelPrice: close,
+        fillPrice: trade.strike,
+        notes: `${kind} of the ${trade.expiry} ${trade.strike} ${trade.type}`
+      }));
+    }
+  }
+
+  return settlements;
+}
+
+/**
+ * Report realized and unrealized P&L per trade, per strategy and in total
+ * @param {Array} trades - Trades from buildTrades()
+ * @param {Object} marks - Model price per share keyed by contractKey(); open trades
+ *   without a mark have a null unrealized P&L
+ * @returns {Object} - { trades, strategies, totals }
+ */
+function journalReport(trades, marks) {
+  const reported = trades.map(({ direction, ...trade }) => {
+    const multiplier = trade.type === 'stock' ? 1 : CONTRACT_MULTIPLIER;
+    const mark = trade.openQuantity > 0 && marks[contractKey(trade)] !== undefined ? marks[contractKey(trade)] : null;
+    let unrealizedPnl = 0;
+    if (trade.openQuantity > 0) {
+      unrealizedPnl = mark === null ? null : direction * trade.openQuantity * multiplier * (mark - trade.entryPrice);
+    }
+    return {
+      ...trade,
+      mark,
+      unrealizedPnl,
+      totalPnl: unrealizedPnl === null ? null : trade.realizedPnl + unrealizedPnl
+    };
+  });
+
+  const summarize = group => ({
+    trades: group.length,
+    openTrades: group.filter(trade => trade.status === 'open').length,
+    commission: group.reduce((sum, trade) => sum + trade.commission, 0),
+    realizedPnl: group.reduce((sum, trade) => sum + trade.realizedPnl, 0),
+    unrealizedPnl: group.reduce((sum, trade) => sum + (trade.unrealizedPnl || 0), 0),
+    unmarked: group.filter(trade => trade.unrealizedPnl === null).map(trade => trade.id)
+  });
+  const withTotal = summary => ({ ...summary, totalPnl: summary.realizedPnl + summary.unrealizedPnl });
+
+  const byStrategy = new Map();
+  reported.forEach(trade => {
+    const name = trade.strategy || UNASSIGNED_STRATEGY;
+    byStrategy.set(name, [...(byStrategy.get(name) || []), trade]);
+  });
+
+  return {
+    trades: reported,
+    strategies: Array.from(byStrategy.entries()).map(([strategy, group]) => ({ strategy, ...withTotal(summarize(group)) })),
+    totals: withTotal(summarize(reported))
+  };
+}
+
+module.exports = {
+  DEFAULT_SLIPPAGE,
+  DEFAULT_COMMISSION,
+  validateOrder,
+  fillPrice,
+  orderCommission,
+  listFills,
+  recordFill,
+  contractKey,
+  buildTrades,
+  settleExpired,
+  journalReport
+};
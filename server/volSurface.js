@@ -0,0 +1,151 @@
+/**
+ * Volatility Surface
+ * Parametric implied volatility surface built from a single base volatility.
+ * Each expiry gets an SVI (stochastic volatility inspired) smile in
+ * log-moneyness, and the at-the-money level follows a mean-reverting
+ * variance term structure.
+ */
+
+// Default surface parameters
+const DEFAULT_SURFACE_PARAMS = {
+  skew: -0.5,          // SVI rho: correlation-like skew, -1 (put skew) to 1 (call skew)
+  curvature: 0.1,      // SVI sigma at one year: smoothness of the smile around the money, scaled by sqrt(T)
+  wingSlope: 0.4,      // Scales SVI b: steepness of the wings per unit of ATM vol * sqrt(T)
+  longRunVol: null,    // ATM vol the term structure reverts to (defaults to the base vol)
+  meanReversion: 2     // Speed (per year) at which ATM variance reverts to the long-run level
+};
+
+/**
+ * Merge user-supplied surface parameters with the defaults and validate them
+ * @param {Object} overrides - Any subset of DEFAULT_SURFACE_PARAMS, values may be strings
+ * @returns {Object} - Complete, validated surface parameters
+ */
+function resolveSurfaceParams(overrides = {}) {
+  const params = { ...DEFAULT_SURFACE_PARAMS };
+
+  Object.keys(DEFAULT_SURFACE_PARAMS).forEach(key => {
+    if (overrides[key] === undefined || overrides[key] === null || overrides[key] === '') return;
+    const value = parseFloat(overrides[key]);
+    if (!isFinite(value)) {
+      throw new Error(`Invalid volatility surface parameter ${key}: ${overrides[key]}`);
+    }
+    params[key] = value;
+  });
+
+  if (params.skew <= -1 || params.skew >= 1) throw new Error('skew must be between -1 and 1');
+  if (params.curvature <= 0) throw new Error('curvature must be positive');
+  if (params.wingSlope < 0) throw new Error('wingSlope must not be negative');
+  if (params.longRunVol !== null && params.longRunVol <= 0) throw new Error('longRunVol must be positive');
+  if (params.meanReversion <= 0) throw new Error('meanReversion must be positive');
+
+  return params;
+}
+
+/**
+ * Calculate the at-the-money volatility for an expiry
+ * The expected average variance over [0, T] decays from the base variance
+ * towards the long-run variance.
+ * @param {number} baseVol - Current (short-dated) volatility
+ * @param {number} T - Time to expiration in years
+ * @param {Object} params - Surface parameters from resolveSurfaceParams()
+ * @returns {number} - ATM volatility for the expiry
+ */
+function atmVolatility(baseVol, T, params) {
+  const longRunVol = params.longRunVol || baseVol;
+  const kappaT = params.meanReversion * T;
+  const weight = kappaT > 1e-8 ? (1 - Math.exp(-kappaT)) / kappaT : 1;
+  const variance = longRunVol * longRunVol + (baseVol * baseVol - longRunVol * longRunVol) * weight;
+  return Math.sqrt(variance);
+}
+
+/**
+ * Build the raw SVI parameters for one expiry, calibrated so the smile
+ * passes through the ATM volatility at the forward
+ * @param {number} atmVol - ATM volatility for the expiry
+ * @param {number} T - Time to expiration in years
+ * @param {Object} params - Surface parameters from resolveSurfaceParams()
+ * @returns {Object} - { a, b, rho, m, sigma } for w(k) = a + b * (rho * (k - m) + sqrt((k - m)^2 + sigma^2))
+ */
+function sviSlice(atmVol, T, params) {
+  const atmVariance = atmVol * atmVol * T;
+  const rho = params.skew;
+  // Scaling both b and sigma with sqrt(T) keeps the smile shape constant in
+  // standardised moneyness k / sqrt(T), so short expiries get steeper skews
+  const sigma = params.curvature * Math.sqrt(T);
+  let b = params.wingSlope * atmVol * Math.sqrt(T);
+
+  // Keep the minimum total variance, a + b * sigma * sqrt(1 - rho^2), non-negative
+  const maxB = atmVariance / (sigma * (1 - Math.sqrt(1 - rho * rho)));
+  if (b > maxB) b = maxB;
+
+  return { a: atmVariance - b * sigma, b, rho, m: 0, sigma };
+}
+
+/**
+ * Evaluate SVI total implied variance at a log-moneyness
+ * @param {Object} slice - SVI parameters from sviSlice()
+ * @param {number} k - Log-moneyness ln(K / F)
+ * @returns {number} - Total implied variance (vol^2 * T)
+ */
+function sviTotalVariance(slice, k) {
+  const x = k - slice.m;
+  return slice.a + slice.b * (slice.rho * x + Math.sqrt(x * x + slice.sigma * slice.sigma));
+}
+
+/**
+ * Look up the implied volatility for a strike and expiry on the surface
+ * @param {number} baseVol - Current (short-dated) volatility
+ * @param {number} K - Strike price
+ * @param {number} F - Forward price for the expiry
+ * @param {number} T - Time to expiration in years
+ * @param {Object} params - Surface parameters from resolveSurfaceParams()
+ * @returns {number} - Implied volatility (as a decimal)
+ */
+function surfaceVolatility(baseVol, K, F, T, params) {
+  const slice = sviSlice(atmVolatility(baseVol, T, params), T, params);
+  const variance = sviTotalVariance(slice, Math.log(K / F));
+  return Math.sqrt(Math.max(variance, 1e-12) / T);
+}
+
+/**
+ * Build a grid of the surface for display
+ * @param {Array} expiries - Array of { days, timeToExpiry, forward, baseVolatility }
+ * @param {Array} moneyness - Strike / spot ratios to sample
+ * @param {number} spot - Current stock price
+ * @param {Object} params - Surface parameters from resolveSurfaceParams()
+ * @returns {Array} - One entry per expiry with its SVI slice and sampled smile points
+ */
+function buildSurfaceGrid(expiries, moneyness, spot, params) {
+  return expiries.map(({ days, timeToExpiry, forward, baseVolatility }) => {
+    const atmVol = atmVolatility(baseVolatility, timeToExpiry, params);
+    const slice = sviSlice(atmVol, timeToExpiry, params);
+
+    return {
+      days,
+      timeToExpiry,
+      forward,
+      atmVolatility: atmVol,
+      svi: slice,
+      smile: moneyness.map(ratio => {
+        const strike = spot * ratio;
+        const logMoneyness = Math.log(strike / forward);
+        return {
+          moneyness: ratio,
+          strike,
+          logMoneyness,
+          volatility: Math.sqrt(Math.max(sviTotalVariance(slice, logMoneyness), 1e-12) / timeToExpiry)
+        };
+      })
+    };
+  });
+}
+
+module.exports = {
+  DEFAULT_SURFACE_PARAMS,
+  resolveSurfaceParams,
+  atmVolatility,
+  sviSlice,
+  sviTotalVariance,
+  surfaceVolatility,
+  buildSurfaceGrid
+};
@@ -0,0 +1,336 @@
+/**
+ * Volatility Estimators
+ * Historical volatility from daily OHLC bars (close-to-close and range-based
+ * estimators), forecasting models (EWMA and GARCH(1,1)) and realized volatility
+ * from intraday bars
+ */
+
+// Constants
+const TRADING_DAYS_PER_YEAR = 252;
+const EWMA_LAMBDA = 0.94; // RiskMetrics decay factor for daily data
+const SESSION_MINUTES = 390; // 09:30 to 16:00
+
+// Intraday sessions used for realized volatility, and the fewest returns accepted
+const INTRADAY_SESSIONS = 5;
+const MIN_INTRADAY_RETURNS = 20;
+
+// Supported estimators and their default lookback in bars
+const VOL_MODELS = {
+  'close-to-close': 30,
+  'parkinson': 30,
+  'garman-klass': 30,
+  'rogers-satchell': 30,
+  'yang-zhang': 30,
+  'ewma': 90,
+  'garch': 500
+};
+
+// Smallest lookback each estimator will accept
+const MIN_WINDOWS = {
+  'yang-zhang': 3,
+  'ewma': 10,
+  'garch': 100
+};
+
+/**
+ * Validate an estimator name and lookback, filling in the default lookback
+ * @param {string} model - Estimator name, see VOL_MODELS
+ * @param {number|string} window - Lookback in bars (optional)
+ * @returns {Object} - { model, window }
+ */
+function resolveVolModel(model = 'close-to-close', window) {
+  const name = String(model).toLowerCase();
+  if (!Object.prototype.hasOwnProperty.call(VOL_MODELS, name)) {
+    throw new Error(`Invalid volModel "${model}". Use one of: ${Object.keys(VOL_MODELS).join(', ')}`);
+  }
+
+  const lookback = window === undefined || window === null || window === ''
+    ? VOL_MODELS[name]
+    : parseInt(window, 10);
+  const minimum = MIN_WINDOWS[name] || 2;
+
+  if (!Number.isInteger(lookback) || lookback < minimum || lookback > 5000) {
+    throw new Error(`volWindow for ${name} must be an integer between ${minimum} and 5000`);
+  }
+
+  return { model: name, window: lookback };
+}
+
+/**
+ * Filter out bars with missing or non-positive prices
+ * @param {Array} bars - Array of { open, high, low, close }, oldest first
+ * @returns {Array} - Valid bars
+ */
+function validBars(bars) {
+  return bars.filter(bar => bar.open > 0 && bar.high > 0 && bar.low > 0 && bar.close > 0 && bar.high >= bar.low);
+}
+
+/**
+ * Calculate daily close-to-close log returns
+ * @param {Array} bars - Array of { close }, oldest first
+ * @returns {Array} - Log returns
+ */
+function logReturns(bars) {
+  const returns = [];
+  for (let i = 1; i < bars.length; i++) {
+    returns.push(Math.log(bars[i].close / bars[i - 1].close));
+  }
+  return returns;
+}
+
+/**
+ * Calculate the sample variance of a series
+ * @param {Array} values - Numbers
+ * @returns {number} - Sample variance
+ */
+function sampleVariance(values) {
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+  return values.reduce((sum, value) => sum + Math.pow(value - mean, 2), 0) / (values.length - 1);
+}
+
+/**
+ * Calculate the daily variance for one of the single-period estimators
+ * @param {string} model - Estimator name
+ * @param {Array} bars - Array of { open, high, low, close }, oldest first
+ * @returns {number} - Daily variance
+ */
+function dailyVariance(model, bars) {
+  const n = bars.length;
+
+  switch (model) {
+    case 'close-to-close':
+      return sampleVariance(logReturns(bars));
+
+    case 'parkinson':
+      // High-low range, efficient but blind to opening gaps and drift
+      return bars.reduce((sum, bar) => sum + Math.pow(Math.log(bar.high / bar.low), 2), 0)
+        / (4 * n * Math.log(2));
+
+    case 'garman-klass':
+      return bars.reduce((sum, bar) => {
+        const range = Math.log(bar.high / bar.low);
+        const body = Math.log(bar.close / bar.open);
+        return sum + 0.5 * range * range - (2 * Math.log(2) - 1) * body * body;
+      }, 0) / n;
+
+    case 'rogers-satchell':
+      // Drift-independent range estimator
+      return bars.reduce((sum, bar) => sum
+        + Math.log(bar.high / bar.close) * Math.log(bar.high / bar.open)
+        + Math.log(bar.low / bar.close) * Math.log(bar.low / bar.open), 0) / n;
+
+    case 'yang-zhang': {
+      // Overnight, open-to-close and Rogers-Satchell components; the first bar
+      // only supplies the previous close
+      const overnight = [];
+      const openToClose = [];
+      for (let i = 1; i < n; i++) {
+        overnight.push(Math.log(bars[i].open / bars[i - 1].close));
+        openToClose.push(Math.log(bars[i].close / bars[i].open));
+      }
+      const periods = n - 1;
+      const k = 0.34 / (1.34 + (periods + 1) / (periods - 1));
+      return sampleVariance(overnight) + k * sampleVariance(openToClose)
+        + (1 - k) * dailyVariance('rogers-satchell', bars.slice(1));
+    }
+
+    default:
+      throw new Error(`Unknown volatility estimator: ${model}`);
+  }
+}
+
+/**
+ * Run the EWMA variance recursion over a series of returns
+ * @param {Array} returns - Daily log returns, oldest first
+ * @param {number} lambda - Decay factor
+ * @returns {number} - Daily variance forecast for the next day
+ */
+function ewmaVariance(returns, lambda = EWMA_LAMBDA) {
+  // Seed with the variance of the first few returns
+  const seedLength = Math.min(10, returns.length);
+  let variance = returns.slice(0, seedLength).reduce((sum, r) => sum + r * r, 0) / seedLength;
+
+  for (let i = seedLength; i < returns.length; i++) {
+    variance = lambda * variance + (1 - lambda) * returns[i] * returns[i];
+  }
+  return variance;
+}
+
+/**
+ * Negative Gaussian log-likelihood of a variance-targeted GARCH(1,1)
+ * @param {Array} returns - Demeaned daily returns, oldest first
+ * @param {number} sampleVar - Unconditional (target) variance
+ * @param {number} alpha - ARCH coefficient
+ * @param {number} beta - GARCH coefficient
+ * @returns {Object} - { nll, lastVariance } where lastVariance is the next-day forecast
+ */
+function garchLikelihood(returns, sampleVar, alpha, beta) {
+  const omega = sampleVar * (1 - alpha - beta);
+  let variance = sampleVar;
+  let nll = 0;
+
+  for (const r of returns) {
+    nll += Math.log(variance) + r * r / variance;
+    variance = omega + alpha * r * r + beta * variance;
+  }
+  return { nll, lastVariance: variance };
+}
+
+/**
+ * Fit a GARCH(1,1) model by maximum likelihood with variance targeting
+ * A coarse grid search is refined with a shrinking pattern search.
+ * @param {Array} returns - Daily log returns, oldest first
+ * @returns {Object} - { omega, alpha, beta, mean, longRunVariance, nextVariance } (daily units)
+ */
+function fitGarch(returns) {
+  const mean = returns.reduce((sum, r) => sum + r, 0) / returns.length;
+  const demeaned = returns.map(r => r - mean);
+  const sampleVar = sampleVariance(returns);
+  const feasible = (alpha, beta) => alpha > 0 && beta >= 0 && alpha + beta < 0.999;
+
+  let best = { alpha: 0.1, beta: 0.8, nll: Infinity };
+  for (let alpha = 0.02; alpha <= 0.3; alpha += 0.04) {
+    for (let beta = 0.5; beta <= 0.97; beta += 0.03) {
+      if (!feasible(alpha, beta)) continue;
+      const { nll } = garchLikelihood(demeaned, sampleVar, alpha, beta);
+      if (nll < best.nll) best = { alpha, beta, nll };
+    }
+  }
+
+  for (let step = 0.02; step > 1e-5; step /= 2) {
+    let improved = true;
+    while (improved) {
+      improved = false;
+      for (const [da, db] of [[step, 0], [-step, 0], [0, step], [0, -step]]) {
+        const alpha = best.alpha + da;
+        const beta = best.beta + db;
+        if (!feasible(alpha, beta)) continue;
+        const { nll } = garchLikelihood(demeaned, sampleVar, alpha, beta);
+        if (nll < best.nll) {
+          best = { alpha, beta, nll };
+          improved = true;
+        }
+      }
+    }
+  }
+
+  const { lastVariance } = garchLikelihood(demeaned, sampleVar, best.alpha, best.beta);
+
+  return {
+    omega: sampleVar * (1 - best.alpha - best.beta),
+    alpha: best.alpha,
+    beta: best.beta,
+    mean,
+    longRunVariance: sampleVar,
+    nextVariance: lastVariance
+  };
+}
+
+/**
+ * Roll a fitted GARCH(1,1) forward by one day without re-estimating it
+ * @param {Object} garch - Fitted model from fitGarch()
+ * @param {number} logReturn - The day's log return
+ * @returns {Object} - The model with nextVariance forecasting the following day
+ */
+function updateGarch(garch, logReturn) {
+  const shock = logReturn - garch.mean;
+  return { ...garch, nextVariance: garch.omega + garch.alpha * shock * shock + garch.beta * garch.nextVariance };
+}
+
+/**
+ * Forecast the annualized volatility over a horizon from a fitted GARCH(1,1)
+ * Averages the expected daily variance over the next `days` trading days.
+ * @param {Object} garch - Fitted model from fitGarch()
+ * @param {number} days - Horizon in trading days
+ * @returns {number} - Annualized volatility
+ */
+function garchForecastVolatility(garch, days) {
+  const horizon = Math.max(1, Math.round(days));
+  const persistence = garch.alpha + garch.beta;
+  let total = 0;
+
+  for (let h = 0; h < horizon; h++) {
+    total += garch.longRunVariance + Math.pow(persistence, h) * (garch.nextVariance - garch.longRunVariance);
+  }
+  return Math.sqrt(total / horizon * TRADING_DAYS_PER_YEAR);
+}
+
+/**
+ * Estimate annualized volatility from daily OHLC bars
+ * @param {string} model - Estimator name, see VOL_MODELS
+ * @param {Array} bars - Array of { open, high, low, close }, oldest first
+ * @param {number} window - Lookback in bars (defaults to the model's default)
+ * @returns {Object} - { model, window, barsUsed, volatility, garch } where garch is only set for 'garch'
+ */
+function estimateVolatility(model, bars, window) {
+  const resolved = resolveVolModel(model, window);
+  const usable = validBars(bars).slice(-resolved.window);
+  const minimum = MIN_WINDOWS[resolved.model] || 2;
+
+  if (usable.length < minimum) {
+    throw new Error(`Not enough price history for ${resolved.model}: need ${minimum} bars, have ${usable.length}`);
+  }
+
+  const result = { model: resolved.model, window: resolved.window, barsUsed: usable.length, garch: null };
+
+  if (resolved.model === 'ewma') {
+    result.volatility = Math.sqrt(ewmaVariance(logReturns(usable)) * TRADING_DAYS_PER_YEAR);
+  } else if (resolved.model === 'garch') {
+    result.garch = fitGarch(logReturns(usable));
+    result.volatility = Math.sqrt(result.garch.nextVariance * TRADING_DAYS_PER_YEAR);
+  } else {
+    result.volatility = Math.sqrt(Math.max(0, dailyVariance(resolved.model, usable)) * TRADING_DAYS_PER_YEAR);
+  }
+
+  if (!isFinite(result.volatility) || result.volatility <= 0) {
+    throw new Error(`${resolved.model} produced an invalid volatility estimate`);
+  }
+
+  return result;
+}
+
+/**
+ * Estimate annualized volatility from intraday bars by realized variance
+ * Averages the squared log returns between consecutive bars of the same session over
+ * the latest sessions and scales them up to a full session, so a session still in
+ * progress counts too. Overnight gaps are left out: an option expiring today doesn't
+ * live through one.
+ * @param {Array} bars - Array of { date, close } with date as 'YYYY-MM-DD HH:MM', oldest first
+ * @param {number} interval - Bar length in minutes
+ * @param {number} sessions - Number of latest sessions to use
+ * @returns {Object} - { interval, sessions, returnsUsed, volatility }
+ */
+function estimateIntradayVolatility(bars, interval, sessions = INTRADAY_SESSIONS) {
+  const usable = bars.filter(bar => bar.close > 0);
+  const days = Array.from(new Set(usable.map(bar => bar.date.slice(0, 10)))).slice(-sessions);
+  const recent = usable.filter(bar => bar.date.slice(0, 10) >= days[0]);
+
+  const returns = [];
+  for (let i = 1; i < recent.length; i++) {
+    if (recent[i].date.slice(0, 10) === recent[i - 1].date.slice(0, 10)) {
+      returns.push(Math.log(recent[i].close / recent[i - 1].close));
+    }
+  }
+  if (returns.length < MIN_INTRADAY_RETURNS) {
+    throw new Error(`Not enough intraday history: need ${MIN_INTRADAY_RETURNS} returns, have ${returns.length}`);
+  }
+
+  const perBarVariance = returns.reduce((sum, value) => sum + value * value, 0) / returns.length;
+  const volatility = Math.sqrt(perBarVariance * (SESSION_MINUTES / interval) * TRADING_DAYS_PER_YEAR);
+  if (!isFinite(volatility) || volatility <= 0) {
+    throw new Error('Intraday bars produced an invalid volatility estimate');
+  }
+
+  return { interval, sessions: days.length, returnsUsed: returns.length, volatility };
+}
+
+module.exports = {
+  VOL_MODELS,
+  TRADING_DAYS_PER_YEAR,
+  resolveVolModel,
+  estimateVolatility,
+  fitGarch,
+  updateGarch,
+  garchForecastVolatility,
+  estimateIntradayVolatility
+};